@@ -0,0 +1,473 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {cancelDeployment} from '../../src/functions/cancel-deployment'
+import * as actionStatus from '../../src/functions/action-status'
+import * as deployment from '../../src/functions/deployment'
+import * as lock from '../../src/functions/lock'
+import * as unlock from '../../src/functions/unlock'
+import {COLORS} from '../../src/functions/colors'
+import {parseEnvironmentPatterns} from '../../src/functions/environment-patterns'
+
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+const warningMock = jest.spyOn(core, 'warning')
+const debugMock = jest.spyOn(core, 'debug')
+
+const inFlightDeployment = {
+  id: 'DE_2',
+  databaseId: 2,
+  state: 'IN_PROGRESS',
+  payload: '{"type":"branch-deploy","pull_request":1,"workflow_run_id":555}',
+  ref: {
+    name: 'cool-new-feature'
+  },
+  commit: {
+    oid: '315cec138fc9d7dac8a47c6bba4217d3965ede3b'
+  }
+}
+
+var octokit
+var context
+var inputs
+var deployments
+var lockData
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  process.env.GITHUB_SERVER_URL = 'https://github.com'
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'warning').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  jest.spyOn(deployment, 'createDeploymentStatus').mockImplementation(() => {
+    return undefined
+  })
+  jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return true
+  })
+
+  lockData = {
+    sticky: false,
+    created_by: 'monalisa',
+    branch: 'cool-new-feature',
+    link: 'https://github.com/corp/test/pull/1#issuecomment-123'
+  }
+  jest.spyOn(lock, 'lock').mockImplementation(() => {
+    return {lockData: lockData}
+  })
+
+  deployments = [
+    {
+      ...inFlightDeployment,
+      id: 'DE_4',
+      databaseId: 4,
+      payload: '{"type":"branch-deploy","pull_request":2}'
+    },
+    {...inFlightDeployment, id: 'DE_3', databaseId: 3, payload: 'not json'},
+    inFlightDeployment,
+    {...inFlightDeployment, id: 'DE_1', databaseId: 1, state: 'ACTIVE'}
+  ]
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => {
+    return deployments
+  })
+
+  inputs = {
+    environment: 'production',
+    environment_targets: 'production,development,staging',
+    cancel_trigger: '.cancel',
+    environment_aliases: {prod: ['production']},
+    preview_environment: {
+      target: null,
+      environment: 'pr-{pull_request}',
+      url: null
+    }
+  }
+
+  context = {
+    actor: 'monalisa',
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    },
+    payload: {
+      comment: {
+        id: 789
+      }
+    }
+  }
+
+  octokit = {
+    rest: {
+      actions: {
+        cancelWorkflowRun: jest.fn().mockReturnValue({status: 202})
+      },
+      issues: {
+        getComment: jest.fn().mockReturnValue({
+          data: {body: '### Deployment Triggered 🚀'}
+        }),
+        updateComment: jest.fn().mockReturnValue({status: 200})
+      },
+      reactions: {
+        deleteForIssueComment: jest.fn().mockReturnValue({status: 204}),
+        createForIssueComment: jest.fn().mockReturnValue({status: 201})
+      }
+    }
+  }
+})
+
+test('cancels the in-flight deployment of the pull request', async () => {
+  expect(
+    await cancelDeployment(octokit, context, 123, '.cancel', inputs)
+  ).toStrictEqual({
+    environment: 'production',
+    deployment_id: 2,
+    workflow_run_id: 555,
+    workflow_run_cancelled: true,
+    lock_released: true
+  })
+
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production',
+    20
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'deployment DE_3 has a payload that is not JSON'
+  )
+  expect(deployment.createDeploymentStatus).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'cool-new-feature',
+    'error',
+    2,
+    'production'
+  )
+  expect(octokit.rest.actions.cancelWorkflowRun).toHaveBeenCalledWith(
+    expect.objectContaining({owner: 'corp', repo: 'test', run_id: 555})
+  )
+  expect(unlock.unlock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'production',
+    true
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Deployment Cancelled 🛑
+
+    __monalisa__ cancelled the deployment of \`cool-new-feature\` to \`production\`
+
+    - __Deployment__: \`2\` - marked as \`error\`
+    - __Workflow Run__: [555](https://github.com/corp/test/actions/runs/555) - cancelled
+    - __Lock__: the non-sticky deployment lock was released
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🛑 ${COLORS.success}deployment cancelled${COLORS.reset} - ${COLORS.highlight}production`
+  )
+})
+
+test('cancels a deployment and updates the comment that was left when it started', async () => {
+  deployments = [
+    {
+      ...inFlightDeployment,
+      payload:
+        '{"type":"branch-deploy","pull_request":1,"workflow_run_id":555,"initial_comment_id":456}'
+    }
+  ]
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel',
+    inputs
+  )
+
+  expect(result.lock_released).toBe(true)
+  expect(octokit.rest.issues.getComment).toHaveBeenCalledWith(
+    expect.objectContaining({owner: 'corp', repo: 'test', comment_id: 456})
+  )
+  expect(octokit.rest.issues.updateComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      comment_id: 456,
+      body: expect.stringMatching(
+        /^### Deployment Triggered 🚀\n\n### Deployment Cancelled 🛑\n/
+      )
+    })
+  )
+  expect(octokit.rest.reactions.deleteForIssueComment).toHaveBeenCalledWith(
+    expect.objectContaining({comment_id: 789, reaction_id: 123})
+  )
+  expect(octokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith(
+    expect.objectContaining({comment_id: 789, content: '+1'})
+  )
+  expect(actionStatus.actionStatus).not.toHaveBeenCalled()
+})
+
+test('cancels a deployment and replies when the comment that was left when it started cannot be updated', async () => {
+  deployments = [
+    {
+      ...inFlightDeployment,
+      payload:
+        '{"type":"branch-deploy","pull_request":1,"workflow_run_id":555,"initial_comment_id":456}'
+    }
+  ]
+  octokit.rest.issues.getComment = jest
+    .fn()
+    .mockRejectedValue(new Error('Not Found'))
+
+  await cancelDeployment(octokit, context, 123, '.cancel', inputs)
+
+  expect(warningMock).toHaveBeenCalledWith(
+    `⚠️ could not update the deployment comment ${COLORS.highlight}456${COLORS.reset}: Not Found`
+  )
+  expect(octokit.rest.issues.updateComment).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('### Deployment Cancelled 🛑'),
+    true,
+    true
+  )
+})
+
+test('cancels a deployment and keeps a lock that belongs to another pull request', async () => {
+  lockData = {
+    sticky: false,
+    created_by: 'octocat',
+    branch: 'other-feature',
+    link: 'https://github.com/corp/test/pull/2#issuecomment-456'
+  }
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel',
+    inputs
+  )
+
+  expect(result.lock_released).toBe(false)
+  expect(unlock.unlock).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔒 the lock is held by ${COLORS.highlight}octocat${COLORS.reset} for another pull request, will not remove lock`
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '- __Lock__: the deployment lock belongs to another pull request and was kept'
+    ),
+    true,
+    true
+  )
+})
+
+test('cancels a deployment and releases a lock without a link that was claimed by the same branch', async () => {
+  lockData = {sticky: false, created_by: 'monalisa', branch: 'cool-new-feature'}
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel',
+    inputs
+  )
+
+  expect(result.lock_released).toBe(true)
+  expect(unlock.unlock).toHaveBeenCalled()
+})
+
+test('cancels a sha deployment and keeps a sticky lock', async () => {
+  lockData = {sticky: true}
+  deployments = [{...inFlightDeployment, ref: null}]
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel staging',
+    inputs
+  )
+
+  expect(result.lock_released).toBe(false)
+  expect(deployment.createDeploymentStatus).toHaveBeenCalledWith(
+    octokit,
+    context,
+    '315cec138fc9d7dac8a47c6bba4217d3965ede3b',
+    'error',
+    2,
+    'staging'
+  )
+  expect(unlock.unlock).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('- __Lock__: the sticky deployment lock was kept'),
+    true,
+    true
+  )
+})
+
+test('cancels a deployment whose workflow run cannot be cancelled and has no lock', async () => {
+  lockData = null
+  octokit.rest.actions.cancelWorkflowRun = jest
+    .fn()
+    .mockRejectedValue(
+      new Error('Cannot cancel a workflow run that is completed')
+    )
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel',
+    inputs
+  )
+
+  expect(result.workflow_run_cancelled).toBe(false)
+  expect(result.lock_released).toBe(false)
+  expect(warningMock).toHaveBeenCalledWith(
+    `⚠️ could not cancel workflow run ${COLORS.highlight}555${COLORS.reset}: Cannot cancel a workflow run that is completed`
+  )
+  expect(unlock.unlock).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '- __Workflow Run__: [555](https://github.com/corp/test/actions/runs/555) - could not be cancelled (it may have already completed)\n- __Lock__: no deployment lock was found'
+    ),
+    true,
+    true
+  )
+})
+
+test('cancels a deployment without a workflow run in its payload', async () => {
+  deployments = [
+    {
+      ...inFlightDeployment,
+      payload: '{"type":"branch-deploy","pull_request":1}'
+    }
+  ]
+
+  const result = await cancelDeployment(
+    octokit,
+    context,
+    123,
+    '.cancel',
+    inputs
+  )
+
+  expect(result.workflow_run_id).toBe(null)
+  expect(octokit.rest.actions.cancelWorkflowRun).not.toHaveBeenCalled()
+  expect(debugMock).toHaveBeenCalledWith(
+    'deployment DE_2 has no workflow run to cancel'
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('- __Workflow Run__: unknown'),
+    true,
+    true
+  )
+})
+
+test('fails to cancel when the pull request has no in-flight deployment', async () => {
+  deployments = [
+    {...inFlightDeployment, state: 'ACTIVE'},
+    {...inFlightDeployment, payload: 'null'}
+  ]
+
+  expect(
+    await cancelDeployment(octokit, context, 123, '.cancel development', inputs)
+  ).toBe(false)
+
+  expect(deployment.createDeploymentStatus).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'There is no in-flight deployment to `development` from this pull request to cancel'
+    )
+  )
+})
+
+test('fails to cancel when an environment matched by a pattern target has no in-flight deployment', async () => {
+  inputs.environment_patterns = parseEnvironmentPatterns('{"sandbox-*": {}}')
+  deployments = []
+
+  expect(
+    await cancelDeployment(
+      octokit,
+      context,
+      123,
+      '.cancel sandbox-alice',
+      inputs
+    )
+  ).toBe(false)
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'sandbox-alice',
+    expect.any(Number)
+  )
+})
+
+test('fails to cancel when the environment of an environment alias has no in-flight deployment', async () => {
+  deployments = []
+
+  expect(
+    await cancelDeployment(octokit, context, 123, '.cancel prod', inputs)
+  ).toBe(false)
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production',
+    expect.any(Number)
+  )
+})
+
+test('fails to cancel when the preview environment of the pull request has no in-flight deployment', async () => {
+  inputs.preview_environment.target = 'preview'
+  deployments = []
+
+  expect(
+    await cancelDeployment(octokit, context, 123, '.cancel preview', inputs)
+  ).toBe(false)
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'pr-1',
+    expect.any(Number)
+  )
+})
+
+test('fails to cancel a deployment to an environment that is not a valid environment target', async () => {
+  expect(
+    await cancelDeployment(octokit, context, 123, '.cancel qa', inputs)
+  ).toBe(false)
+
+  expect(deployment.recentDeployments).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('No matching environment target found for `qa`')
+  )
+})
@@ -0,0 +1,545 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {deploymentDiff} from '../../src/functions/deployment-diff'
+import * as actionStatus from '../../src/functions/action-status'
+import * as deployment from '../../src/functions/deployment'
+import {COLORS} from '../../src/functions/colors'
+import {parseEnvironmentPatterns} from '../../src/functions/environment-patterns'
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+
+const deployedSha = '315cec138fc9d7dac8a47c6bba4217d3965ede3b'
+const headSha = 'b69ba12504020c9067abe680c1dc28191d4c9be3'
+
+var octokit
+var context
+var inputs
+var compareData
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return {commit: {oid: deployedSha}}
+  })
+
+  inputs = {
+    environment: 'production',
+    environment_targets: 'production,development,staging',
+    diff_trigger: '.diff',
+    environment_aliases: {prod: ['production']},
+    preview_environment: {
+      target: null,
+      environment: 'pr-{pull_request}',
+      url: null
+    }
+  }
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    }
+  }
+
+  compareData = {
+    status: 'diverged',
+    ahead_by: 3,
+    behind_by: 1,
+    total_commits: 3,
+    commits: [
+      {
+        sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: {login: 'monalisa'},
+        commit: {message: 'add a cool | new feature\n\nwith a body'}
+      },
+      {
+        sha: 'b1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: null,
+        commit: {author: {name: 'Octo Cat'}, message: 'fix a typo'}
+      },
+      {
+        sha: 'c1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: {login: 'monalisa'},
+        commit: {message: 'add tests'}
+      }
+    ],
+    files: [
+      {
+        filename: 'src/feature.js',
+        status: 'added',
+        additions: 10,
+        deletions: 0
+      },
+      {filename: 'README.md', status: 'modified', additions: 2, deletions: 1},
+      {
+        filename: 'src/feature.test.js',
+        status: 'added',
+        additions: 20,
+        deletions: 0
+      }
+    ]
+  }
+
+  octokit = {
+    rest: {
+      pulls: {
+        get: jest
+          .fn()
+          .mockReturnValue({status: 200, data: {head: {sha: headSha}}})
+      },
+      repos: {
+        compareCommits: jest.fn().mockImplementation(() => {
+          return {data: compareData}
+        })
+      }
+    }
+  }
+})
+
+test('shows the diff between the default environment and the pull request', async () => {
+  const diff = await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(diff).toStrictEqual({
+    environment: 'production',
+    base: deployedSha,
+    head: headSha,
+    status: 'diverged',
+    ahead_by: 3,
+    behind_by: 1,
+    total_commits: 3,
+    commits: [
+      {
+        sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: 'monalisa',
+        message: 'add a cool | new feature'
+      },
+      {
+        sha: 'b1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: 'Octo Cat',
+        message: 'fix a typo'
+      },
+      {
+        sha: 'c1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: 'monalisa',
+        message: 'add tests'
+      }
+    ],
+    files: compareData.files,
+    truncated: {commits: false, files: false}
+  })
+
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production'
+  )
+  expect(octokit.rest.repos.compareCommits).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      base: deployedSha,
+      head: headSha
+    })
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'deployment_diff',
+    JSON.stringify(diff)
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Deployment Diff 🔍
+
+    Comparing what is deployed to \`production\` (\`315cec1\`) with the head of this pull request (\`b69ba12\`)
+
+    This pull request is __3 commits__ ahead and __1 commit__ behind the active deployment
+
+    > ⚠️ This pull request is missing __1 commit__ that is currently deployed to \`production\` - deploying it would remove that commit from the environment
+
+    <details><summary>Commits (3)</summary>
+
+    | Commit | Author | Message |
+    | ------ | ------ | ------- |
+    | \`a1b2c3d\` | monalisa | add a cool \\| new feature |
+    | \`b1b2c3d\` | Octo Cat | fix a typo |
+    | \`c1b2c3d\` | monalisa | add tests |
+
+    </details>
+
+    <details><summary>Authors (2)</summary>
+
+    - __monalisa__ - 2 commits
+    - __Octo Cat__ - 1 commit
+
+    </details>
+
+    <details><summary>Changed Files (3)</summary>
+
+    #### added (2)
+
+    - \`src/feature.js\` (+10 -0)
+    - \`src/feature.test.js\` (+20 -0)
+
+    #### modified (1)
+
+    - \`README.md\` (+2 -1)
+
+    </details>
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔍 the pull request is ${COLORS.highlight}3${COLORS.reset} ahead and ${COLORS.highlight}1${COLORS.reset} behind ${COLORS.highlight}production`
+  )
+})
+
+test('shows the diff of an environment that the pull request is only ahead of', async () => {
+  compareData = {
+    status: 'ahead',
+    ahead_by: 1,
+    behind_by: 0,
+    total_commits: 1,
+    commits: [
+      {
+        sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+        author: null,
+        commit: {author: null, message: 'add a cool new feature'}
+      }
+    ]
+  }
+
+  const diff = await deploymentDiff(
+    octokit,
+    context,
+    123,
+    '.diff staging',
+    inputs
+  )
+
+  expect(diff.commits[0].author).toBe(null)
+  expect(diff.files).toStrictEqual([])
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'staging'
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'This pull request is __1 commit__ ahead and __0 commits__ behind the active deployment\n\n<details><summary>Commits (1)</summary>'
+    ),
+    true,
+    true
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '| `a1b2c3d` | - | add a cool new feature |\n\n</details>\n\n<details><summary>Authors (1)</summary>\n\n- __unknown__ - 1 commit\n\n</details>'
+    ),
+    true,
+    true
+  )
+  expect(actionStatus.actionStatus).not.toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('Changed Files'),
+    true,
+    true
+  )
+})
+
+test('shows the diff of an environment that the pull request is only behind', async () => {
+  compareData = {
+    status: 'behind',
+    ahead_by: 0,
+    behind_by: 1,
+    commits: [],
+    files: []
+  }
+
+  await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.not.stringContaining('<details>'),
+    true,
+    true
+  )
+})
+
+test('warns about every commit that the pull request is missing', async () => {
+  compareData.behind_by = 2
+
+  await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> ⚠️ This pull request is missing __2 commits__ that are currently deployed to `production` - deploying it would remove those commits from the environment'
+    ),
+    true,
+    true
+  )
+})
+
+test('shows that the head of the pull request is already deployed', async () => {
+  compareData = {
+    status: 'identical',
+    ahead_by: 0,
+    behind_by: 0,
+    commits: [],
+    files: []
+  }
+
+  const diff = await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(diff.status).toBe('identical')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Deployment Diff 🔍
+
+    Comparing what is deployed to \`production\` (\`315cec1\`) with the head of this pull request (\`b69ba12\`)
+
+    > The head of this pull request is already deployed to \`production\`
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔍 ${COLORS.highlight}production${COLORS.reset} is already running the head of the pull request`
+  )
+})
+
+test('fails to show the diff of an environment without an active deployment', async () => {
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return null
+  })
+
+  expect(
+    await deploymentDiff(octokit, context, 123, '.diff development', inputs)
+  ).toBe(false)
+
+  expect(octokit.rest.repos.compareCommits).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'There is no active deployment in `development` to compare this pull request with'
+    )
+  )
+})
+
+test('fails to show the diff of an environment matched by a pattern target without an active deployment', async () => {
+  inputs.environment_patterns = parseEnvironmentPatterns('{"sandbox-*": {}}')
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return null
+  })
+
+  expect(
+    await deploymentDiff(octokit, context, 123, '.diff sandbox-alice', inputs)
+  ).toBe(false)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'sandbox-alice'
+  )
+})
+
+test('fails to show the diff of the environment of an environment alias without an active deployment', async () => {
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return null
+  })
+
+  expect(
+    await deploymentDiff(octokit, context, 123, '.diff prod', inputs)
+  ).toBe(false)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production'
+  )
+})
+
+test('fails to show the diff of the preview environment of the pull request without an active deployment', async () => {
+  inputs.preview_environment.target = 'preview'
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return null
+  })
+
+  expect(
+    await deploymentDiff(octokit, context, 123, '.diff preview', inputs)
+  ).toBe(false)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'pr-1'
+  )
+})
+
+test('fails to show the diff of an environment that is not a valid environment target', async () => {
+  expect(await deploymentDiff(octokit, context, 123, '.diff qa', inputs)).toBe(
+    false
+  )
+
+  expect(deployment.latestActiveDeployment).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('No matching environment target found for `qa`')
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> The following environment targets are available: `production,development,staging`'
+    )
+  )
+})
+
+test('says when GitHub did not return every commit and changed file of a large comparison', async () => {
+  compareData.total_commits = 400
+  compareData.html_url =
+    'https://github.com/corp/test/compare/315cec1...b69ba12'
+  compareData.files = Array.from({length: 300}, (_, index) => ({
+    filename: `src/file-${index}.js`,
+    status: 'modified',
+    additions: 1,
+    deletions: 1
+  }))
+
+  const diff = await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(diff.total_commits).toBe(400)
+  expect(diff.truncated).toStrictEqual({commits: true, files: true})
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> ℹ️ This comparison is too large for GitHub to return in full - only the first 250 of 400 commits and only the first 300 changed files are shown. [View the full comparison](https://github.com/corp/test/compare/315cec1...b69ba12)'
+    ),
+    true,
+    true
+  )
+})
+
+test('says when GitHub did not return every commit of a large comparison', async () => {
+  compareData.total_commits = 251
+  compareData.html_url =
+    'https://github.com/corp/test/compare/315cec1...b69ba12'
+
+  const diff = await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(diff.truncated).toStrictEqual({commits: true, files: false})
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'only the first 250 of 251 commits are shown. [View the full comparison]'
+    ),
+    true,
+    true
+  )
+})
+
+test('lets the user know when the active deployment cannot be compared with the pull request', async () => {
+  const error = new Error('No common ancestor between 315cec1 and b69ba12.')
+  error.status = 422
+  octokit.rest.repos.compareCommits = jest.fn().mockRejectedValue(error)
+
+  expect(await deploymentDiff(octokit, context, 123, '.diff', inputs)).toBe(
+    false
+  )
+  const message = dedent(`
+  ### ⚠️ Cannot compare the deployment
+
+  The commit that is deployed to \`production\` (\`315cec1\`) cannot be compared with the head of this pull request (\`b69ba12\`)
+
+  > GitHub responded with: No common ancestor between 315cec1 and b69ba12.
+  `)
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    message
+  )
+  expect(setFailedMock).toHaveBeenCalledWith(message)
+  expect(setOutputMock).not.toHaveBeenCalledWith(
+    'deployment_diff',
+    expect.anything()
+  )
+})
+
+test('lets the user know when the deployed commit no longer exists', async () => {
+  const error = new Error('Not Found')
+  error.status = 404
+  octokit.rest.repos.compareCommits = jest.fn().mockRejectedValue(error)
+
+  expect(await deploymentDiff(octokit, context, 123, '.diff', inputs)).toBe(
+    false
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('> GitHub responded with: Not Found')
+  )
+})
+
+test('throws an unexpected error when comparing the active deployment with the pull request', async () => {
+  const error = new Error('oh no')
+  error.status = 500
+  octokit.rest.repos.compareCommits = jest.fn().mockRejectedValue(error)
+
+  await expect(
+    deploymentDiff(octokit, context, 123, '.diff', inputs)
+  ).rejects.toThrow('oh no')
+})
+
+test('says when GitHub did not return every changed file of a large comparison', async () => {
+  compareData.files = Array.from({length: 300}, (_, index) => ({
+    filename: `src/file-${index}.js`,
+    status: 'added',
+    additions: 1,
+    deletions: 0
+  }))
+
+  const diff = await deploymentDiff(octokit, context, 123, '.diff', inputs)
+
+  expect(diff.truncated).toStrictEqual({commits: false, files: true})
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'too large for GitHub to return in full - only the first 300 changed files are shown.'
+    ),
+    true,
+    true
+  )
+})
@@ -0,0 +1,372 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {deploymentHistory} from '../../src/functions/deployment-history'
+import * as actionStatus from '../../src/functions/action-status'
+import * as deployment from '../../src/functions/deployment'
+import {COLORS} from '../../src/functions/colors'
+import {parseEnvironmentPatterns} from '../../src/functions/environment-patterns'
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+const debugMock = jest.spyOn(core, 'debug')
+
+const successfulDeployment = {
+  id: 'DE_3',
+  createdAt: '2024-10-02T10:00:00Z',
+  state: 'ACTIVE',
+  payload:
+    '{"type":"branch-deploy","sha":"315cec138fc9d7dac8a47c6bba4217d3965ede3b","actor":"monalisa"}',
+  creator: {
+    login: 'github-actions'
+  },
+  ref: {
+    name: 'cool-new-feature'
+  },
+  statuses: {
+    nodes: [
+      {state: 'IN_PROGRESS', createdAt: '2024-10-02T10:00:05Z'},
+      {state: 'SUCCESS', createdAt: '2024-10-02T10:04:30Z'}
+    ]
+  },
+  commit: {
+    oid: '315cec138fc9d7dac8a47c6bba4217d3965ede3b'
+  }
+}
+
+const failedDeployment = {
+  id: 'DE_2',
+  createdAt: '2024-10-01T12:00:00Z',
+  state: 'INACTIVE',
+  payload: '{"type":"branch-deploy","noop":true}',
+  creator: {
+    login: 'github-actions'
+  },
+  ref: {
+    name: 'main'
+  },
+  statuses: {
+    nodes: [
+      {state: 'INACTIVE', createdAt: '2024-10-02T10:04:30Z'},
+      {state: 'FAILURE', createdAt: '2024-10-01T12:02:00Z'}
+    ]
+  },
+  commit: {
+    oid: 'b69ba12504020c9067abe680c1dc28191d4c9be3'
+  }
+}
+
+const pendingDeployment = {
+  id: 'DE_1',
+  createdAt: '2024-10-01T09:00:00Z',
+  state: 'IN_PROGRESS',
+  payload: 'not json',
+  creator: null,
+  ref: null,
+  commit: {
+    oid: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678'
+  }
+}
+
+var octokit
+var context
+var inputs
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  jest
+    .spyOn(deployment, 'recentDeployments')
+    .mockImplementation(() => [
+      successfulDeployment,
+      failedDeployment,
+      pendingDeployment
+    ])
+
+  inputs = {
+    environment: 'production',
+    environment_targets: 'production,development,staging',
+    history_trigger: '.history',
+    environment_aliases: {prod: ['production']},
+    preview_environment: {
+      target: null,
+      environment: 'pr-{pull_request}',
+      url: null
+    }
+  }
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    }
+  }
+
+  octokit = {}
+})
+
+test('shows the recent deployments of the default environment', async () => {
+  const deployments = await deploymentHistory(
+    octokit,
+    context,
+    123,
+    '.history',
+    inputs
+  )
+
+  expect(deployments).toStrictEqual([
+    {
+      created_at: '2024-10-02T10:00:00Z',
+      sha: '315cec138fc9d7dac8a47c6bba4217d3965ede3b',
+      branch: 'cool-new-feature',
+      actor: 'monalisa',
+      noop: false,
+      status: 'success',
+      duration: '0d:0h:4m:30s'
+    },
+    {
+      created_at: '2024-10-01T12:00:00Z',
+      sha: 'b69ba12504020c9067abe680c1dc28191d4c9be3',
+      branch: 'main',
+      actor: 'github-actions',
+      noop: true,
+      status: 'failure',
+      duration: '0d:0h:2m:0s'
+    },
+    {
+      created_at: '2024-10-01T09:00:00Z',
+      sha: 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678',
+      branch: null,
+      actor: null,
+      noop: false,
+      status: 'in_progress',
+      duration: null
+    }
+  ])
+
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production',
+    10
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'deployment DE_1 has a payload that is not JSON'
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'deployment_history',
+    JSON.stringify(deployments)
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Deployment History 📚
+
+    The last __3__ deployments to the \`production\` environment (newest first)
+
+    | Timestamp | Commit | Branch | Actor | Noop | Status | Duration |
+    | --------- | ------ | ------ | ----- | ---- | ------ | -------- |
+    | \`2024-10-02T10:00:00Z\` | \`315cec1\` | \`cool-new-feature\` | monalisa | \`false\` | \`success\` | \`0d:0h:4m:30s\` |
+    | \`2024-10-01T12:00:00Z\` | \`b69ba12\` | \`main\` | github-actions | \`true\` | \`failure\` | \`0d:0h:2m:0s\` |
+    | \`2024-10-01T09:00:00Z\` | \`a1b2c3d\` | - | - | \`false\` | \`in_progress\` | - |
+
+    > Use \`.history production --limit <number>\` to show more deployments
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📚 found ${COLORS.highlight}3${COLORS.reset} deployments for ${COLORS.highlight}production`
+  )
+})
+
+test('shows a limited number of deployments of an environment', async () => {
+  jest
+    .spyOn(deployment, 'recentDeployments')
+    .mockImplementation(() => [{...successfulDeployment, payload: 'null'}])
+
+  const deployments = await deploymentHistory(
+    octokit,
+    context,
+    123,
+    '.history staging --limit 1',
+    inputs
+  )
+
+  expect(deployments.length).toBe(1)
+  expect(deployments[0].actor).toBe('github-actions')
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'staging',
+    1
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'The last __1__ deployment to the `staging` environment (newest first)'
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📚 found ${COLORS.highlight}1${COLORS.reset} deployment for ${COLORS.highlight}staging`
+  )
+})
+
+test('clamps the limit of deployments to show', async () => {
+  await deploymentHistory(
+    octokit,
+    context,
+    123,
+    '.history production --limit 500',
+    inputs
+  )
+  expect(deployment.recentDeployments).toHaveBeenLastCalledWith(
+    octokit,
+    context,
+    'production',
+    100
+  )
+
+  await deploymentHistory(octokit, context, 123, '.history --limit 0', inputs)
+  expect(deployment.recentDeployments).toHaveBeenLastCalledWith(
+    octokit,
+    context,
+    'production',
+    1
+  )
+
+  await deploymentHistory(
+    octokit,
+    context,
+    123,
+    '.history staging --limit',
+    inputs
+  )
+  expect(deployment.recentDeployments).toHaveBeenLastCalledWith(
+    octokit,
+    context,
+    'staging',
+    10
+  )
+})
+
+test('shows a message when an environment has no deployments', async () => {
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => [])
+
+  expect(
+    await deploymentHistory(
+      octokit,
+      context,
+      123,
+      '.history development',
+      inputs
+    )
+  ).toStrictEqual([])
+
+  expect(setOutputMock).toHaveBeenCalledWith('deployment_history', '[]')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Deployment History 📚
+
+    No deployments found for the \`development\` environment
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📚 no deployments found for ${COLORS.highlight}development`
+  )
+})
+
+test('shows the deployment history of an environment matched by a pattern target', async () => {
+  inputs.environment_patterns = parseEnvironmentPatterns('{"sandbox-*": {}}')
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => [])
+
+  expect(
+    await deploymentHistory(
+      octokit,
+      context,
+      123,
+      '.history sandbox-alice',
+      inputs
+    )
+  ).toStrictEqual([])
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'sandbox-alice',
+    expect.any(Number)
+  )
+})
+
+test('shows the deployment history of the environment of an environment alias', async () => {
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => [])
+
+  expect(
+    await deploymentHistory(
+      octokit,
+      context,
+      123,
+      '.history prod --limit 5',
+      inputs
+    )
+  ).toStrictEqual([])
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production',
+    5
+  )
+})
+
+test('shows the deployment history of the preview environment of the pull request', async () => {
+  inputs.preview_environment.target = 'preview'
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => [])
+
+  expect(
+    await deploymentHistory(octokit, context, 123, '.history preview', inputs)
+  ).toStrictEqual([])
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'pr-1',
+    expect.any(Number)
+  )
+})
+
+test('fails to show the deployment history of an environment that is not a valid environment target', async () => {
+  expect(
+    await deploymentHistory(octokit, context, 123, '.history qa', inputs)
+  ).toBe(false)
+
+  expect(deployment.recentDeployments).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('No matching environment target found for `qa`')
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> The following environment targets are available: `production,development,staging`'
+    )
+  )
+})
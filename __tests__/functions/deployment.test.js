@@ -1,7 +1,9 @@
 import {
   createDeploymentStatus,
   latestActiveDeployment,
-  activeDeployment
+  activeDeployment,
+  previousSuccessfulDeployment,
+  recentDeployments
 } from '../../src/functions/deployment'
 import * as core from '@actions/core'
 import {API_HEADERS} from '../../src/functions/api-headers'
@@ -314,3 +316,151 @@ test('returns false if the deployment is not found', async () => {
 
   expect(octokit.graphql).toHaveBeenCalled()
 })
+
+const deploymentNode = (
+  id,
+  state,
+  oid,
+  payload = '{"type":"branch-deploy"}'
+) => ({
+  id: id,
+  state: state,
+  payload: payload,
+  commit: {
+    oid: oid
+  }
+})
+
+const deploymentPage = (nodes, hasNextPage = false, endCursor = null) => ({
+  repository: {
+    deployments: {
+      nodes: nodes,
+      pageInfo: {
+        endCursor: endCursor,
+        hasNextPage: hasNextPage
+      }
+    }
+  }
+})
+
+test('finds the previous successful deployment before the current one across pages', async () => {
+  octokit = {
+    graphql: jest
+      .fn()
+      .mockReturnValueOnce(
+        deploymentPage(
+          [
+            deploymentNode('DE_1', 'ACTIVE', 'sha-current', '{"type":"other"}'),
+            deploymentNode('DE_2', 'ACTIVE', 'sha-current'),
+            deploymentNode('DE_3', 'FAILURE', 'sha-broken'),
+            deploymentNode('DE_4', 'INACTIVE', 'sha-current', 'not json')
+          ],
+          true,
+          'cursor-1'
+        )
+      )
+      .mockReturnValueOnce(
+        deploymentPage([
+          deploymentNode(
+            'DE_5',
+            'INACTIVE',
+            'sha-current',
+            '{"type":"rollback"}'
+          ),
+          deploymentNode('DE_6', 'INACTIVE', 'sha-good', '{"type":"rollback"}')
+        ])
+      )
+  }
+
+  expect(
+    await previousSuccessfulDeployment(octokit, context, environment)
+  ).toStrictEqual(
+    deploymentNode('DE_6', 'INACTIVE', 'sha-good', '{"type":"rollback"}')
+  )
+  expect(octokit.graphql).toHaveBeenCalledTimes(2)
+  expect(octokit.graphql).toHaveBeenLastCalledWith(
+    expect.stringContaining('after: "cursor-1"'),
+    {repo_owner: 'corp', repo_name: 'test', environment: 'production'}
+  )
+})
+
+test('finds the active deployment when the current deployment failed', async () => {
+  octokit = createMockGraphQLOctokit(
+    deploymentPage([
+      deploymentNode('DE_1', 'FAILURE', 'sha-broken'),
+      deploymentNode('DE_2', 'ACTIVE', 'sha-good')
+    ])
+  )
+
+  expect(
+    (await previousSuccessfulDeployment(octokit, context, environment)).id
+  ).toBe('DE_2')
+})
+
+test('returns null if there is no previous successful deployment', async () => {
+  octokit = createMockGraphQLOctokit(
+    deploymentPage([
+      deploymentNode('DE_0', 'ACTIVE', 'sha-unknown', 'null'),
+      deploymentNode('DE_1', 'ACTIVE', 'sha-current'),
+      deploymentNode('DE_2', 'ERROR', 'sha-broken')
+    ])
+  )
+
+  expect(
+    await previousSuccessfulDeployment(octokit, context, environment)
+  ).toBeNull()
+})
+
+test('fetches the most recent deployments with their statuses across pages', async () => {
+  octokit = {
+    graphql: jest
+      .fn()
+      .mockReturnValueOnce(
+        deploymentPage(
+          [
+            deploymentNode('DE_1', 'ACTIVE', 'sha-1'),
+            deploymentNode('DE_2', 'INACTIVE', 'sha-2')
+          ],
+          true,
+          'cursor-1'
+        )
+      )
+      .mockReturnValueOnce(
+        deploymentPage(
+          [
+            deploymentNode('DE_3', 'FAILURE', 'sha-3'),
+            deploymentNode('DE_4', 'INACTIVE', 'sha-4')
+          ],
+          true,
+          'cursor-2'
+        )
+      )
+  }
+
+  const deployments = await recentDeployments(octokit, context, environment, 3)
+  expect(deployments.map(deployment => deployment.id)).toStrictEqual([
+    'DE_1',
+    'DE_2',
+    'DE_3'
+  ])
+  expect(octokit.graphql).toHaveBeenCalledTimes(2)
+  expect(octokit.graphql).toHaveBeenNthCalledWith(
+    1,
+    expect.stringContaining('after: null'),
+    {repo_owner: 'corp', repo_name: 'test', environment: 'production'}
+  )
+  expect(octokit.graphql).toHaveBeenLastCalledWith(
+    expect.stringContaining('statuses(first: 100)'),
+    {repo_owner: 'corp', repo_name: 'test', environment: 'production'}
+  )
+})
+
+test('fetches fewer deployments than the limit when there are no more pages', async () => {
+  octokit = createMockGraphQLOctokit(
+    deploymentPage([deploymentNode('DE_1', 'ACTIVE', 'sha-1')])
+  )
+
+  const deployments = await recentDeployments(octokit, context, environment, 10)
+  expect(deployments.length).toBe(1)
+  expect(octokit.graphql).toHaveBeenCalledTimes(1)
+})
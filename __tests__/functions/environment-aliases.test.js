@@ -0,0 +1,116 @@
+import * as core from '@actions/core'
+import {
+  parseEnvironmentAliases,
+  resolveEnvironmentAliases,
+  resolveCommandEnvironment
+} from '../../src/functions/environment-aliases'
+import {parsePreviewEnvironment} from '../../src/functions/preview-environment'
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+
+const environmentTargets = 'production,staging-us,staging-eu'
+
+const aliases = parseEnvironmentAliases(
+  JSON.stringify({
+    prod: 'production',
+    p: 'production',
+    'all-staging': ['staging-us', 'staging-eu', 'staging-us']
+  }),
+  environmentTargets
+)
+
+beforeEach(() => {
+  jest.clearAllMocks()
+})
+
+test('parses the environment aliases and groups', () => {
+  expect(aliases).toStrictEqual({
+    prod: ['production'],
+    p: ['production'],
+    'all-staging': ['staging-us', 'staging-eu']
+  })
+  expect(parseEnvironmentAliases('', environmentTargets)).toStrictEqual({})
+  expect(parseEnvironmentAliases(null, environmentTargets)).toStrictEqual({})
+  expect(parseEnvironmentAliases('  ', environmentTargets)).toStrictEqual({})
+})
+
+test('fails to parse invalid environment aliases', () => {
+  const invalid = {
+    'not json': 'Unexpected token',
+    '["prod"]': 'the environment aliases must be a JSON object',
+    null: 'the environment aliases must be a JSON object',
+    '{"": "production"}':
+      'the alias "" must not be empty or contain spaces or commas',
+    '{"prod us": "production"}':
+      'the alias "prod us" must not be empty or contain spaces or commas',
+    '{"a,b": "production"}':
+      'the alias "a,b" must not be empty or contain spaces or commas',
+    '{"production": "staging-us"}':
+      'the alias production is already the name of an environment target',
+    '{"prod": 1}':
+      'the alias prod must be an environment or a list of environments',
+    '{"all": []}':
+      'the alias all must be an environment or a list of environments',
+    '{"prod": "prodution"}':
+      'the alias prod resolves to prodution which is not one of the environment targets',
+    '{"all": ["staging-us", "staging-ap"]}':
+      'the alias all resolves to staging-ap which is not one of the environment targets'
+  }
+
+  for (const [input, error] of Object.entries(invalid)) {
+    expect(() => parseEnvironmentAliases(input, environmentTargets)).toThrow(
+      `Invalid value for 'environment_aliases': ${error}`
+    )
+  }
+})
+
+test('resolves environment aliases and groups in a command', () => {
+  expect(resolveEnvironmentAliases('.deploy to prod', aliases)).toBe(
+    '.deploy to production'
+  )
+  expect(resolveEnvironmentAliases('.noop main p', aliases)).toBe(
+    '.noop main production'
+  )
+  expect(resolveEnvironmentAliases('.lock all-staging, prod', aliases)).toBe(
+    '.lock staging-us,staging-eu, production'
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'resolved environment aliases: .deploy to prod -> .deploy to production'
+  )
+})
+
+test('does not change a command without environment aliases', () => {
+  expect(resolveEnvironmentAliases('.deploy to production', aliases)).toBe(
+    '.deploy to production'
+  )
+  expect(resolveEnvironmentAliases('.deploy to prods', aliases)).toBe(
+    '.deploy to prods'
+  )
+  expect(resolveEnvironmentAliases('.deploy constructor', aliases)).toBe(
+    '.deploy constructor'
+  )
+  expect(resolveEnvironmentAliases('.deploy to prod', {})).toBe(
+    '.deploy to prod'
+  )
+  expect(debugMock).not.toHaveBeenCalled()
+})
+
+test('resolves the environment aliases and the preview target of a command environment', () => {
+  const inputs = {
+    environment_aliases: aliases,
+    preview_environment: parsePreviewEnvironment(
+      'preview',
+      '',
+      '',
+      environmentTargets
+    )
+  }
+  expect(resolveCommandEnvironment('prod', inputs, 1234)).toBe('production')
+  expect(resolveCommandEnvironment('all-staging', inputs, 1234)).toBe(
+    'staging-us,staging-eu'
+  )
+  expect(resolveCommandEnvironment('preview', inputs, 1234)).toBe('pr-1234')
+  expect(resolveCommandEnvironment('production', inputs, 1234)).toBe(
+    'production'
+  )
+})
@@ -0,0 +1,164 @@
+import * as core from '@actions/core'
+import {
+  isSafeEnvironmentName,
+  parseEnvironmentPatterns,
+  matchEnvironmentPattern,
+  findPatternTargets,
+  applyPatternPolicies
+} from '../../src/functions/environment-patterns'
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+
+const patterns = parseEnvironmentPatterns(
+  JSON.stringify({
+    'sandbox-*': {
+      url: 'https://{environment}.sandbox.example.com',
+      skip_ci: true,
+      skip_reviews: true
+    },
+    '/preview-[0-9]+/': {draft_permitted: true},
+    'prod-*-canary': {production: true}
+  })
+)
+
+beforeEach(() => {
+  jest.clearAllMocks()
+})
+
+test('checks if an environment name is safe to be matched by a pattern target', () => {
+  expect(isSafeEnvironmentName('sandbox-alice')).toBe(true)
+  expect(isSafeEnvironmentName('sandbox.alice_2')).toBe(true)
+  expect(isSafeEnvironmentName('sandbox-alice/eu')).toBe(false)
+  expect(isSafeEnvironmentName('-sandbox')).toBe(false)
+  expect(isSafeEnvironmentName('sandbox..alice')).toBe(false)
+  expect(isSafeEnvironmentName('sandbox-alice.')).toBe(false)
+  expect(isSafeEnvironmentName('sandbox-alice.lock')).toBe(false)
+  expect(isSafeEnvironmentName('sandbox~1')).toBe(false)
+  expect(isSafeEnvironmentName('')).toBe(false)
+  expect(isSafeEnvironmentName(`sandbox-${'a'.repeat(60)}`)).toBe(false)
+})
+
+test('parses the pattern targets', () => {
+  expect(parseEnvironmentPatterns('')).toStrictEqual([])
+  expect(parseEnvironmentPatterns(null)).toStrictEqual([])
+  expect(parseEnvironmentPatterns('  ')).toStrictEqual([])
+  expect(patterns[0]).toStrictEqual({
+    pattern: 'sandbox-*',
+    regex: /^sandbox\-[A-Za-z0-9._-]+$/,
+    url: 'https://{environment}.sandbox.example.com',
+    policy: {
+      production: false,
+      skip_ci: true,
+      skip_reviews: true,
+      draft_permitted: false
+    }
+  })
+  expect(patterns[1].regex).toStrictEqual(/^(?:preview-[0-9]+)$/)
+  expect(patterns[1].url).toBe(null)
+})
+
+test('fails to parse invalid pattern targets', () => {
+  const invalid = {
+    'not json': 'Unexpected token',
+    '[]': 'the pattern targets must be a JSON object',
+    '{"sandbox-*": true}':
+      'the options of the pattern sandbox-* must be a JSON object',
+    '{"sandbox-*": {"policy": {}}}':
+      'the pattern sandbox-* has unknown fields: policy',
+    '{"sandbox-*": {"url": "ftp://{environment}"}}':
+      'the url of the pattern sandbox-* must be an http(s) URL template (EX: https://{environment}.example.com)',
+    '{"sandbox-*": {"url": 1}}':
+      'the url of the pattern sandbox-* must be an http(s) URL template',
+    '{"sandbox-*": {"skip_ci": "yes"}}':
+      'the skip_ci field of the pattern sandbox-* must be true or false',
+    '{"sandbox": {}}':
+      'the pattern sandbox must be a glob with a "*" (EX: sandbox-*) or a regular expression wrapped in slashes (EX: /sandbox-[a-z]+/)',
+    '{"sandbox/*": {}}': 'the pattern sandbox/* must be a glob with a "*"',
+    '{"/sandbox-(/": {}}':
+      'the pattern /sandbox-(/ is not a valid regular expression'
+  }
+
+  for (const [input, error] of Object.entries(invalid)) {
+    expect(() => parseEnvironmentPatterns(input)).toThrow(
+      `Invalid value for 'environment_patterns': ${error}`
+    )
+  }
+})
+
+test('matches an environment name with a pattern target', () => {
+  expect(matchEnvironmentPattern('sandbox-alice', patterns).pattern).toBe(
+    'sandbox-*'
+  )
+  expect(matchEnvironmentPattern('preview-123', patterns).pattern).toBe(
+    '/preview-[0-9]+/'
+  )
+  expect(matchEnvironmentPattern('prod-eu-canary', patterns).pattern).toBe(
+    'prod-*-canary'
+  )
+  expect(matchEnvironmentPattern('sandbox-', patterns)).toBe(null)
+  expect(matchEnvironmentPattern('my-sandbox-alice', patterns)).toBe(null)
+  expect(matchEnvironmentPattern('preview-123abc', patterns)).toBe(null)
+  expect(matchEnvironmentPattern('production', patterns)).toBe(null)
+  expect(matchEnvironmentPattern('sandbox-alice')).toBe(null)
+
+  // names that are not safe are never matched - even by a permissive regular expression
+  const permissive = parseEnvironmentPatterns('{"/.+/": {}}')
+  expect(matchEnvironmentPattern('sandbox-alice', permissive)).not.toBe(null)
+  expect(matchEnvironmentPattern('sandbox:alice', permissive)).toBe(null)
+  expect(matchEnvironmentPattern('../main', permissive)).toBe(null)
+})
+
+test('finds the environments of a command that are matched by a pattern target', () => {
+  expect(
+    findPatternTargets(
+      'sandbox-alice, sandbox-bob,sandbox-alice,production',
+      ['production', 'sandbox-bob'],
+      patterns
+    )
+  ).toStrictEqual(['sandbox-alice'])
+  expect(debugMock).toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-alice'
+  )
+  expect(findPatternTargets('', ['production'], patterns)).toStrictEqual([])
+})
+
+test('only finds the environments of a command that are matched by a pattern target when nothing else is left in the command', () => {
+  expect(
+    findPatternTargets('sandbox-main to sandbox-alice', [], patterns)
+  ).toStrictEqual([])
+  expect(
+    findPatternTargets('sandbox-alice --reason sandbox-bob', [], patterns)
+  ).toStrictEqual([])
+  expect(debugMock).not.toHaveBeenCalled()
+})
+
+test('applies the policy of the pattern targets to the inputs', () => {
+  const inputs = {
+    environment_targets: 'production,staging,sandbox-main',
+    environment_patterns: patterns,
+    production_environments: ['production'],
+    skipCi: '',
+    skipReviews: 'staging',
+    draft_permitted_targets: ''
+  }
+
+  expect(
+    applyPatternPolicies(inputs, [
+      'staging',
+      'sandbox-main',
+      'sandbox-alice',
+      'preview-1',
+      'prod-eu-canary'
+    ])
+  ).toStrictEqual({
+    environment_targets: 'production,staging,sandbox-main',
+    environment_patterns: patterns,
+    production_environments: ['production', 'prod-eu-canary'],
+    skipCi: 'sandbox-alice',
+    skipReviews: 'staging,sandbox-alice',
+    draft_permitted_targets: 'preview-1'
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'applying the policy of the sandbox-* pattern target to sandbox-alice: {"production":false,"skip_ci":true,"skip_reviews":true,"draft_permitted":false}'
+  )
+})
@@ -0,0 +1,340 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {environmentStatus} from '../../src/functions/environment-status'
+import * as actionStatus from '../../src/functions/action-status'
+import * as deployment from '../../src/functions/deployment'
+import * as checkLockFile from '../../src/functions/check-lock-file'
+import {COLORS} from '../../src/functions/colors'
+import {parseEnvironmentPatterns} from '../../src/functions/environment-patterns'
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+
+const productionDeployment = {
+  createdAt: '2024-10-01T12:00:00Z',
+  environment: 'production',
+  state: 'ACTIVE',
+  creator: {
+    login: 'github-actions'
+  },
+  ref: {
+    name: 'main'
+  },
+  latestStatus: {
+    environmentUrl: 'https://example.com'
+  },
+  commit: {
+    oid: '315cec138fc9d7dac8a47c6bba4217d3965ede3b',
+    associatedPullRequests: {
+      nodes: [{number: 42, url: 'https://github.com/corp/test/pull/42'}]
+    }
+  }
+}
+
+const stagingDeployment = {
+  createdAt: '2024-10-02T08:30:00Z',
+  environment: 'staging',
+  state: 'ACTIVE',
+  creator: {
+    login: 'github-actions'
+  },
+  ref: null,
+  latestStatus: {
+    environmentUrl: ''
+  },
+  commit: {
+    oid: 'b69ba12504020c9067abe680c1dc28191d4c9be3',
+    associatedPullRequests: {
+      nodes: []
+    }
+  }
+}
+
+const stagingLock = {
+  reason: 'testing',
+  branch: 'cool-new-feature',
+  created_at: '2024-10-02T09:00:00Z',
+  created_by: 'monalisa',
+  sticky: true,
+  environment: 'staging',
+  global: false,
+  unlock_command: '.unlock staging',
+  link: 'https://github.com/corp/test/pull/3#issuecomment-123'
+}
+
+var octokit
+var context
+var inputs
+var locks
+var deployments
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.useFakeTimers().setSystemTime(new Date('2024-10-02T12:00:00Z'))
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  deployments = {
+    production: productionDeployment,
+    staging: stagingDeployment
+  }
+  locks = {
+    'staging-branch-deploy-lock': stagingLock
+  }
+  jest
+    .spyOn(deployment, 'latestActiveDeployment')
+    .mockImplementation((octokit, context, environment) => {
+      return deployments[environment] ?? null
+    })
+  jest
+    .spyOn(checkLockFile, 'checkLockFile')
+    .mockImplementation((octokit, context, branch) => {
+      return locks[branch] ?? false
+    })
+
+  inputs = {
+    environment_targets: 'production,development,staging',
+    status_trigger: '.status',
+    environment_aliases: {prod: ['production']},
+    preview_environment: {
+      target: null,
+      environment: 'pr-{pull_request}',
+      url: null
+    }
+  }
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    }
+  }
+
+  octokit = {}
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('reports what is deployed to every environment', async () => {
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status',
+    inputs
+  )
+
+  expect(statuses).toStrictEqual([
+    {
+      environment: 'production',
+      deployment: {
+        sha: '315cec138fc9d7dac8a47c6bba4217d3965ede3b',
+        ref: 'main',
+        creator: 'github-actions',
+        created_at: '2024-10-01T12:00:00Z',
+        age: '1d:0h:0m:0s',
+        pull_request: 42,
+        pull_request_url: 'https://github.com/corp/test/pull/42',
+        environment_url: 'https://example.com'
+      },
+      lock: null
+    },
+    {
+      environment: 'development',
+      deployment: null,
+      lock: null
+    },
+    {
+      environment: 'staging',
+      deployment: {
+        sha: 'b69ba12504020c9067abe680c1dc28191d4c9be3',
+        ref: null,
+        creator: 'github-actions',
+        created_at: '2024-10-02T08:30:00Z',
+        age: '0d:3h:30m:0s',
+        pull_request: null,
+        pull_request_url: null,
+        environment_url: null
+      },
+      lock: {
+        created_by: 'monalisa',
+        reason: 'testing',
+        sticky: true,
+        link: 'https://github.com/corp/test/pull/3#issuecomment-123'
+      }
+    }
+  ])
+
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environment_status',
+    JSON.stringify(statuses)
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### Environment Status 🌍
+
+    What is currently deployed to each environment of the \`corp/test\` repository
+
+    | Environment | Commit | Ref | Creator | Age | Pull Request | URL | Lock |
+    | ----------- | ------ | --- | ------- | --- | ------------ | --- | ---- |
+    | \`production\` | \`315cec1\` | \`main\` | github-actions | \`1d:0h:0m:0s\` | [#42](https://github.com/corp/test/pull/42) | [link](https://example.com) | 🔓 unlocked |
+    | \`development\` | - | - | - | - | - | - | 🔓 unlocked |
+    | \`staging\` | \`b69ba12\` | - | github-actions | \`0d:3h:30m:0s\` | - | - | 🔒 __monalisa__ |
+    `),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🌍 reported the status of ${COLORS.highlight}3${COLORS.reset} environments`
+  )
+})
+
+test('reports what is deployed to a single environment and shows the global lock', async () => {
+  locks['global-branch-deploy-lock'] = {
+    ...stagingLock,
+    created_by: 'octocat',
+    global: true
+  }
+  deployments.production = {...productionDeployment, creator: null}
+  const productionLock = {...stagingLock, environment: 'production'}
+  delete productionLock.reason
+  locks['production-branch-deploy-lock'] = productionLock
+
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status production',
+    inputs
+  )
+
+  expect(statuses.length).toBe(1)
+  expect(statuses[0].lock.reason).toBe(null)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledTimes(1)
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'What is currently deployed to the `production` environment of the `corp/test` repository\n\n> 🌏 There is a __global__ deployment lock claimed by __octocat__ - All environments are currently locked'
+    ),
+    true,
+    true
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('| `main` | - | `1d:0h:0m:0s` |'),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🌍 reported the status of ${COLORS.highlight}1${COLORS.reset} environment`
+  )
+})
+
+test('reports what is deployed to an environment matched by a pattern target', async () => {
+  inputs.environment_patterns = parseEnvironmentPatterns('{"sandbox-*": {}}')
+
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status sandbox-alice',
+    inputs
+  )
+
+  expect(statuses.length).toBe(1)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'sandbox-alice'
+  )
+})
+
+test('reports what is deployed to the environment of an environment alias', async () => {
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status prod',
+    inputs
+  )
+
+  expect(statuses.length).toBe(1)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production'
+  )
+})
+
+test('reports what is deployed to each environment of an environment group', async () => {
+  inputs.environment_aliases = {'non-prod': ['development', 'staging']}
+
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status non-prod',
+    inputs
+  )
+
+  expect(statuses.map(status => status.environment)).toStrictEqual([
+    'development',
+    'staging'
+  ])
+})
+
+test('reports what is deployed to the preview environment of the pull request', async () => {
+  inputs.preview_environment.target = 'preview'
+
+  const statuses = await environmentStatus(
+    octokit,
+    context,
+    123,
+    '.status preview',
+    inputs
+  )
+
+  expect(statuses.length).toBe(1)
+  expect(deployment.latestActiveDeployment).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'pr-1'
+  )
+})
+
+test('fails to report the status of an environment that is not a valid environment target', async () => {
+  expect(
+    await environmentStatus(octokit, context, 123, '.status qa', inputs)
+  ).toBe(false)
+
+  expect(deployment.latestActiveDeployment).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('No matching environment target found for `qa`')
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> The following environment targets are available: `production,development,staging`'
+    )
+  )
+})
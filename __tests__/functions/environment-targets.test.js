@@ -3,12 +3,14 @@ import * as actionStatus from '../../src/functions/action-status'
 import * as core from '@actions/core'
 import dedent from 'dedent-js'
 import {COLORS} from '../../src/functions/colors'
+import {parseParamSchemas} from '../../src/functions/params'
 
 const infoMock = jest.spyOn(core, 'info').mockImplementation(() => {})
 const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
 const warningMock = jest.spyOn(core, 'warning').mockImplementation(() => {})
 const saveStateMock = jest.spyOn(core, 'saveState').mockImplementation(() => {})
 const setOutputMock = jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+const setFailedMock = jest.spyOn(core, 'setFailed').mockImplementation(() => {})
 
 beforeEach(() => {
   jest.clearAllMocks()
@@ -18,6 +20,11 @@ beforeEach(() => {
   process.env.INPUT_ENVIRONMENT_TARGETS = 'production,development,staging'
   process.env.INPUT_GLOBAL_LOCK_FLAG = '--global'
   process.env.INPUT_LOCK_INFO_ALIAS = '.wcid'
+  process.env.INPUT_ENVIRONMENT_ALIASES = ''
+  process.env.INPUT_ENVIRONMENT_PATTERNS = ''
+  process.env.INPUT_PREVIEW_TARGET = ''
+  process.env.INPUT_PREVIEW_ENVIRONMENT = 'pr-{pull_request}'
+  process.env.INPUT_PREVIEW_URL = ''
 })
 
 const environment = 'production'
@@ -80,6 +87,82 @@ test('checks the comment body and finds an explicit environment target for devel
   )
 })
 
+test('checks the comment body and finds an explicit environment target for development with the lock queue flag', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to development --queue',
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+  ).toStrictEqual({
+    environment: 'development',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'development',
+      noop: false,
+      stable_branch_used: false,
+      params: null,
+      parsed_params: null,
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    "found environment target for branch deploy (with 'to'): development"
+  )
+})
+
+test('checks the comment body and removes the lock queue and freeze override flags that are typed after the params', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy production | foo=bar --queue --override-freeze',
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+  ).toStrictEqual({
+    environment: 'production',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'production',
+      noop: false,
+      stable_branch_used: false,
+      params: 'foo=bar',
+      parsed_params: {_: ['foo=bar']},
+      sha: null
+    }
+  })
+  expect(setOutputMock).toHaveBeenCalledWith('params', 'foo=bar')
+})
+
+test('checks the comment body and finds an explicit environment target for production with the freeze override flag', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy production --override-freeze',
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+  ).toStrictEqual({
+    environment: 'production',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'production',
+      noop: false,
+      stable_branch_used: false,
+      params: null,
+      parsed_params: null,
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'found environment target for branch deploy: production'
+  )
+})
+
 test('checks the comment body and finds an explicit environment target for development with params', async () => {
   expect(
     await environmentTargets(
@@ -781,6 +864,254 @@ test('checks the comment body on a deployment and does not find any matching env
   expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
 })
 
+test('checks the comment body and finds multiple environment targets with environment_urls set and params', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to staging,production | cpus=1',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      null,
+      null,
+      null,
+      false, // lockChecks disabled
+      environmentUrls
+    )
+  ).toStrictEqual({
+    environment: 'staging,production',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'staging,production',
+      noop: false,
+      stable_branch_used: false,
+      params: 'cpus=1',
+      parsed_params: {_: ['cpus=1']},
+      sha: null,
+      environment_urls: {
+        staging: 'http://staging.example.com',
+        production: 'https://example.com'
+      }
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'found multiple environment targets for deployment: staging,production'
+  )
+  expect(saveStateMock).toHaveBeenLastCalledWith('environment_url', 'null')
+  expect(setOutputMock).toHaveBeenLastCalledWith('environment_url', 'null')
+})
+
+test('checks the comment body and finds multiple environment targets on a noop deploy with the stable branch', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.noop main development, staging, development',
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+  ).toStrictEqual({
+    environment: 'development,staging',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'development,staging',
+      noop: true,
+      stable_branch_used: true,
+      params: null,
+      parsed_params: null,
+      sha: null,
+      environment_urls: {development: null, staging: null}
+    }
+  })
+})
+
+const paramSchemas = parseParamSchemas(
+  JSON.stringify({
+    production: {
+      cpus: {type: 'number', required: true, enum: [1, 2, 4]},
+      region: {type: 'string', default: 'us-east-1'}
+    }
+  })
+)
+
+test('checks the comment body and validates the params against the parameter schema of the environment', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy production | --cpus=2',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      null,
+      null,
+      null,
+      false, // lockChecks disabled
+      null,
+      '|',
+      false,
+      paramSchemas
+    )
+  ).toStrictEqual({
+    environment: 'production',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'production',
+      noop: false,
+      stable_branch_used: false,
+      params: '--cpus=2',
+      parsed_params: {cpus: 2, region: 'us-east-1'},
+      sha: null
+    }
+  })
+  expect(infoMock).toHaveBeenCalledWith(
+    `🧮 validated parameters: ${COLORS.highlight}{"cpus":2,"region":"us-east-1"}`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('parsed_params', {
+    cpus: 2,
+    region: 'us-east-1'
+  })
+  expect(saveStateMock).toHaveBeenCalledWith('parsed_params', {
+    cpus: 2,
+    region: 'us-east-1'
+  })
+})
+
+test('checks the comment body and does not validate the params when no parameter schema applies to the environment', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy staging | cpus=fuor',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      null,
+      null,
+      null,
+      false, // lockChecks disabled
+      null,
+      '|',
+      false,
+      paramSchemas
+    )
+  ).toStrictEqual({
+    environment: 'staging',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'staging',
+      noop: false,
+      stable_branch_used: false,
+      params: 'cpus=fuor',
+      parsed_params: {_: ['cpus=fuor']},
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'no parameter schemas apply to the environment targets'
+  )
+})
+
+test('checks the comment body and validates the params of multiple environment targets', async () => {
+  const results = await environmentTargets(
+    environment,
+    '.deploy to staging,production | --cpus 4',
+    trigger,
+    noop_trigger,
+    stable_branch,
+    null,
+    null,
+    null,
+    false, // lockChecks disabled
+    null,
+    '|',
+    false,
+    paramSchemas
+  )
+  expect(results.environment).toBe('staging,production')
+
+  // the environment without a schema keeps the parameters as they were parsed
+  expect(results.environmentObj.environment_params).toStrictEqual({
+    staging: {_: [], cpus: 4},
+    production: {cpus: 4, region: 'us-east-1'}
+  })
+  // the parsed_params are the parameters of the first environment
+  expect(results.environmentObj.parsed_params).toStrictEqual({_: [], cpus: 4})
+  expect(setOutputMock).toHaveBeenCalledWith('parsed_params', {_: [], cpus: 4})
+  expect(infoMock).toHaveBeenCalledWith(
+    `🧮 validated parameters for ${COLORS.highlight}production${COLORS.reset}: ${COLORS.highlight}{"cpus":4,"region":"us-east-1"}`
+  )
+})
+
+test('checks the comment body and fails when the params are not valid for the parameter schema of the environment', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to staging,production | --cpu=fuor',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      null,
+      null,
+      123,
+      false, // lockChecks disabled
+      null,
+      '|',
+      false,
+      paramSchemas
+    )
+  ).toStrictEqual({
+    environment: false,
+    environmentUrl: null,
+    environmentObj: {
+      target: 'staging,production',
+      noop: false,
+      stable_branch_used: false,
+      params: '--cpu=fuor',
+      parsed_params: {_: [], cpu: 'fuor'},
+      sha: null
+    }
+  })
+
+  const message = dedent(`
+  ### ⚠️ Cannot proceed with deployment
+
+  The parameters are not valid for the \`production\` environment:
+
+  - \`--cpu\` is not a known parameter
+  - \`--cpus\` is required
+
+  > The \`production\` environment accepts the following parameters:
+
+  - \`--cpus\` (number, required, one of: \`1\`, \`2\`, \`4\`)
+  - \`--region\` (string, default: \`us-east-1\`)
+  `)
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    null,
+    null,
+    123,
+    message
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(message)
+})
+
+test('checks the comment body and does not find multiple environment targets when one of them is not a valid target (fails)', async () => {
+  for (const commentBody of [
+    '.deploy to staging,chaos',
+    '.deploy to staging,staging',
+    'staging,production'
+  ]) {
+    const result = await environmentTargets(
+      environment,
+      commentBody,
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+    expect(result.environment).toBe(false)
+  }
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
 test('checks the comment body on a stable branch deployment and finds a matching environment (with to)', async () => {
   expect(
     await environmentTargets(
@@ -891,6 +1222,82 @@ test('checks the comment body on a stable branch deployment and does not find a
   expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
 })
 
+test('checks the comment body on a promotion and finds the source and target environments', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.promote staging to production | --cpus=1',
+      '.promote',
+      '.promote',
+      null,
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      false, // lockChecks
+      null, // environment_urls
+      '|', // param_separator
+      true // promote
+    )
+  ).toStrictEqual({
+    environment: 'production',
+    environmentUrl: null,
+    environmentObj: {
+      target: 'production',
+      noop: false,
+      stable_branch_used: false,
+      params: '--cpus=1',
+      parsed_params: {_: [], cpus: 1},
+      sha: null,
+      promoted_from: 'staging'
+    }
+  })
+  expect(infoMock).toHaveBeenCalledWith(
+    `📦 detected promotion source environment: ${COLORS.highlight}staging`
+  )
+})
+
+test('checks the comment body on a promotion without a target environment and uses the default environment', async () => {
+  const result = await environmentTargets(
+    environment,
+    '.promote development',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(result.environment).toBe('production')
+  expect(result.environmentObj.promoted_from).toBe('development')
+})
+
+test('checks the comment body on a promotion and does not find a valid source environment', async () => {
+  const result = await environmentTargets(
+    environment,
+    '.promote qa to production',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(result.environment).toBe(false)
+  expect(result.environmentObj.promoted_from).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith(
+    'no valid source environment found for promotion: qa'
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
 test('checks the comment body on a lock request and uses the default environment', async () => {
   expect(
     await environmentTargets(
@@ -948,11 +1355,11 @@ test('checks the comment body on a lock request with a reason and uses the expli
   )
 })
 
-test('checks the comment body on an unlock request and uses the default environment', async () => {
+test('checks the comment body on a lock request with a duration and a reason and uses the explicit environment', async () => {
   expect(
     await environmentTargets(
       environment,
-      '.unlock', // comment body
+      '.lock development --for 2h --reason db migration', // comment body
       '.lock', // lock trigger
       '.unlock', // unlock trigger
       null, // stable_branch not used for lock/unlock requests
@@ -961,17 +1368,17 @@ test('checks the comment body on an unlock request and uses the default environm
       null, // reaction_id
       true // enable lockChecks
     )
-  ).toStrictEqual({environment: 'production', environmentUrl: null})
+  ).toStrictEqual({environment: 'development', environmentUrl: null})
   expect(debugMock).toHaveBeenCalledWith(
-    'using default environment for unlock request'
+    'found environment target for lock request: development'
   )
 })
 
-test('checks the comment body on an unlock request and uses the default environment (and uses --reason) even though it does not need to', async () => {
+test('checks the comment body on a lock request with the lock queue flag and uses the explicit environment', async () => {
   expect(
     await environmentTargets(
       environment,
-      '.unlock --reason oh wait this command does not need a reason.. oops', // comment body
+      '.lock development --queue --reason db migration', // comment body
       '.lock', // lock trigger
       '.unlock', // unlock trigger
       null, // stable_branch not used for lock/unlock requests
@@ -980,17 +1387,109 @@ test('checks the comment body on an unlock request and uses the default environm
       null, // reaction_id
       true // enable lockChecks
     )
-  ).toStrictEqual({environment: 'production', environmentUrl: null})
+  ).toStrictEqual({environment: 'development', environmentUrl: null})
   expect(debugMock).toHaveBeenCalledWith(
-    'using default environment for unlock request'
+    'found environment target for lock request: development'
   )
 })
 
-test('checks the comment body on an unlock request and uses the development environment (and uses --reason) even though it does not need to', async () => {
+test('checks the comment body on a lock request with the takeover flag', async () => {
   expect(
     await environmentTargets(
       environment,
-      '.unlock development --reason oh wait this command does not need a reason.. oops', // comment body
+      '.lock development --takeover --reason hotfix', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'development', environmentUrl: null})
+  expect(debugMock).toHaveBeenCalledWith(
+    'found environment target for lock request: development'
+  )
+})
+
+test('checks the comment body on a lock request with the lock history flag', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock development --history 20', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'development', environmentUrl: null})
+})
+
+test('checks the comment body on an unlock request with the force flag', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.unlock development --force', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'development', environmentUrl: null})
+  expect(debugMock).toHaveBeenCalledWith(
+    'found environment target for unlock request: development'
+  )
+})
+
+test('checks the comment body on an unlock request and uses the default environment', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.unlock', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'production', environmentUrl: null})
+  expect(debugMock).toHaveBeenCalledWith(
+    'using default environment for unlock request'
+  )
+})
+
+test('checks the comment body on an unlock request and uses the default environment (and uses --reason) even though it does not need to', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.unlock --reason oh wait this command does not need a reason.. oops', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'production', environmentUrl: null})
+  expect(debugMock).toHaveBeenCalledWith(
+    'using default environment for unlock request'
+  )
+})
+
+test('checks the comment body on an unlock request and uses the development environment (and uses --reason) even though it does not need to', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.unlock development --reason oh wait this command does not need a reason.. oops', // comment body
       '.lock', // lock trigger
       '.unlock', // unlock trigger
       null, // stable_branch not used for lock/unlock requests
@@ -1118,3 +1617,605 @@ test('checks the comment body on a lock info request and uses the development en
     'found environment target for lock request: development'
   )
 })
+
+test('checks the comment body on a lock request for multiple environments', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock staging, production,staging --reason release day', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'staging,production', environmentUrl: null})
+  expect(debugMock).toHaveBeenCalledWith(
+    'found multiple environment targets for lock/unlock request: staging,production'
+  )
+})
+
+test('checks the comment body on an unlock request for multiple environments', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.unlock staging,production', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'staging,production', environmentUrl: null})
+})
+
+test('checks the comment body on a lock request for multiple environments when one of them is not a valid target', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock staging,chaos', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      123, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: false, environmentUrl: null})
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('checks the comment body on a lock details request for multiple environments and does not allow it', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock staging,production --details', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      123, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: false, environmentUrl: null})
+})
+
+test('checks the comment body on a lock request with only commas', async () => {
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock ,', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      123, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: false, environmentUrl: null})
+})
+
+const environmentAliases = JSON.stringify({
+  prod: 'production',
+  dev: 'development',
+  'all-pre-prod': ['development', 'staging']
+})
+
+test('checks the comment body and resolves an environment alias for a deployment', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = environmentAliases
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to prod | --cpus=1',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      false, // lockChecks
+      environmentUrls,
+      '|', // param_separator
+      false // promote
+    )
+  ).toStrictEqual({
+    environment: 'production',
+    environmentUrl: 'https://example.com',
+    environmentObj: {
+      target: 'production',
+      noop: false,
+      stable_branch_used: false,
+      params: '--cpus=1',
+      parsed_params: {_: [], cpus: 1},
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'resolved environment aliases: .deploy to prod -> .deploy to production'
+  )
+})
+
+test('checks the comment body and resolves an environment group for a noop deployment of the stable branch', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = environmentAliases
+  const results = await environmentTargets(
+    environment,
+    '.noop main all-pre-prod, prod',
+    trigger,
+    noop_trigger,
+    stable_branch,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    false // promote
+  )
+  expect(results.environment).toBe('development,staging,production')
+  expect(results.environmentObj.noop).toBe(true)
+  expect(results.environmentObj.stable_branch_used).toBe(true)
+})
+
+test('checks the comment body and resolves an environment alias for the source and target of a promotion', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = environmentAliases
+  const results = await environmentTargets(
+    environment,
+    '.promote dev to prod',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(results.environment).toBe('production')
+  expect(results.environmentObj.promoted_from).toBe('development')
+})
+
+test('checks the comment body and does not use an environment group as the source of a promotion', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = environmentAliases
+  const results = await environmentTargets(
+    environment,
+    '.promote all-pre-prod to prod',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(results.environment).toBe(false)
+  expect(debugMock).toHaveBeenCalledWith(
+    'no valid source environment found for promotion: development,staging'
+  )
+})
+
+test('checks the comment body and resolves environment aliases and groups for lock, unlock, and lock info requests', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = environmentAliases
+  const lockChecks = async commentBody => {
+    return await environmentTargets(
+      environment,
+      commentBody, // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  }
+
+  expect(await lockChecks('.lock prod --reason prod is down')).toStrictEqual({
+    environment: 'production',
+    environmentUrl: null
+  })
+  expect(await lockChecks('.unlock all-pre-prod')).toStrictEqual({
+    environment: 'development,staging',
+    environmentUrl: null
+  })
+  expect(await lockChecks('.wcid dev')).toStrictEqual({
+    environment: 'development',
+    environmentUrl: null
+  })
+  expect(await lockChecks('.lock --info dev')).toStrictEqual({
+    environment: 'development',
+    environmentUrl: null
+  })
+})
+
+const environmentPatterns = JSON.stringify({
+  'sandbox-*': {url: 'https://{environment}.sandbox.example.com'},
+  '/preview-[0-9]+/': {}
+})
+
+test('checks the comment body and finds an environment matched by a pattern target with a url template', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to sandbox-alice | sandbox-bob',
+      trigger,
+      noop_trigger,
+      stable_branch
+    )
+  ).toStrictEqual({
+    environment: 'sandbox-alice',
+    environmentUrl: 'https://sandbox-alice.sandbox.example.com',
+    environmentObj: {
+      target: 'sandbox-alice',
+      noop: false,
+      stable_branch_used: false,
+      params: 'sandbox-bob',
+      parsed_params: {_: ['sandbox-bob']},
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-alice'
+  )
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-bob'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔗 environment url detected from the ${COLORS.highlight}sandbox-*${COLORS.reset} pattern: ${COLORS.highlight}https://sandbox-alice.sandbox.example.com`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environment_url',
+    'https://sandbox-alice.sandbox.example.com'
+  )
+})
+
+test('checks the comment body and uses the url template of a pattern target when the environment_urls do not have the environment', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  const results = await environmentTargets(
+    environment,
+    '.noop sandbox-bob,preview-12,production',
+    trigger,
+    noop_trigger,
+    stable_branch,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    environmentUrls
+  )
+  expect(results.environment).toBe('sandbox-bob,preview-12,production')
+  expect(results.environmentObj.environment_urls).toStrictEqual({
+    'sandbox-bob': 'https://sandbox-bob.sandbox.example.com',
+    'preview-12': null,
+    production: 'https://example.com'
+  })
+  expect(warningMock).toHaveBeenCalledWith(
+    "no valid environment URL found for environment: preview-12 - setting environment URL to 'null' - please check your 'environment_urls' input"
+  )
+})
+
+test('checks the comment body on a lock request for an environment matched by a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock sandbox-alice --reason testing', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true, // enable lockChecks
+      null, // environment_urls not used for lock/unlock requests
+      null // param_separator not used for lock/unlock requests
+    )
+  ).toStrictEqual({environment: 'sandbox-alice', environmentUrl: null})
+})
+
+test('checks the comment body on a lock request and only matches the environment of the command with a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock sandbox-alice --reason sandbox-bob is broken', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: 'sandbox-alice', environmentUrl: null})
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-bob'
+  )
+
+  // the environment part of a command is only found after the lock or unlock trigger
+  expect(
+    await environmentTargets(
+      environment,
+      'lock sandbox-bob', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      null, // context
+      null, // octokit
+      null, // reaction_id
+      true // enable lockChecks
+    )
+  ).toStrictEqual({environment: false, environmentUrl: null})
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-bob'
+  )
+})
+
+test('checks the comment body and finds an environment matched by a pattern target on a stable branch deployment', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = JSON.stringify({'*': {}})
+  const results = await environmentTargets(
+    environment,
+    '.deploy main to sandbox-alice',
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  expect(results.environment).toBe('sandbox-alice')
+  expect(results.environmentObj.stable_branch_used).toBe(true)
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'found environment matched by a pattern target: main'
+  )
+})
+
+test('checks the comment body and does not match words that are not the environment of the command with a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  const results = await environmentTargets(
+    environment,
+    '.deploy sandbox-alice sandbox-bob',
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  expect(results.environment).toBe(false)
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'found environment matched by a pattern target: sandbox-alice'
+  )
+})
+
+test('checks the comment body on a promotion from an environment matched by a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = environmentPatterns
+  const results = await environmentTargets(
+    environment,
+    '.promote sandbox-alice to production',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(results.environment).toBe('production')
+  expect(results.environmentObj.promoted_from).toBe('sandbox-alice')
+})
+
+test('checks the comment body and does not find an environment that is not safe for a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = JSON.stringify({'/.+/': {}})
+  const results = await environmentTargets(
+    environment,
+    '.deploy to sandbox:alice',
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  expect(results.environment).toBe(false)
+  expect(warningMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'The following environment targets are available: `production,development,staging,/.+/`'
+    )
+  )
+})
+
+test('checks the comment body and finds the preview environment of the pull request', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  process.env.INPUT_PREVIEW_URL = 'https://{environment}.preview.example.com'
+  expect(
+    await environmentTargets(
+      environment,
+      '.deploy to preview',
+      trigger,
+      noop_trigger,
+      stable_branch,
+      {issue: {number: 123}} // context
+    )
+  ).toStrictEqual({
+    environment: 'pr-123',
+    environmentUrl: 'https://pr-123.preview.example.com',
+    environmentObj: {
+      target: 'pr-123',
+      noop: false,
+      stable_branch_used: false,
+      params: null,
+      parsed_params: null,
+      sha: null
+    }
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'resolved environment aliases: .deploy to preview -> .deploy to pr-123'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔗 environment url detected from the preview environment: ${COLORS.highlight}https://pr-123.preview.example.com`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environment_url',
+    'https://pr-123.preview.example.com'
+  )
+})
+
+test('checks the comment body and uses the preview url when the environment_urls do not have the preview environment', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  process.env.INPUT_PREVIEW_URL = 'https://{environment}.preview.example.com'
+  const results = await environmentTargets(
+    environment,
+    '.noop preview,staging',
+    trigger,
+    noop_trigger,
+    stable_branch,
+    {issue: {number: 123}}, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    environmentUrls
+  )
+  expect(results.environment).toBe('pr-123,staging')
+  expect(results.environmentObj.noop).toBe(true)
+  expect(results.environmentObj.environment_urls).toStrictEqual({
+    'pr-123': 'https://pr-123.preview.example.com',
+    staging: 'http://staging.example.com'
+  })
+})
+
+test('checks the comment body on a lock request for the preview environment of the pull request', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  expect(
+    await environmentTargets(
+      environment,
+      '.lock preview --reason testing', // comment body
+      '.lock', // lock trigger
+      '.unlock', // unlock trigger
+      null, // stable_branch not used for lock/unlock requests
+      {issue: {number: 123}}, // context
+      null, // octokit
+      null, // reaction_id
+      true, // enable lockChecks
+      null, // environment_urls not used for lock/unlock requests
+      null // param_separator not used for lock/unlock requests
+    )
+  ).toStrictEqual({environment: 'pr-123', environmentUrl: null})
+})
+
+test('checks the comment body and does not find the preview environment of another pull request', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  const results = await environmentTargets(
+    environment,
+    '.deploy to pr-456',
+    trigger,
+    noop_trigger,
+    stable_branch,
+    {issue: {number: 123}} // context
+  )
+  expect(results.environment).toBe(false)
+  expect(warningMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'The following environment targets are available: `production,development,staging,preview`'
+    )
+  )
+})
+
+test('checks the comment body and suggests the closest valid command for a mistyped environment', async () => {
+  const results = await environmentTargets(
+    environment,
+    '.deploy to prodution | --cpus=1',
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  expect(results.environment).toBe(false)
+  expect(infoMock).toHaveBeenCalledWith(
+    `💡 suggesting the closest valid command: ${COLORS.highlight}.deploy to production | --cpus=1`
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    undefined,
+    undefined,
+    undefined,
+    expect.stringContaining(
+      '#### Did you mean?\n\n```text\n.deploy to production | --cpus=1\n```\n\n> Examples of valid commands: `.deploy to production`, `.noop to production`, `.deploy to production | <params>`'
+    )
+  )
+})
+
+test('checks the comment body and suggests the closest valid command for a mistyped alias on a lock request', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({dev: 'development'})
+  const results = await environmentTargets(
+    environment,
+    '.lock dve --reason testing stagng', // comment body
+    '.lock', // lock trigger
+    '.unlock', // unlock trigger
+    null, // stable_branch not used for lock/unlock requests
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    true, // enable lockChecks
+    null, // environment_urls not used for lock/unlock requests
+    null // param_separator not used for lock/unlock requests
+  )
+  expect(results.environment).toBe(false)
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    null,
+    null,
+    null,
+    expect.stringContaining(
+      '#### Did you mean?\n\n```text\n.lock dev --reason testing stagng\n```\n\n> Examples of valid commands: `.lock production`, `.unlock production`'
+    )
+  )
+})
+
+test('checks the comment body and suggests the closest valid command for a mistyped promotion', async () => {
+  const results = await environmentTargets(
+    environment,
+    '.promote stagign to prodution',
+    '.promote',
+    '.promote',
+    null,
+    null, // context
+    null, // octokit
+    null, // reaction_id
+    false, // lockChecks
+    null, // environment_urls
+    '|', // param_separator
+    true // promote
+  )
+  expect(results.environment).toBe(false)
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    null,
+    null,
+    null,
+    expect.stringContaining(
+      '#### Did you mean?\n\n```text\n.promote staging to production\n```\n\n> Examples of valid commands: `.promote <environment> to production`'
+    )
+  )
+})
+
+test('checks the comment body and only shows examples of valid commands when nothing looks like a typo', async () => {
+  const results = await environmentTargets(
+    environment,
+    '.rollback to moon',
+    '.rollback',
+    '.rollback',
+    null
+  )
+  expect(results.environment).toBe(false)
+  expect(infoMock).not.toHaveBeenCalledWith(
+    expect.stringContaining('suggesting the closest valid command')
+  )
+  const message = actionStatus.actionStatus.mock.calls[0][3]
+  expect(message).not.toContain('Did you mean?')
+  expect(message).toMatch(
+    /`production,development,staging`\n\n> Examples of valid commands: `\.rollback to production`$/
+  )
+})
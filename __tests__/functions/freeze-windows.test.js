@@ -0,0 +1,334 @@
+import * as core from '@actions/core'
+import * as admin from '../../src/functions/admin'
+import {
+  parseCron,
+  parseFreezeWindows,
+  activeFreezeWindow,
+  findFreezeOverrideFlag,
+  removeFreezeOverrideFlag,
+  freezeWindowChecks
+} from '../../src/functions/freeze-windows'
+import {COLORS} from '../../src/functions/colors'
+
+const warningMock = jest.spyOn(core, 'warning')
+const infoMock = jest.spyOn(core, 'info')
+
+const calendarInput = JSON.stringify({
+  production: [
+    {
+      name: 'nightly freeze',
+      cron: '0 20 * * 1-4',
+      duration: '12h',
+      timezone: 'Europe/Berlin'
+    },
+    {name: 'weekend freeze', cron: '0 18 * * 5', duration: '2d14h'},
+    {
+      name: 'holiday blackout',
+      start: '2024-12-20T00:00:00Z',
+      end: '2025-01-02T00:00:00Z'
+    }
+  ],
+  '*': [{start: '2024-10-01T15:00:00Z', end: '2024-10-01T17:00:00Z'}]
+})
+
+var context
+var data
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'warning').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return false
+  })
+
+  context = {
+    actor: 'monalisa'
+  }
+
+  data = {
+    environment: 'production',
+    body: '.deploy production',
+    noop: false,
+    inputs: {freeze_windows: parseFreezeWindows(calendarInput)}
+  }
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('parses a cron expression with ranges, lists, and steps', () => {
+  const cron = parseCron('*/15 9-17 1,15 */6 1-5')
+  expect([...cron.minutes]).toStrictEqual([0, 15, 30, 45])
+  expect([...cron.hours]).toStrictEqual([9, 10, 11, 12, 13, 14, 15, 16, 17])
+  expect([...cron.days]).toStrictEqual([1, 15])
+  expect([...cron.months]).toStrictEqual([1, 7])
+  expect([...cron.weekdays]).toStrictEqual([1, 2, 3, 4, 5])
+  expect(cron.daysRestricted).toBe(true)
+  expect(cron.weekdaysRestricted).toBe(true)
+})
+
+test('parses a cron expression with a stepped single value and Sunday as 7', () => {
+  const cron = parseCron('50/5 0 * * 7')
+  expect([...cron.minutes]).toStrictEqual([50, 55])
+  expect(cron.weekdays.has(0)).toBe(true)
+  expect(cron.daysRestricted).toBe(false)
+})
+
+test('rejects invalid cron expressions', () => {
+  expect(() => parseCron('0 20 * *')).toThrow(
+    'cron expressions must have 5 fields: 0 20 * *'
+  )
+  expect(() => parseCron('0 25 * * *')).toThrow(
+    'invalid hour in cron expression: 25'
+  )
+  expect(() => parseCron('0 0 * * mon')).toThrow(
+    'invalid day of week in cron expression: mon'
+  )
+  expect(() => parseCron('*/0 0 * * *')).toThrow(
+    'invalid minute in cron expression: */0'
+  )
+})
+
+test('parses an empty freeze calendar', () => {
+  expect(parseFreezeWindows('')).toStrictEqual({})
+  expect(parseFreezeWindows(undefined)).toStrictEqual({})
+})
+
+test('parses a freeze calendar with recurring and one-off windows', () => {
+  const calendar = parseFreezeWindows(calendarInput)
+  expect(calendar.production[0]).toMatchObject({
+    name: 'nightly freeze',
+    type: 'recurring',
+    duration: 12 * 60 * 60 * 1000,
+    timezone: 'Europe/Berlin'
+  })
+  expect(calendar.production[1].timezone).toBe('UTC')
+  expect(calendar.production[2]).toStrictEqual({
+    name: 'holiday blackout',
+    type: 'one-off',
+    start: new Date('2024-12-20T00:00:00Z'),
+    end: new Date('2025-01-02T00:00:00Z')
+  })
+  expect(calendar['*'][0].name).toBe('freeze window')
+})
+
+test('rejects a freeze calendar that is not valid', () => {
+  expect(() => parseFreezeWindows('{')).toThrow(
+    "Invalid value for 'freeze_windows':"
+  )
+  expect(() => parseFreezeWindows('[]')).toThrow(
+    "Invalid value for 'freeze_windows': the freeze calendar must be a JSON object"
+  )
+  expect(() => parseFreezeWindows('null')).toThrow(
+    'the freeze calendar must be a JSON object'
+  )
+  expect(() => parseFreezeWindows('{"production": {}}')).toThrow(
+    'the freeze windows for production must be a list'
+  )
+  expect(() =>
+    parseFreezeWindows(
+      '{"production": [{"name": "nights", "cron": "0 20 * * *", "duration": "5w"}]}'
+    )
+  ).toThrow(
+    'the "nights" freeze window for production needs a "duration" of up to 4w (EX: "12h")'
+  )
+  expect(() =>
+    parseFreezeWindows(
+      '{"production": [{"cron": "0 20 * * *", "duration": "1h", "timezone": "Mars/Olympus"}]}'
+    )
+  ).toThrow(
+    'the "freeze window" freeze window for production has an invalid "timezone": Mars/Olympus'
+  )
+  expect(() =>
+    parseFreezeWindows(
+      '{"production": [{"start": "2024-12-20", "end": "2024-12-01"}]}'
+    )
+  ).toThrow('needs either a "cron" and "duration" or a "start" and "end" date')
+  expect(() => parseFreezeWindows('{"production": [null]}')).toThrow(
+    'needs either a "cron" and "duration" or a "start" and "end" date'
+  )
+})
+
+test('finds an active recurring freeze window in its timezone', () => {
+  // 2024-10-02 is a Wednesday - 22:30 in Berlin (CEST) is 20:30 UTC
+  expect(
+    activeFreezeWindow(
+      data.inputs.freeze_windows,
+      'production',
+      new Date('2024-10-02T20:30:00Z')
+    )
+  ).toStrictEqual({
+    name: 'nightly freeze',
+    environment: 'production',
+    ends_at: '2024-10-03T06:00:00.000Z'
+  })
+
+  // 19:30 in Berlin is before the nightly freeze starts
+  expect(
+    activeFreezeWindow(
+      data.inputs.freeze_windows,
+      'production',
+      new Date('2024-10-02T17:30:00Z')
+    )
+  ).toBe(null)
+})
+
+test('finds the active freeze window that ends last', () => {
+  // Saturday - the weekend freeze and both one-off windows are active
+  const calendar = parseFreezeWindows(
+    JSON.stringify({
+      production: [
+        {name: 'weekend freeze', cron: '0 18 * * 5', duration: '2d14h'},
+        {
+          name: 'short',
+          start: '2024-10-05T00:00:00Z',
+          end: '2024-10-05T13:00:00Z'
+        },
+        {
+          name: 'long',
+          start: '2024-10-05T00:00:00Z',
+          end: '2024-10-10T00:00:00Z'
+        }
+      ]
+    })
+  )
+  expect(
+    activeFreezeWindow(calendar, 'production', new Date('2024-10-05T12:00:00Z'))
+  ).toStrictEqual({
+    name: 'long',
+    environment: 'production',
+    ends_at: '2024-10-10T00:00:00.000Z'
+  })
+})
+
+test('applies the freeze windows of every environment and of parent scopes', () => {
+  expect(
+    activeFreezeWindow(
+      data.inputs.freeze_windows,
+      'staging',
+      new Date('2024-10-01T16:00:00Z')
+    )
+  ).toStrictEqual({
+    name: 'freeze window',
+    environment: '*',
+    ends_at: '2024-10-01T17:00:00.000Z'
+  })
+  expect(
+    activeFreezeWindow(
+      data.inputs.freeze_windows,
+      'production/eu',
+      new Date('2024-12-25T12:00:00Z')
+    )
+  ).toStrictEqual({
+    name: 'holiday blackout',
+    environment: 'production',
+    ends_at: '2025-01-02T00:00:00.000Z'
+  })
+  expect(
+    activeFreezeWindow(
+      data.inputs.freeze_windows,
+      'staging',
+      new Date('2024-12-25T12:00:00Z')
+    )
+  ).toBe(null)
+})
+
+test('matches a cron expression on either the day of month or the day of week when both are restricted', () => {
+  const calendar = parseFreezeWindows(
+    JSON.stringify({
+      production: [{cron: '0 0 1 * 0', duration: '1h'}]
+    })
+  )
+  // 2024-10-01 is a Tuesday (matches the day of month)
+  expect(
+    activeFreezeWindow(calendar, 'production', new Date('2024-10-01T00:30:00Z'))
+  ).not.toBe(null)
+  // 2024-10-06 is a Sunday (matches the day of week)
+  expect(
+    activeFreezeWindow(calendar, 'production', new Date('2024-10-06T00:30:00Z'))
+  ).not.toBe(null)
+  // 2024-10-02 is a Wednesday (matches neither)
+  expect(
+    activeFreezeWindow(calendar, 'production', new Date('2024-10-02T00:30:00Z'))
+  ).toBe(null)
+})
+
+test('finds and removes the freeze override flag', () => {
+  expect(findFreezeOverrideFlag('.deploy production --override-freeze')).toBe(
+    true
+  )
+  expect(findFreezeOverrideFlag('.deploy production --override-freezer')).toBe(
+    false
+  )
+  expect(
+    removeFreezeOverrideFlag('.deploy production --override-freeze | x=1')
+  ).toBe('.deploy production | x=1')
+})
+
+test('allows a deployment when no freeze window is active', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2024-10-02T10:00:00Z'))
+  expect(await freezeWindowChecks(context, data)).toStrictEqual({
+    status: true,
+    message: null,
+    override: null
+  })
+})
+
+test('allows a noop deployment during an active freeze window', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2024-12-25T12:00:00Z'))
+  data.noop = true
+  expect((await freezeWindowChecks(context, data)).status).toBe(true)
+})
+
+test('rejects a deployment during an active freeze window', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2024-12-25T12:00:00Z'))
+  const result = await freezeWindowChecks(context, data)
+  expect(result.status).toBe(false)
+  expect(result.override).toBe(null)
+  expect(result.message).toContain('### ❄️ Deployment Freeze')
+  expect(result.message).toContain(
+    'Deployments to `production` are frozen by the `holiday blackout` freeze window until `2025-01-02T00:00:00.000Z` (in `7d:12h:0m:0s`)'
+  )
+  expect(result.message).toContain(
+    '> If this deployment cannot wait, an admin can override the freeze with `--override-freeze`'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `❄️ deployments to ${COLORS.highlight}production${COLORS.reset} are frozen until ${COLORS.highlight}2025-01-02T00:00:00.000Z`
+  )
+})
+
+test('rejects a freeze override from a user who is not an admin', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2024-12-25T12:00:00Z'))
+  data.body = '.deploy production --override-freeze'
+  const result = await freezeWindowChecks(context, data)
+  expect(result.status).toBe(false)
+  expect(result.message).toContain(
+    'Sorry __monalisa__, deployments to `production` are frozen by the `holiday blackout` freeze window'
+  )
+  expect(result.message).toContain(
+    '> Only admins can override a deployment freeze with `--override-freeze`'
+  )
+})
+
+test('allows an admin to override an active freeze window', async () => {
+  jest.useFakeTimers().setSystemTime(new Date('2024-12-25T12:00:00Z'))
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  data.body = '.deploy production --override-freeze'
+  expect(await freezeWindowChecks(context, data)).toStrictEqual({
+    status: true,
+    message: null,
+    override: {
+      window: 'holiday blackout',
+      ends_at: '2025-01-02T00:00:00.000Z',
+      overridden_by: 'monalisa'
+    }
+  })
+  expect(warningMock).toHaveBeenCalledWith(
+    `🧊 ${COLORS.highlight}monalisa${COLORS.reset} is overriding the ${COLORS.highlight}holiday blackout${COLORS.reset} freeze window for ${COLORS.highlight}production`
+  )
+})
@@ -35,6 +35,14 @@ const defaultInputs = {
   unlock_trigger: '.unlock',
   help_trigger: '.help',
   lock_info_alias: '.wcid',
+  list_locks_trigger: '.locks',
+  rollback_trigger: '.rollback',
+  promote_trigger: '.promote',
+  status_trigger: '.status',
+  history_trigger: '.history',
+  diff_trigger: '.diff',
+  cancel_trigger: '.cancel',
+  retry_trigger: '.retry',
   global_lock_flag: '--global',
   update_branch: 'warn',
   outdated_mode: 'strict',
@@ -50,6 +58,7 @@ const defaultInputs = {
   commit_verification: true,
   ignored_checks: [],
   enforced_deployment_order: [],
+  environment_aliases: {},
   use_security_warnings: true
 }
 
@@ -74,6 +83,14 @@ test('successfully calls help with non-defaults', async () => {
     unlock_trigger: '.unlock',
     help_trigger: '.help',
     lock_info_alias: '.wcid',
+    list_locks_trigger: '.locks',
+    rollback_trigger: '.rollback',
+    promote_trigger: '.promote',
+    status_trigger: '.status',
+    history_trigger: '.history',
+    diff_trigger: '.diff',
+    cancel_trigger: '.cancel',
+    retry_trigger: '.retry',
     global_lock_flag: '--global',
     update_branch: 'force',
     outdated_mode: 'pr_base',
@@ -89,6 +106,7 @@ test('successfully calls help with non-defaults', async () => {
     ignored_checks: ['lint', 'format'],
     commit_verification: false,
     enforced_deployment_order: [],
+    environment_aliases: {},
     use_security_warnings: false
   }
 
@@ -112,6 +130,14 @@ test('successfully calls help with non-defaults again', async () => {
     unlock_trigger: '.unlock',
     help_trigger: '.help',
     lock_info_alias: '.wcid',
+    list_locks_trigger: '.locks',
+    rollback_trigger: '.rollback',
+    promote_trigger: '.promote',
+    status_trigger: '.status',
+    history_trigger: '.history',
+    diff_trigger: '.diff',
+    cancel_trigger: '.cancel',
+    retry_trigger: '.retry',
     global_lock_flag: '--global',
     update_branch: 'force',
     outdated_mode: 'default_branch',
@@ -127,6 +153,7 @@ test('successfully calls help with non-defaults again', async () => {
     ignored_checks: ['lint'],
     commit_verification: false,
     enforced_deployment_order: ['development', 'staging', 'production'],
+    environment_aliases: {prod: ['production'], 'all-dev': ['development']},
     use_security_warnings: false
   }
 
@@ -140,6 +167,12 @@ test('successfully calls help with non-defaults again', async () => {
     expect.stringMatching(/a specific deployment order by environment/)
   )
 
+  expect(debugMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Environment Aliases: Commands can use the following aliases instead of the environment names: `prod` → `production`, `all-dev` → `development`'
+    )
+  )
+
   var inputsSecond = inputs
   inputsSecond.update_branch = 'disabled'
   expect(await help(octokit, context, 123, inputsSecond))
@@ -162,6 +195,14 @@ test('successfully calls help with non-defaults and unknown update_branch settin
     unlock_trigger: '.unlock',
     help_trigger: '.help',
     lock_info_alias: '.wcid',
+    list_locks_trigger: '.locks',
+    rollback_trigger: '.rollback',
+    promote_trigger: '.promote',
+    status_trigger: '.status',
+    history_trigger: '.history',
+    diff_trigger: '.diff',
+    cancel_trigger: '.cancel',
+    retry_trigger: '.retry',
     global_lock_flag: '--global',
     update_branch: 'bugzzz',
     outdated_mode: 'default_branch',
@@ -176,6 +217,7 @@ test('successfully calls help with non-defaults and unknown update_branch settin
     checks: 'required',
     ignored_checks: ['lint'],
     enforced_deployment_order: [],
+    environment_aliases: {},
     use_security_warnings: false
   }
 
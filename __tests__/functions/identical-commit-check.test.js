@@ -126,3 +126,31 @@ test('checks if the default branch sha and deployment sha are identical, and the
   expect(setOutputMock).toHaveBeenCalledWith('sha', 'abcdef')
   expect(saveStateMock).toHaveBeenCalledWith('sha', 'abcdef')
 })
+
+test('uses a rollback deployment as the latest deployment to compare against', async () => {
+  octokit.rest.repos.listDeployments = jest.fn().mockReturnValue({
+    data: [
+      {
+        sha: 'cafebabe',
+        id: 123395610,
+        created_at: '2023-02-02T10:00:00Z',
+        payload: {
+          type: 'rollback'
+        }
+      },
+      {
+        sha: 'beefdead',
+        id: 785395609,
+        created_at: '2023-02-01T20:26:33Z',
+        payload: {
+          type: 'branch-deploy'
+        }
+      }
+    ]
+  })
+
+  await identicalCommitCheck(octokit, context, 'production')
+  expect(octokit.rest.repos.getCommit).toHaveBeenCalledWith(
+    expect.objectContaining({ref: 'cafebabe'})
+  )
+})
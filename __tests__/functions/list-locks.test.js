@@ -0,0 +1,307 @@
+import * as core from '@actions/core'
+import {
+  listLocks,
+  findAllLocks,
+  lockTargets
+} from '../../src/functions/list-locks'
+import * as actionStatus from '../../src/functions/action-status'
+import {COLORS} from '../../src/functions/colors'
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 404
+  }
+}
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const infoMock = jest.spyOn(core, 'info')
+
+const globalLock = {
+  reason: 'db migration',
+  branch: 'octocats-everywhere',
+  created_at: '2022-06-14T21:12:14.041Z',
+  created_by: 'octocat',
+  sticky: true,
+  environment: null,
+  global: true,
+  unlock_command: '.unlock --global',
+  link: 'https://github.com/corp/test/pull/2#issuecomment-456'
+}
+
+const stagingLock = {
+  reason: null,
+  branch: 'cool-new-feature',
+  created_at: '2022-06-15T21:12:14.041Z',
+  expires_at: '2099-06-15T21:12:14.041Z',
+  created_by: 'monalisa',
+  sticky: false,
+  environment: 'staging',
+  global: false,
+  unlock_command: '.unlock staging',
+  link: 'https://github.com/corp/test/pull/3#issuecomment-123'
+}
+
+var octokit
+var context
+var inputs
+
+// Helper function to encode lock data the same way the GitHub API returns file contents
+function encode(lockData) {
+  return {
+    data: {content: Buffer.from(JSON.stringify(lockData)).toString('base64')}
+  }
+}
+
+// Helper function to build a page of the branch search that the 'branch' lock store uses to list the lock branches
+function branchSearchPage(names, hasNextPage = false) {
+  return {
+    repository: {
+      refs: {
+        nodes: names.map(name => ({name: name})),
+        pageInfo: {
+          hasNextPage: hasNextPage,
+          endCursor: hasNextPage ? 'cursor' : null
+        }
+      }
+    }
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  inputs = {
+    environment_targets: 'production,development,staging',
+    lock_trigger: '.lock'
+  }
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    }
+  }
+
+  process.env.INPUT_LOCK_STORE = ''
+
+  octokit = {
+    graphql: jest.fn().mockReturnValue(branchSearchPage([])),
+    rest: {
+      repos: {
+        getContent: jest
+          .fn()
+          .mockRejectedValue(new NotFoundError('file not found'))
+      },
+      git: {
+        getTree: jest.fn(),
+        listMatchingRefs: jest.fn()
+      }
+    }
+  }
+})
+
+test('finds every active lock across all environments and the global lock', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce(encode(globalLock)) // global
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // production
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // development
+    .mockReturnValueOnce(encode(stagingLock)) // staging
+
+  const locks = await findAllLocks(
+    octokit,
+    context,
+    'production, development,staging,'
+  )
+  expect(locks).toStrictEqual([
+    {
+      environment: null,
+      global: true,
+      created_by: 'octocat',
+      reason: 'db migration',
+      sticky: true,
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: null,
+      age: expect.stringMatching(/^\d+d:\d+h:\d+m:\d+s$/),
+      link: 'https://github.com/corp/test/pull/2#issuecomment-456',
+      unlock_command: '.unlock --global'
+    },
+    {
+      environment: 'staging',
+      global: false,
+      created_by: 'monalisa',
+      reason: null,
+      sticky: false,
+      branch: 'cool-new-feature',
+      created_at: '2022-06-15T21:12:14.041Z',
+      expires_at: '2099-06-15T21:12:14.041Z',
+      age: expect.stringMatching(/^\d+d:\d+h:\d+m:\d+s$/),
+      link: 'https://github.com/corp/test/pull/3#issuecomment-123',
+      unlock_command: '.unlock staging'
+    }
+  ])
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(4)
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'lock.json',
+      ref: 'global-branch-deploy-lock'
+    })
+  )
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'lock.json',
+      ref: 'development-branch-deploy-lock'
+    })
+  )
+})
+
+test('finds the locks of environments that are only found in the lock store', async () => {
+  octokit.graphql.mockReturnValueOnce(
+    branchSearchPage([
+      'main',
+      'global-branch-deploy-lock',
+      'staging-branch-deploy-lock',
+      'sandbox-alice-branch-deploy-lock'
+    ])
+  )
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // global
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // production
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // staging
+    .mockReturnValueOnce(
+      encode({
+        ...stagingLock,
+        environment: 'sandbox-alice',
+        unlock_command: '.unlock sandbox-alice'
+      })
+    ) // sandbox-alice
+
+  const locks = await findAllLocks(octokit, context, 'production')
+  expect(locks.length).toBe(1)
+  expect(locks[0].environment).toBe('sandbox-alice')
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(4)
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'lock.json',
+      ref: 'sandbox-alice-branch-deploy-lock'
+    })
+  )
+})
+
+test('finds the lock targets of scoped locks in the shared lock branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.git.getTree.mockReturnValueOnce({
+    data: {
+      tree: [
+        {path: 'global/lock.json'},
+        {path: 'production/lock.json'},
+        {path: 'production/eu/lock.json'}
+      ]
+    }
+  })
+
+  expect(
+    await lockTargets(octokit, context, 'production,staging')
+  ).toStrictEqual([
+    {environment: null, branch: 'global-branch-deploy-lock'},
+    {environment: 'production', branch: 'production-branch-deploy-lock'},
+    {environment: 'staging', branch: 'staging-branch-deploy-lock'},
+    {environment: 'production/eu', branch: 'production/eu-branch-deploy-lock'}
+  ])
+})
+
+test('lists every active lock in a table and sets the locks output', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce(encode(globalLock)) // global
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // production
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // development
+    .mockReturnValueOnce(
+      encode({
+        ...stagingLock,
+        reason: 'testing | pipes',
+        link: 'https://example.com/some-link'
+      })
+    ) // staging
+
+  const locks = await listLocks(octokit, context, 123, inputs)
+  expect(locks.length).toBe(2)
+  expect(setOutputMock).toHaveBeenCalledWith('locks', JSON.stringify(locks))
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔒 found ${COLORS.highlight}2${COLORS.reset} active deployment locks`
+  )
+
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'There are currently __2__ active deployment locks for the `corp/test` repository'
+  )
+  expect(comment).toContain(
+    '| Environment | Holder | Reason | Sticky | Age | Pull Request | Unlock Command |'
+  )
+  expect(comment).toContain(
+    `| \`global\` | octocat | db migration | \`true\` | \`${locks[0].age}\` | [#2](https://github.com/corp/test/pull/2#issuecomment-456) | \`.unlock --global\` |`
+  )
+  expect(comment).toContain(
+    `| \`staging\` | monalisa | testing \\| pipes | \`false\` | \`${locks[1].age}\` | [link](https://example.com/some-link) | \`.unlock staging\` |`
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    comment,
+    true,
+    true
+  )
+})
+
+test('lists a single active lock without a reason or link', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValueOnce(new NotFoundError('file not found')) // global
+    .mockReturnValueOnce(
+      encode({...stagingLock, environment: 'production', link: undefined})
+    ) // production
+    .mockRejectedValue(new NotFoundError('file not found'))
+
+  const locks = await listLocks(octokit, context, 123, inputs)
+  expect(locks.length).toBe(1)
+
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'There is currently __1__ active deployment lock for the `corp/test` repository'
+  )
+  expect(comment).toContain(
+    `| \`production\` | monalisa | - | \`false\` | \`${locks[0].age}\` | - | \`.unlock staging\` |`
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔒 found ${COLORS.highlight}1${COLORS.reset} active deployment lock`
+  )
+})
+
+test('lets the user know when there are no active locks', async () => {
+  expect(await listLocks(octokit, context, 123, inputs)).toStrictEqual([])
+  expect(setOutputMock).toHaveBeenCalledWith('locks', '[]')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'No active deployment locks found for the `corp/test` repository'
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith('✅ no active deployment locks found')
+})
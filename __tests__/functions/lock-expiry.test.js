@@ -0,0 +1,105 @@
+import * as core from '@actions/core'
+import {
+  parseDuration,
+  findLockDuration,
+  removeLockDurationFlag,
+  isLockExpired
+} from '../../src/functions/lock-expiry'
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+
+beforeEach(() => {
+  jest.clearAllMocks()
+})
+
+test('parses simple durations into milliseconds', () => {
+  expect(parseDuration('45s')).toBe(45 * 1000)
+  expect(parseDuration('30m')).toBe(30 * 60 * 1000)
+  expect(parseDuration('2h')).toBe(2 * 60 * 60 * 1000)
+  expect(parseDuration('1d')).toBe(24 * 60 * 60 * 1000)
+  expect(parseDuration('1w')).toBe(7 * 24 * 60 * 60 * 1000)
+})
+
+test('parses compound and mixed case durations into milliseconds', () => {
+  expect(parseDuration('1h30m')).toBe(90 * 60 * 1000)
+  expect(parseDuration(' 1D2H ')).toBe(26 * 60 * 60 * 1000)
+})
+
+test('returns null for invalid durations', () => {
+  expect(parseDuration('banana')).toBe(null)
+  expect(parseDuration('2')).toBe(null)
+  expect(parseDuration('2y')).toBe(null)
+  expect(parseDuration(null)).toBe(null)
+  expect(parseDuration(undefined)).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith('invalid lock duration: banana')
+})
+
+test('returns null for a duration of zero', () => {
+  expect(parseDuration('0h')).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith(
+    'lock duration must be greater than zero: 0h'
+  )
+})
+
+test('finds the lock duration flag in a comment body', () => {
+  expect(findLockDuration('.lock production --for 2h')).toStrictEqual({
+    found: true,
+    duration: '2h'
+  })
+  expect(
+    findLockDuration('.lock production --for 1d --reason db migration')
+  ).toStrictEqual({found: true, duration: '1d'})
+})
+
+test('finds the lock duration flag without a value', () => {
+  expect(findLockDuration('.lock production --for')).toStrictEqual({
+    found: true,
+    duration: null
+  })
+})
+
+test('does not use the next flag as the lock duration', () => {
+  expect(
+    findLockDuration('.lock production --for --reason maintenance')
+  ).toStrictEqual({found: true, duration: null})
+  expect(
+    removeLockDurationFlag('.lock production --for --reason maintenance')
+  ).toBe('.lock production --reason maintenance')
+})
+
+test('does not find the lock duration flag when it is not used', () => {
+  expect(findLockDuration('.lock production')).toStrictEqual({
+    found: false,
+    duration: null
+  })
+  expect(findLockDuration('.lock production --format')).toStrictEqual({
+    found: false,
+    duration: null
+  })
+})
+
+test('removes the lock duration flag from a comment body', () => {
+  expect(removeLockDurationFlag('.lock production --for 2h')).toBe(
+    '.lock production'
+  )
+  expect(
+    removeLockDurationFlag('.lock production --for 2h --reason db migration')
+  ).toBe('.lock production --reason db migration')
+  expect(removeLockDurationFlag('.lock production')).toBe('.lock production')
+})
+
+test('determines if a lock has expired', () => {
+  const now = new Date('2024-01-01T12:00:00.000Z')
+  expect(
+    isLockExpired({expires_at: '2024-01-01T11:59:59.000Z'}, now)
+  ).toStrictEqual(true)
+  expect(
+    isLockExpired({expires_at: '2024-01-01T12:00:00.000Z'}, now)
+  ).toStrictEqual(true)
+  expect(
+    isLockExpired({expires_at: '2024-01-01T12:00:01.000Z'}, now)
+  ).toStrictEqual(false)
+  expect(isLockExpired({expires_at: null}, now)).toStrictEqual(false)
+  expect(isLockExpired({}, now)).toStrictEqual(false)
+  expect(isLockExpired(null)).toStrictEqual(false)
+})
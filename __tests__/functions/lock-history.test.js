@@ -0,0 +1,678 @@
+import * as core from '@actions/core'
+import {
+  findLockHistoryFlag,
+  removeLockHistoryFlag,
+  findLockForHistory,
+  recordLockEvent,
+  recordLockExpiry,
+  lockHistory
+} from '../../src/functions/lock-history'
+import * as actionStatus from '../../src/functions/action-status'
+import {COLORS} from '../../src/functions/colors'
+import {API_HEADERS} from '../../src/functions/api-headers'
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 404
+  }
+}
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+const infoMock = jest.spyOn(core, 'info').mockImplementation(() => {})
+const warningMock = jest.spyOn(core, 'warning').mockImplementation(() => {})
+const setOutputMock = jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+
+var context
+var octokit
+var lockData
+var inputs
+
+// Helper function to encode lock history entries the same way they are stored in the lock store
+function encodeHistory(entries) {
+  return Buffer.from(JSON.stringify(entries)).toString('base64')
+}
+
+// Helper function to decode the lock history entries that were written with createOrUpdateFileContents
+function writtenHistory(call = 0) {
+  const content =
+    octokit.rest.repos.createOrUpdateFileContents.mock.calls[call][0].content
+  return JSON.parse(Buffer.from(content, 'base64').toString())
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  process.env.INPUT_LOCK_STORE = 'branch'
+
+  context = {
+    actor: 'monalisa',
+    repo: {owner: 'corp', repo: 'test'},
+    issue: {number: 1},
+    payload: {comment: {id: 456, body: '.lock production --history'}}
+  }
+
+  lockData = {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    expires_at: null,
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+  }
+
+  inputs = {lock_trigger: '.lock', global_lock_flag: '--global'}
+
+  octokit = {
+    rest: {
+      repos: {
+        get: jest.fn().mockReturnValue({data: {default_branch: 'main'}}),
+        getBranch: jest.fn().mockReturnValue({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest.fn().mockReturnValue({
+          data: {
+            content: encodeHistory([{action: 'claim', holder: 'hubot'}]),
+            sha: 'history123'
+          }
+        }),
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      },
+      git: {
+        createRef: jest.fn().mockReturnValue({status: 201})
+      }
+    }
+  }
+})
+
+test('finds the lock history flag in a comment body', async () => {
+  expect(findLockHistoryFlag('.lock production --history')).toStrictEqual({
+    found: true,
+    limit: 10
+  })
+  expect(findLockHistoryFlag('.lock production --history 25')).toStrictEqual({
+    found: true,
+    limit: 25
+  })
+  expect(findLockHistoryFlag('.lock --global --history 0')).toStrictEqual({
+    found: true,
+    limit: 1
+  })
+  expect(findLockHistoryFlag('.lock production --history 500')).toStrictEqual({
+    found: true,
+    limit: 100
+  })
+  expect(findLockHistoryFlag('.lock production')).toStrictEqual({
+    found: false,
+    limit: null
+  })
+  expect(findLockHistoryFlag('.lock production --historyx')).toStrictEqual({
+    found: false,
+    limit: null
+  })
+})
+
+test('removes the lock history flag from a comment body', async () => {
+  expect(removeLockHistoryFlag('.lock production --history')).toBe(
+    '.lock production'
+  )
+  expect(removeLockHistoryFlag('.lock production --history 25')).toBe(
+    '.lock production'
+  )
+  expect(removeLockHistoryFlag('.lock production')).toBe('.lock production')
+})
+
+test('finds the lock data of a lock that is about to be released', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: Buffer.from(JSON.stringify(lockData)).toString('base64'),
+      sha: 'lock123'
+    }
+  })
+  expect(
+    await findLockForHistory(octokit, context, 'production-branch-deploy-lock')
+  ).toStrictEqual(lockData)
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    ref: 'production-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+})
+
+test('does not find the lock data of a lock that does not exist', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  expect(
+    await findLockForHistory(octokit, context, 'production-branch-deploy-lock')
+  ).toBe(null)
+})
+
+test('does not find the lock data of a lock when the lock file cannot be read', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new Error('oh no'))
+  expect(
+    await findLockForHistory(octokit, context, 'production-branch-deploy-lock')
+  ).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith(
+    'could not read the lock for the lock history: oh no'
+  )
+})
+
+test('does not read or record anything when the lock history is disabled', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'false'
+  expect(
+    await findLockForHistory(octokit, context, 'production-branch-deploy-lock')
+  ).toBe(null)
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(false)
+  expect(octokit.rest.repos.getContent).not.toHaveBeenCalled()
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('does not record an event when there is no lock data', async () => {
+  expect(await recordLockEvent(octokit, context, null, 'release')).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('records a lock claim by appending it to the lock history file', async () => {
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'history.json',
+    message: 'lock history [skip ci]',
+    content: expect.any(String),
+    branch: 'branch-deploy-lock-history',
+    sha: 'history123',
+    request: {retries: 0},
+    headers: API_HEADERS
+  })
+  expect(writtenHistory()).toStrictEqual([
+    {action: 'claim', holder: 'hubot'},
+    {
+      action: 'claim',
+      environment: 'production',
+      global: false,
+      holder: 'octocat',
+      by: 'monalisa',
+      reason: 'testing',
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: null,
+      released_at: null,
+      recorded_at: expect.any(String),
+      link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+    }
+  ])
+  expect(octokit.rest.repos.getBranch).not.toHaveBeenCalled()
+})
+
+test('records a lock release with the time it was released', async () => {
+  expect(await recordLockEvent(octokit, context, lockData, 'release')).toBe(
+    true
+  )
+  const entry = writtenHistory()[1]
+  expect(entry.action).toBe('release')
+  expect(entry.released_at).toBe(entry.recorded_at)
+})
+
+test('records the release of an expired lock as an expiry', async () => {
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  lockData.reason = undefined
+  lockData.link = undefined
+  lockData.environment = undefined
+  expect(await recordLockEvent(octokit, context, lockData, 'release')).toBe(
+    true
+  )
+  const entry = writtenHistory()[1]
+  expect(entry.action).toBe('expire')
+  expect(entry.released_at).toBe('2022-06-14T23:12:14.041Z')
+  expect(entry.reason).toBe(null)
+  expect(entry.link).toBe(null)
+  expect(entry.environment).toBe(null)
+})
+
+test('does not record the release of an expired lock when its expiry was already recorded', async () => {
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  lockData.expiry_recorded = true
+  expect(await recordLockEvent(octokit, context, lockData, 'release')).toBe(
+    false
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+  expect(debugMock).toHaveBeenCalledWith(
+    'the expiry of the deployment lock was already recorded'
+  )
+})
+
+test('records the expiry of a lock as soon as it is detected and marks the lock file', async () => {
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  expect(
+    await recordLockExpiry(octokit, context, 'production-branch-deploy-lock', {
+      data: lockData,
+      sha: 'lock123'
+    })
+  ).toBe(true)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenNthCalledWith(
+    1,
+    {
+      owner: 'corp',
+      repo: 'test',
+      path: 'lock.json',
+      message: 'lock history [skip ci]',
+      content: Buffer.from(
+        JSON.stringify({...lockData, expiry_recorded: true})
+      ).toString('base64'),
+      branch: 'production-branch-deploy-lock',
+      sha: 'lock123',
+      request: {retries: 0},
+      headers: API_HEADERS
+    }
+  )
+  const entry = writtenHistory(1)[1]
+  expect(entry.action).toBe('expire')
+  expect(entry.released_at).toBe('2022-06-14T23:12:14.041Z')
+})
+
+test('does not record the expiry of a lock that has not expired or was already recorded', async () => {
+  const lockFile = {data: lockData, sha: 'lock123'}
+  expect(
+    await recordLockExpiry(
+      octokit,
+      context,
+      'production-branch-deploy-lock',
+      lockFile
+    )
+  ).toBe(false)
+
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  lockData.expiry_recorded = true
+  expect(
+    await recordLockExpiry(
+      octokit,
+      context,
+      'production-branch-deploy-lock',
+      lockFile
+    )
+  ).toBe(false)
+
+  process.env.INPUT_LOCK_HISTORY = 'false'
+  lockData.expiry_recorded = undefined
+  expect(
+    await recordLockExpiry(
+      octokit,
+      context,
+      'production-branch-deploy-lock',
+      lockFile
+    )
+  ).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('does not record the expiry of a lock when another request changed the lock first', async () => {
+  const conflict = new Error('lock.json does not match lock123')
+  conflict.status = 409
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValueOnce(conflict)
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  expect(
+    await recordLockExpiry(octokit, context, 'production-branch-deploy-lock', {
+      data: lockData,
+      sha: 'lock123'
+    })
+  ).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(1)
+  expect(debugMock).toHaveBeenCalledWith(
+    'the deployment lock was changed by another request - not recording its expiry'
+  )
+  expect(warningMock).not.toHaveBeenCalled()
+})
+
+test('warns but does not fail when the expired lock cannot be marked', async () => {
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValueOnce(new Error('oh no'))
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  expect(
+    await recordLockExpiry(octokit, context, 'production-branch-deploy-lock', {
+      data: lockData,
+      sha: 'lock123'
+    })
+  ).toBe(false)
+  expect(warningMock).toHaveBeenCalledWith(
+    'failed to record the expiry of the deployment lock in the lock history: oh no'
+  )
+})
+
+test('records a lock takeover', async () => {
+  expect(await recordLockEvent(octokit, context, lockData, 'takeover')).toBe(
+    true
+  )
+  const entry = writtenHistory()[1]
+  expect(entry.action).toBe('takeover')
+  expect(entry.holder).toBe('octocat')
+  expect(entry.by).toBe('monalisa')
+})
+
+test('keeps only the most recent entries in the lock history file', async () => {
+  const entries = []
+  for (let i = 0; i < 1000; i++) {
+    entries.push({action: 'claim', holder: `user${i}`})
+  }
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {content: encodeHistory(entries), sha: 'history123'}
+  })
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  const written = writtenHistory()
+  expect(written).toHaveLength(1000)
+  expect(written[0].holder).toBe('user1')
+  expect(written[999].holder).toBe('octocat')
+})
+
+test('creates the lock history branch when recording the first lock event', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  octokit.rest.repos.getBranch = jest
+    .fn()
+    .mockRejectedValueOnce(new NotFoundError('Branch not found'))
+    .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}})
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'refs/heads/branch-deploy-lock-history',
+    sha: 'abc123',
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({sha: undefined})
+  )
+  expect(writtenHistory()).toHaveLength(1)
+})
+
+test('creates the history file when the lock history branch already exists', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  expect(octokit.rest.git.createRef).not.toHaveBeenCalled()
+  expect(writtenHistory()).toHaveLength(1)
+})
+
+test('records a lock event when another request creates the lock history branch at the same time', async () => {
+  const conflict = new Error('Reference already exists')
+  conflict.status = 422
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  octokit.rest.repos.getBranch = jest
+    .fn()
+    .mockRejectedValueOnce(new NotFoundError('Branch not found'))
+    .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}})
+  octokit.rest.git.createRef = jest.fn().mockRejectedValueOnce(conflict)
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+})
+
+test('warns but does not fail when the lock history branch cannot be created', async () => {
+  const error = new Error('oh no')
+  error.status = 500
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  octokit.rest.repos.getBranch = jest
+    .fn()
+    .mockRejectedValueOnce(new NotFoundError('Branch not found'))
+    .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}})
+  octokit.rest.git.createRef = jest.fn().mockRejectedValueOnce(error)
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(false)
+  expect(warningMock).toHaveBeenCalledWith(
+    'failed to record the claim of the deployment lock in the lock history: oh no'
+  )
+})
+
+test('retries appending to the lock history when another request appends at the same time', async () => {
+  const conflict = new Error('history.json does not match history123')
+  conflict.status = 409
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValueOnce(conflict)
+    .mockReturnValueOnce({})
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(2)
+  expect(debugMock).toHaveBeenCalledWith(
+    'lock history was changed by another request - retrying (attempt 1)'
+  )
+})
+
+test('warns but does not fail when the lock history keeps changing', async () => {
+  const conflict = new Error('Invalid request. "sha" wasn\'t supplied.')
+  conflict.status = 422
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValue(conflict)
+  expect(await recordLockEvent(octokit, context, lockData, 'release')).toBe(
+    false
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(3)
+  expect(warningMock).toHaveBeenCalledWith(
+    'failed to record the release of the deployment lock in the lock history: Invalid request. "sha" wasn\'t supplied.'
+  )
+})
+
+test('warns but does not fail when the lock history cannot be read', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new Error('oh no'))
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('shows the most recent lock history entries for an environment', async () => {
+  const entries = [
+    {
+      action: 'claim',
+      environment: 'production',
+      global: false,
+      holder: 'octocat',
+      by: 'octocat',
+      reason: null,
+      created_at: '2022-06-14T21:12:14.041Z',
+      released_at: null,
+      link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+    },
+    {
+      action: 'claim',
+      environment: 'staging',
+      global: false,
+      holder: 'hubot',
+      by: 'hubot',
+      reason: null,
+      created_at: '2022-06-14T21:30:00.000Z',
+      released_at: null,
+      link: null
+    },
+    'not an entry',
+    {
+      action: 'release',
+      environment: 'production',
+      global: false,
+      holder: 'octocat',
+      by: 'monalisa',
+      reason: 'db | migration',
+      created_at: '2022-06-14T21:12:14.041Z',
+      released_at: '2022-06-14T23:42:20.041Z',
+      link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+    },
+    {
+      action: 'claim',
+      environment: null,
+      global: true,
+      holder: 'hubot',
+      by: 'hubot',
+      reason: null,
+      created_at: '2022-06-15T21:30:00.000Z',
+      released_at: null,
+      link: null
+    }
+  ]
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {content: encodeHistory(entries), sha: 'history123'}
+  })
+
+  const result = await lockHistory(
+    octokit,
+    context,
+    123,
+    'production',
+    10,
+    inputs
+  )
+  expect(result).toStrictEqual([entries[3], entries[0]])
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'lock_history',
+    JSON.stringify([entries[3], entries[0]])
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'The last __2__ lock events for the `production` environment (newest first)'
+    ),
+    true,
+    true
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '| 🔓 released | octocat | monalisa | db \\| migration | `2022-06-14T21:12:14.041Z` | `0d:2h:30m:6s` | [#2](https://github.com/corp/test/pull/2#issuecomment-123) |\n| 🔒 claimed | octocat | octocat | - | `2022-06-14T21:12:14.041Z` | - | [#2](https://github.com/corp/test/pull/2#issuecomment-123) |'
+    ),
+    true,
+    true
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> Use `.lock production --history <number>` to show more events'
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📜 found ${COLORS.highlight}2${COLORS.reset} lock history events`
+  )
+})
+
+test('shows only the requested number of lock history entries for the global lock', async () => {
+  const entries = [
+    {
+      action: 'takeover',
+      environment: null,
+      global: true,
+      holder: 'octocat',
+      by: 'monalisa',
+      reason: null,
+      created_at: '2022-06-14T21:12:14.041Z',
+      released_at: '2022-06-14T21:12:15.041Z',
+      link: null
+    },
+    {
+      action: 'unknown',
+      environment: null,
+      global: true,
+      holder: 'monalisa',
+      by: 'monalisa',
+      reason: 'hotfix',
+      created_at: '2022-06-14T21:12:15.041Z',
+      released_at: null,
+      link: null
+    }
+  ]
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {content: encodeHistory(entries), sha: 'history123'}
+  })
+
+  const result = await lockHistory(
+    octokit,
+    context,
+    123,
+    'GLOBAL_REQUEST',
+    1,
+    inputs
+  )
+  expect(result).toStrictEqual([entries[1]])
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringMatching(
+      /The last __1__ lock event for the `global` deployment lock \(newest first\)[\s\S]*\| unknown \| monalisa \| monalisa \| hotfix \|[\s\S]*Use `.lock --global --history <number>`/
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📜 found ${COLORS.highlight}1${COLORS.reset} lock history event`
+  )
+})
+
+test('lets the user know when there is no lock history for an environment', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+
+  expect(
+    await lockHistory(octokit, context, 123, 'production', 10, inputs)
+  ).toStrictEqual([])
+  expect(setOutputMock).toHaveBeenCalledWith('lock_history', '[]')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'No lock history found for the `production` environment'
+    ),
+    true,
+    true
+  )
+})
+
+test('ignores a lock history file that does not hold a list of entries', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {content: encodeHistory({action: 'claim'}), sha: 'history123'}
+  })
+  expect(await recordLockEvent(octokit, context, lockData, 'claim')).toBe(true)
+  expect(writtenHistory()).toHaveLength(1)
+})
+
+test('lets the user know when there is no lock history for the global lock', async () => {
+  expect(
+    await lockHistory(octokit, context, 123, 'GLOBAL_REQUEST', 10, inputs)
+  ).toStrictEqual([])
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'No lock history found for the `global` deployment lock\n'
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📜 no lock history found for ${COLORS.highlight}global`
+  )
+})
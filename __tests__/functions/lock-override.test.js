@@ -0,0 +1,182 @@
+import * as core from '@actions/core'
+import {
+  findLockForceFlag,
+  findLockTakeoverFlag,
+  removeLockOverrideFlags,
+  rejectLockOverride,
+  takeoverHistoryEntry,
+  notifyPreviousHolder
+} from '../../src/functions/lock-override'
+import * as actionStatus from '../../src/functions/action-status'
+import {COLORS} from '../../src/functions/colors'
+
+const infoMock = jest.spyOn(core, 'info').mockImplementation(() => {})
+const warningMock = jest.spyOn(core, 'warning').mockImplementation(() => {})
+const setFailedMock = jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+const saveStateMock = jest.spyOn(core, 'saveState').mockImplementation(() => {})
+
+var context
+var octokit
+var lockData
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.GITHUB_SERVER_URL = 'https://github.com'
+
+  context = {
+    actor: 'monalisa',
+    repo: {owner: 'corp', repo: 'test'},
+    issue: {number: 1},
+    payload: {comment: {id: 456, body: '.unlock production --force'}}
+  }
+
+  octokit = {
+    rest: {
+      issues: {
+        createComment: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+
+  lockData = {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+  }
+})
+
+test('finds the force flag in a comment body', async () => {
+  expect(findLockForceFlag('.unlock production --force')).toBe(true)
+  expect(findLockForceFlag('.unlock --force --global')).toBe(true)
+  expect(findLockForceFlag('.unlock production')).toBe(false)
+  expect(findLockForceFlag('.unlock production --forceful')).toBe(false)
+})
+
+test('finds the takeover flag in a comment body', async () => {
+  expect(findLockTakeoverFlag('.lock production --takeover')).toBe(true)
+  expect(findLockTakeoverFlag('.lock --takeover --reason hotfix')).toBe(true)
+  expect(findLockTakeoverFlag('.lock production')).toBe(false)
+})
+
+test('removes the force and takeover flags from a comment body', async () => {
+  expect(removeLockOverrideFlags('.unlock production --force')).toBe(
+    '.unlock production'
+  )
+  expect(
+    removeLockOverrideFlags('.lock production --takeover --reason hotfix')
+  ).toBe('.lock production --reason hotfix')
+  expect(removeLockOverrideFlags('.lock production')).toBe('.lock production')
+})
+
+test('rejects a force unlock from a user who is not an admin', async () => {
+  await rejectLockOverride(octokit, context, 123, '--force')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining('### ⚠️ Cannot force unlock deployment lock')
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Sorry __monalisa__, only admins can use the `--force` flag'
+    )
+  )
+})
+
+test('rejects a lock takeover from a user who is not an admin', async () => {
+  await rejectLockOverride(octokit, context, 123, '--takeover')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('### ⚠️ Cannot take over deployment lock')
+  )
+})
+
+test('builds a takeover history entry from the previous lock', async () => {
+  expect(takeoverHistoryEntry(context, lockData)).toStrictEqual({
+    action: 'takeover',
+    from: 'octocat',
+    by: 'monalisa',
+    at: expect.any(String),
+    previous_lock: {
+      reason: 'testing',
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: null,
+      link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+    }
+  })
+})
+
+test('builds a takeover history entry from a previous lock with no reason and an expiry', async () => {
+  lockData.reason = undefined
+  lockData.expires_at = '2022-06-14T23:12:14.041Z'
+  expect(takeoverHistoryEntry(context, lockData).previous_lock).toStrictEqual({
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    expires_at: '2022-06-14T23:12:14.041Z',
+    link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+  })
+})
+
+test('notifies the previous holder of a force unlocked lock on their pull request', async () => {
+  expect(
+    await notifyPreviousHolder(octokit, context, lockData, '--force')
+  ).toBe(true)
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      issue_number: 2,
+      body: expect.stringContaining(
+        '@octocat, your `production` deployment lock was force unlocked by the admin __monalisa__'
+      )
+    })
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      body: expect.stringContaining(
+        '[click here](https://github.com/corp/test/pull/1#issuecomment-456)'
+      )
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📣 notified ${COLORS.highlight}octocat${COLORS.reset} that their deployment lock was displaced`
+  )
+})
+
+test('notifies the previous holder of a taken over global lock with no reason', async () => {
+  lockData.global = true
+  lockData.environment = null
+  lockData.reason = null
+  expect(
+    await notifyPreviousHolder(octokit, context, lockData, '--takeover')
+  ).toBe(true)
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      body: expect.stringMatching(
+        /### 🔒 Deployment Lock Taken Over[\s\S]*@octocat, your `global` deployment lock was taken over by the admin __monalisa__[\s\S]*__Reason__: `null`/
+      )
+    })
+  )
+})
+
+test('does not notify the previous holder when their lock does not link to a pull request', async () => {
+  lockData.link = undefined
+  expect(
+    await notifyPreviousHolder(octokit, context, lockData, '--force')
+  ).toBe(false)
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(warningMock).toHaveBeenCalledWith(
+    'could not find the pull request of the displaced lock held by octocat - they will not be notified'
+  )
+})
@@ -0,0 +1,646 @@
+import * as core from '@actions/core'
+import {
+  findLockQueueFlag,
+  removeLockQueueFlag,
+  gracePeriod,
+  readQueue,
+  activeReservation,
+  enqueue,
+  dequeue,
+  promoteQueue,
+  expireReservation,
+  releaseExpiredLock
+} from '../../src/functions/lock-queue'
+import {COLORS} from '../../src/functions/colors'
+import {API_HEADERS} from '../../src/functions/api-headers'
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 404
+  }
+}
+
+class BigBadError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 500
+  }
+}
+
+const infoMock = jest.spyOn(core, 'info').mockImplementation(() => {})
+const warningMock = jest.spyOn(core, 'warning').mockImplementation(() => {})
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+
+const branchName = 'production-branch-deploy-lock'
+
+var octokit
+var context
+
+// Helper function to encode a queue object the same way the GitHub API returns file contents
+function encode(queue) {
+  return Buffer.from(JSON.stringify(queue)).toString('base64')
+}
+
+// Helper function to decode the queue that was written with createOrUpdateFileContents
+function writtenQueue() {
+  const call = octokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0]
+  return JSON.parse(Buffer.from(call.content, 'base64').toString())
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  process.env.INPUT_LOCK_QUEUE_GRACE_PERIOD = '15m'
+  process.env.GITHUB_SERVER_URL = 'https://github.com'
+
+  context = {
+    actor: 'monalisa',
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    },
+    payload: {
+      comment: {
+        id: 123,
+        body: '.lock production --queue'
+      }
+    }
+  }
+
+  octokit = {
+    rest: {
+      repos: {
+        getContent: jest
+          .fn()
+          .mockRejectedValue(new NotFoundError('file not found')),
+        createOrUpdateFileContents: jest.fn().mockReturnValue({}),
+        deleteFile: jest.fn().mockReturnValue({})
+      },
+      issues: {
+        createComment: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+})
+
+test('finds the lock queue flag in a comment body', () => {
+  expect(findLockQueueFlag('.lock production --queue')).toBe(true)
+  expect(findLockQueueFlag('.deploy --queue to production')).toBe(true)
+  expect(findLockQueueFlag('.lock production')).toBe(false)
+  expect(findLockQueueFlag('.lock production --queued')).toBe(false)
+})
+
+test('removes the lock queue flag from a comment body', () => {
+  expect(removeLockQueueFlag('.lock production --queue')).toBe(
+    '.lock production'
+  )
+  expect(removeLockQueueFlag('.lock production --queue --reason test')).toBe(
+    '.lock production --reason test'
+  )
+  expect(removeLockQueueFlag('.lock production')).toBe('.lock production')
+})
+
+test('finds the grace period from the lock_queue_grace_period input', () => {
+  process.env.INPUT_LOCK_QUEUE_GRACE_PERIOD = '1h30m'
+  expect(gracePeriod()).toStrictEqual({
+    duration: '1h30m',
+    milliseconds: 90 * 60 * 1000
+  })
+})
+
+test('uses the default grace period when the lock_queue_grace_period input is invalid', () => {
+  process.env.INPUT_LOCK_QUEUE_GRACE_PERIOD = 'soon'
+  expect(gracePeriod()).toStrictEqual({
+    duration: '15m',
+    milliseconds: 15 * 60 * 1000
+  })
+  expect(warningMock).toHaveBeenCalledWith(
+    'invalid lock_queue_grace_period: soon - defaulting to 15m'
+  )
+})
+
+test('reads an empty lock queue when no queue file exists', async () => {
+  expect(await readQueue(octokit, context, branchName)).toStrictEqual({
+    queue: {reservation: null, waitlist: []},
+    sha: null
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    `no lock queue file found on branch: ${branchName}`
+  )
+})
+
+test('reads an existing lock queue file', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValue({data: {content: encode({}), sha: 'queue123'}})
+  expect(await readQueue(octokit, context, branchName)).toStrictEqual({
+    queue: {reservation: null, waitlist: []},
+    sha: 'queue123'
+  })
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'queue.json',
+    ref: branchName,
+    headers: API_HEADERS
+  })
+})
+
+test('throws an error if reading the lock queue fails unexpectedly', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(readQueue(octokit, context, branchName)).rejects.toThrow('oh no')
+})
+
+test('finds no active reservation when there is none', async () => {
+  expect(await activeReservation(octokit, context, branchName)).toBe(null)
+})
+
+test('finds an active reservation', async () => {
+  const reservation = {
+    user: 'octocat',
+    issue_number: 2,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-456',
+    expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+  }
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {content: encode({reservation, waitlist: []}), sha: 'queue123'}
+  })
+  expect(await activeReservation(octokit, context, branchName)).toStrictEqual(
+    reservation
+  )
+})
+
+test('ignores an expired reservation', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: encode({
+        reservation: {
+          user: 'octocat',
+          issue_number: 2,
+          expires_at: '2022-06-14T21:12:14.041Z'
+        },
+        waitlist: []
+      }),
+      sha: 'queue123'
+    }
+  })
+  expect(await activeReservation(octokit, context, branchName)).toBe(null)
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ the lock reservation for ${COLORS.highlight}octocat${COLORS.reset} has expired`
+  )
+})
+
+test('adds the requestor to an empty lock queue', async () => {
+  expect(await enqueue(octokit, context, branchName, 'cool-new-feature')).toBe(
+    1
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      path: 'queue.json',
+      message: 'lock queue [skip ci]',
+      branch: branchName,
+      sha: undefined
+    })
+  )
+  const queue = writtenQueue()
+  expect(queue.reservation).toBe(null)
+  expect(queue.waitlist).toStrictEqual([
+    {
+      user: 'monalisa',
+      branch: 'cool-new-feature',
+      issue_number: 1,
+      queued_at: expect.any(String),
+      link: 'https://github.com/corp/test/pull/1#issuecomment-123'
+    }
+  ])
+})
+
+test('does not add the requestor to the lock queue twice', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: encode({
+        reservation: null,
+        waitlist: [{user: 'octocat'}, {user: 'monalisa'}]
+      }),
+      sha: 'queue123'
+    }
+  })
+  expect(await enqueue(octokit, context, branchName, 'cool-new-feature')).toBe(
+    2
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏳ ${COLORS.highlight}monalisa${COLORS.reset} is already in the lock queue at position ${COLORS.highlight}2`
+  )
+})
+
+test('does not update the lock queue when the requestor is not in it', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: encode({
+        reservation: {user: 'octocat'},
+        waitlist: [{user: 'hubot'}]
+      }),
+      sha: 'queue123'
+    }
+  })
+  expect(await dequeue(octokit, context, branchName)).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('removes the requestor from the lock queue', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: encode({
+        reservation: {user: 'octocat'},
+        waitlist: [{user: 'monalisa'}, {user: 'hubot'}]
+      }),
+      sha: 'queue123'
+    }
+  })
+  expect(await dequeue(octokit, context, branchName)).toBe(true)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({sha: 'queue123'})
+  )
+  expect(writtenQueue()).toStrictEqual({
+    reservation: {user: 'octocat'},
+    waitlist: [{user: 'hubot'}]
+  })
+})
+
+test('does not promote anyone when the lock queue is empty', async () => {
+  expect(await promoteQueue(octokit, context, branchName, 'production')).toBe(
+    null
+  )
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+})
+
+test('promotes the next user in the lock queue and gives them a reservation', async () => {
+  const next = {
+    user: 'octocat',
+    branch: 'octocats-everywhere',
+    issue_number: 2,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-456',
+    queued_at: '2022-06-14T21:12:14.041Z'
+  }
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({
+          reservation: null,
+          waitlist: [next, {user: 'hubot'}]
+        }),
+        sha: 'queue123'
+      }
+    })
+    .mockReturnValueOnce({data: {content: encode({}), sha: 'lock123'}})
+
+  expect(
+    await promoteQueue(octokit, context, branchName, 'production')
+  ).toStrictEqual(next)
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    message: 'unlock [skip ci]',
+    sha: 'lock123',
+    branch: branchName,
+    headers: API_HEADERS
+  })
+
+  const queue = writtenQueue()
+  expect(queue.waitlist).toStrictEqual([{user: 'hubot'}])
+  expect(queue.reservation).toStrictEqual({
+    user: 'octocat',
+    issue_number: 2,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-456',
+    expires_at: expect.any(String)
+  })
+  const remaining = new Date(queue.reservation.expires_at) - Date.now()
+  expect(remaining).toBeGreaterThan(14 * 60 * 1000)
+  expect(remaining).toBeLessThanOrEqual(15 * 60 * 1000)
+
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    issue_number: 2,
+    body: expect.stringContaining(
+      '@octocat, the production deployment lock has been released and you are next in line'
+    ),
+    headers: API_HEADERS
+  })
+})
+
+test('promotes the next user in the lock queue when the lock file is already gone', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({reservation: null, waitlist: [{user: 'octocat'}]}),
+        sha: 'queue123'
+      }
+    })
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+
+  expect(await promoteQueue(octokit, context, branchName, 'global')).toEqual({
+    user: 'octocat'
+  })
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+  expect(debugMock).toHaveBeenCalledWith(
+    `no lock file to remove on branch: ${branchName}`
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalled()
+})
+
+test('does not skip a pending reservation when there is no lock to release', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({
+          reservation: {
+            user: 'octocat',
+            expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+          },
+          waitlist: [{user: 'hubot'}]
+        }),
+        sha: 'queue123'
+      }
+    })
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+
+  expect(await promoteQueue(octokit, context, branchName, 'production')).toBe(
+    null
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔔 the lock is still reserved for ${COLORS.highlight}octocat${COLORS.reset} - the lock queue was not moved forward`
+  )
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+})
+
+test('promotes the next user in the lock queue when the previous reservation has expired', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({
+          reservation: {
+            user: 'octocat',
+            expires_at: '2022-06-14T21:12:14.041Z'
+          },
+          waitlist: [{user: 'hubot', issue_number: 3}]
+        }),
+        sha: 'queue123'
+      }
+    })
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+
+  expect(
+    await promoteQueue(octokit, context, branchName, 'production')
+  ).toStrictEqual({user: 'hubot', issue_number: 3})
+  expect(writtenQueue().reservation.user).toBe('hubot')
+  expect(writtenQueue().waitlist).toStrictEqual([])
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({issue_number: 3})
+  )
+})
+
+test('throws an error if removing the lock file fails unexpectedly while promoting the lock queue', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({reservation: null, waitlist: [{user: 'octocat'}]}),
+        sha: 'queue123'
+      }
+    })
+    .mockRejectedValueOnce(new BigBadError('oh no'))
+
+  await expect(
+    promoteQueue(octokit, context, branchName, 'production')
+  ).rejects.toThrow('oh no')
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+})
+
+test('does not expire a reservation when there is none', async () => {
+  expect(
+    await expireReservation(octokit, context, branchName, 'production')
+  ).toBe(null)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('does not expire a reservation that is still pending', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValueOnce({
+    data: {
+      content: encode({
+        reservation: {
+          user: 'octocat',
+          expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+        },
+        waitlist: [{user: 'hubot'}]
+      }),
+      sha: 'queue123'
+    }
+  })
+
+  expect(
+    await expireReservation(octokit, context, branchName, 'production')
+  ).toBe(null)
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('leaves an expired reservation alone when the lock has been claimed in the meantime', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({
+          reservation: {
+            user: 'octocat',
+            expires_at: '2022-06-14T21:12:14.041Z'
+          },
+          waitlist: [{user: 'hubot'}]
+        }),
+        sha: 'queue123'
+      }
+    })
+    .mockReturnValueOnce({data: {content: encode({}), sha: 'lock123'}})
+
+  expect(
+    await expireReservation(octokit, context, branchName, 'production')
+  ).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith(
+    `the expired reservation on ${branchName} is left as is because the lock has been claimed`
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('moves the lock queue forward when a reservation expires without being claimed', async () => {
+  const queueFile = {
+    data: {
+      content: encode({
+        reservation: {user: 'octocat', expires_at: '2022-06-14T21:12:14.041Z'},
+        waitlist: [{user: 'hubot', issue_number: 3}]
+      }),
+      sha: 'queue123'
+    }
+  }
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce(queueFile)
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+    .mockReturnValueOnce(queueFile)
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+
+  expect(
+    await expireReservation(octokit, context, branchName, 'production')
+  ).toBe('promoted')
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ the lock reservation for ${COLORS.highlight}octocat${COLORS.reset} on the ${COLORS.highlight}production${COLORS.reset} lock expired without being claimed`
+  )
+  expect(writtenQueue()).toStrictEqual({
+    reservation: {
+      user: 'hubot',
+      issue_number: 3,
+      expires_at: expect.any(String)
+    },
+    waitlist: []
+  })
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({issue_number: 3})
+  )
+})
+
+test('removes the lock queue when a reservation expires and nobody else is waiting', async () => {
+  const queueFile = {
+    data: {
+      content: encode({
+        reservation: {user: 'octocat', expires_at: '2022-06-14T21:12:14.041Z'},
+        waitlist: []
+      }),
+      sha: 'queue123'
+    }
+  }
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce(queueFile)
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+    .mockReturnValueOnce(queueFile)
+  octokit.rest.git = {deleteRef: jest.fn().mockReturnValue({status: 204})}
+
+  expect(await expireReservation(octokit, context, branchName, 'global')).toBe(
+    'removed'
+  )
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: `heads/${branchName}`,
+    headers: API_HEADERS
+  })
+  expect(infoMock).toHaveBeenCalledWith(
+    `🧹 removed the empty lock queue for the ${COLORS.highlight}global${COLORS.reset} lock`
+  )
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+})
+
+test('does not act on a lock that does not exist or has not expired', async () => {
+  expect(
+    await releaseExpiredLock(octokit, context, branchName, 'production', true)
+  ).toBe(null)
+
+  octokit.rest.repos.getContent = jest.fn().mockReturnValueOnce({
+    data: {content: encode({expires_at: null}), sha: 'lock123'}
+  })
+  expect(
+    await releaseExpiredLock(octokit, context, branchName, 'production', true)
+  ).toBe(null)
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+})
+
+test('hands an expired lock over to the next user in the lock queue', async () => {
+  const lockFile = {
+    data: {
+      content: encode({expires_at: '2022-06-14T21:12:14.041Z'}),
+      sha: 'lock123'
+    }
+  }
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce(lockFile)
+    .mockReturnValueOnce({
+      data: {
+        content: encode({
+          reservation: null,
+          waitlist: [{user: 'hubot', issue_number: 3}]
+        }),
+        sha: 'queue123'
+      }
+    })
+    .mockReturnValueOnce(lockFile)
+
+  expect(
+    await releaseExpiredLock(octokit, context, branchName, 'production', false)
+  ).toBe('promoted')
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ the ${COLORS.highlight}production${COLORS.reset} lock expired at ${COLORS.highlight}2022-06-14T21:12:14.041Z`
+  )
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith(
+    expect.objectContaining({path: 'lock.json', sha: 'lock123'})
+  )
+  expect(writtenQueue().reservation.user).toBe('hubot')
+})
+
+test('leaves an expired lock in place when nobody is waiting for it and it should not be removed', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({expires_at: '2022-06-14T21:12:14.041Z'}),
+        sha: 'lock123'
+      }
+    })
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+  octokit.rest.git = {deleteRef: jest.fn().mockReturnValue({status: 204})}
+
+  expect(
+    await releaseExpiredLock(octokit, context, branchName, 'production', false)
+  ).toBe(null)
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+})
+
+test('removes an expired lock when nobody is waiting for it', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({
+      data: {
+        content: encode({expires_at: '2022-06-14T21:12:14.041Z'}),
+        sha: 'lock123'
+      }
+    })
+    .mockRejectedValueOnce(new NotFoundError('file not found'))
+  octokit.rest.git = {deleteRef: jest.fn().mockReturnValue({status: 204})}
+
+  expect(
+    await releaseExpiredLock(octokit, context, branchName, 'production', true)
+  ).toBe('removed')
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: `heads/${branchName}`,
+    headers: API_HEADERS
+  })
+  expect(infoMock).toHaveBeenCalledWith(
+    `🧹 removed the expired ${COLORS.highlight}production${COLORS.reset} lock`
+  )
+})
@@ -0,0 +1,42 @@
+import {
+  parentScopes,
+  childScopes,
+  relatedScopes
+} from '../../src/functions/lock-scope'
+
+const environmentTargets =
+  'production,production/eu,production/eu/west,production/us,staging,production-old'
+
+test('finds the parent scopes of a scoped environment', async () => {
+  expect(parentScopes('production/eu/west')).toStrictEqual([
+    'production',
+    'production/eu'
+  ])
+})
+
+test('finds no parent scopes for an environment that is not scoped', async () => {
+  expect(parentScopes('production')).toStrictEqual([])
+})
+
+test('finds the child scopes of an environment from the environment targets', async () => {
+  expect(childScopes('production', environmentTargets)).toStrictEqual([
+    'production/eu',
+    'production/eu/west',
+    'production/us'
+  ])
+  expect(childScopes('production/eu', environmentTargets)).toStrictEqual([
+    'production/eu/west'
+  ])
+})
+
+test('finds no child scopes when there are no environment targets', async () => {
+  expect(childScopes('production', '')).toStrictEqual([])
+})
+
+test('finds every related scope of an environment with the parent scopes first', async () => {
+  expect(relatedScopes('production/eu', environmentTargets)).toStrictEqual([
+    'production',
+    'production/eu/west'
+  ])
+  expect(relatedScopes('staging', environmentTargets)).toStrictEqual([])
+})
@@ -0,0 +1,715 @@
+import {lockStore, LOCK_STORES} from '../../src/functions/lock-store'
+import {API_HEADERS} from '../../src/functions/api-headers'
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 404
+  }
+}
+
+class BigBadError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 500
+  }
+}
+
+class ReferenceDoesNotExistError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 422
+  }
+}
+
+const lockName = 'production-branch-deploy-lock'
+const lockData = {
+  reason: null,
+  branch: 'cool-new-feature',
+  created_by: 'monalisa',
+  environment: 'production',
+  global: false
+}
+
+var octokit
+var context
+
+// Helper function to encode lock data the same way the GitHub API returns file contents
+function encode(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64')
+}
+
+// Helper function to build a page of the branch search that the 'branch' lock store uses to list the lock branches
+function branchSearchPage(names, hasNextPage = false) {
+  return {
+    repository: {
+      refs: {
+        nodes: names.map(name => ({name: name})),
+        pageInfo: {
+          hasNextPage: hasNextPage,
+          endCursor: hasNextPage ? 'cursor' : null
+        }
+      }
+    }
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  process.env.GITHUB_SERVER_URL = 'https://github.com'
+  process.env.INPUT_LOCK_STORE = 'branch'
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    }
+  }
+
+  octokit = {
+    paginate: jest.fn().mockReturnValue([]),
+    graphql: jest.fn().mockReturnValue(branchSearchPage([])),
+    rest: {
+      repos: {
+        get: jest.fn().mockReturnValue({data: {default_branch: 'main'}}),
+        getBranch: jest
+          .fn()
+          .mockReturnValue({data: {commit: {sha: 'main123'}}}),
+        getContent: jest
+          .fn()
+          .mockReturnValue({data: {content: encode(lockData), sha: 'lock123'}}),
+        createOrUpdateFileContents: jest.fn().mockReturnValue({}),
+        deleteFile: jest.fn().mockReturnValue({})
+      },
+      git: {
+        createRef: jest.fn().mockReturnValue({status: 201}),
+        deleteRef: jest.fn().mockReturnValue({status: 204}),
+        getRef: jest.fn().mockReturnValue({data: {object: {sha: 'ref123'}}}),
+        getCommit: jest.fn().mockReturnValue({data: {tree: {sha: 'tree123'}}}),
+        createTree: jest.fn().mockReturnValue({data: {sha: 'tree456'}}),
+        createCommit: jest.fn().mockReturnValue({data: {sha: 'commit456'}}),
+        updateRef: jest.fn().mockReturnValue({status: 200}),
+        getTree: jest.fn().mockReturnValue({data: {tree: []}}),
+        listMatchingRefs: jest.fn()
+      }
+    }
+  }
+})
+
+test('exposes the list of available lock stores', () => {
+  expect(LOCK_STORES).toStrictEqual(['branch', 'single-branch', 'ref'])
+})
+
+test('uses the branch lock store when the lock_store input is empty', () => {
+  process.env.INPUT_LOCK_STORE = ''
+  expect(lockStore(octokit, context).name).toBe('branch')
+})
+
+test('throws an error for an unknown lock store', () => {
+  process.env.INPUT_LOCK_STORE = 'database'
+  expect(() => lockStore(octokit, context)).toThrow(
+    "Invalid value for 'lock_store': database. Must be one of: branch, single-branch, ref"
+  )
+})
+
+test('checks if a lock branch exists', async () => {
+  const store = lockStore(octokit, context)
+  expect(await store.exists(lockName)).toBe(true)
+  expect(octokit.rest.repos.getBranch).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    branch: lockName,
+    headers: API_HEADERS
+  })
+
+  octokit.rest.repos.getBranch = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Reference does not exist'))
+  expect(await store.exists(lockName)).toBe(false)
+})
+
+test('throws an error if checking a lock branch fails unexpectedly', async () => {
+  octokit.rest.repos.getBranch = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(lockStore(octokit, context).exists(lockName)).rejects.toThrow(
+    'oh no'
+  )
+})
+
+test('creates a lock branch from the default branch', async () => {
+  await lockStore(octokit, context).create(lockName)
+  expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: `refs/heads/${lockName}`,
+    sha: 'main123',
+    headers: API_HEADERS
+  })
+})
+
+test('reads a file from a lock branch', async () => {
+  expect(
+    await lockStore(octokit, context).getFile(lockName, 'lock.json')
+  ).toStrictEqual({data: lockData, sha: 'lock123'})
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    ref: lockName,
+    headers: API_HEADERS
+  })
+})
+
+test('returns null when a file does not exist on a lock branch', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  expect(await lockStore(octokit, context).getFile(lockName, 'lock.json')).toBe(
+    null
+  )
+})
+
+test('throws an error if reading a file fails unexpectedly', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(
+    lockStore(octokit, context).getFile(lockName, 'lock.json')
+  ).rejects.toThrow('oh no')
+})
+
+test('writes a file to a lock branch', async () => {
+  await lockStore(octokit, context).putFile(
+    lockName,
+    'lock.json',
+    lockData,
+    null,
+    'lock [skip ci]',
+    {request: {retries: 10, retryAfter: 1}}
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    message: 'lock [skip ci]',
+    content: encode(lockData),
+    branch: lockName,
+    sha: undefined,
+    request: {retries: 10, retryAfter: 1},
+    headers: API_HEADERS
+  })
+})
+
+test('deletes a file from a lock branch', async () => {
+  await lockStore(octokit, context).deleteFile(
+    lockName,
+    'lock.json',
+    'lock123',
+    'unlock [skip ci]'
+  )
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    message: 'unlock [skip ci]',
+    sha: 'lock123',
+    branch: lockName,
+    headers: API_HEADERS
+  })
+})
+
+test('removes a lock branch', async () => {
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(204)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: `heads/${lockName}`,
+    headers: API_HEADERS
+  })
+})
+
+test('returns null when removing a lock branch that does not exist', async () => {
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockRejectedValue(
+      new ReferenceDoesNotExistError('Reference does not exist')
+    )
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(null)
+})
+
+test('throws an error if removing a lock branch fails unexpectedly', async () => {
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockRejectedValue(new ReferenceDoesNotExistError('something else'))
+  await expect(lockStore(octokit, context).remove(lockName)).rejects.toThrow(
+    'something else'
+  )
+})
+
+test('links to a file on a lock branch', async () => {
+  expect(await lockStore(octokit, context).link(lockName, 'lock.json')).toBe(
+    `https://github.com/corp/test/blob/${lockName}/lock.json`
+  )
+})
+
+test('lists every lock branch', async () => {
+  octokit.graphql
+    .mockReturnValueOnce(
+      branchSearchPage(
+        ['global-branch-deploy-lock', 'branch-deploy-lock-history'],
+        true
+      )
+    )
+    .mockReturnValueOnce(
+      branchSearchPage([
+        'sandbox-alice-branch-deploy-lock',
+        'my-branch-deploy-lock-fix'
+      ])
+    )
+  expect(await lockStore(octokit, context).list()).toStrictEqual([
+    'global',
+    'sandbox-alice'
+  ])
+  expect(octokit.graphql).toHaveBeenCalledTimes(2)
+  expect(octokit.graphql).toHaveBeenCalledWith(expect.any(String), {
+    repo_owner: 'corp',
+    repo_name: 'test',
+    query: 'branch-deploy-lock',
+    cursor: null
+  })
+  expect(octokit.graphql).toHaveBeenCalledWith(expect.any(String), {
+    repo_owner: 'corp',
+    repo_name: 'test',
+    query: 'branch-deploy-lock',
+    cursor: 'cursor'
+  })
+  expect(octokit.paginate).not.toHaveBeenCalled()
+})
+
+test('checks if the shared lock branch exists', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  expect(await lockStore(octokit, context).exists(lockName)).toBe(true)
+  expect(octokit.rest.repos.getBranch).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    branch: 'branch-deploy-locks',
+    headers: API_HEADERS
+  })
+})
+
+test('creates the shared lock branch from the default branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  await lockStore(octokit, context).create(lockName)
+  expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'refs/heads/branch-deploy-locks',
+    sha: 'main123',
+    headers: API_HEADERS
+  })
+})
+
+test('reads a file from the directory for the lock', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  expect(
+    await lockStore(octokit, context).getFile(
+      'global-branch-deploy-lock',
+      'lock.json'
+    )
+  ).toStrictEqual({data: lockData, sha: 'lock123'})
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'global/lock.json',
+    ref: 'branch-deploy-locks',
+    headers: API_HEADERS
+  })
+})
+
+test('writes a file to the directory for the lock', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  await lockStore(octokit, context).putFile(
+    lockName,
+    'queue.json',
+    {reservation: null, waitlist: []},
+    'queue123',
+    'lock queue [skip ci]'
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'production/queue.json',
+    message: 'lock queue [skip ci]',
+    content: encode({reservation: null, waitlist: []}),
+    branch: 'branch-deploy-locks',
+    sha: 'queue123',
+    headers: API_HEADERS
+  })
+})
+
+test('removes every file for the lock but keeps the shared lock branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({data: {content: encode(lockData), sha: 'lock123'}})
+    .mockReturnValueOnce({data: {content: encode({}), sha: 'queue123'}})
+
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(204)
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledTimes(2)
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'production/lock.json',
+    message: 'unlock [skip ci]',
+    sha: 'lock123',
+    branch: 'branch-deploy-locks',
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith(
+    expect.objectContaining({path: 'production/queue.json', sha: 'queue123'})
+  )
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+})
+
+test('returns null when removing a lock that does not exist', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(null)
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+})
+
+test('links to a file in the directory for the lock', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  expect(await lockStore(octokit, context).link(lockName, 'lock.json')).toBe(
+    'https://github.com/corp/test/blob/branch-deploy-locks/production/lock.json'
+  )
+})
+
+test('lists every lock directory on the shared lock branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.git.getTree.mockReturnValueOnce({
+    data: {
+      tree: [
+        {path: 'global', type: 'tree'},
+        {path: 'global/lock.json', type: 'blob'},
+        {path: 'production/eu/lock.json', type: 'blob'},
+        {path: 'sandbox-alice/lock.json', type: 'blob'},
+        {path: 'sandbox-alice/queue.json', type: 'blob'},
+        {path: 'staging/queue.json', type: 'blob'},
+        {path: 'README.md', type: 'blob'}
+      ]
+    }
+  })
+  expect(await lockStore(octokit, context).list()).toStrictEqual([
+    'global',
+    'production/eu',
+    'sandbox-alice',
+    'staging'
+  ])
+  expect(octokit.rest.git.getTree).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    tree_sha: 'branch-deploy-locks',
+    recursive: 'true',
+    headers: API_HEADERS
+  })
+})
+
+test('lists no locks when the shared lock branch does not exist', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.git.getTree = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Not Found'))
+  expect(await lockStore(octokit, context).list()).toStrictEqual([])
+})
+
+test('throws an error if listing the locks on the shared lock branch fails unexpectedly', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  octokit.rest.git.getTree = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(lockStore(octokit, context).list()).rejects.toThrow('oh no')
+})
+
+test('checks if a lock ref exists', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  const store = lockStore(octokit, context)
+  expect(await store.exists(lockName)).toBe(true)
+  expect(octokit.rest.git.getRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'branch-deploy/locks/production',
+    headers: API_HEADERS
+  })
+
+  octokit.rest.git.getRef = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Not Found'))
+  expect(await store.exists(lockName)).toBe(false)
+})
+
+test('throws an error if checking a lock ref fails unexpectedly', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.rest.git.getRef = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(lockStore(octokit, context).exists(lockName)).rejects.toThrow(
+    'oh no'
+  )
+})
+
+test('locks a parent scope and its child scope together with lock refs', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+
+  // like git, a ref cannot be created inside of another ref (or around one)
+  const refs = new Set()
+  octokit.rest.git.createRef = jest.fn(async ({ref}) => {
+    for (const existing of refs) {
+      if (ref.startsWith(`${existing}/`) || existing.startsWith(`${ref}/`)) {
+        const error = new Error(`Reference cannot be created: ${ref}`)
+        error.status = 422
+        throw error
+      }
+    }
+    refs.add(ref)
+    return {status: 201}
+  })
+
+  const store = lockStore(octokit, context)
+  await store.create('production-branch-deploy-lock')
+  await store.create('production/eu-branch-deploy-lock')
+  await store.create('production/eu/dublin%1-branch-deploy-lock')
+  expect([...refs]).toStrictEqual([
+    'refs/branch-deploy/locks/production',
+    'refs/branch-deploy/locks/production%2Feu',
+    'refs/branch-deploy/locks/production%2Feu%2Fdublin%251'
+  ])
+
+  await store.remove('production/eu-branch-deploy-lock')
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'branch-deploy/locks/production%2Feu',
+    headers: API_HEADERS
+  })
+})
+
+test('lists every lock ref and decodes the names of scoped locks but not the lock history', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.paginate.mockReturnValueOnce([
+    {ref: 'refs/branch-deploy/locks/global'},
+    {ref: 'refs/branch-deploy/locks/production%2Feu'},
+    {ref: 'refs/branch-deploy/locks/100%25'},
+    {ref: 'refs/branch-deploy/locks/branch-deploy-lock-history'}
+  ])
+  expect(await lockStore(octokit, context).list()).toStrictEqual([
+    'global',
+    'production/eu',
+    '100%'
+  ])
+  expect(octokit.paginate).toHaveBeenCalledWith(
+    octokit.rest.git.listMatchingRefs,
+    {
+      owner: 'corp',
+      repo: 'test',
+      ref: 'branch-deploy/locks/',
+      headers: API_HEADERS
+    }
+  )
+})
+
+test('creates a lock ref from the default branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  await lockStore(octokit, context).create('global-branch-deploy-lock')
+  expect(octokit.rest.git.createRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'refs/branch-deploy/locks/global',
+    sha: 'main123',
+    headers: API_HEADERS
+  })
+})
+
+test('reads a file from the commit a lock ref points to', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  expect(
+    await lockStore(octokit, context).getFile(lockName, 'lock.json')
+  ).toStrictEqual({data: lockData, sha: 'lock123'})
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    ref: 'ref123',
+    headers: API_HEADERS
+  })
+})
+
+test('returns null when reading a file from a lock ref that does not exist', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.rest.git.getRef = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Not Found'))
+  expect(await lockStore(octokit, context).getFile(lockName, 'lock.json')).toBe(
+    null
+  )
+  expect(octokit.rest.repos.getContent).not.toHaveBeenCalled()
+})
+
+test('writes a file by committing it to a lock ref', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  await lockStore(octokit, context).putFile(
+    lockName,
+    'lock.json',
+    lockData,
+    null,
+    'lock [skip ci]'
+  )
+  expect(octokit.rest.git.getCommit).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    commit_sha: 'ref123',
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.git.createTree).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    base_tree: 'tree123',
+    tree: [
+      {
+        mode: '100644',
+        type: 'blob',
+        path: 'lock.json',
+        content: JSON.stringify(lockData)
+      }
+    ],
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.git.createCommit).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    message: 'lock [skip ci]',
+    tree: 'tree456',
+    parents: ['ref123'],
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.git.updateRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'branch-deploy/locks/production',
+    sha: 'commit456',
+    force: false,
+    headers: API_HEADERS
+  })
+})
+
+test('rejects a write to a lock ref when the file has been changed by another request', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  const store = lockStore(octokit, context)
+
+  // the lock file was created by another request but this request expected it to be absent
+  await expect(
+    store.putFile(lockName, 'lock.json', lockData, null, 'lock [skip ci]')
+  ).rejects.toMatchObject({
+    status: 409,
+    message: 'lock.json has been changed by another request'
+  })
+
+  // the lock file was overwritten by another request since this request read it
+  await expect(
+    store.putFile(lockName, 'lock.json', lockData, 'old123', 'lock [skip ci]')
+  ).rejects.toMatchObject({status: 409})
+
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    ref: 'ref123',
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.git.createCommit).not.toHaveBeenCalled()
+  expect(octokit.rest.git.updateRef).not.toHaveBeenCalled()
+})
+
+test('deletes a file by committing its removal to a lock ref', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  await lockStore(octokit, context).deleteFile(
+    lockName,
+    'lock.json',
+    'lock123',
+    'unlock [skip ci]'
+  )
+  expect(octokit.rest.git.createTree).toHaveBeenCalledWith(
+    expect.objectContaining({
+      tree: [{mode: '100644', type: 'blob', path: 'lock.json', sha: null}]
+    })
+  )
+  expect(octokit.rest.git.createCommit).toHaveBeenCalledWith(
+    expect.objectContaining({message: 'unlock [skip ci]'})
+  )
+})
+
+test('removes a lock ref', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(204)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'branch-deploy/locks/production',
+    headers: API_HEADERS
+  })
+})
+
+test('returns null when removing a lock ref that does not exist', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockRejectedValue(
+      new ReferenceDoesNotExistError('Reference does not exist')
+    )
+  expect(await lockStore(octokit, context).remove(lockName)).toBe(null)
+})
+
+test('throws an error if removing a lock ref fails unexpectedly', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockRejectedValue(new BigBadError('oh no'))
+  await expect(lockStore(octokit, context).remove(lockName)).rejects.toThrow(
+    'oh no'
+  )
+})
+
+test('links to a file on the commit a lock ref points to', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  expect(await lockStore(octokit, context).link(lockName, 'lock.json')).toBe(
+    'https://github.com/corp/test/blob/ref123/lock.json'
+  )
+})
+
+test('uses the lock name as is when it is not a lock branch name', async () => {
+  process.env.INPUT_LOCK_STORE = 'ref'
+  expect(await lockStore(octokit, context).exists('staging')).toBe(true)
+  expect(octokit.rest.git.getRef).toHaveBeenCalledWith(
+    expect.objectContaining({ref: 'branch-deploy/locks/staging'})
+  )
+})
+
+test('writes a new file to the directory for the lock', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  await lockStore(octokit, context).putFile(
+    lockName,
+    'lock.json',
+    lockData,
+    null,
+    'lock [skip ci]'
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({path: 'production/lock.json', sha: undefined})
+  )
+})
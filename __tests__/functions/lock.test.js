@@ -2,6 +2,7 @@ import * as core from '@actions/core'
 import {lock} from '../../src/functions/lock'
 import {COLORS} from '../../src/functions/colors'
 import * as actionStatus from '../../src/functions/action-status'
+import * as admin from '../../src/functions/admin'
 
 class NotFoundError extends Error {
   constructor(message) {
@@ -58,6 +59,11 @@ beforeEach(() => {
   process.env.INPUT_LOCK_TRIGGER = '.lock'
   process.env.INPUT_ENVIRONMENT = 'production'
   process.env.INPUT_LOCK_INFO_ALIAS = '.wcid'
+  process.env.INPUT_LOCK_HISTORY = 'false'
+  process.env.INPUT_ENVIRONMENT_TARGETS = 'production,development,staging'
+  process.env.INPUT_ENVIRONMENT_ALIASES = ''
+  process.env.INPUT_PREVIEW_TARGET = ''
+  process.env.INPUT_LOCK_STORE = ''
 
   createdLock = {
     lockData: null,
@@ -646,6 +652,28 @@ test('Request detailsOnly on the lock file when no branch exists', async () => {
   )
 })
 
+test('Request detailsOnly on the lock file of an environment alias', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({dev: 'development'})
+  context.payload.comment.body = '.lock --details dev'
+  expect(
+    await lock(octokit, context, ref, 123, null, null, true)
+  ).toStrictEqual({...noLockFound, environment: 'development'})
+  expect(debugMock).toHaveBeenCalledWith(
+    'constructed lock branch name: development-branch-deploy-lock'
+  )
+})
+
+test('Request detailsOnly on the lock file of the preview environment', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  context.payload.comment.body = '.lock --details preview'
+  expect(
+    await lock(octokit, context, ref, 123, null, null, true)
+  ).toStrictEqual({...noLockFound, environment: 'pr-1'})
+  expect(debugMock).toHaveBeenCalledWith(
+    'constructed lock branch name: pr-1-branch-deploy-lock'
+  )
+})
+
 test('Request detailsOnly on the lock file when no branch exists and hits an error when trying to check the branch', async () => {
   context.payload.comment.body = '.lock --details'
   const octokit = {
@@ -1073,3 +1101,1671 @@ test('throws an error if an unhandled exception occurs', async () => {
     expect(e.message).toBe('Error: oh no')
   }
 })
+
+test('successfully obtains a deployment lock (sticky) with an expiry by using the --for flag', async () => {
+  context.payload.comment.body =
+    '.lock production --for 2h --reason db migration'
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    createdLock
+  )
+
+  const lockData = JSON.parse(
+    Buffer.from(
+      octokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0].content,
+      'base64'
+    ).toString()
+  )
+  expect(lockData.reason).toBe('db migration')
+  expect(lockData.environment).toBe('production')
+  expect(new Date(lockData.expires_at) - new Date(lockData.created_at)).toBe(
+    2 * 60 * 60 * 1000
+  )
+  expect(debugMock).toHaveBeenCalledWith('lock expires in: 7200000ms')
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ deployment lock will expire at ${COLORS.highlight}${lockData.expires_at}`
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringMatching(
+      /This lock will automatically expire in `0d:2h:0m:0s`/
+    ),
+    true,
+    true
+  )
+})
+
+test('fails to obtain a deployment lock when the --for flag has an invalid duration', async () => {
+  context.payload.comment.body = '.lock production --for banana'
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    failedToCreateLock
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringMatching(/The lock duration `banana` is not valid/)
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringMatching(/Cannot claim deployment lock/)
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('fails to obtain a deployment lock when the --for flag has no value', async () => {
+  context.payload.comment.body = '.lock production --for'
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    failedToCreateLock
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringMatching(/The lock duration `null` is not valid/)
+  )
+})
+
+test('overwrites an expired lock file when the lock branch still exists', async () => {
+  context.payload.comment.body = '.lock'
+  const expiredLock = Buffer.from(
+    JSON.stringify({
+      reason: null,
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: '2022-06-14T23:12:14.041Z',
+      created_by: 'octocat',
+      sticky: true,
+      environment: 'production',
+      global: false,
+      unlock_command: '.unlock production',
+      link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+    })
+  ).toString('base64')
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockReturnValueOnce({data: {content: expiredLock}}) // expired environment lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // lock queue
+          .mockReturnValueOnce({data: {content: expiredLock, sha: 'blob123'}}) // sha lookup
+          .mockRejectedValueOnce(new NotFoundError('file not found')), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      },
+      issues: {
+        createComment: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  expect(
+    await lock(octokit, context, ref, 123, false, environment)
+  ).toStrictEqual(createdLock)
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ lock on branch ${COLORS.highlight}production-branch-deploy-lock${COLORS.reset} expired at ${COLORS.highlight}2022-06-14T23:12:14.041Z${COLORS.reset} - treating it as released`
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      branch: 'production-branch-deploy-lock',
+      sha: 'blob123'
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith('✅ deployment lock obtained')
+})
+
+test('throws an error if looking up an existing lock file SHA fails unexpectedly', async () => {
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // environment lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // lock queue
+          .mockRejectedValueOnce(new BigBadError('oh no')) // sha lookup
+      }
+    }
+  }
+  await expect(
+    lock(octokit, context, ref, 123, false, environment)
+  ).rejects.toThrow('oh no')
+})
+
+test('Determines that another user has the lock with an expiry and exits', async () => {
+  context.payload.comment.body = '.lock'
+  context.actor = 'monalisa'
+  const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  const activeLock = Buffer.from(
+    JSON.stringify({
+      reason: 'db migration',
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: expiresAt,
+      created_by: 'octocat',
+      sticky: true,
+      environment: 'production',
+      global: false,
+      unlock_command: '.unlock production',
+      link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+    })
+  ).toString('base64')
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found'))
+          .mockReturnValueOnce({data: {content: activeLock}})
+      }
+    }
+  }
+  const result = await lock(octokit, context, ref, 123, true, environment)
+  expect(result.status).toBe(false)
+  expect(result.lockData.expires_at).toBe(expiresAt)
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(`- __Expires At__: \`${expiresAt}\` (in \`0d:`)
+  )
+})
+
+test('treats an expired global lock as released and claims the environment lock', async () => {
+  context.payload.comment.body = '.lock'
+  const expiredGlobalLock = Buffer.from(
+    JSON.stringify({
+      reason: null,
+      branch: 'octocats-everywhere',
+      created_at: '2022-06-14T21:12:14.041Z',
+      expires_at: '2022-06-15T21:12:14.041Z',
+      created_by: 'octocat',
+      sticky: true,
+      environment: null,
+      global: true,
+      unlock_command: '.unlock --global',
+      link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+    })
+  ).toString('base64')
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockReturnValueOnce({data: {content: expiredGlobalLock}})
+  expect(
+    await lock(octokit, context, ref, 123, false, environment)
+  ).toStrictEqual(createdLock)
+  expect(infoMock).toHaveBeenCalledWith(
+    `⌛ lock on branch ${COLORS.highlight}global-branch-deploy-lock${COLORS.reset} expired at ${COLORS.highlight}2022-06-15T21:12:14.041Z${COLORS.reset} - treating it as released`
+  )
+})
+
+test('adds the requestor to the lock queue when another user has the lock and the --queue flag is used', async () => {
+  context.payload.comment.body =
+    '.lock production --queue --reason db migration'
+  context.actor = 'monalisa'
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockReturnValueOnce({data: {content: lockBase64Octocat}}) // environment lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+  expect(result.environment).toBe('production')
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'queue.json',
+      branch: 'production-branch-deploy-lock',
+      sha: undefined
+    })
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'You have been added to the lock queue at position `1`'
+    ),
+    true,
+    true
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('adds the requestor to the GLOBAL lock queue when another user has the global lock and the --queue flag is used on a deployment', async () => {
+  context.payload.comment.body = '.deploy production --queue'
+  context.actor = 'monalisa'
+  const queue = Buffer.from(
+    JSON.stringify({
+      reservation: null,
+      waitlist: [{user: 'hubot', issue_number: 5}]
+    })
+  ).toString('base64')
+  const octokit = {
+    rest: {
+      repos: {
+        getContent: jest
+          .fn()
+          .mockReturnValueOnce({data: {content: lockBase64OctocatGlobal}}) // global lock
+          .mockReturnValueOnce({data: {content: queue, sha: 'queue123'}}), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  const result = await lock(octokit, context, ref, 123, false, environment)
+  expect(result.status).toBe(false)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'queue.json',
+      branch: 'global-branch-deploy-lock',
+      sha: 'queue123'
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏳ added ${COLORS.highlight}monalisa${COLORS.reset} to the lock queue at position ${COLORS.highlight}2`
+  )
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('fails to obtain a deployment lock that is reserved for the next user in the lock queue', async () => {
+  context.payload.comment.body = '.lock production'
+  context.actor = 'monalisa'
+  const expiresAt = new Date(Date.now() + 10 * 60 * 1000).toISOString()
+  const queue = Buffer.from(
+    JSON.stringify({
+      reservation: {
+        user: 'octocat',
+        issue_number: 2,
+        link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456',
+        expires_at: expiresAt
+      },
+      waitlist: []
+    })
+  ).toString('base64')
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // environment lock
+          .mockReturnValueOnce({data: {content: queue, sha: 'queue123'}}), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    failedToCreateLock
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'Sorry __monalisa__, the `production` environment deployment lock is reserved for __octocat__ who is next in the lock queue'
+    )
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(`- __Reserved Until__: \`${expiresAt}\``)
+  )
+})
+
+test('adds the requestor to the lock queue when the GLOBAL lock is reserved for another user and the --queue flag is used', async () => {
+  context.payload.comment.body = '.lock --global --queue'
+  context.actor = 'monalisa'
+  const queue = Buffer.from(
+    JSON.stringify({
+      reservation: {
+        user: 'octocat',
+        issue_number: 2,
+        link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456',
+        expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+      },
+      waitlist: []
+    })
+  ).toString('base64')
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock (lock branch check)
+          .mockReturnValue({data: {content: queue, sha: 'queue123'}}), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+  expect(result.global).toBe(true)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'queue.json',
+      branch: 'global-branch-deploy-lock',
+      sha: 'queue123'
+    })
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'the `global` deployment lock is reserved for __octocat__'
+    ),
+    true,
+    true
+  )
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('successfully claims a deployment lock that is reserved for the requestor and removes them from the lock queue', async () => {
+  context.payload.comment.body = '.lock production'
+  context.actor = 'monalisa'
+  const queue = Buffer.from(
+    JSON.stringify({
+      reservation: {
+        user: 'monalisa',
+        issue_number: 1,
+        link: 'https://github.com/test-org/test-repo/pull/1#issuecomment-123',
+        expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+      },
+      waitlist: [{user: 'hubot', issue_number: 5}]
+    })
+  ).toString('base64')
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // environment lock
+          .mockReturnValueOnce({data: {content: queue, sha: 'queue123'}}) // lock queue
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // sha lookup
+          .mockReturnValueOnce({data: {content: queue, sha: 'queue123'}}), // lock queue
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      }
+    }
+  }
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    createdLock
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'lock.json',
+      branch: 'production-branch-deploy-lock'
+    })
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'queue.json',
+      branch: 'production-branch-deploy-lock',
+      sha: 'queue123',
+      content: Buffer.from(
+        JSON.stringify({
+          reservation: null,
+          waitlist: [{user: 'hubot', issue_number: 5}]
+        })
+      ).toString('base64')
+    })
+  )
+})
+
+// Helper function to build an octokit client backed by a shared in-memory repository
+// Writes behave like the GitHub API: creating a ref that exists or writing a file with a stale SHA is rejected
+function sharedRepoOctokit(repo) {
+  const conflict = (status, message) => {
+    const error = new Error(message)
+    error.status = status
+    return error
+  }
+  return {
+    rest: {
+      repos: {
+        get: jest.fn(async () => ({data: {default_branch: 'main'}})),
+        getBranch: jest.fn(async ({branch}) => {
+          if (!repo.branches.has(branch) && branch !== 'main') {
+            throw new NotFoundError('Branch not found')
+          }
+          return {data: {commit: {sha: 'abc123'}}}
+        }),
+        getContent: jest.fn(async ({path, ref}) => {
+          const file = repo.files[`${ref}/${path}`]
+          if (!file) {
+            throw new NotFoundError('file not found')
+          }
+          return {data: file}
+        }),
+        createOrUpdateFileContents: jest.fn(
+          async ({path, branch, content, sha}) => {
+            const existing = repo.files[`${branch}/${path}`]
+            if (existing && sha === undefined) {
+              throw conflict(422, 'Invalid request. "sha" wasn\'t supplied.')
+            }
+            if (sha !== undefined && existing?.sha !== sha) {
+              throw conflict(409, `${path} does not match ${sha}`)
+            }
+            repo.writes += 1
+            repo.files[`${branch}/${path}`] = {
+              content: content,
+              sha: `sha${repo.writes}`
+            }
+            return {data: {}}
+          }
+        ),
+        deleteFile: jest.fn(async ({path, branch, sha}) => {
+          if (repo.files[`${branch}/${path}`]?.sha !== sha) {
+            throw conflict(409, `${path} does not match ${sha}`)
+          }
+          delete repo.files[`${branch}/${path}`]
+          return {data: {}}
+        })
+      },
+      git: {
+        createRef: jest.fn(async ({ref}) => {
+          const branch = ref.replace('refs/heads/', '')
+          if (repo.branches.has(branch)) {
+            throw conflict(422, 'Reference already exists')
+          }
+          repo.branches.add(branch)
+          return {status: 201}
+        })
+      }
+    }
+  }
+}
+
+test('only one of two concurrent lock claims wins and the other is told it lost the race', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const claim = actor =>
+    lock(
+      sharedRepoOctokit(repo),
+      {
+        ...context,
+        actor: actor,
+        payload: {comment: {id: 1, body: '.lock production'}}
+      },
+      ref,
+      123,
+      true,
+      null
+    )
+
+  const results = await Promise.all([claim('monalisa'), claim('octocat')])
+
+  // exactly one lock file was written
+  expect(repo.writes).toBe(1)
+  const lockFile = JSON.parse(
+    Buffer.from(
+      repo.files['production-branch-deploy-lock/lock.json'].content,
+      'base64'
+    ).toString()
+  )
+
+  const winner = results.find(result => result.status === true)
+  const loser = results.find(result => result.status === false)
+  expect(winner).toStrictEqual(createdLock)
+  expect(loser.lockData).toStrictEqual(lockFile)
+
+  const loserActor = lockFile.created_by === 'monalisa' ? 'octocat' : 'monalisa'
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    expect.objectContaining({actor: loserActor}),
+    expect.anything(),
+    123,
+    expect.stringContaining(
+      `Sorry __${loserActor}__, you lost the race to @${lockFile.created_by} who claimed the \`production\` environment deployment lock at the same time`
+    )
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(`you lost the race to @${lockFile.created_by}`)
+  )
+})
+
+test('only one of two concurrent claims for an existing lock branch overwrites an expired lock file', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  const expiredLock = Buffer.from(
+    JSON.stringify({
+      created_by: 'hubot',
+      environment: 'production',
+      global: false,
+      expires_at: '2022-06-14T21:12:14.041Z'
+    })
+  ).toString('base64')
+  const repo = {
+    branches: new Set(['production-branch-deploy-lock']),
+    files: {
+      'production-branch-deploy-lock/lock.json': {
+        content: expiredLock,
+        sha: 'expired123'
+      }
+    },
+    writes: 0
+  }
+  const claim = actor =>
+    lock(
+      sharedRepoOctokit(repo),
+      {
+        ...context,
+        actor: actor,
+        payload: {comment: {id: 1, body: '.deploy to production'}}
+      },
+      ref,
+      123,
+      false,
+      environment
+    )
+
+  const results = await Promise.all([claim('monalisa'), claim('octocat')])
+
+  expect(repo.writes).toBe(1)
+  expect(results.map(result => result.status).sort()).toStrictEqual([
+    false,
+    true
+  ])
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    123,
+    expect.stringContaining('you lost the race to @')
+  )
+})
+
+test('fails to obtain a deployment lock when another user claims it first (global lock)', async () => {
+  context.payload.comment.body = '.lock --global'
+  context.actor = 'monalisa'
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  const conflict = new Error('Invalid request. "sha" wasn\'t supplied.')
+  conflict.status = 422
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock (again)
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // lock queue
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // sha lookup
+          .mockReturnValueOnce({data: {content: lockBase64OctocatGlobal}}) // the lock file has changed
+          .mockReturnValueOnce({data: {content: lockBase64OctocatGlobal}}), // the winner
+        createOrUpdateFileContents: jest.fn().mockRejectedValueOnce(conflict)
+      }
+    }
+  }
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual({
+    status: false,
+    lockData: expect.objectContaining({created_by: 'octocat', global: true}),
+    globalFlag,
+    environment: null,
+    global: true
+  })
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'Sorry __monalisa__, you lost the race to @octocat who claimed the `global` deployment lock at the same time'
+    )
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🏁 lost the race for the deployment lock to ${COLORS.highlight}octocat`
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({sha: undefined, request: {retries: 0}})
+  )
+})
+
+test('treats a lost race against another request from the same user as owning the lock', async () => {
+  context.payload.comment.body = '.lock production'
+  context.actor = 'monalisa'
+  const conflict = new Error('Reference already exists')
+  conflict.status = 422
+  const octokit = {
+    rest: {
+      repos: {
+        getBranch: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('Reference does not exist'))
+          .mockReturnValueOnce({data: {commit: {sha: 'abc123'}}}),
+        get: jest.fn().mockReturnValue({data: {default_branch: 'main'}}),
+        getContent: jest
+          .fn()
+          .mockRejectedValueOnce(new NotFoundError('file not found')) // global lock
+          .mockReturnValueOnce({data: {content: lockBase64Monalisa}}) // the lock file has changed
+          .mockReturnValueOnce({data: {content: lockBase64Monalisa}}), // the winner
+        createOrUpdateFileContents: jest.fn().mockRejectedValueOnce(conflict)
+      },
+      git: {
+        createRef: jest.fn().mockRejectedValueOnce(conflict)
+      }
+    }
+  }
+  expect(
+    await lock(octokit, context, ref, 123, false, environment)
+  ).toStrictEqual(monalisaOwner)
+  expect(debugMock).toHaveBeenCalledWith(
+    'lock branch production-branch-deploy-lock was created by another request'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔒 the deployment lock was already claimed by ${COLORS.highlight}monalisa${COLORS.reset} in another request`
+  )
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('throws an error if the lock file write keeps being rejected but no other lock exists', async () => {
+  const conflict = new Error('is at abc123 but expected def456')
+  conflict.status = 409
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValue(conflict)
+  await expect(
+    lock(octokit, context, ref, 123, false, environment)
+  ).rejects.toThrow('is at abc123 but expected def456')
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(3)
+})
+
+test('tries the lock file write again when a lock for another environment moves the shared lock branch', async () => {
+  process.env.INPUT_LOCK_STORE = 'single-branch'
+  const conflict = new Error('is at abc123 but expected def456')
+  conflict.status = 409
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValueOnce(conflict) // the staging lock was written at the same time
+    .mockReturnValueOnce({})
+  expect(
+    await lock(octokit, context, ref, 123, false, environment)
+  ).toStrictEqual(createdLock)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(2)
+  expect(
+    octokit.rest.repos.createOrUpdateFileContents
+  ).toHaveBeenLastCalledWith(
+    expect.objectContaining({
+      path: 'production/lock.json',
+      branch: 'branch-deploy-locks',
+      sha: undefined
+    })
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'lock file write on production-branch-deploy-lock was rejected but the lock file has not changed - trying again (attempt 1 of 3)'
+  )
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('throws an error if the lock file write fails unexpectedly', async () => {
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValueOnce(new BigBadError('oh no'))
+  await expect(
+    lock(octokit, context, ref, 123, false, environment)
+  ).rejects.toThrow('oh no')
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledTimes(1)
+})
+
+test('throws an error if creating the lock branch fails unexpectedly', async () => {
+  octokit.rest.git.createRef = jest
+    .fn()
+    .mockRejectedValueOnce(new BigBadError('oh no'))
+  await expect(
+    lock(octokit, context, ref, 123, false, environment)
+  ).rejects.toThrow('oh no')
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+// Helper function to read a lock file from a shared in-memory repository
+function sharedRepoLock(repo, branch) {
+  const file = repo.files[`${branch}/lock.json`]
+  return file
+    ? JSON.parse(Buffer.from(file.content, 'base64').toString())
+    : null
+}
+
+// Helper function to add a lock file to a shared in-memory repository
+function addSharedRepoFile(repo, branch, path, data) {
+  repo.branches.add(branch)
+  repo.files[`${branch}/${path}`] = {
+    content: Buffer.from(JSON.stringify(data)).toString('base64'),
+    sha: `${branch}-${path}`
+  }
+}
+
+test('successfully obtains the deployment locks for multiple environments at once', async () => {
+  process.env.INPUT_UNLOCK_TRIGGER = '.unlock'
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body =
+    '.lock staging,production --reason release day --for 2h'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const octokit = sharedRepoOctokit(repo)
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual({
+    status: true,
+    lockData: null,
+    globalFlag,
+    environment: 'staging,production',
+    global: false
+  })
+
+  for (const environment of ['staging', 'production']) {
+    expect(
+      sharedRepoLock(repo, `${environment}-branch-deploy-lock`)
+    ).toStrictEqual(
+      expect.objectContaining({
+        created_by: 'monalisa',
+        environment: environment,
+        reason: 'release day',
+        sticky: true,
+        unlock_command: `.unlock ${environment}`
+      })
+    )
+  }
+  expect(repo.writes).toBe(2)
+
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(actionStatus.actionStatus).toHaveBeenCalledTimes(1)
+  expect(comment).toContain('### 🔒 Deployment Locks Claimed')
+  expect(comment).toContain(
+    'You are now the only user that can trigger deployments to the `staging`, `production` environments until the deployment locks are removed'
+  )
+  expect(comment).toContain('- __Reason__: `release day`')
+  expect(comment).toContain(
+    '> These locks will automatically expire in `2h` or when someone runs `.unlock staging,production`'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `✅ deployment locks obtained for ${COLORS.highlight}staging,production`
+  )
+})
+
+test('obtains non-sticky deployment locks for a deployment to multiple environments without leaving a comment', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.deploy to staging,production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+
+  expect(
+    await lock(
+      sharedRepoOctokit(repo),
+      context,
+      ref,
+      123,
+      false, // sticky
+      'staging,production',
+      false, // detailsOnly
+      false, // postDeployStep
+      true // leaveComment
+    )
+  ).toStrictEqual({
+    status: true,
+    lockData: null,
+    globalFlag,
+    environment: 'staging,production',
+    global: false
+  })
+
+  expect(repo.writes).toBe(2)
+  expect(sharedRepoLock(repo, 'staging-branch-deploy-lock')).toStrictEqual(
+    expect.objectContaining({reason: 'deployment', sticky: false})
+  )
+  expect(actionStatus.actionStatus).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `✅ deployment locks obtained for ${COLORS.highlight}staging,production`
+  )
+
+  // a "sticky_locks" deployment claims sticky locks without a comment as well
+  expect(
+    (
+      await lock(
+        sharedRepoOctokit({branches: new Set(), files: {}, writes: 0}),
+        context,
+        ref,
+        123,
+        true, // sticky
+        'staging,production',
+        false, // detailsOnly
+        false, // postDeployStep
+        false // leaveComment
+      )
+    ).status
+  ).toBe(true)
+  expect(actionStatus.actionStatus).not.toHaveBeenCalled()
+})
+
+test('keeps a lock the requestor already owns when locking multiple environments', async () => {
+  process.env.INPUT_UNLOCK_TRIGGER = '.unlock'
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock staging,production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'staging-branch-deploy-lock', 'lock.json', {
+    created_by: 'monalisa',
+    environment: 'staging',
+    global: false
+  })
+
+  expect(
+    (await lock(sharedRepoOctokit(repo), context, ref, 123, true, null)).status
+  ).toBe(true)
+  expect(repo.writes).toBe(1)
+  expect(sharedRepoLock(repo, 'production-branch-deploy-lock').created_by).toBe(
+    'monalisa'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔒 ${COLORS.highlight}monalisa${COLORS.reset} already owns the ${COLORS.highlight}staging${COLORS.reset} deployment lock`
+  )
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    '> These locks are _sticky_ and will persist until someone runs `.unlock staging,production`'
+  )
+})
+
+test('does not obtain any deployment locks for multiple environments when one of them is held by someone else', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock staging,production,development'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'global-branch-deploy-lock', 'lock.json', {
+    created_by: 'hubot',
+    environment: null,
+    global: true
+  })
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    created_by: 'octocat',
+    environment: 'production',
+    global: false
+  })
+  addSharedRepoFile(repo, 'development-branch-deploy-lock', 'queue.json', {
+    reservation: {
+      user: 'hubot',
+      expires_at: '2099-06-14T21:12:14.041Z'
+    },
+    waitlist: []
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual({
+    status: false,
+    lockData: null,
+    globalFlag,
+    environment: 'staging,production,development',
+    global: false
+  })
+  expect(repo.writes).toBe(0)
+  expect(octokit.rest.git.createRef).not.toHaveBeenCalled()
+
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'Sorry __monalisa__, the `staging`, `production`, `development` deployment locks could not be claimed together:'
+  )
+  expect(comment).toContain(
+    '- the `global` deployment lock is claimed by __hubot__'
+  )
+  expect(comment).toContain(
+    '- the `production` deployment lock is claimed by __octocat__'
+  )
+  expect(comment).toContain(
+    '- the `development` deployment lock is reserved for __hubot__ until `2099-06-14T21:12:14.041Z`'
+  )
+  expect(comment).toContain(
+    '> No deployment locks were claimed - every environment must be available to lock them together'
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(comment)
+})
+
+test('releases the deployment locks it claimed when it loses the race for one of multiple environments', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock staging,production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const octokit = sharedRepoOctokit(repo)
+
+  // another user claims the production lock just before this request writes it
+  const createOrUpdateFileContents =
+    octokit.rest.repos.createOrUpdateFileContents
+  octokit.rest.repos.createOrUpdateFileContents = jest.fn(async params => {
+    if (params.branch === 'production-branch-deploy-lock') {
+      addSharedRepoFile(repo, params.branch, 'lock.json', {
+        created_by: 'octocat',
+        environment: 'production',
+        global: false,
+        branch: 'octocats-everywhere',
+        unlock_command: '.unlock production'
+      })
+    }
+    return await createOrUpdateFileContents(params)
+  })
+
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+  expect(result.lockData.created_by).toBe('octocat')
+
+  // the staging lock was claimed and then released again
+  expect(repo.writes).toBe(1)
+  expect(sharedRepoLock(repo, 'staging-branch-deploy-lock')).toBe(null)
+  expect(octokit.rest.repos.deleteFile).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'lock.json',
+      branch: 'staging-branch-deploy-lock',
+      message: 'unlock [skip ci]'
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔓 released the ${COLORS.highlight}staging${COLORS.reset} deployment lock as not every lock could be claimed`
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'Sorry __monalisa__, you lost the race to @octocat who claimed the `production` environment deployment lock at the same time'
+    )
+  )
+})
+
+test('overwrites an expired lock while locking multiple environments and skips locks that are already gone when rolling back', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock staging,production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'staging-branch-deploy-lock', 'lock.json', {
+    created_by: 'hubot',
+    environment: 'staging',
+    global: false,
+    expires_at: '2022-06-14T21:12:14.041Z'
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  // someone unlocks staging and another user claims production just before this request writes it
+  const createOrUpdateFileContents =
+    octokit.rest.repos.createOrUpdateFileContents
+  octokit.rest.repos.createOrUpdateFileContents = jest.fn(async params => {
+    if (params.branch === 'production-branch-deploy-lock') {
+      delete repo.files['staging-branch-deploy-lock/lock.json']
+      addSharedRepoFile(repo, params.branch, 'lock.json', {
+        created_by: 'octocat',
+        environment: 'production',
+        global: false
+      })
+    }
+    return await createOrUpdateFileContents(params)
+  })
+
+  expect((await lock(octokit, context, ref, 123, true, null)).status).toBe(
+    false
+  )
+  expect(createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      branch: 'staging-branch-deploy-lock',
+      sha: 'staging-branch-deploy-lock-lock.json'
+    })
+  )
+  expect(octokit.rest.git.createRef).toHaveBeenCalledTimes(1)
+  expect(octokit.rest.repos.deleteFile).not.toHaveBeenCalled()
+})
+
+test('takes over a deployment lock held by someone else as an admin and records it in the lock history', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --takeover --reason hotfix'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const previousLock = {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456',
+    history: [{action: 'takeover', from: 'hubot', by: 'octocat'}]
+  }
+  addSharedRepoFile(
+    repo,
+    'production-branch-deploy-lock',
+    'lock.json',
+    previousLock
+  )
+  const octokit = sharedRepoOctokit(repo)
+  octokit.rest.issues = {createComment: jest.fn().mockReturnValue({})}
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    createdLock
+  )
+
+  const newLock = sharedRepoLock(repo, 'production-branch-deploy-lock')
+  expect(newLock.created_by).toBe('monalisa')
+  expect(newLock.reason).toBe('hotfix')
+  expect(newLock.history).toStrictEqual([
+    {action: 'takeover', from: 'hubot', by: 'octocat'},
+    {
+      action: 'takeover',
+      from: 'octocat',
+      by: 'monalisa',
+      at: expect.any(String),
+      previous_lock: {
+        reason: 'testing',
+        branch: 'octocats-everywhere',
+        created_at: '2022-06-14T21:12:14.041Z',
+        expires_at: null,
+        link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+      }
+    }
+  ])
+  expect(core.setOutput).toHaveBeenCalledWith(
+    'displaced_lock',
+    JSON.stringify(previousLock)
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining(
+        '@octocat, your `production` deployment lock was taken over by the admin __monalisa__'
+      )
+    })
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'You have taken over the `production` environment deployment lock from __octocat__'
+    ),
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `💥 taking over the deployment lock held by ${COLORS.highlight}octocat`
+  )
+})
+
+test('takes over the GLOBAL deployment lock as an admin when the previous lock does not link to a pull request', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock --global --takeover'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'global-branch-deploy-lock', 'lock.json', {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: null,
+    global: true,
+    unlock_command: '.unlock --global',
+    link: null
+  })
+  const octokit = sharedRepoOctokit(repo)
+  octokit.rest.issues = {createComment: jest.fn().mockReturnValue({})}
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual({
+    ...createdLock,
+    environment: null,
+    global: true
+  })
+
+  const newLock = sharedRepoLock(repo, 'global-branch-deploy-lock')
+  expect(newLock.created_by).toBe('monalisa')
+  expect(newLock.global).toBe(true)
+  expect(newLock.history).toHaveLength(1)
+  expect(core.setOutput).toHaveBeenCalledWith('global_lock_claimed', 'true')
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> __octocat__ could not be notified as their lock does not link to a pull request'
+    ),
+    true,
+    true
+  )
+})
+
+test('tells an admin they lost the race when the lock changes while they are taking it over', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --takeover'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+  })
+  const octokit = sharedRepoOctokit(repo)
+  const write = octokit.rest.repos.createOrUpdateFileContents
+  octokit.rest.repos.createOrUpdateFileContents = jest.fn(async params => {
+    // another user claims the lock just before the takeover is written
+    repo.files['production-branch-deploy-lock/lock.json'] = {
+      content: Buffer.from(
+        JSON.stringify({
+          ...sharedRepoLock(repo, 'production-branch-deploy-lock'),
+          created_by: 'hubot'
+        })
+      ).toString('base64'),
+      sha: 'hubot-sha'
+    }
+    return await write(params)
+  })
+
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+  expect(result.lockData.created_by).toBe('hubot')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('you lost the race to @hubot')
+  )
+})
+
+test('rejects a lock takeover from a user who is not an admin', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return false
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --takeover'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+  expect(result.lockData.created_by).toBe('octocat')
+  expect(sharedRepoLock(repo, 'production-branch-deploy-lock').created_by).toBe(
+    'octocat'
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Sorry __monalisa__, only admins can use the `--takeover` flag'
+    )
+  )
+})
+
+test('claims a lock like normal when the --takeover flag is used and nobody holds the lock', async () => {
+  const isAdminSpy = jest.spyOn(admin, 'isAdmin')
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --takeover'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const octokit = sharedRepoOctokit(repo)
+  octokit.rest.issues = {createComment: jest.fn().mockReturnValue({})}
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    createdLock
+  )
+  expect(isAdminSpy).not.toHaveBeenCalled()
+  expect(
+    sharedRepoLock(repo, 'production-branch-deploy-lock').history
+  ).toStrictEqual([])
+})
+
+// Helper function to read the lock history entries from a shared in-memory repository
+function sharedRepoHistory(repo) {
+  const file = repo.files['branch-deploy-lock-history/history.json']
+  return file ? JSON.parse(Buffer.from(file.content, 'base64').toString()) : []
+}
+
+test('records the expiry of an overwritten lock and the new claim in the lock history', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    expires_at: '2022-06-14T23:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  expect(
+    await lock(octokit, context, ref, 123, false, environment)
+  ).toStrictEqual(createdLock)
+
+  const history = sharedRepoHistory(repo)
+  expect(history.map(entry => entry.action)).toStrictEqual(['expire', 'claim'])
+  expect(history[0]).toMatchObject({
+    holder: 'octocat',
+    by: 'monalisa',
+    environment: 'production',
+    released_at: '2022-06-14T23:12:14.041Z'
+  })
+  expect(history[1]).toMatchObject({
+    holder: 'monalisa',
+    by: 'monalisa',
+    environment: 'production',
+    released_at: null
+  })
+  expect(repo.branches.has('branch-deploy-lock-history')).toBe(true)
+})
+
+test('records the expiry of a lock in the lock history as soon as it is detected and only once', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --info'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    expires_at: '2022-06-14T23:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456'
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  await lock(octokit, context, ref, 123, null, null, true)
+  await lock(octokit, context, ref, 123, null, null, true)
+
+  const history = sharedRepoHistory(repo)
+  expect(history.map(entry => entry.action)).toStrictEqual(['expire'])
+  expect(history[0]).toMatchObject({
+    holder: 'octocat',
+    released_at: '2022-06-14T23:12:14.041Z'
+  })
+  expect(
+    sharedRepoLock(repo, 'production-branch-deploy-lock').expiry_recorded
+  ).toBe(true)
+})
+
+test('records a lock takeover and the new claim in the lock history', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production --takeover'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    unlock_command: '.unlock production',
+    link: null
+  })
+  const octokit = sharedRepoOctokit(repo)
+
+  expect(await lock(octokit, context, ref, 123, true, null)).toStrictEqual(
+    createdLock
+  )
+
+  const history = sharedRepoHistory(repo)
+  expect(history.map(entry => entry.action)).toStrictEqual([
+    'takeover',
+    'claim'
+  ])
+  expect(history[0]).toMatchObject({holder: 'octocat', by: 'monalisa'})
+})
+
+test('records the release of locks that were rolled back when locking multiple environments', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock staging,production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  const octokit = sharedRepoOctokit(repo)
+  const createRef = octokit.rest.git.createRef
+  octokit.rest.git.createRef = jest.fn(async params => {
+    // another user claims the production lock just before this request does
+    if (params.ref === 'refs/heads/production-branch-deploy-lock') {
+      addSharedRepoFile(repo, 'production-branch-deploy-lock', 'lock.json', {
+        reason: null,
+        branch: 'octocats-everywhere',
+        created_at: new Date().toISOString(),
+        created_by: 'octocat',
+        sticky: true,
+        environment: 'production',
+        global: false,
+        unlock_command: '.unlock production',
+        link: null
+      })
+    }
+    return await createRef(params)
+  })
+
+  const result = await lock(octokit, context, ref, 123, true, null)
+  expect(result.status).toBe(false)
+
+  const history = sharedRepoHistory(repo)
+  expect(history.map(entry => entry.action)).toStrictEqual(['claim', 'release'])
+  expect(history[1]).toMatchObject({holder: 'monalisa', environment: 'staging'})
+})
+
+// Helper function to build the lock data of a scoped environment lock
+function scopedLockData(environment, createdBy) {
+  return {
+    reason: null,
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: createdBy,
+    sticky: true,
+    environment: environment,
+    global: false,
+    unlock_command: `.unlock ${environment}`,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-456'
+  }
+}
+
+test('fails to obtain a scoped deployment lock when its parent scope is locked by someone else', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production/eu'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production', 'octocat')
+  )
+
+  expect(
+    await lock(sharedRepoOctokit(repo), context, ref, 123, true, null)
+  ).toStrictEqual({
+    status: false,
+    lockData: null,
+    globalFlag,
+    environment: 'production/eu',
+    global: false
+  })
+  expect(repo.writes).toBe(0)
+  expect(sharedRepoLock(repo, 'production/eu-branch-deploy-lock')).toBe(null)
+  expect(infoMock).toHaveBeenCalledWith(
+    `🌳 the ${COLORS.highlight}production${COLORS.reset} deployment lock is a parent scope of ${COLORS.highlight}production/eu${COLORS.reset} - checking if requestor is the owner`
+  )
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    'Sorry __monalisa__, the `production` environment deployment lock is currently claimed by __octocat__'
+  )
+  expect(setFailedMock).toHaveBeenCalled()
+})
+
+test('fails to obtain a parent-wide deployment lock when one of its child scopes is locked by someone else', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.deploy production'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production/us-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production/us', 'octocat')
+  )
+
+  const result = await lock(
+    sharedRepoOctokit(repo),
+    context,
+    ref,
+    123,
+    false,
+    'production'
+  )
+  expect(result.status).toBe(false)
+  expect(repo.writes).toBe(0)
+  expect(infoMock).toHaveBeenCalledWith(
+    `🌳 the ${COLORS.highlight}production/us${COLORS.reset} deployment lock is a child scope of ${COLORS.highlight}production${COLORS.reset} - checking if requestor is the owner`
+  )
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    '### ⚠️ Cannot proceed with deployment'
+  )
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    'the `production/us` environment deployment lock is currently claimed by __octocat__'
+  )
+})
+
+test('obtains a scoped deployment lock when the requestor owns the lock of its parent scope', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production/eu'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production', 'monalisa')
+  )
+
+  const result = await lock(
+    sharedRepoOctokit(repo),
+    context,
+    ref,
+    123,
+    true,
+    null
+  )
+  expect(result.status).toBe(true)
+  expect(
+    sharedRepoLock(repo, 'production/eu-branch-deploy-lock')
+  ).toStrictEqual(
+    expect.objectContaining({
+      created_by: 'monalisa',
+      environment: 'production/eu'
+    })
+  )
+  // the requestor is not told that they already own the parent lock
+  expect(actionStatus.actionStatus).toHaveBeenCalledTimes(1)
+  expect(actionStatus.actionStatus.mock.calls[0][3]).not.toContain(
+    'you are already the owner'
+  )
+})
+
+test('does not check the locks of related scopes for a details only request', async () => {
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production/eu --info'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production', 'octocat')
+  )
+
+  expect(
+    (await lock(sharedRepoOctokit(repo), context, ref, 123, true, null, true))
+      .status
+  ).toBe(null)
+})
+
+test('does not obtain scoped deployment locks for multiple environments when a related scope is locked by someone else', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production/eu,staging'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production', 'octocat')
+  )
+
+  expect(
+    (await lock(sharedRepoOctokit(repo), context, ref, 123, true, null)).status
+  ).toBe(false)
+  expect(repo.writes).toBe(0)
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    '- the `production` deployment lock (a related scope of `production/eu`) is claimed by __octocat__'
+  )
+})
+
+test('obtains the deployment locks of a parent scope and its child scope together', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  process.env.INPUT_ENVIRONMENT_TARGETS =
+    'production,production/eu,production/us,staging'
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.lock production,production/eu'
+  const repo = {branches: new Set(), files: {}, writes: 0}
+  addSharedRepoFile(
+    repo,
+    'production/us-branch-deploy-lock',
+    'lock.json',
+    scopedLockData('production/us', 'monalisa')
+  )
+
+  expect(
+    (await lock(sharedRepoOctokit(repo), context, ref, 123, true, null)).status
+  ).toBe(true)
+  expect(repo.writes).toBe(2)
+  expect(sharedRepoLock(repo, 'production-branch-deploy-lock').created_by).toBe(
+    'monalisa'
+  )
+  expect(
+    sharedRepoLock(repo, 'production/eu-branch-deploy-lock').created_by
+  ).toBe('monalisa')
+})
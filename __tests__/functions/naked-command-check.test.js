@@ -93,6 +93,55 @@ test('checks the command and finds that it is NOT naked (lock) with a reason', a
   ).toBe(false)
 })
 
+test('checks the command and finds that it is naked (lock) with a duration', async () => {
+  const body = '.lock --for 2h --reason I am testing a big change'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(true)
+})
+
+test('checks the command and finds that it is NOT naked (lock) with a duration', async () => {
+  const body = '.lock production --for 2h'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(false)
+})
+
+test('checks the command and finds that it is naked (lock) with the lock queue flag', async () => {
+  const body = '.lock --queue'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(true)
+})
+
+test('checks the command and finds that it is NOT naked (deploy) with the lock queue flag', async () => {
+  const body = '.deploy production --queue'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(false)
+})
+
+test('checks the command and finds that it is naked (unlock) with the force flag', async () => {
+  const body = '.unlock --force'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(true)
+})
+
+test('checks the command and finds that it is NOT naked (lock) with the takeover flag', async () => {
+  const body = '.lock production --takeover'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(false)
+})
+
+test('checks the command and finds that it is naked (lock) with the lock history flag', async () => {
+  const body = '.lock --history 20'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(true)
+})
+
 test('checks the command and finds that it is naked (unlock)', async () => {
   const body = '.unlock'
   expect(
@@ -155,3 +204,10 @@ test('checks the command and finds that it is naked with params and extra whites
     await nakedCommandCheck(body, param_separator, triggers, octokit, context)
   ).toBe(true)
 })
+
+test('checks the command and finds that it is naked with the freeze override flag', async () => {
+  const body = '.deploy --override-freeze'
+  expect(
+    await nakedCommandCheck(body, param_separator, triggers, octokit, context)
+  ).toBe(true)
+})
@@ -1,5 +1,13 @@
 import * as core from '@actions/core'
-import {parseParams} from '../../src/functions/params'
+import {
+  parseParams,
+  parseParamSchemas,
+  paramSchema,
+  validateParams,
+  describeParamSchema
+} from '../../src/functions/params'
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
 
 beforeEach(() => {
   jest.clearAllMocks()
@@ -85,3 +93,169 @@ test('it parses a real world example correctly', async () => {
   expect(parsed).toHaveProperty('q', 'my-queue')
   expect(parsed).toHaveProperty('_', [])
 })
+
+const schemas = parseParamSchemas(
+  JSON.stringify({
+    '*': {
+      region: {
+        type: 'string',
+        default: 'us-east-1',
+        pattern: '^[a-z]+-[a-z]+-\\d$'
+      }
+    },
+    production: {
+      cpus: {type: 'number', required: true, enum: [1, 2, 4]},
+      'dry-run': {type: 'boolean', default: false},
+      tag: {type: 'string'}
+    },
+    'production/eu': {
+      region: {
+        type: 'string',
+        enum: ['eu-west-1', 'eu-central-1'],
+        default: 'eu-west-1'
+      }
+    }
+  })
+)
+
+test('it parses parameter schemas', async () => {
+  expect(parseParamSchemas('')).toStrictEqual({})
+  expect(parseParamSchemas(null)).toStrictEqual({})
+  expect(parseParamSchemas('  ')).toStrictEqual({})
+  expect(schemas.production.cpus).toStrictEqual({
+    type: 'number',
+    required: true,
+    enum: [1, 2, 4],
+    default: undefined,
+    pattern: null
+  })
+  expect(schemas['*'].region.pattern).toStrictEqual(/^[a-z]+-[a-z]+-\d$/)
+})
+
+test('it fails to parse invalid parameter schemas', async () => {
+  const invalid = {
+    'not json': 'Unexpected token',
+    '[]': 'the parameter schemas must be a JSON object',
+    '{"production": []}':
+      'the parameter schema for production must be a JSON object',
+    '{"production": {"cpus": "number"}}':
+      'the parameter production.cpus must be a JSON object',
+    '{"production": {"cpus": {"type": "number", "min": 1}}}':
+      'the parameter production.cpus has unknown fields: min',
+    '{"production": {"cpus": {"type": "integer"}}}':
+      'the parameter production.cpus must have a type of string, number, boolean',
+    '{"production": {"cpus": {"type": "number", "required": "yes"}}}':
+      'the required field of the parameter production.cpus must be true or false',
+    '{"production": {"cpus": {"type": "number", "enum": []}}}':
+      'the enum of the parameter production.cpus must be a list of number values',
+    '{"production": {"cpus": {"type": "number", "enum": ["1"]}}}':
+      'the enum of the parameter production.cpus must be a list of number values',
+    '{"production": {"cpus": {"type": "number", "pattern": "\\\\d"}}}':
+      'the pattern of the parameter production.cpus can only be used with a string type',
+    '{"production": {"tag": {"type": "string", "pattern": "("}}}':
+      'the pattern of the parameter production.tag is not a valid regular expression',
+    '{"production": {"cpus": {"type": "number", "default": "2"}}}':
+      'the default of the parameter production.cpus is not a valid number value for the parameter',
+    '{"production": {"cpus": {"type": "number", "enum": [1], "default": 2}}}':
+      'the default of the parameter production.cpus is not a valid number value for the parameter',
+    '{"production": {"tag": {"type": "string", "pattern": "^v", "default": "1"}}}':
+      'the default of the parameter production.tag is not a valid string value for the parameter'
+  }
+
+  for (const [input, error] of Object.entries(invalid)) {
+    expect(() => parseParamSchemas(input)).toThrow(
+      `Invalid value for 'param_schemas': ${error}`
+    )
+  }
+})
+
+test('it finds the parameter schema of an environment', async () => {
+  expect(paramSchema({}, 'production')).toBe(null)
+  expect(paramSchema({production: {}}, 'staging')).toBe(null)
+  expect(Object.keys(paramSchema(schemas, 'staging'))).toStrictEqual(['region'])
+  expect(Object.keys(paramSchema(schemas, 'production'))).toStrictEqual([
+    'region',
+    'cpus',
+    'dry-run',
+    'tag'
+  ])
+
+  // the most specific declaration of a parameter is used
+  expect(paramSchema(schemas, 'production/eu').region.enum).toStrictEqual([
+    'eu-west-1',
+    'eu-central-1'
+  ])
+})
+
+test('it validates and normalizes parameters against a schema', async () => {
+  const schema = paramSchema(schemas, 'production')
+  expect(
+    validateParams('--cpus=2 --dry-run --region us-west-2', schema)
+  ).toStrictEqual({
+    valid: true,
+    parsed_params: {region: 'us-west-2', cpus: 2, 'dry-run': true},
+    errors: []
+  })
+  expect(
+    validateParams('--cpus 4 --dry-run=false --tag=', schema)
+  ).toStrictEqual({
+    valid: true,
+    parsed_params: {region: 'us-east-1', cpus: 4, 'dry-run': false, tag: ''},
+    errors: []
+  })
+  expect(validateParams('--no-dry-run --cpus=1', schema)).toStrictEqual({
+    valid: true,
+    parsed_params: {region: 'us-east-1', cpus: 1, 'dry-run': false},
+    errors: []
+  })
+  expect(validateParams(null, paramSchema(schemas, 'staging'))).toStrictEqual({
+    valid: true,
+    parsed_params: {region: 'us-east-1'},
+    errors: []
+  })
+  expect(debugMock).toHaveBeenCalledWith(
+    'validated parameters: --no-dry-run --cpus=1, produced: {"region":"us-east-1","cpus":1,"dry-run":false} with 0 errors'
+  )
+})
+
+test('it reports every invalid parameter', async () => {
+  const schema = paramSchema(schemas, 'production')
+  expect(
+    validateParams(
+      'LOG=1 --cpu=fuor --region=EU --dry-run=maybe --tag a --tag b',
+      schema
+    )
+  ).toStrictEqual({
+    valid: false,
+    parsed_params: {},
+    errors: [
+      '`LOG=1` is not a named parameter (use `--name=value`)',
+      '`--cpu` is not a known parameter',
+      '`--region` must match the pattern `^[a-z]+-[a-z]+-\\d$` but got `EU`',
+      '`--cpus` is required',
+      '`--dry-run` must be a boolean but got `maybe`',
+      '`--tag` was given more than once'
+    ]
+  })
+  expect(validateParams('--cpus=fuor --tag', schema).errors).toStrictEqual([
+    '`--cpus` must be a number but got `fuor`',
+    '`--tag` requires a string value'
+  ])
+  expect(validateParams('--cpus=3', schema).errors).toStrictEqual([
+    '`--cpus` must be one of `1`, `2`, `4` but got `3`'
+  ])
+  expect(validateParams('--cpus= ', schema).errors).toStrictEqual([
+    '`--cpus` must be a number but got ``'
+  ])
+})
+
+test('it describes the parameters of a schema', async () => {
+  expect(describeParamSchema(paramSchema(schemas, 'production'))).toBe(
+    [
+      '- `--region` (string, pattern: `^[a-z]+-[a-z]+-\\d$`, default: `us-east-1`)',
+      '- `--cpus` (number, required, one of: `1`, `2`, `4`)',
+      '- `--dry-run` (boolean, default: `false`)',
+      '- `--tag` (string)'
+    ].join('\n')
+  )
+})
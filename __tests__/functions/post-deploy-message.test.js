@@ -161,6 +161,50 @@ test('successfully constructs a post deploy message with the defaults', async ()
   )
 })
 
+test('successfully constructs a post deploy message for a deployment to multiple environments', async () => {
+  data.environment = 'staging,production'
+  data.environment_url = null
+  data.deployment_id = null
+  data.deployments = [
+    {
+      environment: 'staging',
+      deployment_id: 123,
+      environment_url: 'https://staging.example.com'
+    },
+    {environment: 'production', deployment_id: 456, environment_url: null}
+  ]
+  deployment_metadata = renderDeploymentMetadata(data)
+  expect(
+    await postDeployMessage(
+      context, // context
+      data
+    )
+  ).toStrictEqual(
+    dedent(`
+    ### Deployment Results ✅
+
+    **${context.actor}** successfully deployed branch \`${ref}\` to **staging,production**
+
+    | Environment | Deployment | Environment URL |
+    | ----------- | ---------- | --------------- |
+    | staging | \`123\` | [staging.example.com](https://staging.example.com) |
+    | production | \`456\` | - |
+
+    ${deployment_metadata}`)
+  )
+})
+
+test('successfully constructs a post deploy message for a noop deployment to multiple environments', async () => {
+  data.noop = true
+  data.deployments = [
+    {environment: 'staging', deployment_id: null, environment_url: null},
+    {environment: 'production', deployment_id: null, environment_url: null}
+  ]
+  expect(await postDeployMessage(context, data)).toContain(
+    '| staging | - | - |\n| production | - | - |'
+  )
+})
+
 test('successfully constructs a post deploy message with the defaults during a "noop" deploy', async () => {
   data.noop = true
   deployment_metadata = renderDeploymentMetadata(data)
@@ -326,6 +326,104 @@ test('successfully completes a production branch deployment and removes a non-st
   )
 })
 
+test('successfully completes a deployment to multiple environments and removes their non-sticky locks', async () => {
+  jest.spyOn(lock, 'lock').mockImplementation(() => {
+    return {lockData: {sticky: false}}
+  })
+  const unlockSpy = jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return true
+  })
+  const createDeploymentStatusSpy = jest.spyOn(
+    createDeploymentStatus,
+    'createDeploymentStatus'
+  )
+
+  data.status = 'failure'
+  data.environment = 'staging,production'
+  data.deployment_id = '123,456'
+  data.deployments = [
+    {
+      environment: 'staging',
+      deployment_id: 123,
+      environment_url: 'https://staging.example.com'
+    },
+    {environment: 'production', deployment_id: 456, environment_url: null}
+  ]
+
+  expect(await postDeploy(context, octokit, data)).toBe('success')
+
+  expect(postDeployMessage.postDeployMessage).toHaveBeenCalledWith(
+    context,
+    expect.objectContaining({
+      environment: 'staging,production',
+      deployment_id: null,
+      deployments: data.deployments
+    })
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledTimes(1)
+  expect(createDeploymentStatusSpy).toHaveBeenCalledTimes(2)
+  expect(createDeploymentStatusSpy).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'test-ref',
+    'failure',
+    123,
+    'staging',
+    'https://staging.example.com'
+  )
+  expect(createDeploymentStatusSpy).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'test-ref',
+    'failure',
+    456,
+    'production',
+    null
+  )
+  expect(unlockSpy).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'staging',
+    true
+  )
+  expect(unlockSpy).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'production',
+    true
+  )
+})
+
+test('successfully completes a noop deployment to multiple environments and removes their non-sticky locks', async () => {
+  jest.spyOn(lock, 'lock').mockImplementation(() => {
+    return {lockData: {sticky: false}}
+  })
+  const unlockSpy = jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return true
+  })
+
+  data.noop = true
+  data.environment = 'staging,production'
+  data.deployments = [
+    {environment: 'staging', deployment_id: null, environment_url: null},
+    {environment: 'production', deployment_id: null, environment_url: null}
+  ]
+
+  expect(await postDeploy(context, octokit, data)).toBe('success - noop')
+
+  expect(createDeploymentStatus.createDeploymentStatus).not.toHaveBeenCalled()
+  expect(unlockSpy).toHaveBeenCalledTimes(2)
+  expect(unlockSpy).toHaveBeenLastCalledWith(
+    octokit,
+    context,
+    null,
+    'production',
+    true
+  )
+})
+
 test('successfully completes a noop branch deployment and removes a non-sticky lock', async () => {
   const lockSpy = jest.spyOn(lock, 'lock').mockImplementation(() => {
     return {lockData: {sticky: false}}
@@ -86,6 +86,29 @@ test('successfully runs post() Action logic when environment_url is not defined'
   expect(await post()).toBeUndefined()
 })
 
+test('successfully runs post() Action logic for a deployment to multiple environments', async () => {
+  const deployments = [
+    {environment: 'staging', deployment_id: 123, environment_url: null},
+    {environment: 'production', deployment_id: 456, environment_url: null}
+  ]
+  const multipleStates = {
+    ...validStates,
+    environment: 'staging,production',
+    deployment_id: '123,456',
+    deployments: JSON.stringify(deployments)
+  }
+  jest.spyOn(core, 'getState').mockImplementation(name => {
+    return multipleStates[name]
+  })
+
+  expect(await post()).toBeUndefined()
+  expect(postDeploy.postDeploy).toHaveBeenCalledWith(
+    expect.anything(),
+    true,
+    expect.objectContaining({deployments: deployments})
+  )
+})
+
 test('exits due to an invalid Actions context', async () => {
   jest.spyOn(contextCheck, 'contextCheck').mockImplementation(() => {
     return false
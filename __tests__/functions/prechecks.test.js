@@ -49,6 +49,7 @@ beforeEach(() => {
     issue_number: '123',
     inputs: {
       allow_sha_deployments: false,
+      allow_admin_rollbacks: false,
       update_branch: 'disabled',
       stable_branch: 'main',
       trigger: '.deploy',
@@ -2787,6 +2788,48 @@ test('runs prechecks and finds that the commit status is success and skip_review
   )
 })
 
+test('runs prechecks for a deployment to multiple environments and only skips reviews if every environment skips them', async () => {
+  octokit.graphql = jest.fn().mockReturnValue({
+    repository: {
+      pullRequest: {
+        reviewDecision: 'REVIEW_REQUIRED',
+        commits: {
+          nodes: [
+            {
+              commit: {
+                oid: 'abc123',
+                checkSuites: {
+                  totalCount: 1
+                },
+                statusCheckRollup: {
+                  state: 'SUCCESS'
+                }
+              }
+            }
+          ]
+        }
+      }
+    }
+  })
+
+  data.environment = 'staging,development'
+  data.inputs.skipReviews = 'staging'
+
+  expect((await prechecks(context, octokit, data)).status).toBe(false)
+
+  data.inputs.skipReviews = 'development,staging'
+
+  expect(await prechecks(context, octokit, data)).toStrictEqual({
+    message:
+      '✅ CI checks passed and required reviewers have been disabled for this environment',
+    noopMode: false,
+    ref: 'test-ref',
+    status: true,
+    sha: 'abc123',
+    isFork: false
+  })
+})
+
 test('runs prechecks and finds that no ci checks are defined and skip_reviews is set for the environment', async () => {
   octokit.graphql = jest.fn().mockReturnValue({
     repository: {
@@ -2875,6 +2918,79 @@ test('runs prechecks when an exact sha is set, but the sha deployment feature is
   })
 })
 
+test('rejects a rollback to the sha of a previous deployment when the sha deployment feature is not enabled', async () => {
+  data.inputs.allow_sha_deployments = false
+  data.environmentObj.sha = '82c238c277ca3df56fe9418a5913d9188eafe3bc'
+  data.environmentObj.rollback = true
+
+  expect(
+    await prechecks(
+      context, // event context
+      octokit, // octokit instance
+      data // data object
+    )
+  ).toStrictEqual({
+    message: `### ⚠️ Cannot proceed with deployment\n\n- allow_sha_deployments: \`false\`\n\n> sha deployments have not been enabled - rollbacks deploy the exact sha of the last known-good deployment so they require \`allow_sha_deployments\` (or \`allow_admin_rollbacks\` for admins)`,
+    status: false
+  })
+})
+
+test('runs a rollback through the same checks as a sha deployment', async () => {
+  data.inputs.allow_sha_deployments = true
+  data.environmentObj.sha = '82c238c277ca3df56fe9418a5913d9188eafe3bc'
+  data.environmentObj.rollback = true
+
+  expect(await prechecks(context, octokit, data)).toStrictEqual({
+    message: `✅ deployment requested using an exact ${COLORS.highlight}sha${COLORS.reset}`,
+    noopMode: false,
+    ref: data.environmentObj.sha,
+    status: true,
+    sha: data.environmentObj.sha,
+    isFork: false
+  })
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'sha_deployment',
+    data.environmentObj.sha
+  )
+})
+
+test('does not let a user who is not an admin skip the checks on a rollback when admin rollbacks are enabled', async () => {
+  data.inputs.allow_sha_deployments = false
+  data.inputs.allow_admin_rollbacks = true
+  data.environmentObj.sha = '82c238c277ca3df56fe9418a5913d9188eafe3bc'
+  data.environmentObj.rollback = true
+
+  const result = await prechecks(context, octokit, data)
+  expect(result.status).toBe(false)
+  expect(result.message).toContain('sha deployments have not been enabled')
+})
+
+test('lets an admin roll back to the sha of a previous deployment when admin rollbacks are enabled', async () => {
+  jest.spyOn(isAdmin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  data.inputs.allow_sha_deployments = false
+  data.inputs.allow_admin_rollbacks = true
+  data.environmentObj.sha = '82c238c277ca3df56fe9418a5913d9188eafe3bc'
+  data.environmentObj.rollback = true
+
+  expect(await prechecks(context, octokit, data)).toStrictEqual({
+    message: `✅ rollback to the last known-good ${COLORS.highlight}sha${COLORS.reset} requested by an admin`,
+    noopMode: false,
+    ref: data.environmentObj.sha,
+    status: true,
+    sha: data.environmentObj.sha,
+    isFork: false
+  })
+  expect(infoMock).toHaveBeenCalledWith(
+    `✅ rollback to the last known-good ${COLORS.highlight}sha${COLORS.reset} requested by an admin`
+  )
+  expect(setOutputMock).not.toHaveBeenCalledWith(
+    'sha_deployment',
+    data.environmentObj.sha
+  )
+})
+
 test('runs prechecks when an exact sha is set, and the sha deployment feature is enabled', async () => {
   data.inputs.allow_sha_deployments = true
   data.environmentObj.sha = '82c238c277ca3df56fe9418a5913d9188eafe3bc'
@@ -0,0 +1,106 @@
+import {
+  parsePreviewEnvironment,
+  previewEnvironmentName,
+  previewEnvironmentUrl,
+  previewAlias,
+  isPreviewEnvironment
+} from '../../src/functions/preview-environment'
+
+const environmentTargets = 'production,staging'
+
+const preview = parsePreviewEnvironment(
+  'preview',
+  'pr-{pull_request}',
+  'https://{environment}.preview.example.com/?pr={pull_request}',
+  environmentTargets
+)
+
+test('parses the preview environment configuration', () => {
+  expect(preview).toStrictEqual({
+    target: 'preview',
+    environment: 'pr-{pull_request}',
+    url: 'https://{environment}.preview.example.com/?pr={pull_request}'
+  })
+  expect(parsePreviewEnvironment('', '', '', environmentTargets)).toStrictEqual(
+    {target: null, environment: 'pr-{pull_request}', url: null}
+  )
+  expect(
+    parsePreviewEnvironment(
+      ' review ',
+      'review_{pull_request}',
+      undefined,
+      environmentTargets
+    )
+  ).toStrictEqual({
+    target: 'review',
+    environment: 'review_{pull_request}',
+    url: null
+  })
+})
+
+test('fails to parse an invalid preview environment configuration', () => {
+  expect(() =>
+    parsePreviewEnvironment('staging', '', '', environmentTargets)
+  ).toThrow(
+    "Invalid value for 'preview_target': staging must be a single word that is not already the name of an environment target"
+  )
+  expect(() =>
+    parsePreviewEnvironment('my preview', '', '', environmentTargets)
+  ).toThrow("Invalid value for 'preview_target': my preview must be")
+  expect(() =>
+    parsePreviewEnvironment('preview', 'preview', '', environmentTargets)
+  ).toThrow(
+    `Invalid value for 'preview_environment': preview must include {pull_request} and only use letters, numbers, ".", "_", or "-" (EX: pr-{pull_request})`
+  )
+  expect(() =>
+    parsePreviewEnvironment(
+      'preview',
+      'pr/{pull_request}',
+      '',
+      environmentTargets
+    )
+  ).toThrow("Invalid value for 'preview_environment': pr/{pull_request}")
+  expect(() =>
+    parsePreviewEnvironment(
+      'preview',
+      '',
+      'ftp://{environment}.example.com',
+      environmentTargets
+    )
+  ).toThrow(
+    "Invalid value for 'preview_url': ftp://{environment}.example.com must be an http(s) URL template (EX: https://{environment}.example.com)"
+  )
+})
+
+test('generates the name and URL of the preview environment of a pull request', () => {
+  expect(previewEnvironmentName(preview, 1234)).toBe('pr-1234')
+  expect(previewEnvironmentUrl(preview, 1234)).toBe(
+    'https://pr-1234.preview.example.com/?pr=1234'
+  )
+  expect(
+    previewEnvironmentUrl(
+      parsePreviewEnvironment('preview', '', '', environmentTargets),
+      1234
+    )
+  ).toBe(null)
+})
+
+test('gets the preview target as an environment alias', () => {
+  expect(previewAlias(preview, 1234)).toStrictEqual({preview: ['pr-1234']})
+  expect(
+    previewAlias(parsePreviewEnvironment('', '', '', environmentTargets), 1234)
+  ).toStrictEqual({})
+})
+
+test('checks if an environment is the preview environment of a pull request', () => {
+  expect(isPreviewEnvironment('pr-1234', preview, 1234)).toBe(true)
+  expect(isPreviewEnvironment('pr-1234', preview, 5678)).toBe(false)
+  expect(isPreviewEnvironment('production', preview, 1234)).toBe(false)
+  expect(
+    isPreviewEnvironment(
+      'pr-1234',
+      parsePreviewEnvironment('', '', '', environmentTargets),
+      1234
+    )
+  ).toBe(false)
+})
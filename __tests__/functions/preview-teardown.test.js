@@ -0,0 +1,208 @@
+import * as core from '@actions/core'
+import * as deployment from '../../src/functions/deployment'
+import * as unlock from '../../src/functions/unlock'
+import {previewTeardown} from '../../src/functions/preview-teardown'
+import {parsePreviewEnvironment} from '../../src/functions/preview-environment'
+import {COLORS} from '../../src/functions/colors'
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const infoMock = jest.spyOn(core, 'info')
+const warningMock = jest.spyOn(core, 'warning')
+const setFailedMock = jest.spyOn(core, 'setFailed')
+
+const inputs = {
+  preview_environment: parsePreviewEnvironment(
+    'preview',
+    'pr-{pull_request}',
+    'https://{environment}.preview.example.com',
+    'production,staging'
+  )
+}
+
+var context
+var octokit
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(core, 'warning').mockImplementation(() => {})
+  jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return 'removed lock - silent'
+  })
+  jest.spyOn(deployment, 'createDeploymentStatus').mockImplementation(() => {
+    return {}
+  })
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => {
+    return [
+      {databaseId: 3, state: 'ACTIVE', ref: {name: 'my-branch'}},
+      {databaseId: 2, state: 'FAILURE', ref: null, commit: {oid: 'abc123'}},
+      {databaseId: 1, state: 'INACTIVE', ref: {name: 'my-branch'}}
+    ]
+  })
+
+  context = {
+    eventName: 'pull_request',
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    payload: {
+      action: 'closed',
+      pull_request: {
+        merged: false,
+        number: 123
+      }
+    }
+  }
+
+  octokit = {
+    rest: {
+      repos: {
+        deleteAnEnvironment: jest.fn().mockReturnValue({status: 204})
+      }
+    }
+  }
+})
+
+test('successfully tears down the preview environment of a closed pull request', async () => {
+  const teardown = {
+    environment: 'pr-123',
+    pull_request: 123,
+    merged: false,
+    environment_url: 'https://pr-123.preview.example.com',
+    deployments: [3, 2],
+    lock_released: true,
+    environment_deleted: true
+  }
+  expect(await previewTeardown(octokit, context, inputs)).toStrictEqual(
+    teardown
+  )
+  expect(deployment.recentDeployments).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'pr-123',
+    100
+  )
+  expect(deployment.createDeploymentStatus).toHaveBeenCalledTimes(2)
+  expect(deployment.createDeploymentStatus).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'my-branch',
+    'inactive',
+    3,
+    'pr-123'
+  )
+  expect(deployment.createDeploymentStatus).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'abc123',
+    'inactive',
+    2,
+    'pr-123'
+  )
+  expect(unlock.unlock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'pr-123',
+    true
+  )
+  expect(octokit.rest.repos.deleteAnEnvironment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      environment_name: 'pr-123'
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🧹 tearing down the ${COLORS.highlight}pr-123${COLORS.reset} preview environment of pull request ${COLORS.info}123`
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📦 marked ${COLORS.highlight}2${COLORS.reset} deployment(s) as inactive`
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🗑️ deleted the ${COLORS.highlight}pr-123${COLORS.reset} environment`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'teardown',
+    JSON.stringify(teardown)
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('environment', 'pr-123')
+})
+
+test('tears down a preview environment that has no deployments, lock, or GitHub environment', async () => {
+  jest.spyOn(deployment, 'recentDeployments').mockImplementation(() => {
+    return []
+  })
+  jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return 'no deployment lock currently set - silent'
+  })
+  octokit.rest.repos.deleteAnEnvironment = jest
+    .fn()
+    .mockRejectedValue({status: 404, message: 'Not Found'})
+  context.payload.pull_request.merged = true
+
+  expect(await previewTeardown(octokit, context, inputs)).toStrictEqual({
+    environment: 'pr-123',
+    pull_request: 123,
+    merged: true,
+    environment_url: 'https://pr-123.preview.example.com',
+    deployments: [],
+    lock_released: false,
+    environment_deleted: false
+  })
+  expect(deployment.createDeploymentStatus).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏩ the ${COLORS.highlight}pr-123${COLORS.reset} environment does not exist - skipping...`
+  )
+  expect(warningMock).not.toHaveBeenCalled()
+})
+
+test('warns when the GitHub environment of the preview environment cannot be deleted', async () => {
+  octokit.rest.repos.deleteAnEnvironment = jest
+    .fn()
+    .mockRejectedValue({status: 403, message: 'Resource not accessible'})
+
+  const teardown = await previewTeardown(octokit, context, inputs)
+  expect(teardown.environment_deleted).toBe(false)
+  expect(teardown.deployments).toStrictEqual([3, 2])
+  expect(warningMock).toHaveBeenCalledWith(
+    "could not delete the pr-123 environment (this requires a token with the 'administration: write' permission): Resource not accessible"
+  )
+})
+
+test('fails to tear down a preview environment outside of a closed pull request', async () => {
+  context.payload.action = 'opened'
+  expect(await previewTeardown(octokit, context, inputs)).toBe(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    'this workflow can only run in the context of a closed pull request'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    'event name: pull_request, action: opened'
+  )
+  expect(deployment.recentDeployments).not.toHaveBeenCalled()
+
+  expect(await previewTeardown(octokit, {}, inputs)).toBe(false)
+})
+
+test('fails to tear down a preview environment when the preview command is disabled', async () => {
+  expect(
+    await previewTeardown(octokit, context, {
+      preview_environment: parsePreviewEnvironment(
+        '',
+        '',
+        '',
+        'production,staging'
+      )
+    })
+  ).toBe(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    "the 'preview_teardown_mode' input requires the 'preview_target' input to be set"
+  )
+  expect(deployment.recentDeployments).not.toHaveBeenCalled()
+  expect(unlock.unlock).not.toHaveBeenCalled()
+  expect(octokit.rest.repos.deleteAnEnvironment).not.toHaveBeenCalled()
+  expect(setOutputMock).not.toHaveBeenCalled()
+})
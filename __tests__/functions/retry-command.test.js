@@ -0,0 +1,269 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {
+  retryCommand,
+  parsePreDeployMetadata
+} from '../../src/functions/retry-command'
+import * as actionStatus from '../../src/functions/action-status'
+import {COLORS} from '../../src/functions/colors'
+
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+const debugMock = jest.spyOn(core, 'debug')
+const warningMock = jest.spyOn(core, 'warning')
+
+const headSha = 'b69ba12504020c9067abe680c1dc28191d4c9be3'
+
+// builds a "Deployment Triggered" comment with a pre-deploy metadata block like the one created in main.js
+const deploymentComment = (
+  command,
+  branch = 'test-ref',
+  commit = headSha,
+  author = 'github-actions[bot]'
+) => ({
+  user: {login: author},
+  body: dedent(`
+  ### Deployment Triggered 🚀
+
+  <details><summary>Details</summary>
+
+  <!--- pre-deploy-metadata-start -->
+
+  \`\`\`json
+  ${JSON.stringify({
+    type: 'branch',
+    git: {branch: branch, commit: commit},
+    context: {comment: {body: command}}
+  })}
+  \`\`\`
+
+  <!--- pre-deploy-metadata-end -->
+
+  </details>
+  `)
+})
+
+var octokit
+var context
+var inputs
+var comments
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(core, 'warning').mockImplementation(() => {})
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  inputs = {
+    trigger: '.deploy',
+    noop_trigger: '.noop',
+    retry_trigger: '.retry'
+  }
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    },
+    payload: {
+      comment: {
+        id: 789
+      }
+    }
+  }
+
+  comments = [
+    deploymentComment('.noop staging'),
+    deploymentComment('.deploy to staging | cpus="2"'),
+    {body: '.retry'},
+    {body: null},
+    deploymentComment('.rollback production')
+  ]
+
+  octokit = {
+    paginate: jest.fn().mockImplementation(() => {
+      return [...comments]
+    }),
+    rest: {
+      issues: {
+        listComments: jest.fn()
+      },
+      reactions: {
+        listForIssueComment: jest.fn().mockReturnValue({
+          data: [
+            {id: 456, user: {login: 'octocat'}},
+            {id: 123, user: {login: 'github-actions[bot]'}}
+          ]
+        })
+      },
+      pulls: {
+        get: jest.fn().mockReturnValue({
+          status: 200,
+          data: {head: {ref: 'test-ref', sha: headSha}}
+        })
+      }
+    }
+  }
+})
+
+test('parses the pre-deploy metadata of a comment', () => {
+  expect(
+    parsePreDeployMetadata(deploymentComment('.deploy').body)
+  ).toStrictEqual({
+    type: 'branch',
+    git: {branch: 'test-ref', commit: headSha},
+    context: {comment: {body: '.deploy'}}
+  })
+  expect(parsePreDeployMetadata('.deploy')).toBe(null)
+  expect(
+    parsePreDeployMetadata(
+      '<!--- pre-deploy-metadata-end --> <!--- pre-deploy-metadata-start -->'
+    )
+  ).toBe(null)
+  expect(
+    parsePreDeployMetadata(
+      '<!--- pre-deploy-metadata-start --> no json <!--- pre-deploy-metadata-end -->'
+    )
+  ).toBe(null)
+  expect(
+    parsePreDeployMetadata(
+      '<!--- pre-deploy-metadata-start -->\n```json\n{"body": "broken}\n```\n<!--- pre-deploy-metadata-end -->'
+    )
+  ).toBe(null)
+  expect(debugMock).toHaveBeenCalledWith(
+    expect.stringContaining('could not parse the pre-deploy metadata:')
+  )
+})
+
+test('recovers the most recent deploy command of the pull request', async () => {
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    '.deploy to staging | cpus="2"'
+  )
+
+  expect(octokit.paginate).toHaveBeenCalledWith(
+    octokit.rest.issues.listComments,
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      issue_number: 1,
+      per_page: 100
+    })
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'skipping a deployment that is not a deploy or noop: .rollback production'
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔁 retrying the last deployment command: ${COLORS.highlight}.deploy to staging | cpus="2"`
+  )
+})
+
+test('ignores a spoofed deployment comment that was posted after the real one', async () => {
+  comments = [
+    deploymentComment('.deploy to staging'),
+    deploymentComment('.deploy to production', 'evil-ref', headSha, 'octocat')
+  ]
+
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    '.deploy to staging'
+  )
+
+  expect(octokit.rest.reactions.listForIssueComment).toHaveBeenCalledWith(
+    expect.objectContaining({owner: 'corp', repo: 'test', comment_id: 789})
+  )
+  expect(warningMock).toHaveBeenCalledWith(
+    `⚠️ ignoring pre-deploy metadata in a comment that was not left by this Action (author: ${COLORS.highlight}octocat${COLORS.reset})`
+  )
+})
+
+test('fails to retry when the reaction of the Action cannot be found', async () => {
+  octokit.rest.reactions.listForIssueComment = jest
+    .fn()
+    .mockReturnValue({data: [{id: 456, user: {login: 'octocat'}}]})
+
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    false
+  )
+
+  expect(octokit.rest.pulls.get).not.toHaveBeenCalled()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('No previous deploy or noop command was found')
+  )
+})
+
+test('recovers a noop command of an exact sha even if the head of the pull request moved', async () => {
+  comments = [deploymentComment('.noop abc123', 'abc123', 'abc123')]
+
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    '.noop abc123'
+  )
+  expect(setFailedMock).not.toHaveBeenCalled()
+})
+
+test('refuses to retry when the head of the pull request moved', async () => {
+  comments = [deploymentComment('.deploy', 'test-ref', 'deadbeef')]
+
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    false
+  )
+
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### ⚠️ Cannot retry the deployment
+
+    The head of this pull request has moved since \`.deploy\` was run
+
+    - __Previous Commit__: \`deadbeef\`
+    - __Current Commit__: \`${headSha}\`
+
+    > Use \`.retry --latest\` to retry the deployment with the latest commit of this pull request
+    `)
+  )
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('The head of this pull request has moved')
+  )
+})
+
+test('retries with the latest commit when the head of the pull request moved and --latest is used', async () => {
+  comments = [deploymentComment('.deploy', 'test-ref', 'deadbeef')]
+
+  expect(
+    await retryCommand(octokit, context, 123, '.retry --latest', inputs)
+  ).toBe('.deploy')
+
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏭️ the head of the pull request has moved - retrying with the latest commit: ${COLORS.highlight}${headSha}`
+  )
+})
+
+test('fails to retry when there is no previous deploy or noop command', async () => {
+  comments = [{body: '.deploy'}, deploymentComment('.rollback production')]
+
+  expect(await retryCommand(octokit, context, 123, '.retry', inputs)).toBe(
+    false
+  )
+
+  expect(octokit.rest.pulls.get).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    dedent(`
+    ### ⚠️ Cannot retry the deployment
+
+    No previous deploy or noop command was found on this pull request
+
+    > Run \`.deploy\` or \`.noop\` to start a new deployment
+    `)
+  )
+  expect(setFailedMock).toHaveBeenCalled()
+})
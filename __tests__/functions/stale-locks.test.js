@@ -0,0 +1,435 @@
+import * as core from '@actions/core'
+import * as unlock from '../../src/functions/unlock'
+import * as listLocks from '../../src/functions/list-locks'
+import * as lockQueue from '../../src/functions/lock-queue'
+import {staleLocks} from '../../src/functions/stale-locks'
+import {COLORS} from '../../src/functions/colors'
+import {API_HEADERS} from '../../src/functions/api-headers'
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.status = 404
+  }
+}
+
+const setOutputMock = jest.spyOn(core, 'setOutput')
+const setFailedMock = jest.spyOn(core, 'setFailed')
+const infoMock = jest.spyOn(core, 'info')
+const warningMock = jest.spyOn(core, 'warning')
+
+const productionLock = {
+  environment: 'production',
+  global: false,
+  created_by: 'monalisa',
+  reason: 'db migration',
+  sticky: true,
+  branch: 'cool-new-feature',
+  created_at: '2024-01-01T00:00:00.000Z',
+  expires_at: null,
+  age: '10d:0h:0m:0s',
+  link: 'https://github.com/corp/test/pull/3#issuecomment-123',
+  unlock_command: '.unlock production'
+}
+
+const globalLock = {
+  environment: null,
+  global: true,
+  created_by: 'octocat',
+  reason: null,
+  sticky: true,
+  branch: 'octocats-everywhere',
+  created_at: '2024-01-10T12:00:00.000Z',
+  expires_at: null,
+  age: '0d:12h:0m:0s',
+  link: 'https://github.com/corp/test/pull/2#issuecomment-456',
+  unlock_command: '.unlock --global'
+}
+
+var octokit
+var context
+var inputs
+var findAllLocksMock
+var unlockMock
+var expireReservationMock
+var releaseExpiredLockMock
+
+// Helper function to build a page of the branch search that the 'branch' lock store uses to list the lock branches
+function branchSearchPage(names, hasNextPage = false) {
+  return {
+    repository: {
+      refs: {
+        nodes: names.map(name => ({name: name})),
+        pageInfo: {
+          hasNextPage: hasNextPage,
+          endCursor: hasNextPage ? 'cursor' : null
+        }
+      }
+    }
+  }
+}
+
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest.useFakeTimers().setSystemTime(new Date('2024-01-11T00:00:00.000Z'))
+  jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'info').mockImplementation(() => {})
+  jest.spyOn(core, 'debug').mockImplementation(() => {})
+  jest.spyOn(core, 'warning').mockImplementation(() => {})
+  findAllLocksMock = jest
+    .spyOn(listLocks, 'findAllLocks')
+    .mockImplementation(() => {
+      return [productionLock, globalLock]
+    })
+  unlockMock = jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return 'removed lock - silent'
+  })
+  expireReservationMock = jest
+    .spyOn(lockQueue, 'expireReservation')
+    .mockImplementation(() => {
+      return null
+    })
+  releaseExpiredLockMock = jest
+    .spyOn(lockQueue, 'releaseExpiredLock')
+    .mockImplementation(() => {
+      return null
+    })
+
+  context = {
+    eventName: 'schedule',
+    actor: 'monalisa',
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    payload: {}
+  }
+
+  octokit = {
+    graphql: jest.fn().mockReturnValue(branchSearchPage([])),
+    rest: {
+      repos: {
+        getContent: jest.fn().mockImplementation(() => {
+          return {
+            data: {
+              content: Buffer.from(JSON.stringify(productionLock)).toString(
+                'base64'
+              ),
+              sha: 'abc123'
+            }
+          }
+        }),
+        createOrUpdateFileContents: jest.fn().mockReturnValue({})
+      },
+      pulls: {
+        get: jest.fn().mockReturnValue({data: {state: 'open'}})
+      },
+      issues: {
+        createComment: jest.fn().mockReturnValue({data: {}})
+      }
+    }
+  }
+
+  inputs = {
+    environment_targets: 'production,development,staging',
+    stale_lock_max_age: '7d',
+    stale_lock_policy: 'remind'
+  }
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('reminds the holder of a lock that is older than the max age', async () => {
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result).toStrictEqual([
+    {
+      environment: 'production',
+      global: false,
+      created_by: 'monalisa',
+      reason: 'db migration',
+      created_at: '2024-01-01T00:00:00.000Z',
+      age: '10d:0h:0m:0s',
+      pull_request: 3,
+      stale_reason: 'age',
+      action: 'reminded'
+    }
+  ])
+  expect(findAllLocksMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production,development,staging'
+  )
+  expect(unlockMock).not.toHaveBeenCalled()
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1)
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      owner: 'corp',
+      repo: 'test',
+      issue_number: 3,
+      body: expect.stringContaining(
+        'please release it by commenting `.unlock production`'
+      )
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏰ lock for ${COLORS.highlight}production${COLORS.reset} held by ${COLORS.highlight}monalisa${COLORS.reset} is stale (age)`
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    path: 'lock.json',
+    message: 'lock [skip ci]',
+    content: Buffer.from(
+      JSON.stringify({
+        ...productionLock,
+        stale_reminded_at: '2024-01-11T00:00:00.000Z'
+      })
+    ).toString('base64'),
+    branch: 'production-branch-deploy-lock',
+    sha: 'abc123',
+    headers: API_HEADERS
+  })
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'stale_locks',
+    JSON.stringify(result)
+  )
+})
+
+test('does not remind the holder of a stale lock again within the max age', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: Buffer.from(
+        JSON.stringify({
+          ...productionLock,
+          stale_reminded_at: '2024-01-08T00:00:00.000Z'
+        })
+      ).toString('base64'),
+      sha: 'abc123'
+    }
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result).toHaveLength(1)
+  expect(result[0].action).toBe('skipped')
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔕 the holder of the stale lock for ${COLORS.highlight}production${COLORS.reset} has already been reminded within the last ${COLORS.highlight}7d`
+  )
+})
+
+test('reminds the holder of a stale lock again once the max age has passed since the last reminder', async () => {
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: Buffer.from(
+        JSON.stringify({
+          ...productionLock,
+          stale_reminded_at: '2024-01-03T00:00:00.000Z'
+        })
+      ).toString('base64'),
+      sha: 'abc123'
+    }
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result[0].action).toBe('reminded')
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledTimes(1)
+})
+
+test('warns but still reminds the holder of a stale lock when the reminder cannot be recorded', async () => {
+  octokit.rest.repos.createOrUpdateFileContents = jest
+    .fn()
+    .mockRejectedValue(new Error('oh no'))
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result[0].action).toBe('reminded')
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledTimes(1)
+  expect(warningMock).toHaveBeenCalledWith(
+    'failed to record the stale lock reminder for production-branch-deploy-lock: oh no'
+  )
+})
+
+test('does not record a reminder when the stale lock was released in the meantime', async () => {
+  octokit.rest.repos.getContent = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('file not found'))
+  findAllLocksMock.mockImplementation(() => {
+    return [{...productionLock, global: true, environment: null}]
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result[0].action).toBe('reminded')
+  expect(octokit.rest.repos.getContent).toHaveBeenCalledWith(
+    expect.objectContaining({ref: 'global-branch-deploy-lock'})
+  )
+  expect(octokit.rest.repos.createOrUpdateFileContents).not.toHaveBeenCalled()
+})
+
+test('releases a lock whose pull request is closed with the unlock policy', async () => {
+  inputs.stale_lock_policy = 'unlock'
+  octokit.rest.pulls.get = jest.fn().mockImplementation(({pull_number}) => {
+    return {data: {state: pull_number === 2 ? 'closed' : 'open'}}
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result.map(lock => [lock.stale_reason, lock.action])).toStrictEqual([
+    ['age', 'released'],
+    ['closed', 'released']
+  ])
+  expect(unlockMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'production',
+    true,
+    false
+  )
+  expect(unlockMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    null,
+    true,
+    true
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining(
+        'your `global` deployment lock is stale because this pull request has been closed'
+      )
+    })
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 3,
+      body: expect.stringContaining('It has been automatically released')
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔓 released the stale lock for ${COLORS.highlight}global`
+  )
+})
+
+test('does not comment when a stale lock could not be released', async () => {
+  inputs.stale_lock_policy = 'unlock'
+  unlockMock.mockImplementation(() => {
+    return 'failed to delete lock (bad status code) - silent'
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result).toHaveLength(1)
+  expect(result[0].action).toBe('failed')
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(warningMock).toHaveBeenCalledWith(
+    'failed to release the stale lock for production: failed to delete lock (bad status code) - silent'
+  )
+})
+
+test('finds no stale locks and treats a missing pull request as open', async () => {
+  inputs.stale_lock_max_age = '2w'
+  octokit.rest.pulls.get = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Not Found'))
+
+  expect(await staleLocks(octokit, context, inputs)).toStrictEqual([])
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(setOutputMock).toHaveBeenCalledWith('stale_locks', '[]')
+  expect(infoMock).toHaveBeenCalledWith(
+    `✅ found ${COLORS.highlight}0${COLORS.reset} stale deployment locks`
+  )
+})
+
+test('checks the age of a lock that is not linked to a pull request and does not comment on it', async () => {
+  context.eventName = 'workflow_dispatch'
+  findAllLocksMock.mockImplementation(() => {
+    return [{...productionLock, link: 'https://example.com/some/other/link'}]
+  })
+
+  const result = await staleLocks(octokit, context, inputs)
+  expect(result).toHaveLength(1)
+  expect(result[0].pull_request).toBe(null)
+  expect(octokit.rest.pulls.get).not.toHaveBeenCalled()
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔍 checking ${COLORS.highlight}1${COLORS.reset} active deployment lock for staleness`
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `✅ found ${COLORS.highlight}1${COLORS.reset} stale deployment lock`
+  )
+})
+
+test('throws an unexpected error when checking the pull request of a lock', async () => {
+  octokit.rest.pulls.get = jest.fn().mockRejectedValue(new Error('oh no'))
+  await expect(staleLocks(octokit, context, inputs)).rejects.toThrow('oh no')
+})
+
+test('fails when the event is not a schedule or workflow_dispatch event', async () => {
+  context.eventName = 'issue_comment'
+  expect(await staleLocks(octokit, context, inputs)).toBe(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    'this workflow can only run in the context of a schedule or workflow_dispatch event'
+  )
+  expect(findAllLocksMock).not.toHaveBeenCalled()
+})
+
+test('fails when the max age is not a valid duration', async () => {
+  inputs.stale_lock_max_age = 'forever'
+  expect(await staleLocks(octokit, context, inputs)).toBe(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    "invalid value for 'stale_lock_max_age': forever - please use a duration like '1d' or '12h'"
+  )
+  expect(findAllLocksMock).not.toHaveBeenCalled()
+})
+
+test('moves the lock queues forward where a reservation expired without being claimed', async () => {
+  findAllLocksMock.mockImplementationOnce(() => [])
+  octokit.graphql.mockReturnValueOnce(
+    branchSearchPage(['main', 'sandbox-alice-branch-deploy-lock'])
+  )
+  expect(await staleLocks(octokit, context, inputs)).toStrictEqual([])
+  expect(expireReservationMock).toHaveBeenCalledTimes(5)
+  expect(expireReservationMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'sandbox-alice-branch-deploy-lock',
+    'sandbox-alice'
+  )
+  expect(expireReservationMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'global-branch-deploy-lock',
+    'global'
+  )
+  expect(expireReservationMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'staging-branch-deploy-lock',
+    'staging'
+  )
+  expect(releaseExpiredLockMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'staging-branch-deploy-lock',
+    'staging',
+    false
+  )
+})
+
+test('removes expired locks with the unlock policy', async () => {
+  inputs.stale_lock_policy = 'unlock'
+  findAllLocksMock.mockImplementationOnce(() => [])
+  expect(await staleLocks(octokit, context, inputs)).toStrictEqual([])
+  expect(releaseExpiredLockMock).toHaveBeenCalledTimes(4)
+  expect(releaseExpiredLockMock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'global-branch-deploy-lock',
+    'global',
+    true
+  )
+})
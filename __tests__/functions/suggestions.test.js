@@ -0,0 +1,224 @@
+import * as core from '@actions/core'
+import {
+  editDistance,
+  closestMatch,
+  suggestCommand,
+  allTriggers,
+  triggerSuggestion
+} from '../../src/functions/suggestions'
+import {COLORS} from '../../src/functions/colors'
+import {API_HEADERS} from '../../src/functions/api-headers'
+import * as validPermissions from '../../src/functions/valid-permissions'
+
+const debugMock = jest.spyOn(core, 'debug').mockImplementation(() => {})
+const infoMock = jest.spyOn(core, 'info').mockImplementation(() => {})
+const warningMock = jest.spyOn(core, 'warning').mockImplementation(() => {})
+
+const inputs = {
+  environment: 'production',
+  trigger: '.deploy',
+  noop_trigger: '.noop',
+  lock_trigger: '.lock',
+  unlock_trigger: '.unlock',
+  help_trigger: '.help',
+  lock_info_alias: '.wcid',
+  list_locks_trigger: '.locks',
+  rollback_trigger: '.rollback',
+  promote_trigger: '.promote',
+  status_trigger: '.status',
+  history_trigger: '.history',
+  diff_trigger: '.diff',
+  cancel_trigger: '.cancel',
+  retry_trigger: '',
+  param_separator: '|',
+  permissions: ['write', 'admin']
+}
+
+var context
+var octokit
+beforeEach(() => {
+  jest.clearAllMocks()
+  jest
+    .spyOn(validPermissions, 'validPermissions')
+    .mockImplementation(() => true)
+
+  context = {
+    repo: {
+      owner: 'corp',
+      repo: 'test'
+    },
+    issue: {
+      number: 1
+    },
+    payload: {
+      comment: {
+        id: 123
+      }
+    }
+  }
+
+  octokit = {
+    rest: {
+      issues: {
+        createComment: jest.fn().mockReturnValue({data: {}})
+      },
+      reactions: {
+        createForIssueComment: jest.fn().mockReturnValue({data: {}})
+      }
+    }
+  }
+})
+
+test('finds the edit distance between two strings', () => {
+  expect(editDistance('production', 'production')).toBe(0)
+  expect(editDistance('prodution', 'production')).toBe(1)
+  expect(editDistance('productoin', 'production')).toBe(1)
+  expect(editDistance('.dpeloy', '.deploy')).toBe(1)
+  expect(editDistance('stagign', 'staging')).toBe(1)
+  expect(editDistance('prod', 'production')).toBe(6)
+  expect(editDistance('', 'qa')).toBe(2)
+  expect(editDistance('qa', '')).toBe(2)
+})
+
+test('finds the closest match for a word', () => {
+  const candidates = ['production', 'development', 'staging', 'qa']
+  expect(closestMatch('prodution', candidates)).toBe('production')
+  expect(closestMatch('prdoution', candidates)).toBe('production')
+  expect(closestMatch('stagign', candidates)).toBe('staging')
+  expect(closestMatch('q', candidates)).toBe('qa')
+  expect(closestMatch('production', candidates)).toBe(null)
+  expect(closestMatch('prod', candidates)).toBe(null)
+  expect(closestMatch('stgng', candidates)).toBe(null)
+  expect(closestMatch('prodution', [])).toBe(null)
+
+  // the closest candidate wins
+  expect(closestMatch('.lcoks', ['.lock', '.locks'])).toBe('.locks')
+  expect(closestMatch('prodction', ['productio', 'production'])).toBe(
+    'production'
+  )
+})
+
+test('suggests a corrected command', () => {
+  const candidates = ['production', 'development', 'staging']
+  expect(
+    suggestCommand('.deploy to prodution', candidates, ['.deploy', 'to'])
+  ).toBe('.deploy to production')
+  expect(
+    suggestCommand('.deploy stagign, prodution', candidates, ['.deploy'])
+  ).toBe('.deploy staging, production')
+  expect(debugMock).toHaveBeenCalledWith(
+    'suggested command: .deploy to prodution -> .deploy to production'
+  )
+  expect(
+    suggestCommand('.lock --info stagng', candidates, ['.lock', '.unlock'])
+  ).toBe('.lock --info staging')
+  expect(
+    suggestCommand('.deploy to production', candidates, ['.deploy', 'to'])
+  ).toBe(null)
+  expect(suggestCommand('.deploy to moon', candidates, ['.deploy'])).toBe(null)
+  expect(suggestCommand('.deploy to prodution', candidates)).toBe(
+    '.deploy to production'
+  )
+})
+
+test('gets every configured trigger', () => {
+  expect(allTriggers(inputs)).toStrictEqual([
+    '.deploy',
+    '.noop',
+    '.lock',
+    '.unlock',
+    '.help',
+    '.wcid',
+    '.locks',
+    '.rollback',
+    '.promote',
+    '.status',
+    '.history',
+    '.diff',
+    '.cancel'
+  ])
+})
+
+test('suggests the closest command for a mistyped trigger', async () => {
+  expect(
+    await triggerSuggestion(octokit, context, '.dpeloy to production', inputs)
+  ).toBe('.deploy to production')
+  expect(infoMock).toHaveBeenCalledWith(
+    `💡 comment looks like a mistyped command: ${COLORS.highlight}.dpeloy${COLORS.reset} - did you mean ${COLORS.highlight}.deploy${COLORS.reset}?`
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    issue_number: 1,
+    body: expect.stringContaining(
+      '### Unknown Command\n\n#### Did you mean?\n\n```text\n.deploy to production\n```\n\n> `.dpeloy` is not a command. Examples of valid commands: `.deploy to production`, `.noop to production`, `.deploy to production | <params>` - use `.help` to see every command'
+    ),
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.reactions.createForIssueComment).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    comment_id: 123,
+    content: '-1',
+    headers: API_HEADERS
+  })
+
+  expect(await triggerSuggestion(octokit, context, '.nop', inputs)).toBe(
+    '.noop'
+  )
+  expect(
+    await triggerSuggestion(octokit, context, '.unlokc staging', inputs)
+  ).toBe('.unlock staging')
+})
+
+test('does not suggest a command to a user without valid permissions', async () => {
+  validPermissions.validPermissions.mockImplementationOnce(
+    () => '👋 @monalisa, that command requires the following permission(s)'
+  )
+
+  expect(
+    await triggerSuggestion(octokit, context, '.dpeloy to production', inputs)
+  ).toBe(null)
+  expect(validPermissions.validPermissions).toHaveBeenCalledWith(
+    octokit,
+    context,
+    ['write', 'admin']
+  )
+  expect(debugMock).toHaveBeenCalledWith(
+    'not suggesting a command: 👋 @monalisa, that command requires the following permission(s)'
+  )
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(octokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled()
+})
+
+test('logs a warning instead of failing when a suggestion cannot be made', async () => {
+  octokit.rest.issues.createComment = jest
+    .fn()
+    .mockRejectedValue(new Error('Resource not accessible by integration'))
+
+  expect(
+    await triggerSuggestion(octokit, context, '.dpeloy to production', inputs)
+  ).toBe(null)
+  expect(warningMock).toHaveBeenCalledWith(
+    '⚠️ could not suggest a command: Resource not accessible by integration'
+  )
+  expect(octokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled()
+})
+
+test('does not suggest a command for a regular comment', async () => {
+  for (const body of [
+    'deploy to production',
+    'LGTM',
+    '.gitignore needs an update',
+    '',
+    '#deploy'
+  ]) {
+    expect(await triggerSuggestion(octokit, context, body, inputs)).toBe(null)
+  }
+  expect(debugMock).toHaveBeenCalledWith(
+    'no trigger suggestion found for: deploy'
+  )
+  expect(validPermissions.validPermissions).not.toHaveBeenCalled()
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(octokit.rest.reactions.createForIssueComment).not.toHaveBeenCalled()
+})
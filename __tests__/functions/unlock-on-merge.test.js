@@ -14,6 +14,21 @@ const environment_targets = 'production,development,staging'
 
 var context
 var octokit
+// Helper function to build a page of the branch search that the 'branch' lock store uses to list the lock branches
+function branchSearchPage(names, hasNextPage = false) {
+  return {
+    repository: {
+      refs: {
+        nodes: names.map(name => ({name: name})),
+        pageInfo: {
+          hasNextPage: hasNextPage,
+          endCursor: hasNextPage ? 'cursor' : null
+        }
+      }
+    }
+  }
+}
+
 beforeEach(() => {
   jest.clearAllMocks()
   jest.spyOn(core, 'setFailed').mockImplementation(() => {})
@@ -51,7 +66,12 @@ beforeEach(() => {
     }
   }
 
-  octokit = {}
+  octokit = {
+    graphql: jest.fn().mockReturnValue(branchSearchPage([])),
+    rest: {
+      repos: {}
+    }
+  }
 })
 
 test('successfully unlocks all environments on a pull request merge', async () => {
@@ -73,6 +93,41 @@ test('successfully unlocks all environments on a pull request merge', async () =
   )
 })
 
+test('unlocks the environments that are only found in the lock store on a pull request merge', async () => {
+  octokit.graphql.mockReturnValueOnce(
+    branchSearchPage([
+      'main',
+      'staging-branch-deploy-lock',
+      'sandbox-alice-branch-deploy-lock',
+      'pr-123-branch-deploy-lock'
+    ])
+  )
+
+  expect(
+    await unlockOnMerge(octokit, context, environment_targets)
+  ).toStrictEqual(true)
+  expect(octokit.graphql).toHaveBeenCalledWith(
+    expect.any(String),
+    expect.objectContaining({
+      repo_owner: 'corp',
+      repo_name: 'test',
+      query: 'branch-deploy-lock'
+    })
+  )
+  expect(unlock.unlock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'sandbox-alice',
+    true,
+    false
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'unlocked_environments',
+    'production,development,staging,sandbox-alice,pr-123'
+  )
+})
+
 test('finds that no deployment lock is set so none are removed', async () => {
   jest.spyOn(unlock, 'unlock').mockImplementation(() => {
     return 'no deployment lock currently set - silent'
@@ -152,3 +207,122 @@ test('fails due to the context not being a PR merge', async () => {
     'this workflow can only run in the context of a merged pull request'
   )
 })
+
+test('successfully unlocks all environments and the global lock on a pull request merge', async () => {
+  jest.spyOn(checkLockFile, 'checkLockFile').mockImplementation(() => {
+    return {
+      created_by: 'monalisa',
+      reason: 'db migration',
+      link: 'https://github.com/corp/test/pull/123#issuecomment-123456789'
+    }
+  })
+
+  expect(await unlockOnMerge(octokit, context, 'production')).toStrictEqual(
+    true
+  )
+  expect(unlock.unlock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    'production',
+    true,
+    false
+  )
+  expect(unlock.unlock).toHaveBeenCalledWith(
+    octokit,
+    context,
+    null,
+    null,
+    true,
+    true
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔓 removed lock - environment: ${COLORS.highlight}global${COLORS.reset}`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'unlocked_environments',
+    'production'
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'released_locks',
+    JSON.stringify([
+      {
+        environment: 'production',
+        global: false,
+        created_by: 'monalisa',
+        lock_reason: 'db migration',
+        release_reason: 'merged',
+        pull_request: 123
+      },
+      {
+        environment: null,
+        global: true,
+        created_by: 'monalisa',
+        lock_reason: 'db migration',
+        release_reason: 'merged',
+        pull_request: 123
+      }
+    ])
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('global_lock_released', 'true')
+})
+
+test('successfully unlocks an environment on a pull request that was closed without merging in the unlock on close mode', async () => {
+  context.payload.pull_request.merged = false
+  jest.spyOn(checkLockFile, 'checkLockFile').mockImplementation(() => {
+    return {
+      created_by: 'monalisa',
+      link: 'https://github.com/corp/test/pull/123#issuecomment-123456789'
+    }
+  })
+  checkBranch.checkBranch.mockImplementation((octokit, context, branch) => {
+    return branch === 'staging-branch-deploy-lock'
+  })
+
+  expect(
+    await unlockOnMerge(octokit, context, environment_targets, true)
+  ).toStrictEqual(true)
+  expect(infoMock).toHaveBeenCalledWith(
+    `🔍 pull request ${COLORS.info}123${COLORS.reset} was closed without merging`
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏩ no lock branch found for environment ${COLORS.highlight}global${COLORS.reset} - skipping...`
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('unlocked_environments', 'staging')
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'released_locks',
+    JSON.stringify([
+      {
+        environment: 'staging',
+        global: false,
+        created_by: 'monalisa',
+        lock_reason: null,
+        release_reason: 'closed',
+        pull_request: 123
+      }
+    ])
+  )
+  expect(setOutputMock).not.toHaveBeenCalledWith('global_lock_released', 'true')
+})
+
+test('fails due to the context not being a PR merge when the pull request was closed without merging', async () => {
+  context.payload.pull_request.merged = false
+  expect(
+    await unlockOnMerge(octokit, context, environment_targets)
+  ).toStrictEqual(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    'this workflow can only run in the context of a merged pull request'
+  )
+  expect(unlock.unlock).not.toHaveBeenCalled()
+})
+
+test('fails due to the context not being a closed PR in the unlock on close mode', async () => {
+  context.payload.action = 'opened'
+  context.payload.pull_request.merged = false
+  expect(
+    await unlockOnMerge(octokit, context, environment_targets, true)
+  ).toStrictEqual(false)
+  expect(setFailedMock).toHaveBeenCalledWith(
+    'this workflow can only run in the context of a closed pull request'
+  )
+})
@@ -1,7 +1,10 @@
 import * as core from '@actions/core'
 import {unlock} from '../../src/functions/unlock'
 import * as actionStatus from '../../src/functions/action-status'
+import * as lockQueue from '../../src/functions/lock-queue'
+import * as admin from '../../src/functions/admin'
 import {API_HEADERS} from '../../src/functions/api-headers'
+import {COLORS} from '../../src/functions/colors'
 
 class NotFoundError extends Error {
   constructor(message) {
@@ -22,12 +25,29 @@ beforeEach(() => {
   jest.spyOn(core, 'warning').mockImplementation(() => {})
   jest.spyOn(core, 'debug').mockImplementation(() => {})
   jest.spyOn(core, 'setOutput').mockImplementation(() => {})
+  jest.spyOn(lockQueue, 'promoteQueue').mockImplementation(() => {
+    return null
+  })
+  jest.spyOn(lockQueue, 'activeReservation').mockImplementation(() => {
+    return null
+  })
   process.env.INPUT_ENVIRONMENT = 'production'
   process.env.INPUT_UNLOCK_TRIGGER = '.unlock'
   process.env.INPUT_GLOBAL_LOCK_FLAG = '--global'
+  process.env.INPUT_LOCK_HISTORY = 'false'
+  process.env.INPUT_ENVIRONMENT_TARGETS = 'production,development,staging'
+  process.env.INPUT_ENVIRONMENT_ALIASES = ''
+  process.env.INPUT_PREVIEW_TARGET = ''
 
   octokit = {
     rest: {
+      repos: {
+        getContent: jest
+          .fn()
+          .mockRejectedValue(
+            Object.assign(new Error('Not Found'), {status: 404})
+          )
+      },
       git: {
         deleteRef: jest.fn().mockReturnValue({status: 204})
       }
@@ -92,6 +112,42 @@ test('successfully releases a development environment deployment lock with the u
   })
 })
 
+test('successfully releases the deployment locks of an environment alias and group with the unlock function', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({
+    dev: 'development',
+    'pre-prod': ['development', 'staging']
+  })
+  context.payload.comment.body = '.unlock dev'
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/development-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+
+  context.payload.comment.body = '.unlock pre-prod'
+  await unlock(octokit, context, 123)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/staging-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+})
+
+test('successfully releases the deployment lock of the preview environment with the unlock function', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  context.payload.comment.body = '.unlock preview'
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/pr-1-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+})
+
 test('successfully releases a development environment deployment lock with the unlock function even when a non-need --reason flag is passed in', async () => {
   context.payload.comment.body =
     '.unlock development --reason because i said so'
@@ -104,6 +160,97 @@ test('successfully releases a development environment deployment lock with the u
   })
 })
 
+test('successfully hands a deployment lock over to the next user in the lock queue', async () => {
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  lockQueue.promoteQueue.mockImplementationOnce(() => {
+    return {user: 'octocat', issue_number: 2}
+  })
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(lockQueue.promoteQueue).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'production-branch-deploy-lock',
+    'production'
+  )
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '__octocat__ is next in the lock queue and has been notified'
+    ),
+    true,
+    true
+  )
+})
+
+test('does not release a lock that is reserved for the next user in the lock queue', async () => {
+  lockQueue.activeReservation.mockImplementationOnce(() => {
+    return {user: 'octocat', expires_at: '2999-01-01T00:00:00.000Z'}
+  })
+  octokit.rest.repos = {
+    getContent: jest
+      .fn()
+      .mockRejectedValue(Object.assign(new Error('Not Found'), {status: 404}))
+  }
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(lockQueue.promoteQueue).not.toHaveBeenCalled()
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+  expect(core.info).toHaveBeenCalledWith(
+    `🔔 the ${COLORS.highlight}production${COLORS.reset} deployment lock is reserved for ${COLORS.highlight}octocat${COLORS.reset} - leaving the lock queue as it is`
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    '🔓 There is currently no `production` deployment lock set',
+    true,
+    true
+  )
+})
+
+test('releases a lock that was claimed even if a reservation is still in the lock queue', async () => {
+  context.actor = 'octocat'
+  lockQueue.activeReservation.mockImplementationOnce(() => {
+    return {user: 'octocat', expires_at: '2999-01-01T00:00:00.000Z'}
+  })
+  octokit.rest.repos = {
+    getContent: jest.fn().mockReturnValue({
+      data: {
+        content: Buffer.from(JSON.stringify({created_by: 'octocat'})).toString(
+          'base64'
+        ),
+        sha: 'abc123'
+      }
+    })
+  }
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(lockQueue.promoteQueue).toHaveBeenCalled()
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalled()
+})
+
+test('successfully hands a GLOBAL deployment lock over to the next user in the lock queue - silent mode', async () => {
+  context.payload.comment.body = '.unlock --global'
+  lockQueue.promoteQueue.mockImplementationOnce(() => {
+    return {user: 'octocat', issue_number: 2}
+  })
+  expect(await unlock(octokit, context, 123, null, true)).toBe(
+    'removed lock - silent'
+  )
+  expect(lockQueue.promoteQueue).toHaveBeenCalledWith(
+    octokit,
+    context,
+    'global-branch-deploy-lock',
+    'global'
+  )
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+})
+
 test('successfully releases a deployment lock with the unlock function - silent mode', async () => {
   expect(await unlock(octokit, context, 123, null, true)).toBe(
     'removed lock - silent'
@@ -119,6 +266,7 @@ test('successfully releases a deployment lock with the unlock function - silent
 test('fails to release a deployment lock due to a bad HTTP code from the GitHub API - silent mode', async () => {
   const badHttpOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest.fn().mockReturnValue({status: 500})
       }
@@ -132,6 +280,7 @@ test('fails to release a deployment lock due to a bad HTTP code from the GitHub
 test('throws an error if an unhandled exception occurs - silent mode', async () => {
   const errorOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest.fn().mockRejectedValue(new Error('oh no'))
       }
@@ -147,6 +296,7 @@ test('throws an error if an unhandled exception occurs - silent mode', async ()
 test('Does not find a deployment lock branch so it lets the user know - silent mode', async () => {
   const noBranchOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest
           .fn()
@@ -166,6 +316,7 @@ test('Does not find a deployment lock branch so it lets the user know - silent m
 test('fails to release a deployment lock due to a bad HTTP code from the GitHub API', async () => {
   const badHttpOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest.fn().mockReturnValue({status: 500})
       }
@@ -182,6 +333,7 @@ test('Does not find a deployment lock branch so it lets the user know', async ()
     })
   const noBranchOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest
           .fn()
@@ -213,6 +365,7 @@ test('Does not find a deployment lock branch so it lets the user know', async ()
     })
   const noBranchOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest
           .fn()
@@ -238,6 +391,7 @@ test('Does not find a deployment lock branch so it lets the user know', async ()
 test('throws an error if an unhandled exception occurs', async () => {
   const errorOctokitMock = {
     rest: {
+      repos: octokit.rest.repos,
       git: {
         deleteRef: jest.fn().mockRejectedValue(new Error('oh no'))
       }
@@ -249,3 +403,436 @@ test('throws an error if an unhandled exception occurs', async () => {
     expect(e.message).toBe('Error: oh no')
   }
 })
+
+test('successfully releases the deployment locks for multiple environments at once', async () => {
+  context.payload.comment.body = '.unlock staging,production,development'
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockReturnValueOnce({status: 204})
+    .mockReturnValueOnce({status: 204})
+    .mockRejectedValueOnce(new NotFoundError('Reference does not exist'))
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/staging-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/production-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+  expect(actionStatus.actionStatus).toHaveBeenCalledTimes(1)
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain('### 🔓 Deployment Locks Removed')
+  expect(comment).toContain(
+    'The `staging`, `production` deployment locks have been successfully removed'
+  )
+  expect(comment).toContain(
+    '🔓 There is currently no `development` deployment lock set'
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    comment,
+    true,
+    true
+  )
+})
+
+test('lets the user know when none of the multiple environments have a deployment lock', async () => {
+  context.payload.comment.body = '.unlock staging,production'
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockRejectedValue(new NotFoundError('Reference does not exist'))
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).not.toContain('have been successfully removed')
+  expect(comment).toContain(
+    '🔓 There is currently no `staging`, `production` deployment lock set'
+  )
+})
+
+test('fails to release one of the deployment locks for multiple environments', async () => {
+  context.payload.comment.body = '.unlock staging,production'
+  octokit.rest.git.deleteRef = jest
+    .fn()
+    .mockReturnValueOnce({status: 204})
+    .mockReturnValueOnce({status: 500})
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain('### ⚠️ Cannot remove deployment locks')
+  expect(comment).toContain(
+    'The `production` deployment locks could not be removed'
+  )
+  expect(comment).toContain('> The `staging` deployment locks were removed')
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    comment,
+    false
+  )
+})
+
+test('fails to release any of the deployment locks for multiple environments', async () => {
+  context.payload.comment.body = '.unlock staging,production'
+  octokit.rest.git.deleteRef = jest.fn().mockReturnValue({status: 500})
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'The `staging`, `production` deployment locks could not be removed'
+  )
+  expect(comment).not.toContain('were removed')
+})
+
+test('successfully releases every deployment lock for multiple environments', async () => {
+  context.payload.comment.body = '.unlock staging,production'
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'The `staging`, `production` deployment locks have been successfully removed'
+  )
+  expect(comment).not.toContain('There is currently no')
+})
+
+test('force releases a deployment lock held by someone else as an admin and notifies them', async () => {
+  const lockData = {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+  }
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.id = 456
+  context.payload.comment.body = '.unlock production --force'
+  octokit.rest.repos = {
+    getContent: jest.fn().mockReturnValue({
+      data: {
+        content: Buffer.from(JSON.stringify(lockData)).toString('base64'),
+        sha: 'abc123'
+      }
+    })
+  }
+  octokit.rest.issues = {createComment: jest.fn()}
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/production-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+  expect(core.setOutput).toHaveBeenCalledWith(
+    'displaced_lock',
+    JSON.stringify(lockData)
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining(
+        '@octocat, your `production` deployment lock was force unlocked by the admin __monalisa__'
+      )
+    })
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> This lock was held by __octocat__ who has been notified on their [pull request](https://github.com/corp/test/pull/2#issuecomment-123)'
+    ),
+    true,
+    true
+  )
+})
+
+test('force releases a deployment lock held by someone else that does not link to a pull request', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock --force'
+  octokit.rest.repos = {
+    getContent: jest.fn().mockReturnValue({
+      data: {
+        content: Buffer.from(
+          JSON.stringify({created_by: 'octocat', link: null})
+        ).toString('base64'),
+        sha: 'abc123'
+      }
+    })
+  }
+  octokit.rest.issues = {createComment: jest.fn()}
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> This lock was held by __octocat__ but they could not be notified'
+    ),
+    true,
+    true
+  )
+})
+
+test('force releases a deployment lock as an admin when there is no lock to displace', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock production --force'
+  octokit.rest.repos = {
+    getContent: jest.fn().mockRejectedValueOnce({status: 404})
+  }
+  octokit.rest.issues = {createComment: jest.fn()}
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(core.setOutput).not.toHaveBeenCalledWith(
+    'displaced_lock',
+    expect.anything()
+  )
+  expect(octokit.rest.issues.createComment).not.toHaveBeenCalled()
+})
+
+test('rejects a force unlock from a user who is not an admin', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return false
+  })
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'saveState').mockImplementation(() => {})
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock production --force'
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+  expect(core.setFailed).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Sorry __monalisa__, only admins can use the `--force` flag'
+    )
+  )
+  expect(core.saveState).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('records the release of a deployment lock in the lock history', async () => {
+  process.env.INPUT_LOCK_HISTORY = 'true'
+  const lockData = {
+    reason: 'testing',
+    branch: 'octocats-everywhere',
+    created_at: '2022-06-14T21:12:14.041Z',
+    created_by: 'octocat',
+    sticky: true,
+    environment: 'production',
+    global: false,
+    link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+  }
+  context.actor = 'octocat'
+  context.payload.comment.body = '.unlock production'
+  octokit.rest.repos = {
+    getContent: jest.fn(async ({path}) => {
+      if (path === 'lock.json') {
+        return {
+          data: {
+            content: Buffer.from(JSON.stringify(lockData)).toString('base64'),
+            sha: 'abc123'
+          }
+        }
+      }
+      return {
+        data: {content: Buffer.from('[]').toString('base64'), sha: 'def456'}
+      }
+    }),
+    createOrUpdateFileContents: jest.fn().mockReturnValue({})
+  }
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(octokit.rest.repos.createOrUpdateFileContents).toHaveBeenCalledWith(
+    expect.objectContaining({
+      path: 'history.json',
+      branch: 'branch-deploy-lock-history',
+      sha: 'def456'
+    })
+  )
+  const [entry] = JSON.parse(
+    Buffer.from(
+      octokit.rest.repos.createOrUpdateFileContents.mock.calls[0][0].content,
+      'base64'
+    ).toString()
+  )
+  expect(entry).toMatchObject({
+    action: 'release',
+    holder: 'octocat',
+    by: 'octocat',
+    environment: 'production'
+  })
+})
+
+test('successfully releases the GLOBAL deployment lock when it is requested directly - silent mode', async () => {
+  expect(await unlock(octokit, context, null, null, true, true)).toBe(
+    'removed lock - silent'
+  )
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith({
+    owner: 'corp',
+    repo: 'test',
+    ref: 'heads/global-branch-deploy-lock',
+    headers: API_HEADERS
+  })
+})
+
+test('does not release a deployment lock held by someone else without the --force flag', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock production'
+  octokit.rest.repos.getContent = jest.fn().mockReturnValue({
+    data: {
+      content: Buffer.from(
+        JSON.stringify({
+          created_by: 'octocat',
+          reason: 'testing',
+          branch: 'octocats-everywhere',
+          created_at: '2022-06-14T21:12:14.041Z',
+          link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+        })
+      ).toString('base64'),
+      sha: 'abc123'
+    }
+  })
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  expect(admin.isAdmin).not.toHaveBeenCalled()
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+  expect(lockQueue.promoteQueue).not.toHaveBeenCalled()
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      'Sorry __monalisa__, the `production` deployment lock is held by __octocat__'
+    ),
+    false
+  )
+  expect(actionStatus.actionStatus).toHaveBeenCalledWith(
+    context,
+    octokit,
+    123,
+    expect.stringContaining(
+      '> Only __octocat__ can remove this lock - an admin can remove it for them with the `--force` flag'
+    ),
+    false
+  )
+})
+
+test('does not release the deployment locks held by someone else when unlocking multiple environments without the --force flag', async () => {
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock staging,production'
+  octokit.rest.repos.getContent = jest.fn(async ({ref}) => {
+    if (ref === 'production-branch-deploy-lock') {
+      return {
+        data: {
+          content: Buffer.from(
+            JSON.stringify({created_by: 'octocat'})
+          ).toString('base64'),
+          sha: 'abc123'
+        }
+      }
+    }
+    throw Object.assign(new Error('Not Found'), {status: 404})
+  })
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledTimes(1)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledWith(
+    expect.objectContaining({ref: 'heads/staging-branch-deploy-lock'})
+  )
+  const comment = actionStatus.actionStatus.mock.calls[0][3]
+  expect(comment).toContain(
+    'The `production` deployment locks are held by someone else - only an admin can remove them with the `--force` flag'
+  )
+  expect(comment).toContain('> The `staging` deployment locks were removed')
+  expect(comment).not.toContain('could not be removed')
+})
+
+test('force releases the deployment locks held by someone else for multiple environments as an admin and notifies them', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  context.actor = 'monalisa'
+  context.payload.comment.id = 456
+  context.payload.comment.body = '.unlock staging,production --force'
+  octokit.rest.repos.getContent = jest.fn(async ({ref}) => {
+    return {
+      data: {
+        content: Buffer.from(
+          JSON.stringify({
+            created_by: 'octocat',
+            environment: ref.replace('-branch-deploy-lock', ''),
+            global: false,
+            link: 'https://github.com/corp/test/pull/2#issuecomment-123'
+          })
+        ).toString('base64'),
+        sha: 'abc123'
+      }
+    }
+  })
+  octokit.rest.issues = {createComment: jest.fn()}
+
+  expect(await unlock(octokit, context, 123)).toBe(true)
+  expect(admin.isAdmin).toHaveBeenCalledTimes(1)
+  expect(octokit.rest.git.deleteRef).toHaveBeenCalledTimes(2)
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining(
+        '@octocat, your `staging` deployment lock was force unlocked by the admin __monalisa__'
+      )
+    })
+  )
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      issue_number: 2,
+      body: expect.stringContaining(
+        '@octocat, your `production` deployment lock was force unlocked by the admin __monalisa__'
+      )
+    })
+  )
+  expect(core.setOutput).toHaveBeenCalledWith(
+    'displaced_lock',
+    expect.stringContaining('"environment":"production"')
+  )
+  expect(actionStatus.actionStatus.mock.calls[0][3]).toContain(
+    'The `staging`, `production` deployment locks have been successfully removed'
+  )
+})
+
+test('rejects a force unlock of multiple environments from a user who is not an admin', async () => {
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return false
+  })
+  jest.spyOn(core, 'setFailed').mockImplementation(() => {})
+  jest.spyOn(core, 'saveState').mockImplementation(() => {})
+  context.actor = 'monalisa'
+  context.payload.comment.body = '.unlock staging,production --force'
+
+  expect(await unlock(octokit, context, 123)).toBe(false)
+  expect(octokit.rest.git.deleteRef).not.toHaveBeenCalled()
+  expect(core.setFailed).toHaveBeenCalledTimes(1)
+})
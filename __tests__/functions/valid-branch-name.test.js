@@ -51,3 +51,20 @@ test('returns null if the branch is null', async () => {
 test('returns undefined if the branch is undefined', async () => {
   expect(constructValidBranchName(undefined)).toBe(undefined)
 })
+
+test('replaces characters that are not allowed in git refs with hyphens', async () => {
+  expect(constructValidBranchName('sandbox:alice~1^2?*[x]\\y')).toBe(
+    'sandbox-alice-1-2---x]-y'
+  )
+  expect(constructValidBranchName('sandbox@{1}')).toBe('sandbox-1}')
+  expect(constructValidBranchName('sandbox\u0000alice\u007f')).toBe(
+    'sandbox-alice-'
+  )
+})
+
+test('removes dot and slash sequences that are not allowed in git refs', async () => {
+  expect(constructValidBranchName('../sandbox..alice')).toBe('sandbox.alice')
+  expect(constructValidBranchName('/production//.eu/')).toBe('production/eu')
+  expect(constructValidBranchName('sandbox.lock/eu.')).toBe('sandbox-lock/eu')
+  expect(constructValidBranchName('production/eu')).toBe('production/eu')
+})
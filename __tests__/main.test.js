@@ -2,11 +2,22 @@ import {run} from '../src/main'
 import * as reactEmote from '../src/functions/react-emote'
 import * as contextCheck from '../src/functions/context-check'
 import * as prechecks from '../src/functions/prechecks'
+import * as admin from '../src/functions/admin'
 import * as branchRulesetChecks from '../src/functions/branch-ruleset-checks'
 import * as help from '../src/functions/help'
+import * as listLocks from '../src/functions/list-locks'
+import * as environmentStatus from '../src/functions/environment-status'
+import * as deploymentHistory from '../src/functions/deployment-history'
+import * as deploymentDiff from '../src/functions/deployment-diff'
+import * as cancelDeployment from '../src/functions/cancel-deployment'
+import * as retryCommand from '../src/functions/retry-command'
+import * as lockHistory from '../src/functions/lock-history'
 import * as validPermissions from '../src/functions/valid-permissions'
 import * as identicalCommitCheck from '../src/functions/identical-commit-check'
 import * as unlockOnMerge from '../src/functions/unlock-on-merge'
+import * as previewTeardown from '../src/functions/preview-teardown'
+import * as suggestions from '../src/functions/suggestions'
+import * as staleLocks from '../src/functions/stale-locks'
 import * as lock from '../src/functions/lock'
 import * as unlock from '../src/functions/unlock'
 import * as actionStatus from '../src/functions/action-status'
@@ -16,6 +27,7 @@ import * as isDeprecated from '../src/functions/deprecated-checks'
 import * as nakedCommandCheck from '../src/functions/naked-command-check'
 import * as validDeploymentOrder from '../src/functions/valid-deployment-order'
 import * as commitSafetyChecks from '../src/functions/commit-safety-checks'
+import * as deployment from '../src/functions/deployment'
 import {COLORS} from '../src/functions/colors'
 
 const setOutputMock = jest.spyOn(core, 'setOutput')
@@ -73,15 +85,29 @@ beforeEach(() => {
   process.env.INPUT_UNLOCK_TRIGGER = '.unlock'
   process.env.INPUT_HELP_TRIGGER = '.help'
   process.env.INPUT_LOCK_INFO_ALIAS = '.wcid'
+  process.env.INPUT_LIST_LOCKS_TRIGGER = '.locks'
+  process.env.INPUT_ROLLBACK_TRIGGER = '.rollback'
+  process.env.INPUT_PROMOTE_TRIGGER = '.promote'
+  process.env.INPUT_STATUS_TRIGGER = '.status'
+  process.env.INPUT_HISTORY_TRIGGER = '.history'
+  process.env.INPUT_DIFF_TRIGGER = '.diff'
+  process.env.INPUT_CANCEL_TRIGGER = '.cancel'
+  process.env.INPUT_RETRY_TRIGGER = '.retry'
   process.env.INPUT_REQUIRED_CONTEXTS = 'false'
   process.env.INPUT_ALLOW_FORKS = 'true'
   process.env.GITHUB_REPOSITORY = 'corp/test'
   process.env.INPUT_GLOBAL_LOCK_FLAG = '--global'
   process.env.INPUT_MERGE_DEPLOY_MODE = 'false'
   process.env.INPUT_UNLOCK_ON_MERGE_MODE = 'false'
+  process.env.INPUT_UNLOCK_ON_CLOSE_MODE = 'false'
+  process.env.INPUT_PREVIEW_TEARDOWN_MODE = 'false'
+  process.env.INPUT_STALE_LOCK_MODE = 'false'
+  process.env.INPUT_STALE_LOCK_MAX_AGE = '7d'
+  process.env.INPUT_STALE_LOCK_POLICY = 'remind'
   process.env.INPUT_STICKY_LOCKS = 'false'
   process.env.INPUT_STICKY_LOCKS_FOR_NOOP = 'false'
   process.env.INPUT_ALLOW_SHA_DEPLOYMENTS = 'false'
+  process.env.INPUT_ALLOW_ADMIN_ROLLBACKS = 'false'
   process.env.INPUT_DISABLE_NAKED_COMMANDS = 'false'
   process.env.INPUT_OUTDATED_MODE = 'default_branch'
   process.env.INPUT_CHECKS = 'all'
@@ -89,6 +115,14 @@ beforeEach(() => {
   process.env.INPUT_COMMIT_VERIFICATION = 'false'
   process.env.INPUT_IGNORED_CHECKS = ''
   process.env.INPUT_USE_SECURITY_WARNINGS = 'true'
+  process.env.INPUT_LOCK_STORE = 'branch'
+  process.env.INPUT_FREEZE_WINDOWS = ''
+  process.env.INPUT_PARAM_SCHEMAS = ''
+  process.env.INPUT_ENVIRONMENT_ALIASES = ''
+  process.env.INPUT_ENVIRONMENT_PATTERNS = ''
+  process.env.INPUT_PREVIEW_TARGET = ''
+  process.env.INPUT_PREVIEW_ENVIRONMENT = 'pr-{pull_request}'
+  process.env.INPUT_PREVIEW_URL = ''
 
   github.context.payload = {
     issue: {
@@ -486,6 +520,24 @@ test('successfully runs the action in lock mode with a reason', async () => {
   expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
 })
 
+test('successfully runs the action in lock mode with an environment alias', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({dev: 'development'})
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  const lockSpy = jest.spyOn(lock, 'lock').mockImplementation(() => {
+    return true
+  })
+
+  github.context.payload.comment.body = '.lock dev'
+
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).not.toHaveBeenCalledWith(
+    'No valid environment targets found for lock/unlock request'
+  )
+  expect(lockSpy).toHaveBeenCalled()
+})
+
 test('successfully runs the action in lock mode - details only', async () => {
   const infoSpy = jest.spyOn(core, 'info').mockImplementation(() => {})
   jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
@@ -704,6 +756,64 @@ test('successfully runs the action in lock mode - details only - lock alias wcid
   expect(validDeploymentOrderMock).not.toHaveBeenCalled()
 })
 
+test('successfully runs the action in lock mode - details only - with a lock that expires', async () => {
+  const infoSpy = jest.spyOn(core, 'info').mockImplementation(() => {})
+  const actionStatusSpy = jest
+    .spyOn(actionStatus, 'actionStatus')
+    .mockImplementation(() => {
+      return undefined
+    })
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  const expiresAt = new Date(Date.now() + 90 * 60 * 1000).toISOString()
+  jest.spyOn(lock, 'lock').mockImplementation(() => {
+    return {
+      lockData: {
+        branch: 'octocats-everywhere',
+        created_at: '2022-06-14T21:12:14.041Z',
+        expires_at: expiresAt,
+        created_by: 'octocat',
+        environment: 'production',
+        global: false,
+        link: 'https://github.com/test-org/test-repo/pull/2#issuecomment-456',
+        reason: 'db migration',
+        sticky: true,
+        unlock_command: '.unlock production'
+      },
+      status: 'details-only',
+      globalFlag: '--global',
+      environment: 'production'
+    }
+  })
+
+  github.context.payload.comment.body = '.lock --details'
+
+  expect(await run()).toBe('safe-exit')
+  expect(infoSpy).toHaveBeenCalledWith(
+    expect.stringMatching(/^⌛ the deployment lock will expire in /)
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    expect.stringContaining(`- __Expires At__: \`${expiresAt}\``),
+    true,
+    true
+  )
+  expect(actionStatusSpy).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    expect.stringMatching(
+      /The current lock will automatically expire in `0d:1h:(29|30)m:\d+s`/
+    ),
+    true,
+    true
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
 test('successfully runs the action in lock mode and finds no lock - details only', async () => {
   const infoSpy = jest.spyOn(core, 'info').mockImplementation(() => {})
   jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
@@ -827,6 +937,25 @@ test('runs with a naked command when naked commands are NOT allowed', async () =
   expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
 })
 
+test('checks the commands that default to an environment for naked commands', async () => {
+  process.env.INPUT_DISABLE_NAKED_COMMANDS = 'true'
+  github.context.payload.comment.body = '.cancel'
+  const nakedCommandCheckMock = jest
+    .spyOn(nakedCommandCheck, 'nakedCommandCheck')
+    .mockImplementation(() => {
+      return true
+    })
+  expect(await run()).toBe('safe-exit')
+
+  const triggers = nakedCommandCheckMock.mock.calls[0][2]
+  expect(triggers).toEqual(
+    expect.arrayContaining(['.deploy', '.history', '.diff', '.cancel'])
+  )
+  expect(triggers).not.toContain('.status')
+  expect(triggers).not.toContain('.locks')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
 test('successfully runs the action on a deployment to an exact sha in development with params', async () => {
   process.env.INPUT_ALLOW_SHA_DEPLOYMENTS = 'true'
   jest.spyOn(prechecks, 'prechecks').mockImplementation(() => {
@@ -1033,6 +1162,27 @@ test('fails due to no trigger being found', async () => {
   )
 })
 
+test('suggests the closest command when the trigger is mistyped', async () => {
+  const triggerSuggestionMock = jest
+    .spyOn(suggestions, 'triggerSuggestion')
+    .mockImplementation(() => {
+      return '.deploy to production'
+    })
+  github.context.payload.comment.body = '.dpeloy to production'
+  expect(await run()).toBe('safe-exit')
+  expect(infoMock).toHaveBeenCalledWith(
+    '⛔ no trigger detected in comment - exiting'
+  )
+  expect(triggerSuggestionMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '.dpeloy to production',
+    expect.objectContaining({trigger: '.deploy', noop_trigger: '.noop'})
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('triggered', 'false')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
 test('fails prechecks', async () => {
   jest.spyOn(prechecks, 'prechecks').mockImplementation(() => {
     return {
@@ -1056,6 +1206,409 @@ test('fails prechecks', async () => {
   expect(validDeploymentOrderMock).not.toHaveBeenCalled()
 })
 
+test('fails due to an active deployment freeze window', async () => {
+  process.env.INPUT_FREEZE_WINDOWS = JSON.stringify({
+    production: [
+      {
+        name: 'code freeze',
+        start: '2000-01-01T00:00:00Z',
+        end: '2999-01-01T00:00:00Z'
+      }
+    ]
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  expect(await run()).toBe('failure')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Deployments to `production` are frozen by the `code freeze` freeze window until `2999-01-01T00:00:00.000Z`'
+    )
+  )
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('records a deployment freeze override by an admin in the deployment payload', async () => {
+  process.env.INPUT_FREEZE_WINDOWS = JSON.stringify({
+    production: [
+      {
+        name: 'code freeze',
+        start: '2000-01-01T00:00:00Z',
+        end: '2999-01-01T00:00:00Z'
+      }
+    ]
+  })
+  github.context.payload.comment.body = '.deploy --override-freeze'
+  jest.spyOn(admin, 'isAdmin').mockImplementation(() => {
+    return true
+  })
+  expect(await run()).toBe('success')
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'production',
+      payload: expect.objectContaining({
+        actor: 'monalisa',
+        pull_request: 123,
+        freeze_override: {
+          window: 'code freeze',
+          ends_at: '2999-01-01T00:00:00.000Z',
+          overridden_by: 'monalisa'
+        }
+      })
+    })
+  )
+})
+
+test('successfully runs the action on a deployment to multiple environments', async () => {
+  process.env.INPUT_ENVIRONMENT_URLS = 'staging|https://staging.example.com'
+  process.env.INPUT_ENFORCED_DEPLOYMENT_ORDER = 'development,staging,production'
+  github.context.payload.comment.body = '.deploy to staging,production'
+  createDeploymentMock
+    .mockReturnValueOnce({data: {id: 123}})
+    .mockReturnValueOnce({data: {id: 456}})
+  const deployments = [
+    {
+      environment: 'staging',
+      deployment_id: 123,
+      environment_url: 'https://staging.example.com',
+      parsed_params: null
+    },
+    {
+      environment: 'production',
+      deployment_id: 456,
+      environment_url: null,
+      parsed_params: null
+    }
+  ]
+
+  expect(await run()).toBe('success')
+  expect(saveStateMock).toHaveBeenCalledWith(
+    'environment',
+    'staging,production'
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('environment', 'staging')
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environments',
+    'staging,production'
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('deployment_id', 123)
+  expect(setOutputMock).toHaveBeenCalledWith('deployment_ids', '123,456')
+  expect(saveStateMock).toHaveBeenCalledWith('deployment_id', 123)
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'deployment_matrix',
+    JSON.stringify({include: deployments})
+  )
+  expect(saveStateMock).toHaveBeenCalledWith(
+    'deployments',
+    JSON.stringify(deployments)
+  )
+  expect(lock.lock).toHaveBeenCalledWith(
+    expect.any(Object),
+    expect.any(Object),
+    'test-ref',
+    '123',
+    false,
+    'staging,production',
+    null,
+    false,
+    true
+  )
+  expect(validDeploymentOrderMock).toHaveBeenCalledTimes(2)
+  expect(createDeploymentMock).toHaveBeenCalledTimes(2)
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'staging',
+      production_environment: false
+    })
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'production',
+      production_environment: true
+    })
+  )
+  const octokit = github.getOctokit.mock.results[0].value
+  expect(octokit.rest.issues.createComment).toHaveBeenCalledWith(
+    expect.objectContaining({
+      body: expect.stringContaining(
+        '__monalisa__, started a __branch__ deployment to __staging, production__'
+      )
+    })
+  )
+  const commentBody = octokit.rest.issues.createComment.mock.calls[0][0].body
+  expect(commentBody).toContain(
+    '"environment": {\n    "name": "staging",\n    "url": "https://staging.example.com"\n  },'
+  )
+  expect(commentBody).toContain(
+    '"environments": [{"name":"staging","url":"https://staging.example.com"},{"name":"production","url":null}],'
+  )
+})
+
+test('marks the deployments that were already created as errors and releases the locks when a deployment to multiple environments is auto-merged', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  jest
+    .spyOn(lock, 'lock')
+    .mockImplementation(
+      (octokit, context, ref, reactionId, sticky, environment, detailsOnly) => {
+        if (detailsOnly === true) {
+          return {
+            lockData: {sticky: environment === 'production'},
+            status: 'owner'
+          }
+        }
+        return true
+      }
+    )
+  const unlockSpy = jest.spyOn(unlock, 'unlock').mockImplementation(() => {
+    return 'removed lock - silent'
+  })
+  github.context.payload.comment.body = '.deploy to staging,production'
+  createDeploymentMock
+    .mockReturnValueOnce({data: {id: 123}})
+    .mockReturnValueOnce({data: {id: undefined, message: 'Auto-merged'}})
+
+  expect(await run()).toBe('safe-exit')
+  const createDeploymentStatusMock =
+    github.getOctokit.mock.results[0].value.rest.repos.createDeploymentStatus
+  expect(createDeploymentStatusMock).toHaveBeenCalledTimes(2)
+  expect(createDeploymentStatusMock).toHaveBeenLastCalledWith(
+    expect.objectContaining({
+      deployment_id: 123,
+      state: 'error',
+      environment: 'staging'
+    })
+  )
+  expect(unlockSpy).toHaveBeenCalledTimes(1)
+  expect(unlockSpy).toHaveBeenCalledWith(
+    expect.any(Object),
+    expect.any(Object),
+    null,
+    'staging',
+    true
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setOutputMock).not.toHaveBeenCalledWith('deployment_id', 123)
+})
+
+test('successfully runs the action in noop mode on a deployment to multiple environments', async () => {
+  jest.spyOn(prechecks, 'prechecks').mockImplementation(() => {
+    return {
+      ref: 'test-ref',
+      status: true,
+      message: '✔️ PR is approved and all CI checks passed - OK',
+      noopMode: true,
+      sha: 'deadbeef',
+      isFork: false
+    }
+  })
+  github.context.payload.comment.body = '.noop staging,development'
+
+  expect(await run()).toBe('success - noop')
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'deployment_matrix',
+    JSON.stringify({
+      include: [
+        {
+          environment: 'staging',
+          deployment_id: null,
+          environment_url: null,
+          parsed_params: null
+        },
+        {
+          environment: 'development',
+          deployment_id: null,
+          environment_url: null,
+          parsed_params: null
+        }
+      ]
+    })
+  )
+})
+
+test('fails a rollback or a promotion to multiple environments', async () => {
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  github.context.payload.comment.body = '.rollback staging,production'
+  expect(await run()).toBe('failure')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Rollbacks can only target one environment at a time\n\n> Run `.rollback` once for each of the following environments: `staging,production`'
+    )
+  )
+
+  github.context.payload.comment.body =
+    '.promote development to staging,production'
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'Promotions can only target one environment at a time'
+    )
+  )
+  expect(prechecks.prechecks).not.toHaveBeenCalled()
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('successfully runs a rollback to the last known-good deployment', async () => {
+  process.env.INPUT_ENFORCED_DEPLOYMENT_ORDER = 'development,staging,production'
+  github.context.payload.comment.body = '.rollback production'
+  jest
+    .spyOn(deployment, 'previousSuccessfulDeployment')
+    .mockImplementation(() => {
+      return {state: 'INACTIVE', commit: {oid: 'deadbeef'}}
+    })
+  const prechecksMock = jest
+    .spyOn(prechecks, 'prechecks')
+    .mockImplementation(() => {
+      return {
+        ref: 'deadbeef',
+        status: true,
+        message: '✅ rollback to the last known-good sha requested',
+        noopMode: false,
+        sha: 'deadbeef',
+        isFork: false
+      }
+    })
+
+  expect(await run()).toBe('success')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'rollback')
+  expect(prechecksMock).toHaveBeenCalledWith(
+    expect.any(Object),
+    expect.any(Object),
+    expect.objectContaining({
+      environment: 'production',
+      environmentObj: expect.objectContaining({
+        rollback: true,
+        sha: 'deadbeef',
+        noop: false,
+        stable_branch_used: false
+      })
+    })
+  )
+  expect(validDeploymentOrderMock).not.toHaveBeenCalled()
+  expect(infoMock).toHaveBeenCalledWith(
+    `⏪ rolling back ${COLORS.highlight}production${COLORS.reset} to the last known-good sha: ${COLORS.highlight}deadbeef`
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      ref: 'deadbeef',
+      auto_merge: false,
+      environment: 'production',
+      payload: expect.objectContaining({
+        type: 'rollback',
+        sha: 'deadbeef'
+      })
+    })
+  )
+})
+
+test('fails a rollback when there is no previous successful deployment', async () => {
+  github.context.payload.comment.body = '.rollback'
+  jest
+    .spyOn(deployment, 'previousSuccessfulDeployment')
+    .mockImplementation(() => {
+      return null
+    })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  expect(await run()).toBe('failure')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'No previous successful deployment of `production` was found to roll back to'
+    )
+  )
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('successfully promotes the active sha of staging to production', async () => {
+  github.context.payload.comment.body = '.promote staging to production'
+  const latestActiveDeploymentMock = jest
+    .spyOn(deployment, 'latestActiveDeployment')
+    .mockImplementation(() => {
+      return {state: 'ACTIVE', commit: {oid: 'deadbeef'}}
+    })
+  const prechecksMock = jest.spyOn(prechecks, 'prechecks')
+
+  expect(await run()).toBe('success')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'promote')
+  expect(latestActiveDeploymentMock).toHaveBeenCalledWith(
+    expect.any(Object),
+    expect.any(Object),
+    'staging'
+  )
+  expect(prechecksMock).toHaveBeenCalledWith(
+    expect.any(Object),
+    expect.any(Object),
+    expect.objectContaining({
+      environment: 'production',
+      environmentObj: expect.objectContaining({
+        sha: 'deadbeef',
+        promoted_from: 'staging'
+      })
+    })
+  )
+  expect(infoMock).toHaveBeenCalledWith(
+    `📦 promoting the active sha of ${COLORS.highlight}staging${COLORS.reset} to ${COLORS.highlight}production${COLORS.reset}: ${COLORS.highlight}deadbeef`
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      auto_merge: false,
+      environment: 'production',
+      payload: expect.objectContaining({
+        type: 'branch-deploy',
+        promoted_from: 'staging'
+      })
+    })
+  )
+})
+
+test('fails to promote an environment that has no active deployment', async () => {
+  github.context.payload.comment.body = '.promote staging to production'
+  jest.spyOn(deployment, 'latestActiveDeployment').mockImplementation(() => {
+    return null
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  expect(await run()).toBe('failure')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'There is no active deployment in `staging` to promote to `production`'
+    )
+  )
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('fails to promote an environment to itself', async () => {
+  github.context.payload.comment.body = '.promote production to production'
+  const latestActiveDeploymentMock = jest.spyOn(
+    deployment,
+    'latestActiveDeployment'
+  )
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining(
+      'The `production` environment cannot be promoted to itself'
+    )
+  )
+  expect(latestActiveDeploymentMock).not.toHaveBeenCalled()
+})
+
 test('fails commitSafetyChecks', async () => {
   jest
     .spyOn(commitSafetyChecks, 'commitSafetyChecks')
@@ -1127,6 +1680,327 @@ test('runs the .help command successfully', async () => {
   expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
 })
 
+test('runs the .locks command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.locks'
+  const listLocksMock = jest
+    .spyOn(listLocks, 'listLocks')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('list locks command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'list-locks')
+  expect(listLocksMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    expect.objectContaining({list_locks_trigger: '.locks'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .status command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.status staging'
+  const environmentStatusMock = jest
+    .spyOn(environmentStatus, 'environmentStatus')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('environment status command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'status')
+  expect(environmentStatusMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    '.status staging',
+    expect.objectContaining({status_trigger: '.status'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .status command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.status'
+  const environmentStatusMock = jest.spyOn(
+    environmentStatus,
+    'environmentStatus'
+  )
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(environmentStatusMock).not.toHaveBeenCalled()
+})
+
+test('runs the .history command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.history production --limit 20'
+  const deploymentHistoryMock = jest
+    .spyOn(deploymentHistory, 'deploymentHistory')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('deployment history command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'history')
+  expect(deploymentHistoryMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    '.history production --limit 20',
+    expect.objectContaining({history_trigger: '.history'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .history command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.history'
+  const deploymentHistoryMock = jest.spyOn(
+    deploymentHistory,
+    'deploymentHistory'
+  )
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(deploymentHistoryMock).not.toHaveBeenCalled()
+})
+
+test('runs the .diff command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.diff production'
+  const deploymentDiffMock = jest
+    .spyOn(deploymentDiff, 'deploymentDiff')
+    .mockImplementation(() => {
+      return {}
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('deployment diff command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'diff')
+  expect(deploymentDiffMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    '.diff production',
+    expect.objectContaining({diff_trigger: '.diff'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .diff command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.diff'
+  const deploymentDiffMock = jest.spyOn(deploymentDiff, 'deploymentDiff')
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(deploymentDiffMock).not.toHaveBeenCalled()
+})
+
+test('runs the .cancel command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.cancel production'
+  const cancelDeploymentMock = jest
+    .spyOn(cancelDeployment, 'cancelDeployment')
+    .mockImplementation(() => {
+      return {}
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('cancel command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'cancel')
+  expect(cancelDeploymentMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    '.cancel production',
+    expect.objectContaining({cancel_trigger: '.cancel'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .cancel command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.cancel'
+  const cancelDeploymentMock = jest.spyOn(cancelDeployment, 'cancelDeployment')
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(cancelDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('successfully retries the last deploy command of the pull request', async () => {
+  jest
+    .spyOn(commitSafetyChecks, 'commitSafetyChecks')
+    .mockImplementation(() => {
+      return {status: true, message: 'success', isVerified: false}
+    })
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.retry'
+  const retryCommandMock = jest
+    .spyOn(retryCommand, 'retryCommand')
+    .mockImplementation(() => {
+      return '.deploy to development | note="flaky runner"'
+    })
+
+  expect(await run()).toBe('success')
+  expect(debugMock).toHaveBeenCalledWith('retry command detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'retry')
+  expect(retryCommandMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    '.retry',
+    expect.objectContaining({retry_trigger: '.retry'})
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('environment', 'development')
+  expect(setOutputMock).toHaveBeenCalledWith('params', 'note="flaky runner"')
+
+  // the retried command is recorded in the pre-deploy metadata so that it can be retried again
+  const octokit = github.getOctokit.mock.results[0].value
+  const metadata = retryCommand.parsePreDeployMetadata(
+    octokit.rest.issues.createComment.mock.calls[0][0].body
+  )
+  expect(metadata.context.comment.body).toBe(
+    '.deploy to development | note="flaky runner"'
+  )
+  expect(metadata.parameters.raw).toBe('note="flaky runner"')
+})
+
+test('refuses to retry a naked command when naked commands are NOT allowed', async () => {
+  process.env.INPUT_DISABLE_NAKED_COMMANDS = 'true'
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.retry'
+  const nakedCommandCheckMock = jest
+    .spyOn(nakedCommandCheck, 'nakedCommandCheck')
+    .mockImplementation(body => {
+      return body === '.deploy'
+    })
+  jest.spyOn(retryCommand, 'retryCommand').mockImplementation(() => {
+    return '.deploy'
+  })
+
+  expect(await run()).toBe('safe-exit')
+  expect(nakedCommandCheckMock).toHaveBeenCalledTimes(2)
+  expect(nakedCommandCheckMock).toHaveBeenLastCalledWith(
+    '.deploy',
+    '|',
+    expect.any(Array),
+    expect.anything(),
+    expect.anything()
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('fails to retry when there is nothing to retry', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.retry'
+  jest.spyOn(retryCommand, 'retryCommand').mockImplementation(() => {
+    return false
+  })
+
+  expect(await run()).toBe('failure')
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('runs the .retry command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.retry'
+  const retryCommandMock = jest.spyOn(retryCommand, 'retryCommand')
+  expect(await run()).toBe('failure')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(retryCommandMock).not.toHaveBeenCalled()
+})
+
+test('runs the lock history command successfully', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return true
+  })
+  github.context.payload.comment.body = '.lock production --history 20'
+  const lockHistoryMock = jest
+    .spyOn(lockHistory, 'lockHistory')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('safe-exit')
+  expect(debugMock).toHaveBeenCalledWith('lock history request detected')
+  expect(setOutputMock).toHaveBeenCalledWith('type', 'lock')
+  expect(lockHistoryMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    '123',
+    'production',
+    20,
+    expect.objectContaining({lock_trigger: '.lock'})
+  )
+  expect(lock.lock).not.toHaveBeenCalled()
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+})
+
+test('runs the .locks command and fails due to invalid permissions', async () => {
+  jest.spyOn(validPermissions, 'validPermissions').mockImplementation(() => {
+    return permissionsMsg
+  })
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  github.context.payload.comment.body = '.locks'
+  const listLocksMock = jest
+    .spyOn(listLocks, 'listLocks')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('failure')
+  expect(debugMock).toHaveBeenCalledWith('list locks command detected')
+  expect(setFailedMock).toHaveBeenCalledWith(permissionsMsg)
+  expect(listLocksMock).not.toHaveBeenCalled()
+})
+
 test('runs the action in lock mode and fails due to an invalid environment', async () => {
   jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
     return undefined
@@ -1176,6 +2050,70 @@ test('successfully runs in unlockOnMergeMode', async () => {
   expect(validDeploymentOrderMock).not.toHaveBeenCalled()
 })
 
+test('successfully runs in unlockOnCloseMode', async () => {
+  process.env.INPUT_UNLOCK_ON_CLOSE_MODE = 'true'
+  const unlockOnMergeMock = jest
+    .spyOn(unlockOnMerge, 'unlockOnMerge')
+    .mockImplementation(() => {
+      return true
+    })
+  expect(await run()).toBe('success - unlock on close mode')
+  expect(infoMock).toHaveBeenCalledWith(`🏃 running in 'unlock on close' mode`)
+  expect(unlockOnMergeMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    'production,development,staging',
+    true
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(validDeploymentOrderMock).not.toHaveBeenCalled()
+})
+
+test('successfully runs in previewTeardownMode', async () => {
+  process.env.INPUT_PREVIEW_TEARDOWN_MODE = 'true'
+  const previewTeardownMock = jest
+    .spyOn(previewTeardown, 'previewTeardown')
+    .mockImplementation(() => {
+      return {}
+    })
+  expect(await run()).toBe('success - preview teardown mode')
+  expect(infoMock).toHaveBeenCalledWith(`🏃 running in 'preview teardown' mode`)
+  expect(previewTeardownMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    expect.objectContaining({
+      preview_environment: {
+        target: null,
+        environment: 'pr-{pull_request}',
+        url: null
+      }
+    })
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(validDeploymentOrderMock).not.toHaveBeenCalled()
+})
+
+test('successfully runs in staleLockMode', async () => {
+  process.env.INPUT_STALE_LOCK_MODE = 'true'
+  const staleLocksMock = jest
+    .spyOn(staleLocks, 'staleLocks')
+    .mockImplementation(() => {
+      return []
+    })
+  expect(await run()).toBe('success - stale lock mode')
+  expect(infoMock).toHaveBeenCalledWith(`🏃 running in 'stale lock' mode`)
+  expect(staleLocksMock).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    expect.objectContaining({
+      stale_lock_max_age: '7d',
+      stale_lock_policy: 'remind'
+    })
+  )
+  expect(saveStateMock).toHaveBeenCalledWith('bypass', 'true')
+  expect(validDeploymentOrderMock).not.toHaveBeenCalled()
+})
+
 test('handles an input validation error and exits', async () => {
   process.env.INPUT_UPDATE_BRANCH = 'badvalue'
   try {
@@ -1222,6 +2160,184 @@ test('stores params and parsed params into context', async () => {
   expect(setOutputMock).toHaveBeenCalledWith('parsed_params', parsed_params)
 })
 
+test('stores the normalized params of the parameter schema into context', async () => {
+  process.env.INPUT_PARAM_SCHEMAS = JSON.stringify({
+    production: {
+      cpus: {type: 'number', required: true},
+      'dry-run': {type: 'boolean', default: false}
+    }
+  })
+  github.context.payload.comment.body = '.deploy | --cpus=2'
+  expect(await run()).toBe('success')
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'production',
+      payload: expect.objectContaining({
+        params: '--cpus=2',
+        parsed_params: {cpus: 2, 'dry-run': false}
+      })
+    })
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('parsed_params', {
+    cpus: 2,
+    'dry-run': false
+  })
+})
+
+test('stores the normalized params of each environment in its own deployment on a deployment to multiple environments', async () => {
+  process.env.INPUT_PARAM_SCHEMAS = JSON.stringify({
+    production: {
+      cpus: {type: 'number', required: true},
+      'dry-run': {type: 'boolean', default: false}
+    }
+  })
+  github.context.payload.comment.body =
+    '.deploy to staging,production | --cpus=2'
+  createDeploymentMock
+    .mockReturnValueOnce({data: {id: 123}})
+    .mockReturnValueOnce({data: {id: 456}})
+  expect(await run()).toBe('success')
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'staging',
+      payload: expect.objectContaining({
+        parsed_params: {_: [], cpus: 2}
+      })
+    })
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'production',
+      payload: expect.objectContaining({
+        parsed_params: {cpus: 2, 'dry-run': false}
+      })
+    })
+  )
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'deployment_matrix',
+    JSON.stringify({
+      include: [
+        {
+          environment: 'staging',
+          deployment_id: 123,
+          environment_url: null,
+          parsed_params: {_: [], cpus: 2}
+        },
+        {
+          environment: 'production',
+          deployment_id: 456,
+          environment_url: null,
+          parsed_params: {cpus: 2, 'dry-run': false}
+        }
+      ]
+    })
+  )
+  expect(setOutputMock).toHaveBeenCalledWith('parsed_params', {
+    _: [],
+    cpus: 2
+  })
+})
+
+test('fails when the params are not valid for the parameter schema', async () => {
+  process.env.INPUT_PARAM_SCHEMAS = JSON.stringify({
+    production: {cpus: {type: 'number', required: true}}
+  })
+  github.context.payload.comment.body = '.deploy | --cpus=fuor'
+  jest.spyOn(actionStatus, 'actionStatus').mockImplementation(() => {
+    return undefined
+  })
+  expect(await run()).toBe('safe-exit')
+  expect(setFailedMock).toHaveBeenCalledWith(
+    expect.stringContaining('`--cpus` must be a number but got `fuor`')
+  )
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
+test('successfully runs the action on a deployment with an environment alias', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({
+    dev: 'development',
+    prod: ['production']
+  })
+  github.context.payload.comment.body = '.deploy to dev'
+  expect(await run()).toBe('success')
+  expect(setOutputMock).toHaveBeenCalledWith('environment', 'development')
+  expect(saveStateMock).toHaveBeenCalledWith('environment', 'development')
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({environment: 'development'})
+  )
+})
+
+test('successfully runs the action on a deployment to an environment matched by a pattern target', async () => {
+  process.env.INPUT_ENVIRONMENT_PATTERNS = JSON.stringify({
+    'sandbox-*': {
+      url: 'https://{environment}.example.com',
+      production: true,
+      skip_reviews: true
+    }
+  })
+  github.context.payload.comment.body = '.deploy to sandbox-alice'
+  const prechecksSpy = jest.spyOn(prechecks, 'prechecks')
+  expect(await run()).toBe('success')
+  expect(setOutputMock).toHaveBeenCalledWith('environment', 'sandbox-alice')
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environment_url',
+    'https://sandbox-alice.example.com'
+  )
+  expect(prechecksSpy).toHaveBeenCalledWith(
+    expect.anything(),
+    expect.anything(),
+    expect.objectContaining({
+      inputs: expect.objectContaining({skipReviews: 'sandbox-alice'})
+    })
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'sandbox-alice',
+      production_environment: true
+    })
+  )
+})
+
+test('successfully runs the action on a deployment to the preview environment of the pull request', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  process.env.INPUT_PREVIEW_URL = 'https://{environment}.preview.example.com'
+  github.context.payload.comment.body = '.deploy preview'
+  expect(await run()).toBe('success')
+  expect(setOutputMock).toHaveBeenCalledWith('environment', 'pr-123')
+  expect(setOutputMock).toHaveBeenCalledWith(
+    'environment_url',
+    'https://pr-123.preview.example.com'
+  )
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'pr-123',
+      production_environment: false,
+      transient_environment: true
+    })
+  )
+})
+
+test('creates deployments that are not transient for the environment targets', async () => {
+  process.env.INPUT_PREVIEW_TARGET = 'preview'
+  github.context.payload.comment.body = '.deploy'
+  expect(await run()).toBe('success')
+  expect(createDeploymentMock).toHaveBeenCalledWith(
+    expect.objectContaining({
+      environment: 'production',
+      transient_environment: false
+    })
+  )
+})
+
+test('fails when the environment aliases are not valid', async () => {
+  process.env.INPUT_ENVIRONMENT_ALIASES = JSON.stringify({prod: 'prodution'})
+  await run()
+  expect(setFailedMock).toHaveBeenCalledWith(
+    "Invalid value for 'environment_aliases': the alias prod resolves to prodution which is not one of the environment targets"
+  )
+  expect(createDeploymentMock).not.toHaveBeenCalled()
+})
+
 test('stores params and parsed params into context with complex params', async () => {
   jest.spyOn(prechecks, 'prechecks').mockImplementation(() => {
     return {
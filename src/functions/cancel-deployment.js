@@ -0,0 +1,312 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {truncateCommentBody} from './truncate-comment-body'
+import {createDeploymentStatus, recentDeployments} from './deployment'
+import {lock} from './lock'
+import {unlock} from './unlock'
+import {stringToArray} from './string-to-array'
+import {matchEnvironmentPattern} from './environment-patterns'
+import {resolveCommandEnvironment} from './environment-aliases'
+import {isPreviewEnvironment} from './preview-environment'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+
+// The states of deployments that have not finished yet
+const IN_FLIGHT_DEPLOYMENT_STATES = [
+  'IN_PROGRESS',
+  'QUEUED',
+  'PENDING',
+  'WAITING'
+]
+
+// The number of recent deployments of an environment to search for an in-flight deployment
+const IN_FLIGHT_SEARCH_LIMIT = 20
+
+// A cancelled deployment is marked as 'error' rather than 'inactive' as inactive deployments are treated as known-good (ex: by .rollback)
+const CANCELLED_DEPLOYMENT_STATE = 'error'
+
+// Helper function to find the in-flight deployment of an environment that was created by the current pull request
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The environment to search (ex: production)
+// :returns: An object with the deployment (Object) and its payload (Object) or null if no in-flight deployment was found
+async function findInFlightDeployment(octokit, context, environment) {
+  const deployments = await recentDeployments(
+    octokit,
+    context,
+    environment,
+    IN_FLIGHT_SEARCH_LIMIT
+  )
+
+  for (const deployment of deployments) {
+    if (!IN_FLIGHT_DEPLOYMENT_STATES.includes(deployment.state)) {
+      continue
+    }
+
+    var payload
+    try {
+      payload = JSON.parse(deployment.payload)
+    } catch {
+      core.debug(`deployment ${deployment.id} has a payload that is not JSON`)
+      continue
+    }
+
+    if (payload?.pull_request === context.issue.number) {
+      return {deployment: deployment, payload: payload}
+    }
+  }
+
+  return null
+}
+
+// Helper function to cancel the workflow run of a deployment
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param runId: The ID of the workflow run to cancel (Integer)
+// :returns: true if the workflow run was cancelled, false otherwise (ex: it already completed)
+async function cancelWorkflowRun(octokit, context, runId) {
+  try {
+    await octokit.rest.actions.cancelWorkflowRun({
+      ...context.repo,
+      run_id: runId,
+      headers: API_HEADERS
+    })
+    return true
+  } catch (error) {
+    core.warning(
+      `⚠️ could not cancel workflow run ${COLORS.highlight}${runId}${COLORS.reset}: ${error.message}`
+    )
+    return false
+  }
+}
+
+// Helper function to check if a deployment lock was claimed by the current pull request
+// The pull request is taken from the comment link stored in the lock file, falling back to the branch that requested the lock
+// :param lockData: The lock data from the lock file (Object)
+// :param context: The GitHub Actions event context
+// :param ref: The ref of the cancelled deployment (String)
+// :returns: true if the lock belongs to the current pull request, false otherwise
+function lockOwnedByPullRequest(lockData, context, ref) {
+  const match = lockData.link?.match(/\/pull\/(\d+)/)
+  if (match) {
+    return Number(match[1]) === context.issue.number
+  }
+
+  return lockData.branch === ref
+}
+
+// Helper function to update the comment that was left when the deployment started with the cancellation details
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param commentId: The ID of the "Deployment Triggered" comment (Integer)
+// :param message: The cancellation details to add to the comment (String)
+// :returns: true if the comment was updated, false otherwise (ex: it was deleted)
+async function updateDeploymentComment(octokit, context, commentId, message) {
+  try {
+    const {data: comment} = await octokit.rest.issues.getComment({
+      ...context.repo,
+      comment_id: commentId,
+      headers: API_HEADERS
+    })
+
+    await octokit.rest.issues.updateComment({
+      ...context.repo,
+      comment_id: commentId,
+      body: truncateCommentBody(`${comment.body}\n\n${message}`),
+      headers: API_HEADERS
+    })
+    return true
+  } catch (error) {
+    core.warning(
+      `⚠️ could not update the deployment comment ${COLORS.highlight}${commentId}${COLORS.reset}: ${error.message}`
+    )
+    return false
+  }
+}
+
+// Helper function to cancel the in-flight deployment of an environment that was created by the current pull request
+// The deployment is marked as errored, its workflow run is cancelled, and its lock is released unless it is sticky (just like postDeploy())
+// A lock is only released if it was claimed by the current pull request, and the comment that was left when the deployment started is updated
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param body: The body of the comment (String) - ex: '.cancel production'
+// :param inputs: The Action inputs object
+// :returns: An object with details about the cancelled deployment or false if no deployment could be cancelled
+export async function cancelDeployment(
+  octokit,
+  context,
+  reactionId,
+  body,
+  inputs
+) {
+  const environmentTargets = stringToArray(inputs.environment_targets)
+
+  // the environment defaults to the default environment if one is not given (ex: .cancel)
+  // environment aliases and the preview target are resolved (ex: .cancel prod -> production)
+  const target = body.replace(inputs.cancel_trigger, '').trim()
+  const environment =
+    target === ''
+      ? inputs.environment
+      : resolveCommandEnvironment(target, inputs, context.issue.number)
+
+  if (
+    !environmentTargets.includes(environment) &&
+    !isPreviewEnvironment(
+      environment,
+      inputs.preview_environment,
+      context.issue.number
+    ) &&
+    matchEnvironmentPattern(environment, inputs.environment_patterns) === null
+  ) {
+    const message = dedent(`
+    ### ⚠️ Cannot cancel the deployment
+
+    No matching environment target found for \`${environment}\`
+
+    > The following environment targets are available: \`${environmentTargets.join(',')}\`
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const inFlight = await findInFlightDeployment(octokit, context, environment)
+  if (inFlight === null) {
+    const message = dedent(`
+    ### ⚠️ Cannot cancel the deployment
+
+    There is no in-flight deployment to \`${environment}\` from this pull request to cancel
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const {deployment, payload} = inFlight
+  const ref = deployment.ref?.name ?? deployment.commit.oid
+  core.info(
+    `🛑 cancelling deployment ${COLORS.highlight}${deployment.databaseId}${COLORS.reset} to ${COLORS.highlight}${environment}`
+  )
+
+  await createDeploymentStatus(
+    octokit,
+    context,
+    ref,
+    CANCELLED_DEPLOYMENT_STATE,
+    deployment.databaseId,
+    environment
+  )
+
+  var runCancelled = false
+  if (payload.workflow_run_id) {
+    runCancelled = await cancelWorkflowRun(
+      octokit,
+      context,
+      payload.workflow_run_id
+    )
+  } else {
+    core.debug(`deployment ${deployment.id} has no workflow run to cancel`)
+  }
+
+  // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
+  const lockResponse = await lock(
+    octokit,
+    context,
+    null, // ref
+    null, // reaction_id
+    false, // sticky
+    environment, // environment
+    true, // detailsOnly set to true
+    true, // postDeployStep set to true - this means we will not exit early if a global lock exists
+    false // leaveComment
+  )
+
+  // if the lock is sticky or was claimed by another pull request, we will NOT remove it
+  const lockData = lockResponse.lockData
+  var lockReleased = false
+  if (lockData?.sticky === true) {
+    core.info(
+      `🍯 ${COLORS.highlight}sticky${COLORS.reset} lock detected, will not remove lock`
+    )
+  } else if (lockData && !lockOwnedByPullRequest(lockData, context, ref)) {
+    core.info(
+      `🔒 the lock is held by ${COLORS.highlight}${lockData.created_by}${COLORS.reset} for another pull request, will not remove lock`
+    )
+  } else if (lockData) {
+    core.info(
+      `🧹 ${COLORS.highlight}non-sticky${COLORS.reset} lock detected, will remove lock`
+    )
+    await unlock(
+      octokit,
+      context,
+      null, // reaction_id
+      environment, // environment
+      true // silent mode
+    )
+    lockReleased = true
+  }
+
+  const runMsg = payload.workflow_run_id
+    ? `- __Workflow Run__: [${payload.workflow_run_id}](${process.env.GITHUB_SERVER_URL}/${context.repo.owner}/${context.repo.repo}/actions/runs/${payload.workflow_run_id}) - ${runCancelled ? 'cancelled' : 'could not be cancelled (it may have already completed)'}`
+    : '- __Workflow Run__: unknown'
+
+  const lockMsg = lockReleased
+    ? '- __Lock__: the non-sticky deployment lock was released'
+    : lockData?.sticky === true
+      ? '- __Lock__: the sticky deployment lock was kept'
+      : lockData
+        ? '- __Lock__: the deployment lock belongs to another pull request and was kept'
+        : '- __Lock__: no deployment lock was found'
+
+  const comment = dedent(`
+  ### Deployment Cancelled 🛑
+
+  __${context.actor}__ cancelled the deployment of \`${ref}\` to \`${environment}\`
+
+  - __Deployment__: \`${deployment.databaseId}\` - marked as \`${CANCELLED_DEPLOYMENT_STATE}\`
+  ${runMsg}
+  ${lockMsg}
+  `)
+
+  // update the comment that was left when the deployment started, or reply if it cannot be updated (ex: older deployments)
+  const commentUpdated = payload.initial_comment_id
+    ? await updateDeploymentComment(
+        octokit,
+        context,
+        payload.initial_comment_id,
+        comment
+      )
+    : false
+
+  if (commentUpdated) {
+    // swap the initial reaction on the cancel comment for a success reaction
+    await octokit.rest.reactions.deleteForIssueComment({
+      ...context.repo,
+      comment_id: context.payload.comment.id,
+      reaction_id: reactionId,
+      headers: API_HEADERS
+    })
+    await octokit.rest.reactions.createForIssueComment({
+      ...context.repo,
+      comment_id: context.payload.comment.id,
+      content: '+1',
+      headers: API_HEADERS
+    })
+  } else {
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+  }
+
+  core.info(
+    `🛑 ${COLORS.success}deployment cancelled${COLORS.reset} - ${COLORS.highlight}${environment}`
+  )
+
+  return {
+    environment: environment,
+    deployment_id: deployment.databaseId,
+    workflow_run_id: payload.workflow_run_id ?? null,
+    workflow_run_cancelled: runCancelled,
+    lock_released: lockReleased
+  }
+}
@@ -0,0 +1,267 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {latestActiveDeployment} from './deployment'
+import {stringToArray} from './string-to-array'
+import {matchEnvironmentPattern} from './environment-patterns'
+import {resolveCommandEnvironment} from './environment-aliases'
+import {isPreviewEnvironment} from './preview-environment'
+import {tableCell} from './list-locks'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+
+// The most commits and changed files that GitHub returns for a single comparison
+const MAX_COMPARE_COMMITS = 250
+const MAX_COMPARE_FILES = 300
+
+// Helper function to pluralize a count of things
+// :param count: The number of things (Integer)
+// :param noun: The singular noun (String) - ex: 'commit'
+// :returns: The count with the noun (String) - ex: '1 commit' or '2 commits'
+function pluralize(count, noun) {
+  return `${count} ${count === 1 ? noun : `${noun}s`}`
+}
+
+// Helper function to summarize the comparison between the active deployment and the pull request
+// :param compare: The compareCommits API response data
+// :returns: An object with the commits and changed files of the comparison
+function summarizeComparison(compare) {
+  const commits = compare.commits.map(commit => ({
+    sha: commit.sha,
+    author: commit.author?.login ?? commit.commit.author?.name ?? null,
+    message: commit.commit.message.split('\n')[0]
+  }))
+
+  const files = (compare.files ?? []).map(file => ({
+    filename: file.filename,
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions
+  }))
+
+  return {commits: commits, files: files}
+}
+
+// Helper function to build the collapsible sections of the diff comment
+// Commits are listed in order, authors are grouped by their number of commits, and files are grouped by their change status
+// :param commits: The summarized commits (Array)
+// :param files: The summarized files (Array)
+// :returns: The markdown sections (String)
+function diffSections(commits, files) {
+  const commitRows = commits.map(
+    commit =>
+      `| \`${commit.sha.substring(0, 7)}\` | ${commit.author ?? '-'} | ${tableCell(commit.message)} |`
+  )
+
+  const authors = new Map()
+  for (const commit of commits) {
+    const author = commit.author ?? 'unknown'
+    authors.set(author, (authors.get(author) ?? 0) + 1)
+  }
+  const authorLines = [...authors.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([author, count]) => `- __${author}__ - ${pluralize(count, 'commit')}`)
+
+  const fileGroups = new Map()
+  for (const file of files) {
+    if (!fileGroups.has(file.status)) {
+      fileGroups.set(file.status, [])
+    }
+    fileGroups
+      .get(file.status)
+      .push(`- \`${file.filename}\` (+${file.additions} -${file.deletions})`)
+  }
+  const fileLines = [...fileGroups.entries()].map(
+    ([status, lines]) =>
+      `#### ${status} (${lines.length})\n\n${lines.join('\n')}`
+  )
+
+  // empty sections are left out (ex: a pull request that is only behind the active deployment has no commits to show)
+  const sections = []
+  if (commits.length > 0) {
+    sections.push(
+      `<details><summary>Commits (${commits.length})</summary>\n\n| Commit | Author | Message |\n| ------ | ------ | ------- |\n${commitRows.join('\n')}\n\n</details>`,
+      `<details><summary>Authors (${authors.size})</summary>\n\n${authorLines.join('\n')}\n\n</details>`
+    )
+  }
+  if (files.length > 0) {
+    sections.push(
+      `<details><summary>Changed Files (${files.length})</summary>\n\n${fileLines.join('\n\n')}\n\n</details>`
+    )
+  }
+
+  return sections.join('\n\n')
+}
+
+// Helper function to compare what is currently deployed to an environment with the head of the pull request
+// The comparison is posted as a comment (truncated with truncateCommentBody() by actionStatus() if it is too large)
+// It is also set as the 'deployment_diff' output (JSON) so that it can be consumed by other steps
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param body: The body of the comment (String) - ex: '.diff production'
+// :param inputs: The Action inputs object
+// :returns: The comparison (Object) or false if it could not be made
+export async function deploymentDiff(
+  octokit,
+  context,
+  reactionId,
+  body,
+  inputs
+) {
+  const environmentTargets = stringToArray(inputs.environment_targets)
+
+  // the environment defaults to the default environment if one is not given (ex: .diff)
+  // environment aliases and the preview target are resolved (ex: .diff prod -> production)
+  const target = body.replace(inputs.diff_trigger, '').trim()
+  const environment =
+    target === ''
+      ? inputs.environment
+      : resolveCommandEnvironment(target, inputs, context.issue.number)
+
+  if (
+    !environmentTargets.includes(environment) &&
+    !isPreviewEnvironment(
+      environment,
+      inputs.preview_environment,
+      context.issue.number
+    ) &&
+    matchEnvironmentPattern(environment, inputs.environment_patterns) === null
+  ) {
+    const message = dedent(`
+    ### ⚠️ Cannot show the deployment diff
+
+    No matching environment target found for \`${environment}\`
+
+    > The following environment targets are available: \`${environmentTargets.join(',')}\`
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const deployment = await latestActiveDeployment(octokit, context, environment)
+  if (deployment === null) {
+    const message = dedent(`
+    ### ⚠️ Cannot show the deployment diff
+
+    There is no active deployment in \`${environment}\` to compare this pull request with
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const pr = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: context.issue.number,
+    headers: API_HEADERS
+  })
+
+  const base = deployment.commit.oid
+  const head = pr.data.head.sha
+  core.debug(
+    `comparing ${environment} (${base}) with the pull request (${head})`
+  )
+
+  var compare
+  try {
+    compare = await octokit.rest.repos.compareCommits({
+      ...context.repo,
+      base: base,
+      head: head,
+      headers: API_HEADERS
+    })
+  } catch (error) {
+    // a 404 means one of the commits no longer exists (ex: it was force pushed away) and a 422 means they cannot be compared (ex: no common history)
+    if (error.status !== 404 && error.status !== 422) {
+      throw error
+    }
+
+    const message = dedent(`
+    ### ⚠️ Cannot compare the deployment
+
+    The commit that is deployed to \`${environment}\` (\`${base.substring(0, 7)}\`) cannot be compared with the head of this pull request (\`${head.substring(0, 7)}\`)
+
+    > GitHub responded with: ${error.message}
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const {commits, files} = summarizeComparison(compare.data)
+
+  // GitHub only returns the first commits and changed files of a large comparison
+  const truncated = {
+    commits: compare.data.total_commits > commits.length,
+    files: files.length >= MAX_COMPARE_FILES
+  }
+
+  const diff = {
+    environment: environment,
+    base: base,
+    head: head,
+    status: compare.data.status,
+    ahead_by: compare.data.ahead_by,
+    behind_by: compare.data.behind_by,
+    total_commits: compare.data.total_commits,
+    commits: commits,
+    files: files,
+    truncated: truncated
+  }
+
+  core.setOutput('deployment_diff', JSON.stringify(diff))
+
+  const header = `Comparing what is deployed to \`${environment}\` (\`${base.substring(0, 7)}\`) with the head of this pull request (\`${head.substring(0, 7)}\`)`
+
+  if (diff.status === 'identical') {
+    const comment = dedent(`
+    ### Deployment Diff 🔍
+
+    ${header}
+
+    > The head of this pull request is already deployed to \`${environment}\`
+    `)
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    core.info(
+      `🔍 ${COLORS.highlight}${environment}${COLORS.reset} is already running the head of the pull request`
+    )
+    return diff
+  }
+
+  var behindMsg = ''
+  if (diff.behind_by > 0) {
+    behindMsg = `\n\n> ⚠️ This pull request is missing __${pluralize(diff.behind_by, 'commit')}__ that ${diff.behind_by === 1 ? 'is' : 'are'} currently deployed to \`${environment}\` - deploying it would remove ${diff.behind_by === 1 ? 'that commit' : 'those commits'} from the environment`
+  }
+
+  var truncatedMsg = ''
+  if (truncated.commits || truncated.files) {
+    const limits = []
+    if (truncated.commits) {
+      limits.push(
+        `only the first ${MAX_COMPARE_COMMITS} of ${pluralize(diff.total_commits, 'commit')}`
+      )
+    }
+    if (truncated.files) {
+      limits.push(`only the first ${MAX_COMPARE_FILES} changed files`)
+    }
+    truncatedMsg = `\n\n> ℹ️ This comparison is too large for GitHub to return in full - ${limits.join(' and ')} are shown. [View the full comparison](${compare.data.html_url})`
+  }
+
+  const comment = dedent(`
+  ### Deployment Diff 🔍
+
+  ${header}
+
+  This pull request is __${pluralize(diff.ahead_by, 'commit')}__ ahead and __${pluralize(diff.behind_by, 'commit')}__ behind the active deployment${behindMsg}${truncatedMsg}
+
+  ${diffSections(commits, files)}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `🔍 the pull request is ${COLORS.highlight}${diff.ahead_by}${COLORS.reset} ahead and ${COLORS.highlight}${diff.behind_by}${COLORS.reset} behind ${COLORS.highlight}${environment}`
+  )
+  return diff
+}
@@ -0,0 +1,169 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {recentDeployments} from './deployment'
+import {timeDiff} from './time-diff'
+import {tableCell} from './list-locks'
+import {stringToArray} from './string-to-array'
+import {matchEnvironmentPattern} from './environment-patterns'
+import {resolveCommandEnvironment} from './environment-aliases'
+import {isPreviewEnvironment} from './preview-environment'
+import {COLORS} from './colors'
+
+// The number of deployments to show with ".history" when no limit is given
+const DEFAULT_HISTORY_LIMIT = 10
+
+// The most deployments that can be shown with ".history" (to keep the comment within the GitHub comment size limit)
+const MAX_HISTORY_LIMIT = 100
+
+// The flag used to set the number of deployments to show (ex: .history production --limit 20)
+const LIMIT_FLAG = '--limit'
+
+// The deployment status states that end a deployment
+const FINAL_STATES = ['SUCCESS', 'FAILURE', 'ERROR']
+
+// Helper function to find the environment and the number of deployments to show in a deployment history command
+// Example: ".history production --limit 20"
+// :param body: The comment body
+// :param trigger: The deployment history trigger
+// :returns: An object - EX: {target: 'production', limit: 20} - the target is an empty string and the limit defaults to 10 if they are not given
+function parseHistoryCommand(body, trigger) {
+  const limitRegex = new RegExp(`\\s+${LIMIT_FLAG}(?:\\s+(\\d+))?(?=\\s|$)`)
+  const match = body.match(limitRegex)
+
+  var limit = DEFAULT_HISTORY_LIMIT
+  if (match !== null && match[1]) {
+    limit = Math.min(Math.max(parseInt(match[1]), 1), MAX_HISTORY_LIMIT)
+  }
+
+  const target = body.replace(limitRegex, '').replace(trigger, '').trim()
+  return {target: target, limit: limit}
+}
+
+// Helper function to summarize a deployment for the deployment history
+// :param deployment: The deployment (Object) - a node from the deployments graphql query with its statuses
+// :returns: The summarized deployment (Object)
+async function summarizeDeployment(deployment) {
+  var payload = {}
+  try {
+    payload = JSON.parse(deployment.payload) ?? {}
+  } catch {
+    core.debug(`deployment ${deployment.id} has a payload that is not JSON`)
+  }
+
+  // the final status is the newest status that ended the deployment (later statuses only mark it as inactive)
+  const statuses = [...(deployment.statuses?.nodes ?? [])].sort(
+    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+  )
+  const finalStatus =
+    statuses.find(status => FINAL_STATES.includes(status.state)) ?? null
+
+  return {
+    created_at: deployment.createdAt,
+    sha: deployment.commit.oid,
+    branch: deployment.ref?.name ?? null,
+    actor: payload.actor ?? deployment.creator?.login ?? null,
+    noop: payload.noop === true,
+    status: (finalStatus?.state ?? deployment.state).toLowerCase(),
+    duration: finalStatus
+      ? await timeDiff(deployment.createdAt, finalStatus.createdAt)
+      : null
+  }
+}
+
+// Helper function to show the most recent deployments of an environment in a pull request comment
+// The same deployments are also set as the 'deployment_history' output (JSON) so that they can be consumed by other steps
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param body: The body of the comment (String) - ex: '.history production --limit 20'
+// :param inputs: The Action inputs object
+// :returns: The array of deployments that were shown (newest first) or false if the environment is not a valid environment target
+export async function deploymentHistory(
+  octokit,
+  context,
+  reactionId,
+  body,
+  inputs
+) {
+  const {target, limit} = parseHistoryCommand(body, inputs.history_trigger)
+
+  // the environment defaults to the default environment if one is not given (ex: .history)
+  // environment aliases and the preview target are resolved (ex: .history prod -> production)
+  const environment =
+    target === ''
+      ? inputs.environment
+      : resolveCommandEnvironment(target, inputs, context.issue.number)
+
+  const environmentTargets = stringToArray(inputs.environment_targets)
+  if (
+    !environmentTargets.includes(environment) &&
+    !isPreviewEnvironment(
+      environment,
+      inputs.preview_environment,
+      context.issue.number
+    ) &&
+    matchEnvironmentPattern(environment, inputs.environment_patterns) === null
+  ) {
+    const message = dedent(`
+    ### ⚠️ Cannot show the deployment history
+
+    No matching environment target found for \`${environment}\`
+
+    > The following environment targets are available: \`${environmentTargets.join(',')}\`
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const deployments = []
+  for (const deployment of await recentDeployments(
+    octokit,
+    context,
+    environment,
+    limit
+  )) {
+    deployments.push(await summarizeDeployment(deployment))
+  }
+
+  core.setOutput('deployment_history', JSON.stringify(deployments))
+
+  if (deployments.length === 0) {
+    const comment = dedent(`
+    ### Deployment History 📚
+
+    No deployments found for the \`${environment}\` environment
+    `)
+
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    core.info(`📚 no deployments found for ${COLORS.highlight}${environment}`)
+    return deployments
+  }
+
+  const rows = deployments.map(deployment => {
+    const branch = deployment.branch
+      ? `\`${tableCell(deployment.branch)}\``
+      : '-'
+    const duration = deployment.duration ? `\`${deployment.duration}\`` : '-'
+    return `| \`${deployment.created_at}\` | \`${deployment.sha.substring(0, 7)}\` | ${branch} | ${deployment.actor ?? '-'} | \`${deployment.noop}\` | \`${deployment.status}\` | ${duration} |`
+  })
+
+  const comment = dedent(`
+  ### Deployment History 📚
+
+  The last __${deployments.length}__ ${deployments.length === 1 ? 'deployment' : 'deployments'} to the \`${environment}\` environment (newest first)
+
+  | Timestamp | Commit | Branch | Actor | Noop | Status | Duration |
+  | --------- | ------ | ------ | ----- | ---- | ------ | -------- |
+  ${rows.join('\n')}
+
+  > Use \`${inputs.history_trigger} ${environment} ${LIMIT_FLAG} <number>\` to show more deployments
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `📚 found ${COLORS.highlight}${deployments.length}${COLORS.reset} ${deployments.length === 1 ? 'deployment' : 'deployments'} for ${COLORS.highlight}${environment}`
+  )
+  return deployments
+}
@@ -1,6 +1,12 @@
 import * as core from '@actions/core'
 import {API_HEADERS} from './api-headers'
 
+// The deployment payload types that are created by this Action
+export const BRANCH_DEPLOY_PAYLOAD_TYPES = ['branch-deploy', 'rollback']
+
+// The states of deployments that once succeeded (inactive deployments have been superseded by a newer successful deployment)
+const KNOWN_GOOD_DEPLOYMENT_STATES = ['ACTIVE', 'INACTIVE']
+
 // Helper function to add deployment statuses to a PR / ref
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
@@ -68,6 +74,7 @@ export async function activeDeployment(octokit, context, environment, sha) {
 //       "environment": "production",
 //       "updatedAt": "2024-09-19T20:18:23Z",
 //       "id": "DE_kwDOID9x8N5sC6QZ",
+//       "databaseId": 1234567890,
 //       "payload": "{\\\"type\\\":\\\"branch-deploy\\\", \\\"sha\\\": \\\"315cec138fc9d7dbc8a47c6bba4217d3965ede3b\\\"}",
 //       "state": "ACTIVE",
 //       "creator": {
@@ -76,8 +83,14 @@ export async function activeDeployment(octokit, context, environment, sha) {
 //       "ref": {
 //           "name": "main"
 //       },
+//       "latestStatus": {
+//           "environmentUrl": "https://example.com"
+//       },
 //       "commit": {
-//           "oid": "315cec138fc9d7dbc8a47c6bba4217d3965ede3b"
+//           "oid": "315cec138fc9d7dbc8a47c6bba4217d3965ede3b",
+//           "associatedPullRequests": {
+//               "nodes": [{"number": 123, "url": "https://github.com/corp/test/pull/123"}]
+//           }
 //       }
 //   }
 // ]
@@ -144,16 +157,146 @@ export async function latestActiveDeployment(octokit, context, environment) {
   return null
 }
 
-function buildQuery(page = null) {
+// Helper function to get the type of a deployment from its payload
+// :param deployment: The deployment (Object) - a node from the deployments graphql query
+// :returns: The payload type (String) or null if the payload is missing or not valid JSON
+function deploymentPayloadType(deployment) {
+  try {
+    return JSON.parse(deployment.payload)?.type ?? null
+  } catch {
+    return null
+  }
+}
+
+// Helper function to find the last known-good deployment of an environment before its current deployment
+// The current deployment is the most recent deployment created by this Action. A known-good deployment is one that...
+// ... succeeded and is either still active or has since been superseded (inactive) and that deployed a different commit
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The environment to find the previous deployment for (ex: production)
+// :returns: The previous successful deployment (Object) or null if no previous successful deployment was found
+export async function previousSuccessfulDeployment(
+  octokit,
+  context,
+  environment
+) {
+  const {owner, repo} = context.repo
+
+  const variables = {
+    repo_owner: owner,
+    repo_name: repo,
+    environment: environment
+  }
+
+  let current = null
+  let queryNumber = 0
+  let endCursor = null
+  let hasNextPage = true
+
+  while (hasNextPage) {
+    queryNumber++
+    const data = await octokit.graphql(buildQuery(endCursor), variables)
+
+    for (const deployment of data.repository.deployments.nodes) {
+      // only deployments that were created by this Action can be rolled back to
+      if (
+        !BRANCH_DEPLOY_PAYLOAD_TYPES.includes(deploymentPayloadType(deployment))
+      ) {
+        core.debug(
+          `skipping deployment ${deployment.id} as it was not created by this Action`
+        )
+        continue
+      }
+
+      // the first deployment that was created by this Action is the current deployment
+      if (current === null) {
+        current = deployment
+        core.debug(
+          `current deployment for ${environment}: ${deployment.id} (${deployment.commit.oid})`
+        )
+        continue
+      }
+
+      if (
+        KNOWN_GOOD_DEPLOYMENT_STATES.includes(deployment.state) &&
+        deployment.commit.oid !== current.commit.oid
+      ) {
+        core.debug(
+          `found previous successful deployment for ${environment} in page ${queryNumber}`
+        )
+        return deployment
+      }
+    }
+
+    hasNextPage = data.repository.deployments.pageInfo.hasNextPage
+    endCursor = data.repository.deployments.pageInfo.endCursor
+  }
+
+  core.debug(
+    `no previous successful deployment found for ${environment} after ${queryNumber} pages`
+  )
+  return null
+}
+
+// Helper function to get the most recent deployments of an environment (newest first) along with their statuses
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The environment to get the deployments for (ex: production)
+// :param limit: The maximum number of deployments to get (Integer)
+// :returns: An array of deployments (Objects) - nodes from the deployments graphql query with a 'statuses' field
+export async function recentDeployments(octokit, context, environment, limit) {
+  const {owner, repo} = context.repo
+
+  const variables = {
+    repo_owner: owner,
+    repo_name: repo,
+    environment: environment
+  }
+
+  const deployments = []
+  let endCursor = null
+  let hasNextPage = true
+
+  while (hasNextPage && deployments.length < limit) {
+    const data = await octokit.graphql(buildQuery(endCursor, true), variables)
+    deployments.push(...data.repository.deployments.nodes)
+
+    hasNextPage = data.repository.deployments.pageInfo.hasNextPage
+    endCursor = data.repository.deployments.pageInfo.endCursor
+  }
+
+  core.debug(`found ${deployments.length} deployments for ${environment}`)
+  return deployments.slice(0, limit)
+}
+
+// Helper function to build the graphql query for a page of deployments of an environment (newest first)
+// :param page: The cursor of the page to fetch (String) - null for the first page
+// :param statuses: Whether or not to include the statuses of each deployment (Boolean)
+// :returns: The graphql query (String)
+function buildQuery(page = null, statuses = false) {
+  // the cursor must be quoted as it is a string value in the query
+  const after = page === null ? null : `"${page}"`
+
+  // the statuses of each deployment are only needed for the deployment history
+  const statusesQuery = statuses
+    ? `statuses(first: 100) {
+              nodes {
+                state
+                createdAt
+              }
+            }`
+    : ''
+
   return `
     query ($repo_owner: String!, $repo_name: String!, $environment: String!) {
       repository(owner: $repo_owner, name: $repo_name) {
-        deployments(environments: [$environment], first: 100, after: ${page}, orderBy: { field: CREATED_AT, direction: DESC }) {
+        deployments(environments: [$environment], first: 100, after: ${after}, orderBy: { field: CREATED_AT, direction: DESC }) {
           nodes {
             createdAt
             environment
             updatedAt
             id
+            databaseId
             payload
             state
             ref {
@@ -162,8 +305,18 @@ function buildQuery(page = null) {
             creator {
               login
             }
+            latestStatus {
+              environmentUrl
+            }
+            ${statusesQuery}
             commit {
               oid
+              associatedPullRequests(first: 1) {
+                nodes {
+                  number
+                  url
+                }
+              }
             }
           }
           pageInfo {
@@ -0,0 +1,110 @@
+import * as core from '@actions/core'
+import {stringToArray} from './string-to-array'
+import {previewAlias} from './preview-environment'
+
+// Helper function to parse the environment aliases and groups from the 'environment_aliases' input
+// The input is a JSON object of alias names and the environment targets that they resolve to
+// an alias maps to a single environment and a group maps to a list of environments
+// Example: {"prod": "production", "p": "production", "all-staging": ["staging-us", "staging-eu"]}
+// :param input: The raw 'environment_aliases' input (String)
+// :param environmentTargets: The comma separated list of environment targets (String)
+// :returns: An object of alias names and the environments that they resolve to (Object) - EX: {prod: ['production'], 'all-staging': ['staging-us', 'staging-eu']}
+export function parseEnvironmentAliases(input, environmentTargets) {
+  if (!input || input.trim() === '') {
+    return {}
+  }
+
+  const targets = stringToArray(environmentTargets)
+
+  try {
+    const aliases = JSON.parse(input)
+    if (
+      typeof aliases !== 'object' ||
+      aliases === null ||
+      Array.isArray(aliases)
+    ) {
+      throw new Error('the environment aliases must be a JSON object')
+    }
+
+    const parsed = {}
+    for (const [alias, value] of Object.entries(aliases)) {
+      if (alias.trim() === '' || /[\s,]/.test(alias)) {
+        throw new Error(
+          `the alias "${alias}" must not be empty or contain spaces or commas`
+        )
+      }
+
+      if (targets.includes(alias)) {
+        throw new Error(
+          `the alias ${alias} is already the name of an environment target`
+        )
+      }
+
+      const environments = Array.isArray(value) ? value : [value]
+      if (
+        environments.length === 0 ||
+        !environments.every(environment => typeof environment === 'string')
+      ) {
+        throw new Error(
+          `the alias ${alias} must be an environment or a list of environments`
+        )
+      }
+
+      for (const environment of environments) {
+        if (!targets.includes(environment)) {
+          throw new Error(
+            `the alias ${alias} resolves to ${environment} which is not one of the environment targets`
+          )
+        }
+      }
+
+      parsed[alias] = [...new Set(environments)]
+    }
+    return parsed
+  } catch (error) {
+    throw new Error(`Invalid value for 'environment_aliases': ${error.message}`)
+  }
+}
+
+// Helper function to get the parsed environment aliases and groups from the Action inputs
+// :returns: An object of alias names and the environments that they resolve to (Object)
+export function getEnvironmentAliases() {
+  return parseEnvironmentAliases(
+    core.getInput('environment_aliases'),
+    core.getInput('environment_targets')
+  )
+}
+
+// Helper function to replace any environment aliases or groups in a command with the environments that they resolve to
+// This is used on the command (without its parameters) so that only the canonical environment names are ever used
+// EX: '.deploy to prod' -> '.deploy to production' and '.lock all-staging,production' -> '.lock staging-us,staging-eu,production'
+// :param body: The comment body (String)
+// :param aliases: The parsed environment aliases (Object)
+// :returns: The comment body with every alias replaced by its environments (String)
+export function resolveEnvironmentAliases(body, aliases) {
+  const resolved = body
+    .split(/([\s,]+)/)
+    .map(word =>
+      Object.hasOwn(aliases, word) ? aliases[word].join(',') : word
+    )
+    .join('')
+
+  if (resolved !== body) {
+    core.debug(`resolved environment aliases: ${body} -> ${resolved}`)
+  }
+
+  return resolved
+}
+
+// Helper function to resolve the environment given in a command that targets an environment without deploying to it (EX: .history prod -> production)
+// The environment aliases and the preview target of the pull request are resolved in the same way as in the deploy, lock, and unlock commands
+// :param environment: The environment given in the command (String) - EX: prod
+// :param inputs: The Action inputs object
+// :param pullRequest: The number of the pull request (Integer)
+// :returns: The environment (or the comma separated environments of a group) that the command targets (String)
+export function resolveCommandEnvironment(environment, inputs, pullRequest) {
+  return resolveEnvironmentAliases(environment, {
+    ...inputs.environment_aliases,
+    ...previewAlias(inputs.preview_environment, pullRequest)
+  })
+}
@@ -0,0 +1,222 @@
+import * as core from '@actions/core'
+import {stringToArray} from './string-to-array'
+
+// The characters that a "*" in a pattern target can match (EX: sandbox-* matches sandbox-alice but not sandbox-alice/eu)
+const WILDCARD = '[A-Za-z0-9._-]+'
+
+// The longest environment name that can be matched by a pattern target
+const MAX_ENVIRONMENT_LENGTH = 63
+
+// The fields that a pattern target can use to declare its URL template and policy
+const PATTERN_FIELDS = [
+  'url',
+  'production',
+  'skip_ci',
+  'skip_reviews',
+  'draft_permitted'
+]
+
+// The policy fields of a pattern target and the inputs that they extend
+const POLICY_INPUTS = {
+  skip_ci: 'skipCi',
+  skip_reviews: 'skipReviews',
+  draft_permitted: 'draft_permitted_targets'
+}
+
+// Helper function to check if an environment name is safe to be used as a dynamic environment
+// Matched names are used in lock branch names, deployment environments, and environment URLs so only a small allowlist of characters is accepted
+// :param environment: The environment name (String)
+// :returns: true if the environment name is safe, false otherwise
+export function isSafeEnvironmentName(environment) {
+  return (
+    environment.length <= MAX_ENVIRONMENT_LENGTH &&
+    /^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(environment) &&
+    !environment.includes('..') &&
+    !environment.endsWith('.') &&
+    !environment.endsWith('.lock')
+  )
+}
+
+// Helper function to convert the key of a pattern target into a regular expression
+// :param pattern: A glob (EX: sandbox-*) or a regular expression wrapped in slashes (EX: /sandbox-[a-z]+/)
+// :returns: A regular expression that matches the whole environment name (RegExp)
+function patternRegex(pattern) {
+  if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+    try {
+      return new RegExp(`^(?:${pattern.slice(1, -1)})$`)
+    } catch (error) {
+      throw new Error(
+        `the pattern ${pattern} is not a valid regular expression: ${error.message}`
+      )
+    }
+  }
+
+  if (!/^[A-Za-z0-9._*-]+$/.test(pattern) || !pattern.includes('*')) {
+    throw new Error(
+      `the pattern ${pattern} must be a glob with a "*" (EX: sandbox-*) or a regular expression wrapped in slashes (EX: /sandbox-[a-z]+/)`
+    )
+  }
+
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.-]/g, '\\$&'))
+    .join(WILDCARD)
+  return new RegExp(`^${escaped}$`)
+}
+
+// Helper function to parse the pattern targets from the 'environment_patterns' input
+// The input is a JSON object of patterns and their (optional) URL template and policy
+// Example: {"sandbox-*": {"url": "https://{environment}.example.com", "skip_reviews": true}, "/preview-[0-9]+/": {}}
+// :param input: The raw 'environment_patterns' input (String)
+// :returns: An array of the pattern targets - EX: [{pattern: 'sandbox-*', regex: /^sandbox\-[A-Za-z0-9._-]+$/, url: 'https://{environment}.example.com', policy: {production: false, skip_ci: false, skip_reviews: true, draft_permitted: false}}]
+export function parseEnvironmentPatterns(input) {
+  if (!input || input.trim() === '') {
+    return []
+  }
+
+  try {
+    const patterns = JSON.parse(input)
+    if (
+      typeof patterns !== 'object' ||
+      patterns === null ||
+      Array.isArray(patterns)
+    ) {
+      throw new Error('the pattern targets must be a JSON object')
+    }
+
+    return Object.entries(patterns).map(([pattern, options]) => {
+      if (
+        typeof options !== 'object' ||
+        options === null ||
+        Array.isArray(options)
+      ) {
+        throw new Error(
+          `the options of the pattern ${pattern} must be a JSON object`
+        )
+      }
+
+      const unknown = Object.keys(options).filter(
+        field => !PATTERN_FIELDS.includes(field)
+      )
+      if (unknown.length > 0) {
+        throw new Error(
+          `the pattern ${pattern} has unknown fields: ${unknown.join(', ')}`
+        )
+      }
+
+      if (
+        options.url !== undefined &&
+        (typeof options.url !== 'string' || !/^https?:\/\//.test(options.url))
+      ) {
+        throw new Error(
+          `the url of the pattern ${pattern} must be an http(s) URL template (EX: https://{environment}.example.com)`
+        )
+      }
+
+      const policy = {}
+      for (const field of PATTERN_FIELDS.slice(1)) {
+        if (
+          options[field] !== undefined &&
+          typeof options[field] !== 'boolean'
+        ) {
+          throw new Error(
+            `the ${field} field of the pattern ${pattern} must be true or false`
+          )
+        }
+        policy[field] = options[field] === true
+      }
+
+      return {
+        pattern: pattern,
+        regex: patternRegex(pattern),
+        url: options.url ?? null,
+        policy: policy
+      }
+    })
+  } catch (error) {
+    throw new Error(
+      `Invalid value for 'environment_patterns': ${error.message}`
+    )
+  }
+}
+
+// Helper function to get the parsed pattern targets from the Action inputs
+// :returns: An array of the pattern targets
+export function getEnvironmentPatterns() {
+  return parseEnvironmentPatterns(core.getInput('environment_patterns'))
+}
+
+// Helper function to find the pattern target that matches an environment name (if any)
+// :param environment: The environment name (String)
+// :param patterns: The parsed pattern targets (Array) - defaults to no pattern targets
+// :returns: The first pattern target that matches the environment (Object) or null if no pattern target matches or the name is not safe
+export function matchEnvironmentPattern(environment, patterns = []) {
+  if (!isSafeEnvironmentName(environment)) {
+    return null
+  }
+
+  return patterns.find(pattern => pattern.regex.test(environment)) ?? null
+}
+
+// Helper function to find the environments of a command that are matched by a pattern target
+// Only the environment part of the command is checked, anything else (EX: a branch name or a lock reason) is never a pattern target
+// :param environments: The environment part of the command (String) - EX: 'sandbox-alice' or 'sandbox-alice,staging'
+// :param environmentTargets: The list of environment targets (Array) - environments that are listed explicitly are not pattern targets
+// :param patterns: The parsed pattern targets (Array)
+// :returns: An array of the environments that were matched by a pattern target - EX: ['sandbox-alice']
+export function findPatternTargets(environments, environmentTargets, patterns) {
+  const matched = []
+  for (const word of environments.split(',').map(item => item.trim())) {
+    if (
+      environmentTargets.includes(word) ||
+      matched.includes(word) ||
+      matchEnvironmentPattern(word, patterns) === null
+    ) {
+      continue
+    }
+
+    core.debug(`found environment matched by a pattern target: ${word}`)
+    matched.push(word)
+  }
+
+  return matched
+}
+
+// Helper function to apply the policy of the pattern targets to the environments of a deployment
+// Environments matched by a pattern target are added to the inputs that their policy enables (EX: skip_reviews: true adds the environment to the skip_reviews input)
+// :param inputs: The Action inputs object - it is updated in place
+// :param environments: The environments of the deployment (Array)
+// :returns: The updated Action inputs object
+export function applyPatternPolicies(inputs, environments) {
+  const environmentTargets = stringToArray(inputs.environment_targets)
+  for (const environment of environments) {
+    // environments that are listed explicitly in the environment targets only follow their own inputs
+    const pattern = environmentTargets.includes(environment)
+      ? null
+      : matchEnvironmentPattern(environment, inputs.environment_patterns)
+    if (pattern === null) {
+      continue
+    }
+
+    core.debug(
+      `applying the policy of the ${pattern.pattern} pattern target to ${environment}: ${JSON.stringify(pattern.policy)}`
+    )
+
+    if (pattern.policy.production === true) {
+      inputs.production_environments = [
+        ...inputs.production_environments,
+        environment
+      ]
+    }
+
+    for (const [field, input] of Object.entries(POLICY_INPUTS)) {
+      if (pattern.policy[field] === true) {
+        inputs[input] = [inputs[input], environment]
+          .filter(item => item !== '')
+          .join(',')
+      }
+    }
+  }
+
+  return inputs
+}
@@ -0,0 +1,167 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {latestActiveDeployment} from './deployment'
+import {checkLockFile} from './check-lock-file'
+import {timeDiff} from './time-diff'
+import {prLink, tableCell} from './list-locks'
+import {stringToArray} from './string-to-array'
+import {matchEnvironmentPattern} from './environment-patterns'
+import {resolveCommandEnvironment} from './environment-aliases'
+import {isPreviewEnvironment} from './preview-environment'
+import {LOCK_METADATA} from './lock-metadata'
+import {COLORS} from './colors'
+
+// Helper function to find the status of a single environment
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The environment to find the status of (ex: production)
+// :param now: The current time as an ISO string (String)
+// :returns: The status of the environment (Object) - the deployment is null if the environment has no active deployment
+async function findEnvironmentStatus(octokit, context, environment, now) {
+  const deployment = await latestActiveDeployment(octokit, context, environment)
+  const lockData = await checkLockFile(
+    octokit,
+    context,
+    `${environment}-${LOCK_METADATA.lockBranchSuffix}`
+  )
+
+  var deploymentStatus = null
+  if (deployment !== null) {
+    const pullRequest =
+      deployment.commit.associatedPullRequests?.nodes?.[0] ?? null
+    deploymentStatus = {
+      sha: deployment.commit.oid,
+      ref: deployment.ref?.name ?? null,
+      creator: deployment.creator?.login ?? null,
+      created_at: deployment.createdAt,
+      age: await timeDiff(deployment.createdAt, now),
+      pull_request: pullRequest ? pullRequest.number : null,
+      pull_request_url: pullRequest ? pullRequest.url : null,
+      environment_url: deployment.latestStatus?.environmentUrl || null
+    }
+  }
+
+  return {
+    environment: environment,
+    deployment: deploymentStatus,
+    lock:
+      lockData === false
+        ? null
+        : {
+            created_by: lockData.created_by,
+            reason: lockData.reason ?? null,
+            sticky: lockData.sticky,
+            link: lockData.link
+          }
+  }
+}
+
+// Helper function to report what is deployed to every environment (or to a single environment) in a pull request comment
+// The same data is also set as the 'environment_status' output (JSON) so that it can be consumed by other steps
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param body: The body of the comment (String) - ex: '.status' or '.status staging'
+// :param inputs: The Action inputs object
+// :returns: The array of environment statuses or false if the requested environment is not a valid environment target
+export async function environmentStatus(
+  octokit,
+  context,
+  reactionId,
+  body,
+  inputs
+) {
+  const {owner, repo} = context.repo
+  const environmentTargets = stringToArray(inputs.environment_targets)
+
+  // the status can optionally be filtered down to a single environment (ex: .status staging)
+  // environment aliases and the preview target are resolved (ex: .status prod -> production) and a group shows each of its environments
+  const filter = body.replace(inputs.status_trigger, '').trim()
+  var environments = environmentTargets
+  if (filter !== '') {
+    environments = stringToArray(
+      resolveCommandEnvironment(filter, inputs, context.issue.number)
+    )
+    const unknown = environments.find(
+      environment =>
+        !environmentTargets.includes(environment) &&
+        !isPreviewEnvironment(
+          environment,
+          inputs.preview_environment,
+          context.issue.number
+        ) &&
+        matchEnvironmentPattern(environment, inputs.environment_patterns) ===
+          null
+    )
+    if (unknown !== undefined) {
+      const message = dedent(`
+      ### ⚠️ Cannot show the environment status
+
+      No matching environment target found for \`${unknown}\`
+
+      > The following environment targets are available: \`${environmentTargets.join(',')}\`
+      `)
+      await actionStatus(context, octokit, reactionId, message)
+      core.setFailed(message)
+      return false
+    }
+  }
+
+  const now = new Date().toISOString()
+  const statuses = []
+  for (const environment of environments) {
+    statuses.push(
+      await findEnvironmentStatus(octokit, context, environment, now)
+    )
+  }
+
+  core.setOutput('environment_status', JSON.stringify(statuses))
+
+  // the global lock blocks every environment so it is shown above the table
+  var globalLockMsg = ''
+  const globalLock = await checkLockFile(
+    octokit,
+    context,
+    LOCK_METADATA.globalLockBranch
+  )
+  if (globalLock !== false) {
+    globalLockMsg = `\n\n> 🌏 There is a __global__ deployment lock claimed by __${globalLock.created_by}__ - All environments are currently locked`
+  }
+
+  const rows = statuses.map(status => {
+    const lock = status.lock
+      ? `🔒 __${status.lock.created_by}__`
+      : '🔓 unlocked'
+
+    if (status.deployment === null) {
+      return `| \`${status.environment}\` | - | - | - | - | - | - | ${lock} |`
+    }
+
+    const deployment = status.deployment
+    const ref = deployment.ref ? `\`${tableCell(deployment.ref)}\`` : '-'
+    const pullRequest = deployment.pull_request_url
+      ? prLink(deployment.pull_request_url)
+      : '-'
+    const environmentUrl = deployment.environment_url
+      ? `[link](${deployment.environment_url})`
+      : '-'
+    return `| \`${status.environment}\` | \`${deployment.sha.substring(0, 7)}\` | ${ref} | ${deployment.creator ?? '-'} | \`${deployment.age}\` | ${pullRequest} | ${environmentUrl} | ${lock} |`
+  })
+
+  const comment = dedent(`
+  ### Environment Status 🌍
+
+  What is currently deployed to ${environments.length === 1 ? `the \`${environments[0]}\` environment` : 'each environment'} of the \`${owner}/${repo}\` repository${globalLockMsg}
+
+  | Environment | Commit | Ref | Creator | Age | Pull Request | URL | Lock |
+  | ----------- | ------ | --- | ------- | --- | ------------ | --- | ---- |
+  ${rows.join('\n')}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `🌍 reported the status of ${COLORS.highlight}${statuses.length}${COLORS.reset} ${statuses.length === 1 ? 'environment' : 'environments'}`
+  )
+  return statuses
+}
@@ -4,7 +4,34 @@ import {checkInput} from './check-input'
 import {actionStatus} from './action-status'
 import {LOCK_METADATA} from './lock-metadata'
 import {COLORS} from './colors'
-import {parseParams} from './params'
+import {
+  parseParams,
+  paramSchema,
+  validateParams,
+  describeParamSchema
+} from './params'
+import {removeLockDurationFlag} from './lock-expiry'
+import {removeLockQueueFlag} from './lock-queue'
+import {removeLockOverrideFlags} from './lock-override'
+import {removeLockHistoryFlag} from './lock-history'
+import {stringToArray} from './string-to-array'
+import {removeFreezeOverrideFlag} from './freeze-windows'
+import {
+  getEnvironmentAliases,
+  resolveEnvironmentAliases
+} from './environment-aliases'
+import {
+  getEnvironmentPatterns,
+  matchEnvironmentPattern,
+  findPatternTargets
+} from './environment-patterns'
+import {suggestCommand} from './suggestions'
+import {
+  getPreviewEnvironment,
+  previewAlias,
+  previewEnvironmentName,
+  previewEnvironmentUrl
+} from './preview-environment'
 
 // Helper function to that does environment checks specific to branch deploys
 // :param environment_targets_sanitized: The list of environment targets
@@ -14,6 +41,8 @@ import {parseParams} from './params'
 // :param stable_branch: The stable branch
 // :param environment: The default environment
 // :param param_separator: The separator used to seperate the command from the parameters
+// :param environment_aliases: The parsed environment aliases and groups (Object)
+// :param environment_patterns: The parsed pattern targets (Array)
 // :returns: The environment target if found, false otherwise
 async function onDeploymentChecks(
   environment_targets_sanitized,
@@ -22,8 +51,13 @@ async function onDeploymentChecks(
   noop_trigger,
   stable_branch,
   environment,
-  param_separator
+  param_separator,
+  environment_aliases,
+  environment_patterns
 ) {
+  // remove the lock queue and freeze override flags from the whole body (if they exist) for env checks
+  // these flags are honored wherever they are typed so they are removed before the params are split off (EX: .deploy production | foo=bar --queue)
+  body = removeFreezeOverrideFlag(removeLockQueueFlag(body))
   var bodyFmt = body
 
   // Seperate the issueops command on the 'param_separator'
@@ -90,6 +124,28 @@ async function onDeploymentChecks(
     )
   }
 
+  // replace any environment aliases or groups with the environments that they resolve to
+  bodyFmt = resolveEnvironmentAliases(bodyFmt, environment_aliases)
+
+  // environments that are matched by a pattern target can be used just like the environment targets
+  // only the environment part of the command is checked (EX: sandbox-alice in '.deploy main to sandbox-alice')
+  const command = splitDeploymentCommand(
+    bodyFmt,
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  if (command !== null) {
+    environment_targets_sanitized = [
+      ...environment_targets_sanitized,
+      ...findPatternTargets(
+        command.environments,
+        environment_targets_sanitized,
+        environment_patterns
+      )
+    ]
+  }
+
   // Loop through all the environment targets to see if an explicit target is being used
   for (const target of environment_targets_sanitized) {
     // If the body on a branch deploy contains the target
@@ -258,6 +314,28 @@ async function onDeploymentChecks(
     }
   }
 
+  // Check if multiple environment targets are being deployed to at once (EX: .deploy to staging,production)
+  const targets = findMultipleTargets(
+    environment_targets_sanitized,
+    bodyFmt,
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  if (targets !== null) {
+    core.debug(
+      `found multiple environment targets for deployment: ${targets.target}`
+    )
+    return {
+      target: targets.target,
+      stable_branch_used: targets.stable_branch_used,
+      noop: targets.noop,
+      params: paramsTrim,
+      parsed_params: parsed_params,
+      sha: sha
+    }
+  }
+
   // If we get here, then no valid environment target was found - everything gets set to false / null
   return {
     target: false,
@@ -269,19 +347,139 @@ async function onDeploymentChecks(
   }
 }
 
+// Helper function to split a deployment command into its trigger and the environment part of the command
+// Example: '.deploy main to sandbox-alice,staging' -> {environments: 'sandbox-alice,staging', stable: true, noop: false}
+// :param body: The body of the comment (with any parameters, flags, and SHAs removed)
+// :param trigger: The trigger used to initiate the deployment
+// :param noop_trigger: The trigger used to initiate a noop deployment
+// :param stable_branch: The stable branch
+// :returns: An object with the environment part of the command (without 'to') and the stable and noop values - or null if the body is not a deployment command
+function splitDeploymentCommand(body, trigger, noop_trigger, stable_branch) {
+  // the stable branch prefixes are checked first as they also start with the trigger
+  const prefixes = [
+    {prefix: `${trigger} ${stable_branch}`, stable: true, noop: false},
+    {prefix: `${noop_trigger} ${stable_branch}`, stable: true, noop: true},
+    {prefix: trigger, stable: false, noop: false},
+    {prefix: noop_trigger, stable: false, noop: true}
+  ]
+  const command = prefixes.find(
+    item =>
+      body.trim().startsWith(item.prefix) &&
+      /^(\s|$)/.test(body.trim().slice(item.prefix.length))
+  )
+  if (command === undefined) {
+    return null
+  }
+
+  return {
+    environments: body
+      .trim()
+      .slice(command.prefix.length)
+      .trim()
+      .replace(/^to\s+/, ''),
+    stable: command.stable,
+    noop: command.noop
+  }
+}
+
+// Helper function to find multiple environment targets in a deployment command (EX: .deploy to staging,production)
+// :param environment_targets_sanitized: The list of environment targets
+// :param body: The body of the comment (with any parameters, flags, and SHAs removed)
+// :param trigger: The trigger used to initiate the deployment
+// :param noop_trigger: The trigger used to initiate a noop deployment
+// :param stable_branch: The stable branch
+// :returns: An object with the comma separated targets, stable_branch_used, and noop values - or null if the body does not list multiple valid targets
+function findMultipleTargets(
+  environment_targets_sanitized,
+  body,
+  trigger,
+  noop_trigger,
+  stable_branch
+) {
+  if (!body.includes(',')) {
+    return null
+  }
+
+  const command = splitDeploymentCommand(
+    body,
+    trigger,
+    noop_trigger,
+    stable_branch
+  )
+  if (command === null) {
+    return null
+  }
+
+  const targets = [...new Set(stringToArray(command.environments))]
+  if (
+    targets.length < 2 ||
+    !targets.every(target => environment_targets_sanitized.includes(target))
+  ) {
+    return null
+  }
+
+  return {
+    target: targets.join(','),
+    stable_branch_used: command.stable,
+    noop: command.noop
+  }
+}
+
+// Helper function to find the source environment of a promotion (ex: .promote staging to production)
+// :param environment_targets_sanitized: The list of environment targets
+// :param body: The body of the comment
+// :param trigger: The trigger used to initiate the promotion
+// :param environment_aliases: The parsed environment aliases and groups (Object)
+// :param environment_patterns: The parsed pattern targets (Array)
+// :returns: An object containing the source environment (or null if no valid source environment was found) and the body without the source environment
+function findPromotionSource(
+  environment_targets_sanitized,
+  body,
+  trigger,
+  environment_aliases,
+  environment_patterns
+) {
+  // the source environment is the first word after the trigger (an alias of the source environment or an environment matched by a pattern target can be used too)
+  const words = body.trim().slice(trigger.length).trim().split(/\s+/)
+  const source = resolveEnvironmentAliases(words.shift(), environment_aliases)
+
+  if (
+    !environment_targets_sanitized.includes(source) &&
+    findPatternTargets(
+      source,
+      environment_targets_sanitized,
+      environment_patterns
+    ).length === 0
+  ) {
+    core.debug(`no valid source environment found for promotion: ${source}`)
+    return {source: null, body: body}
+  }
+
+  core.info(
+    `📦 detected promotion source environment: ${COLORS.highlight}${source}`
+  )
+
+  // remove the source environment from the body so that the target environment can be found with the deployment checks
+  return {source: source, body: `${trigger} ${words.join(' ')}`.trim()}
+}
+
 // Helper function to that does environment checks specific to lock/unlock commands
 // :param environment_targets_sanitized: The list of environment targets
 // :param body: The body of the comment
 // :param lock_trigger: The trigger used to initiate the lock command
 // :param unlock_trigger: The trigger used to initiate the unlock command
 // :param environment: The default environment from the Actions inputs
-// :returns: The environment target if found, false otherwise
+// :param environment_aliases: The parsed environment aliases and groups (Object)
+// :param environment_patterns: The parsed pattern targets (Array)
+// :returns: The environment target if found (a comma separated list if multiple targets were requested), false otherwise
 async function onLockChecks(
   environment_targets_sanitized,
   body,
   lock_trigger,
   unlock_trigger,
-  environment
+  environment,
+  environment_aliases,
+  environment_patterns
 ) {
   // if the body contains the globalFlag, exit right away as environments are not relevant
   const globalFlag = core.getInput('global_lock_flag').trim()
@@ -290,11 +488,28 @@ async function onLockChecks(
     return 'GLOBAL_REQUEST'
   }
 
+  // lock details requests only work with a single environment
+  const detailsRequest = LOCK_METADATA.lockInfoFlags.some(flag =>
+    body.includes(flag)
+  )
+
   // remove any lock flags from the body
   LOCK_METADATA.lockInfoFlags.forEach(flag => {
     body = body.replace(flag, '').trim()
   })
 
+  // remove the lock duration flag (and its value) from the body
+  body = removeLockDurationFlag(body)
+
+  // remove the lock queue flag from the body
+  body = removeLockQueueFlag(body)
+
+  // remove the force and takeover flags from the body
+  body = removeLockOverrideFlags(body)
+
+  // remove the lock history flag (and its number of entries) from the body
+  body = removeLockHistoryFlag(body)
+
   // remove the --reason <text> from the body if it exists
   if (body.includes('--reason')) {
     core.debug(
@@ -304,6 +519,9 @@ async function onLockChecks(
     core.debug(`comment body after '--reason' removal: ${body}`)
   }
 
+  // replace any environment aliases or groups with the environments that they resolve to
+  body = resolveEnvironmentAliases(body, environment_aliases)
+
   // Get the lock info alias from the action inputs
   const lockInfoAlias = core.getInput('lock_info_alias')
 
@@ -325,6 +543,26 @@ async function onLockChecks(
     return environment
   }
 
+  // environments that are matched by a pattern target can be used just like the environment targets
+  // only the environment part of the command is checked (EX: sandbox-alice in '.lock sandbox-alice')
+  const command = [lock_trigger, unlock_trigger, lockInfoAlias]
+    .map(item => item.trim())
+    .find(
+      item =>
+        body.trim().startsWith(item) &&
+        /^\s/.test(body.trim().slice(item.length))
+    )
+  if (command !== undefined) {
+    environment_targets_sanitized = [
+      ...environment_targets_sanitized,
+      ...findPatternTargets(
+        body.trim().slice(command.length),
+        environment_targets_sanitized,
+        environment_patterns
+      )
+    ]
+  }
+
   // Loop through all the environment targets to see if an explicit target is being used
   for (const target of environment_targets_sanitized) {
     // If the body on a branch deploy contains the target
@@ -340,6 +578,23 @@ async function onLockChecks(
     }
   }
 
+  // Check if multiple environment targets are being locked or unlocked at once (EX: .lock staging,production)
+  if (detailsRequest === false && body.includes(',')) {
+    const targets = stringToArray(
+      body.replace(lock_trigger, '').replace(unlock_trigger, '')
+    )
+    if (
+      targets.length > 0 &&
+      targets.every(target => environment_targets_sanitized.includes(target))
+    ) {
+      const uniqueTargets = [...new Set(targets)].join(',')
+      core.debug(
+        `found multiple environment targets for lock/unlock request: ${uniqueTargets}`
+      )
+      return uniqueTargets
+    }
+  }
+
   // If we get here, then no valid environment target was found
   return false
 }
@@ -347,13 +602,23 @@ async function onLockChecks(
 // Helper function to find the environment URL for a given environment target (if it exists)
 // :param environment: The environment target
 // :param environment_urls: The environment URLs from the action inputs
+// :param environment_patterns: The parsed pattern targets from the action inputs (Array)
+// :param preview_environment: The preview environment of the pull request and its URL (Object) - null if the preview command is disabled
 // :returns: The environment URL if found, an empty string otherwise
-async function findEnvironmentUrl(environment, environment_urls) {
+async function findEnvironmentUrl(
+  environment,
+  environment_urls,
+  environment_patterns,
+  preview_environment
+) {
   // The structure: "<environment1>|<url1>,<environment2>|<url2>,etc"
 
-  // If the environment URLs are empty, just return an empty string
+  // If the environment URLs are empty, fall back to the URL template of the preview environment or a pattern target (if any)
   if (checkInput(environment_urls) === null) {
-    return null
+    return (
+      findPreviewUrl(environment, preview_environment) ??
+      findPatternUrl(environment, environment_patterns)
+    )
   }
 
   // Split the environment URLs into an array
@@ -392,7 +657,14 @@ async function findEnvironmentUrl(environment, environment_urls) {
     }
   }
 
-  // If we get here, then no environment URL was found
+  // If we get here, then no environment URL was found - fall back to the URL template of the preview environment or a pattern target (if any)
+  const templateUrl =
+    findPreviewUrl(environment, preview_environment) ??
+    findPatternUrl(environment, environment_patterns)
+  if (templateUrl !== null) {
+    return templateUrl
+  }
+
   core.warning(
     `no valid environment URL found for environment: ${environment} - setting environment URL to 'null' - please check your 'environment_urls' input`
   )
@@ -401,6 +673,146 @@ async function findEnvironmentUrl(environment, environment_urls) {
   return null
 }
 
+// Helper function to find the environment URL of the preview environment of the pull request from the 'preview_url' input
+// :param environment: The environment target
+// :param preview_environment: The preview environment of the pull request and its URL (Object) - null if the preview command is disabled
+// :returns: The environment URL if the environment is the preview environment and the 'preview_url' input is set, null otherwise
+function findPreviewUrl(environment, preview_environment) {
+  if (
+    preview_environment?.environment !== environment ||
+    preview_environment.url === null
+  ) {
+    return null
+  }
+
+  core.saveState('environment_url', preview_environment.url)
+  core.setOutput('environment_url', preview_environment.url)
+  core.info(
+    `🔗 environment url detected from the preview environment: ${COLORS.highlight}${preview_environment.url}`
+  )
+  return preview_environment.url
+}
+
+// Helper function to find the environment URL of an environment from the URL template of the pattern target that matches it
+// :param environment: The environment target
+// :param environment_patterns: The parsed pattern targets from the action inputs (Array)
+// :returns: The environment URL if the environment is matched by a pattern target with a URL template, null otherwise
+function findPatternUrl(environment, environment_patterns) {
+  const pattern = matchEnvironmentPattern(environment, environment_patterns)
+  if (pattern === null || pattern.url === null) {
+    return null
+  }
+
+  // matched environment names only contain URL safe characters (see isSafeEnvironmentName)
+  const environment_url = pattern.url.replaceAll('{environment}', environment)
+  core.saveState('environment_url', environment_url)
+  core.setOutput('environment_url', environment_url)
+  core.info(
+    `🔗 environment url detected from the ${COLORS.highlight}${pattern.pattern}${COLORS.reset} pattern: ${COLORS.highlight}${environment_url}`
+  )
+  return environment_url
+}
+
+// Helper function to validate the parameters of a deployment against the parameter schema of each environment target
+// If a schema applies, the parsed_params of the environmentObj are replaced with the normalized values (and their defaults)
+// When deploying to multiple environments, the parameters of each environment are kept in the environment_params of the environmentObj
+// and the parsed_params are set to the parameters of the first environment (like the environment output)
+// :param environmentObj: The environment object from onDeploymentChecks (Object)
+// :param param_schemas: The parsed parameter schemas from the action inputs (Object)
+// :param context: The context of the Action
+// :param octokit: The Octokit instance
+// :param reactionId: The ID of the initial comment reaction (Integer)
+// :returns: true if the parameters are valid (or no schema applies), false otherwise
+async function paramSchemaChecks(
+  environmentObj,
+  param_schemas,
+  context,
+  octokit,
+  reactionId
+) {
+  const targets = environmentObj.target.split(',')
+  if (targets.every(target => paramSchema(param_schemas, target) === null)) {
+    core.debug('no parameter schemas apply to the environment targets')
+    return true
+  }
+
+  const environment_params = {}
+  for (const target of targets) {
+    const schema = paramSchema(param_schemas, target)
+
+    // environments without a schema (in a deployment to multiple environments) keep the parameters as they were parsed
+    if (schema === null) {
+      environment_params[target] = environmentObj.parsed_params
+      continue
+    }
+
+    const result = validateParams(environmentObj.params, schema)
+    if (result.valid === false) {
+      const message = dedent(`
+      ### ⚠️ Cannot proceed with deployment
+
+      The parameters are not valid for the \`${target}\` environment:
+
+      ${result.errors.map(error => `- ${error}`).join('\n')}
+
+      > The \`${target}\` environment accepts the following parameters:
+
+      ${describeParamSchema(schema)}
+      `)
+      core.saveState('bypass', 'true')
+      await actionStatus(context, octokit, reactionId, message)
+      core.setFailed(message)
+      return false
+    }
+
+    environment_params[target] = result.parsed_params
+  }
+
+  if (targets.length > 1) {
+    for (const target of targets) {
+      core.info(
+        `🧮 validated parameters for ${COLORS.highlight}${target}${COLORS.reset}: ${COLORS.highlight}${JSON.stringify(environment_params[target])}`
+      )
+    }
+    environmentObj.environment_params = environment_params
+  } else {
+    core.info(
+      `🧮 validated parameters: ${COLORS.highlight}${JSON.stringify(environment_params[targets[0]])}`
+    )
+  }
+
+  const parsed_params = environment_params[targets[0]]
+  environmentObj.parsed_params = parsed_params
+  core.setOutput('parsed_params', parsed_params)
+  core.saveState('parsed_params', parsed_params)
+  return true
+}
+
+// Helper function to build the "did you mean" section of the comment when no matching environment target was found
+// The closest valid command is suggested (EX: .deploy to prodution -> .deploy to production) along with examples of valid commands
+// :param body: The body of the comment
+// :param separator: Everything after the separator is kept as it is in the suggestion (EX: the param_separator or --reason)
+// :param candidates: The valid environment names and aliases (Array)
+// :param ignored: The words of the command that are always valid (Array) - EX: the triggers
+// :param examples: Examples of valid commands (Array)
+// :returns: The "did you mean" section of the comment (String)
+function environmentSuggestion(body, separator, candidates, ignored, examples) {
+  const [command, ...rest] = body.split(separator)
+  const suggestion = suggestCommand(command, candidates, ignored)
+
+  const example = `> Examples of valid commands: ${examples.map(item => `\`${item}\``).join(', ')}`
+  if (suggestion === null) {
+    return `\n\n${example}`
+  }
+
+  // everything after the separator (EX: the parameters) is added back to the suggested command
+  const suggestedCommand = [suggestion, ...rest].join(separator).trim()
+  core.info(
+    `💡 suggesting the closest valid command: ${COLORS.highlight}${suggestedCommand}`
+  )
+  return `\n\n#### Did you mean?\n\n\`\`\`text\n${suggestedCommand}\n\`\`\`\n\n${example}`
+}
+
 // A simple function that checks if an explicit environment target is being used
 // :param environment: The default environment from the Actions inputs
 // :param body: The comment body
@@ -413,6 +825,8 @@ async function findEnvironmentUrl(environment, environment_urls) {
 // :param lockChecks: Whether or not this is a lock/unlock command (Boolean)
 // :param environment_urls: The environment URLs from the action inputs
 // :param param_separator: The separator used to split the environment targets (String) - defaults to '|'
+// :param promote: Whether or not this is a promote command (Boolean) - the source environment is added to the environmentObj as 'promoted_from'
+// :param param_schemas: The parsed parameter schemas from the action inputs (Object) - defaults to no schemas
 // :returns: An object containing the environment target and environment URL
 export async function environmentTargets(
   environment,
@@ -425,7 +839,9 @@ export async function environmentTargets(
   reactionId,
   lockChecks = false,
   environment_urls = null,
-  param_separator = '|'
+  param_separator = '|',
+  promote = false,
+  param_schemas = {}
 ) {
   // Get the environment targets from the action inputs
   const environment_targets = core.getInput('environment_targets')
@@ -435,8 +851,36 @@ export async function environmentTargets(
     .split(',')
     .map(target => target.trim())
 
-  // convert the environment targets into an array joined on ,
-  const environment_targets_joined = environment_targets_sanitized.join(',')
+  // Get the pattern targets (EX: sandbox-*) from the action inputs
+  const environment_patterns = getEnvironmentPatterns()
+
+  // Get the preview environment of this pull request (EX: preview -> pr-1234) from the action inputs
+  const preview = getPreviewEnvironment()
+  const pull_request = context?.issue?.number
+  const preview_alias = previewAlias(preview, pull_request)
+  const preview_environment =
+    preview.target === null
+      ? null
+      : {
+          environment: previewEnvironmentName(preview, pull_request),
+          url: previewEnvironmentUrl(preview, pull_request)
+        }
+
+  // convert the environment targets (and pattern targets and the preview target) into an array joined on ,
+  const environment_targets_joined = [
+    ...environment_targets_sanitized,
+    ...environment_patterns.map(pattern => pattern.pattern),
+    ...Object.keys(preview_alias)
+  ].join(',')
+
+  // Get the environment aliases and groups (EX: prod -> production) from the action inputs
+  // the preview target is an alias of the preview environment of this pull request
+  const environment_aliases = {...getEnvironmentAliases(), ...preview_alias}
+
+  // The preview environment of this pull request can be used just like the environment targets
+  if (preview_environment !== null) {
+    environment_targets_sanitized.push(preview_environment.environment)
+  }
 
   // If lockChecks is set to true, this request is for either a lock/unlock command to check the body for an environment target
   if (lockChecks === true) {
@@ -445,7 +889,9 @@ export async function environmentTargets(
       body,
       trigger,
       alt_trigger,
-      environment
+      environment,
+      environment_aliases,
+      environment_patterns
     )
     if (environmentDetected !== false) {
       return {environment: environmentDetected, environmentUrl: null}
@@ -460,16 +906,41 @@ export async function environmentTargets(
     core.warning(message)
     core.saveState('bypass', 'true')
 
+    // Suggest the closest valid command (if any) along with examples of valid commands
+    const suggestion = environmentSuggestion(
+      body,
+      '--reason',
+      [...environment_targets_sanitized, ...Object.keys(environment_aliases)],
+      [trigger, alt_trigger],
+      [`${trigger} ${environment}`, `${alt_trigger} ${environment}`]
+    )
+
     // Return the action status as a failure
     await actionStatus(
       context,
       octokit,
       reactionId,
-      `### ⚠️ Cannot proceed with lock/unlock request\n\n${message}`
+      `### ⚠️ Cannot proceed with lock/unlock request\n\n${message}${suggestion}`
     )
 
     return {environment: false, environmentUrl: null}
   } else {
+    // keep the original comment body for suggestions as the source environment of a promotion is removed from the body below
+    const comment_body = body
+
+    // If this is a promotion, find the source environment and remove it from the body for the environment checks
+    var promotion = null
+    if (promote === true) {
+      promotion = findPromotionSource(
+        environment_targets_sanitized,
+        body,
+        trigger,
+        environment_aliases,
+        environment_patterns
+      )
+      body = promotion.body
+    }
+
     // If lockChecks is set to false, this request is for a branch deploy to check the body for an environment target
     const environmentObj = await onDeploymentChecks(
       environment_targets_sanitized,
@@ -478,9 +949,19 @@ export async function environmentTargets(
       alt_trigger,
       stable_branch,
       environment,
-      param_separator
+      param_separator,
+      environment_aliases,
+      environment_patterns
     )
 
+    // a promotion without a valid source environment has no valid environment target
+    if (promotion !== null) {
+      environmentObj.promoted_from = promotion.source
+      if (promotion.source === null) {
+        environmentObj.target = false
+      }
+    }
+
     const environmentDetected = environmentObj.target
 
     // If no environment target was found, let the user know via a comment and return false
@@ -493,12 +974,32 @@ export async function environmentTargets(
       core.warning(message)
       core.saveState('bypass', 'true')
 
+      // Suggest the closest valid command (if any) along with examples of valid commands
+      // note: rollbacks and promotions use their trigger in place of the noop trigger so they only have a single example
+      var examples = [
+        `${trigger} to ${environment}`,
+        `${alt_trigger} to ${environment}`,
+        `${trigger} to ${environment} ${param_separator} <params>`
+      ]
+      if (promote === true) {
+        examples = [`${trigger} <environment> to ${environment}`]
+      } else if (trigger === alt_trigger) {
+        examples = [`${trigger} to ${environment}`]
+      }
+      const suggestion = environmentSuggestion(
+        comment_body,
+        param_separator,
+        [...environment_targets_sanitized, ...Object.keys(environment_aliases)],
+        [trigger, alt_trigger, stable_branch, 'to'],
+        examples
+      )
+
       // Return the action status as a failure
       await actionStatus(
         context,
         octokit,
         reactionId,
-        `### ⚠️ Cannot proceed with deployment\n\n${message}`
+        `### ⚠️ Cannot proceed with deployment\n\n${message}${suggestion}`
       )
       return {
         environment: false,
@@ -507,10 +1008,49 @@ export async function environmentTargets(
       }
     }
 
+    // Validate the parameters against the parameter schemas (if any) before anything else happens
+    const paramsValid = await paramSchemaChecks(
+      environmentObj,
+      param_schemas,
+      context,
+      octokit,
+      reactionId
+    )
+    if (paramsValid === false) {
+      return {
+        environment: false,
+        environmentUrl: null,
+        environmentObj: environmentObj
+      }
+    }
+
+    // A deployment to multiple environments has an environment URL for each environment
+    // the single environment_url output is set to 'null' as the URLs are found in the deployment_matrix output instead
+    if (environmentDetected.includes(',')) {
+      environmentObj.environment_urls = {}
+      for (const target of environmentDetected.split(',')) {
+        environmentObj.environment_urls[target] = await findEnvironmentUrl(
+          target,
+          environment_urls,
+          environment_patterns,
+          preview_environment
+        )
+      }
+      core.saveState('environment_url', 'null')
+      core.setOutput('environment_url', 'null')
+      return {
+        environment: environmentDetected,
+        environmentUrl: null,
+        environmentObj: environmentObj
+      }
+    }
+
     // Attempt to get the environment URL from the environment_urls input using the environment target as the key
     const environmentUrl = await findEnvironmentUrl(
       environmentDetected,
-      environment_urls
+      environment_urls,
+      environment_patterns,
+      preview_environment
     )
 
     // Return the environment target
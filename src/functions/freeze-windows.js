@@ -0,0 +1,361 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {isAdmin} from './admin'
+import {parseDuration} from './lock-expiry'
+import {parentScopes} from './lock-scope'
+import {timeDiff} from './time-diff'
+import {COLORS} from './colors'
+
+// The flag that admins can use to deploy during an active freeze window
+export const FREEZE_OVERRIDE_FLAG = '--override-freeze'
+
+// The key in the freeze calendar that applies to every environment
+const ALL_ENVIRONMENTS = '*'
+
+// The longest duration of a recurring freeze window (longer freezes should use a one-off date range)
+const MAX_RECURRING_DURATION = 4 * 7 * 24 * 60 * 60 * 1000
+
+// The number of milliseconds in a minute (the resolution of cron expressions)
+const MINUTE = 60 * 1000
+
+// The fields of a cron expression and their allowed values
+const CRON_FIELDS = [
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'day of month', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12},
+  {name: 'day of week', min: 0, max: 7}
+]
+
+// The short weekday names returned by Intl.DateTimeFormat (in cron order)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Helper function to parse a single field of a cron expression into the set of values it matches
+// Supports "*", single values, ranges ("1-5"), lists ("1,3,5"), and steps ("*/15", "0-30/10")
+// :param field: The cron field to parse (String)
+// :param spec: The name and allowed values of the field (Object)
+// :returns: A Set of the values that the field matches
+function parseCronField(field, spec) {
+  const values = new Set()
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/)
+    if (match === null) {
+      throw new Error(`invalid ${spec.name} in cron expression: ${field}`)
+    }
+
+    var start = spec.min
+    var end = spec.max
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-').map(value => parseInt(value))
+      start = from
+      // a single value with a step (EX: "5/15") runs from the value to the end of the range
+      end = to ?? (match[2] ? spec.max : from)
+    }
+
+    const step = match[2] ? parseInt(match[2]) : 1
+    if (start < spec.min || end > spec.max || start > end || step < 1) {
+      throw new Error(`invalid ${spec.name} in cron expression: ${field}`)
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value)
+    }
+  }
+
+  return values
+}
+
+// Helper function to parse a cron expression (minute hour day-of-month month day-of-week)
+// :param expression: The cron expression to parse (String) - EX: "0 20 * * 1-5"
+// :returns: An object with the set of values that each field matches
+export function parseCron(expression) {
+  const fields = `${expression}`.trim().split(/\s+/)
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `cron expressions must have ${CRON_FIELDS.length} fields: ${expression}`
+    )
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index])
+  )
+
+  // both 0 and 7 mean Sunday
+  if (weekdays.has(7)) {
+    weekdays.add(0)
+  }
+
+  return {
+    minutes: minutes,
+    hours: hours,
+    days: days,
+    months: months,
+    weekdays: weekdays,
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*'
+  }
+}
+
+// Helper function to check if a date matches a parsed cron expression
+// Like cron, when both the day of month and the day of week are restricted, a date matches if either of them match
+// :param cron: The parsed cron expression (Object)
+// :param formatter: An Intl.DateTimeFormat for the timezone of the cron expression
+// :param date: The date to check (Date)
+// :returns: true if the date matches the cron expression, false otherwise
+function cronMatches(cron, formatter, date) {
+  const parts = {}
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value
+  }
+
+  const dayMatches = cron.days.has(parseInt(parts.day))
+  const weekdayMatches = cron.weekdays.has(WEEKDAYS.indexOf(parts.weekday))
+  const dateMatches =
+    cron.daysRestricted && cron.weekdaysRestricted
+      ? dayMatches || weekdayMatches
+      : dayMatches && weekdayMatches
+
+  return (
+    dateMatches &&
+    cron.minutes.has(parseInt(parts.minute)) &&
+    cron.hours.has(parseInt(parts.hour)) &&
+    cron.months.has(parseInt(parts.month))
+  )
+}
+
+// Helper function to build the date formatter that is used to evaluate cron expressions in a timezone
+// :param timezone: The IANA timezone name (String) - EX: "Europe/Berlin"
+// :returns: An Intl.DateTimeFormat object (throws a RangeError if the timezone is not valid)
+function cronFormatter(timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    month: 'numeric',
+    day: 'numeric',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric'
+  })
+}
+
+// Helper function to validate a single freeze window from the freeze calendar
+// :param window: The freeze window (Object)
+// :param environment: The environment key of the freeze window (String)
+// :returns: The normalized freeze window (Object)
+function parseFreezeWindow(window, environment) {
+  const name = window?.name ?? 'freeze window'
+
+  if (window?.cron !== undefined) {
+    const duration = parseDuration(window.duration)
+    if (duration === null || duration > MAX_RECURRING_DURATION) {
+      throw new Error(
+        `the "${name}" freeze window for ${environment} needs a "duration" of up to 4w (EX: "12h")`
+      )
+    }
+
+    const timezone = window.timezone ?? 'UTC'
+    try {
+      cronFormatter(timezone)
+    } catch (error) {
+      throw new Error(
+        `the "${name}" freeze window for ${environment} has an invalid "timezone": ${timezone}`
+      )
+    }
+
+    return {
+      name: name,
+      type: 'recurring',
+      cron: parseCron(window.cron),
+      duration: duration,
+      timezone: timezone
+    }
+  }
+
+  const start = new Date(window?.start)
+  const end = new Date(window?.end)
+  if (isNaN(start) || isNaN(end) || end <= start) {
+    throw new Error(
+      `the "${name}" freeze window for ${environment} needs either a "cron" and "duration" or a "start" and "end" date (with the end after the start)`
+    )
+  }
+
+  return {name: name, type: 'one-off', start: start, end: end}
+}
+
+// Helper function to parse the freeze calendar from the 'freeze_windows' input
+// The calendar is a JSON object of environments ("*" for every environment) and their freeze windows
+// Example: {"production": [{"name": "weekend", "cron": "0 18 * * 5", "duration": "2d14h"}, {"name": "holidays", "start": "2024-12-20", "end": "2025-01-02"}]}
+// :param input: The raw 'freeze_windows' input (String)
+// :returns: The parsed freeze calendar (Object) - EX: {production: [{name: 'weekend', type: 'recurring', ...}]}
+export function parseFreezeWindows(input) {
+  if (!input || input.trim() === '') {
+    return {}
+  }
+
+  try {
+    const calendar = JSON.parse(input)
+    if (
+      typeof calendar !== 'object' ||
+      calendar === null ||
+      Array.isArray(calendar)
+    ) {
+      throw new Error('the freeze calendar must be a JSON object')
+    }
+
+    const parsed = {}
+    for (const [environment, windows] of Object.entries(calendar)) {
+      if (!Array.isArray(windows)) {
+        throw new Error(`the freeze windows for ${environment} must be a list`)
+      }
+      parsed[environment] = windows.map(window =>
+        parseFreezeWindow(window, environment)
+      )
+    }
+    return parsed
+  } catch (error) {
+    throw new Error(`Invalid value for 'freeze_windows': ${error.message}`)
+  }
+}
+
+// Helper function to find when a recurring freeze window that is active ends
+// The window is active if its cron expression matched at some point within the last 'duration'
+// :param window: The recurring freeze window (Object)
+// :param now: The current date (Date)
+// :returns: The date that the active window ends (Date) or null if the window is not active
+function recurringWindowEnd(window, now) {
+  const formatter = cronFormatter(window.timezone)
+  const latest = Math.floor(now.getTime() / MINUTE) * MINUTE
+
+  // the most recent start of the window is the one that ends last
+  for (let start = latest; start > now - window.duration; start -= MINUTE) {
+    if (cronMatches(window.cron, formatter, new Date(start))) {
+      return new Date(start + window.duration)
+    }
+  }
+
+  return null
+}
+
+// Helper function to find the freeze window that is active for an environment (if any)
+// Windows for the environment, its parent scopes (EX: production for production/eu), and "*" all apply
+// :param calendar: The parsed freeze calendar (Object)
+// :param environment: The environment being deployed (String)
+// :param now: The date to check (Date) - defaults to the current time
+// :returns: The active freeze window that ends last - EX: {name: 'weekend', environment: 'production', ends_at: '...'} - or null
+export function activeFreezeWindow(calendar, environment, now = new Date()) {
+  const keys = [ALL_ENVIRONMENTS, ...parentScopes(environment), environment]
+
+  var active = null
+  for (const key of keys) {
+    for (const window of calendar[key] ?? []) {
+      var end = null
+      if (window.type === 'recurring') {
+        end = recurringWindowEnd(window, now)
+      } else if (window.start <= now && now < window.end) {
+        end = window.end
+      }
+
+      if (end !== null && (active === null || end > active.end)) {
+        active = {name: window.name, environment: key, end: end}
+      }
+    }
+  }
+
+  if (active === null) {
+    return null
+  }
+
+  return {
+    name: active.name,
+    environment: active.environment,
+    ends_at: active.end.toISOString()
+  }
+}
+
+// Helper function to check if the freeze override flag was used in a comment body
+// :param body: The comment body
+// :returns: true if the freeze override flag was found, false otherwise
+export function findFreezeOverrideFlag(body) {
+  return new RegExp(`\\s+${FREEZE_OVERRIDE_FLAG}(?=\\s|$)`).test(body)
+}
+
+// Helper function to remove the freeze override flag from a comment body
+// :param body: The comment body
+// :returns: The comment body without the freeze override flag (String)
+export function removeFreezeOverrideFlag(body) {
+  return body
+    .replace(new RegExp(`\\s+${FREEZE_OVERRIDE_FLAG}(?=\\s|$)`), '')
+    .trim()
+}
+
+// Helper function to check if a deployment is blocked by an active freeze window
+// Admins can deploy during a freeze window with the --override-freeze flag (the override is recorded in the deployment payload)
+// :param context: The GitHub Actions event context
+// :param data: An object containing the environment, the comment body, the noop mode bool, and the Action inputs
+// :returns: An object - EX: {status: true, message: null, override: null} - status is false if the deployment is blocked
+export async function freezeWindowChecks(context, data) {
+  // noop deployments do not change anything so they are never frozen
+  if (data.noop === true) {
+    core.debug('noop deployment - skipping freeze window checks')
+    return {status: true, message: null, override: null}
+  }
+
+  const window = activeFreezeWindow(
+    data.inputs.freeze_windows,
+    data.environment
+  )
+  if (window === null) {
+    core.debug(`no active freeze window for ${data.environment}`)
+    return {status: true, message: null, override: null}
+  }
+
+  const remaining = await timeDiff(new Date().toISOString(), window.ends_at)
+  const windowText = `the \`${window.name}\` freeze window until \`${window.ends_at}\` (in \`${remaining}\`)`
+
+  if (findFreezeOverrideFlag(data.body) === true) {
+    if ((await isAdmin(context)) === true) {
+      core.warning(
+        `🧊 ${COLORS.highlight}${context.actor}${COLORS.reset} is overriding the ${COLORS.highlight}${window.name}${COLORS.reset} freeze window for ${COLORS.highlight}${data.environment}`
+      )
+      return {
+        status: true,
+        message: null,
+        override: {
+          window: window.name,
+          ends_at: window.ends_at,
+          overridden_by: context.actor
+        }
+      }
+    }
+
+    core.info(
+      `🧊 ${COLORS.highlight}${context.actor}${COLORS.reset} is not an admin and cannot override the freeze window`
+    )
+    return {
+      status: false,
+      message: dedent(`
+      ### ❄️ Deployment Freeze
+
+      Sorry __${context.actor}__, deployments to \`${data.environment}\` are frozen by ${windowText}
+
+      > Only admins can override a deployment freeze with \`${FREEZE_OVERRIDE_FLAG}\`
+      `),
+      override: null
+    }
+  }
+
+  core.info(
+    `❄️ deployments to ${COLORS.highlight}${data.environment}${COLORS.reset} are frozen until ${COLORS.highlight}${window.ends_at}`
+  )
+  return {
+    status: false,
+    message: dedent(`
+    ### ❄️ Deployment Freeze
+
+    Deployments to \`${data.environment}\` are frozen by ${windowText}
+
+    > If this deployment cannot wait, an admin can override the freeze with \`${FREEZE_OVERRIDE_FLAG}\`
+    `),
+    override: null
+  }
+}
@@ -103,6 +103,17 @@ export async function help(octokit, context, reactionId, inputs) {
     enforced_deployment_order_message = `Deployments can be made to any environment in any order`
   }
 
+  var environment_aliases_message = 'No environment aliases are configured'
+  const environment_aliases = Object.entries(inputs.environment_aliases)
+  if (environment_aliases.length > 0) {
+    environment_aliases_message = `Commands can use the following aliases instead of the environment names: ${environment_aliases
+      .map(
+        ([alias, environments]) =>
+          `\`${alias}\` → \`${environments.join(',')}\``
+      )
+      .join(', ')}`
+  }
+
   // Construct the message to add to the issue comment
   const comment = dedent(`
   ## 📚 Branch Deployment Help
@@ -118,6 +129,15 @@ export async function help(octokit, context, reactionId, inputs) {
   - \`${inputs.trigger} ${inputs.stable_branch}\` - Rollback the \`${
     inputs.environment
   }\` environment to the \`${inputs.stable_branch}\` branch
+  - \`${
+    inputs.rollback_trigger
+  } <environment>\` - Roll back the specified environment by redeploying the commit of its last known-good deployment
+  - \`${
+    inputs.promote_trigger
+  } <source environment> to <environment>\` - Deploy the exact commit that is active in the source environment to the specified environment
+  - \`${
+    inputs.trigger
+  } <environment> --override-freeze\` - Deploy this branch to the specified environment during an active deployment freeze window (admins only)
   - \`${inputs.noop_trigger}\` - Deploy this branch to the \`${
     inputs.environment
   }\` environment in noop mode
@@ -133,9 +153,27 @@ export async function help(octokit, context, reactionId, inputs) {
   - \`${
     inputs.lock_trigger
   } <environment> --reason <text>\` - Obtain the deployment lock for the specified environment with a reason (will persist until the lock is released)
+  - \`${
+    inputs.lock_trigger
+  } <environment> --for <duration>\` - Obtain the deployment lock for the specified environment that automatically expires after the given duration (e.g. \`30m\`, \`2h\`, \`1d\`)
+  - \`${
+    inputs.lock_trigger
+  } <environment> --queue\` - Join the queue for the deployment lock of the specified environment if it is held by someone else (you will be mentioned when it is your turn)
+  - \`${
+    inputs.lock_trigger
+  } <environment>,<environment>\` - Obtain the deployment locks for several environments at once (no locks are claimed if any of them are held by someone else)
+  - \`${
+    inputs.lock_trigger
+  } <environment>/<scope>\` - Obtain the deployment lock for a scoped environment (EX: \`production/eu\`) - a lock on \`production\` also blocks every \`production/*\` scope
   - \`${inputs.lock_trigger} ${
     inputs.global_lock_flag
   }\` - Obtain a global deployment lock (will persist until the lock is released) - Blocks all environments
+  - \`${
+    inputs.lock_trigger
+  } <environment> --history\` - Show the most recent lock events (claims, releases, expiries, and takeovers) for the specified environment
+  - \`${
+    inputs.lock_trigger
+  } <environment> --takeover\` - Take over the deployment lock for the specified environment from someone else (admins only)
   - \`${inputs.lock_trigger} ${
     inputs.global_lock_flag
   } --reason <text>\` - Obtain a global deployment lock with a reason (will persist until the lock is released) - Blocks all environments
@@ -143,9 +181,15 @@ export async function help(octokit, context, reactionId, inputs) {
   - \`${
     inputs.unlock_trigger
   } <environment>\` - Release the deployment lock for the specified environment (if one exists)
+  - \`${
+    inputs.unlock_trigger
+  } <environment>,<environment>\` - Release the deployment locks for several environments at once
   - \`${inputs.unlock_trigger} ${
     inputs.global_lock_flag
   }\` - Release the global deployment lock (if one exists)
+  - \`${
+    inputs.unlock_trigger
+  } <environment> --force\` - Force release the deployment lock for the specified environment and notify its holder (admins only)
   - \`${
     inputs.lock_trigger
   } --details\` - Show information about the current deployment lock (if one exists)
@@ -158,6 +202,24 @@ export async function help(octokit, context, reactionId, inputs) {
   - \`${inputs.lock_info_alias}\` - Alias for \`${
     inputs.lock_trigger
   } --details\`
+  - \`${
+    inputs.list_locks_trigger
+  }\` - List every active deployment lock across all environments (including the global lock)
+  - \`${
+    inputs.status_trigger
+  }\` - Show what is deployed to every environment and whether it is locked (add an environment to only show that environment)
+  - \`${
+    inputs.history_trigger
+  } <environment>\` - Show the recent deployments of an environment (add \`--limit <number>\` to show more or fewer deployments)
+  - \`${
+    inputs.diff_trigger
+  } <environment>\` - Compare what is deployed to an environment with the head of this pull request (commits, authors, and changed files)
+  - \`${
+    inputs.cancel_trigger
+  } <environment>\` - Cancel the in-flight deployment of this pull request to an environment
+  - \`${
+    inputs.retry_trigger
+  }\` - Run the last deploy or noop command of this pull request again (add \`--latest\` if this pull request has new commits)
 
   ### 🌍 Environments
 
@@ -173,6 +235,7 @@ export async function help(octokit, context, reactionId, inputs) {
     inputs.environment_targets
   }\` - The list of environments that can be targeted for deployment
   - Deployment Order: ${enforced_deployment_order_message}
+  - Environment Aliases: ${environment_aliases_message}
 
   ### 🔭 Example Commands
 
@@ -192,6 +255,7 @@ export async function help(octokit, context, reactionId, inputs) {
     ',',
     '|'
   )}>\` - Deploy this branch to the specified environment (note: the \`to\` keyword is optional)
+  - \`${inputs.trigger} to <environment>,<environment>\` - Deploy this branch to several environments at once (a deployment is created for each environment)
   - \`${inputs.lock_trigger} <${inputs.environment_targets.replaceAll(
     ',',
     '|'
@@ -1,6 +1,7 @@
 import * as core from '@actions/core'
 import {COLORS} from './colors'
 import {API_HEADERS} from './api-headers'
+import {BRANCH_DEPLOY_PAYLOAD_TYPES} from './deployment'
 
 // Helper function to check if the current deployment's ref is identical to the merge commit
 // :param octokit: the authenticated octokit instance
@@ -45,12 +46,12 @@ export async function identicalCommitCheck(octokit, context, environment) {
     per_page: 100,
     headers: API_HEADERS
   })
-  // loop through all deployments and look for the latest deployment with the payload type of branch-deploy
+  // loop through all deployments and look for the latest deployment with the payload type of branch-deploy (or rollback)
   var latestDeploymentTreeSha
   var createdAt
   var deploymentId
   for (const deployment of deploymentsData) {
-    if (deployment.payload.type === 'branch-deploy') {
+    if (BRANCH_DEPLOY_PAYLOAD_TYPES.includes(deployment.payload.type)) {
       latestDeploymentTreeSha = deployment.sha
       createdAt = deployment.created_at
       deploymentId = deployment.id
@@ -1,5 +1,12 @@
 import * as core from '@actions/core'
 import {stringToArray} from '../functions/string-to-array'
+import {LOCK_STORES} from './lock-store'
+import {STALE_LOCK_POLICIES} from './stale-locks'
+import {parseFreezeWindows} from './freeze-windows'
+import {parseParamSchemas} from './params'
+import {getEnvironmentAliases} from './environment-aliases'
+import {getEnvironmentPatterns} from './environment-patterns'
+import {getPreviewEnvironment} from './preview-environment'
 
 // Helper function to validate the input values
 // :param inputName: The name of the input being validated (string)
@@ -32,6 +39,14 @@ export function getInputs() {
   const unlock_trigger = core.getInput('unlock_trigger')
   const help_trigger = core.getInput('help_trigger')
   const lock_info_alias = core.getInput('lock_info_alias')
+  const list_locks_trigger = core.getInput('list_locks_trigger')
+  const rollback_trigger = core.getInput('rollback_trigger')
+  const promote_trigger = core.getInput('promote_trigger')
+  const status_trigger = core.getInput('status_trigger')
+  const history_trigger = core.getInput('history_trigger')
+  const diff_trigger = core.getInput('diff_trigger')
+  const cancel_trigger = core.getInput('cancel_trigger')
+  const retry_trigger = core.getInput('retry_trigger')
   const global_lock_flag = core.getInput('global_lock_flag')
   const update_branch = core.getInput('update_branch')
   const outdated_mode = core.getInput('outdated_mode')
@@ -42,6 +57,11 @@ export function getInputs() {
   const skipReviews = core.getInput('skip_reviews')
   const mergeDeployMode = core.getBooleanInput('merge_deploy_mode')
   const unlockOnMergeMode = core.getBooleanInput('unlock_on_merge_mode')
+  const unlockOnCloseMode = core.getBooleanInput('unlock_on_close_mode')
+  const previewTeardownMode = core.getBooleanInput('preview_teardown_mode')
+  const staleLockMode = core.getBooleanInput('stale_lock_mode')
+  const stale_lock_max_age = core.getInput('stale_lock_max_age')
+  const stale_lock_policy = core.getInput('stale_lock_policy')
   const admins = core.getInput('admins')
   const environment_urls = core.getInput('environment_urls')
   const param_separator = core.getInput('param_separator')
@@ -49,6 +69,7 @@ export function getInputs() {
   const sticky_locks = core.getBooleanInput('sticky_locks')
   const sticky_locks_for_noop = core.getBooleanInput('sticky_locks_for_noop')
   const allow_sha_deployments = core.getBooleanInput('allow_sha_deployments')
+  const allow_admin_rollbacks = core.getBooleanInput('allow_admin_rollbacks')
   const disable_naked_commands = core.getBooleanInput('disable_naked_commands')
   const enforced_deployment_order = stringToArray(
     core.getInput('enforced_deployment_order')
@@ -56,6 +77,12 @@ export function getInputs() {
   const commit_verification = core.getBooleanInput('commit_verification')
   const ignored_checks = stringToArray(core.getInput('ignored_checks'))
   const use_security_warnings = core.getBooleanInput('use_security_warnings')
+  const lock_store = core.getInput('lock_store')
+  const freeze_windows = parseFreezeWindows(core.getInput('freeze_windows'))
+  const param_schemas = parseParamSchemas(core.getInput('param_schemas'))
+  const environment_aliases = getEnvironmentAliases()
+  const environment_patterns = getEnvironmentPatterns()
+  const preview_environment = getPreviewEnvironment()
 
   // validate inputs
   validateInput('update_branch', update_branch, ['disabled', 'warn', 'force'])
@@ -64,6 +91,8 @@ export function getInputs() {
     'default_branch',
     'strict'
   ])
+  validateInput('lock_store', lock_store, LOCK_STORES)
+  validateInput('stale_lock_policy', stale_lock_policy, STALE_LOCK_POLICIES)
 
   if (checks === 'all' || checks === 'required') {
     validateInput('checks', checks, ['all', 'required'])
@@ -85,6 +114,14 @@ export function getInputs() {
     global_lock_flag: global_lock_flag,
     help_trigger: help_trigger,
     lock_info_alias: lock_info_alias,
+    list_locks_trigger: list_locks_trigger,
+    rollback_trigger: rollback_trigger,
+    promote_trigger: promote_trigger,
+    status_trigger: status_trigger,
+    history_trigger: history_trigger,
+    diff_trigger: diff_trigger,
+    cancel_trigger: cancel_trigger,
+    retry_trigger: retry_trigger,
     update_branch: update_branch,
     outdated_mode: outdated_mode,
     required_contexts: required_contexts,
@@ -96,9 +133,15 @@ export function getInputs() {
     admins: admins,
     permissions: permissions,
     allow_sha_deployments: allow_sha_deployments,
+    allow_admin_rollbacks: allow_admin_rollbacks,
     disable_naked_commands: disable_naked_commands,
     mergeDeployMode: mergeDeployMode,
     unlockOnMergeMode: unlockOnMergeMode,
+    unlockOnCloseMode: unlockOnCloseMode,
+    previewTeardownMode: previewTeardownMode,
+    staleLockMode: staleLockMode,
+    stale_lock_max_age: stale_lock_max_age,
+    stale_lock_policy: stale_lock_policy,
     environment_urls: environment_urls,
     param_separator: param_separator,
     sticky_locks: sticky_locks,
@@ -106,6 +149,12 @@ export function getInputs() {
     enforced_deployment_order: enforced_deployment_order,
     commit_verification: commit_verification,
     ignored_checks: ignored_checks,
-    use_security_warnings: use_security_warnings
+    use_security_warnings: use_security_warnings,
+    lock_store: lock_store,
+    freeze_windows: freeze_windows,
+    param_schemas: param_schemas,
+    environment_aliases: environment_aliases,
+    environment_patterns: environment_patterns,
+    preview_environment: preview_environment
   }
 }
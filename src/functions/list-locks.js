@@ -0,0 +1,154 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {checkLockFile} from './check-lock-file'
+import {timeDiff} from './time-diff'
+import {LOCK_METADATA} from './lock-metadata'
+import {lockStore} from './lock-store'
+import {constructValidBranchName} from './valid-branch-name'
+import {COLORS} from './colors'
+
+// Helper function to format the pull request link for a lock
+// :param link: The comment link stored in the lock file (String)
+// :returns: A markdown link to the pull request (String) - EX: [#123](https://github.com/org/repo/pull/123#issuecomment-456)
+export function prLink(link) {
+  if (!link) {
+    return '-'
+  }
+
+  const match = link.match(/\/pull\/(\d+)/)
+  if (match) {
+    return `[#${match[1]}](${link})`
+  }
+
+  return `[link](${link})`
+}
+
+// Helper function to escape text so that it can be safely rendered inside of a markdown table cell
+// :param text: The text to escape (String)
+// :returns: The escaped text (String)
+export function tableCell(text) {
+  return `${text}`.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+}
+
+// Helper function to find every lock that can exist across all environments (and the global lock)
+// The lock store is searched as well so that the locks of environments that are not listed in the environment targets are found too
+// (EX: environments matched by an environment pattern or the preview environments of pull requests)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment_targets: The comma separated list of environment targets (String)
+// :returns: An array of lock targets - EX: [{environment: null, branch: 'global-branch-deploy-lock'}, {environment: 'production', branch: 'production-branch-deploy-lock'}]
+export async function lockTargets(octokit, context, environment_targets) {
+  // the global lock is always first as it blocks every environment
+  const targets = [{environment: null, branch: LOCK_METADATA.globalLockBranch}]
+  const addTarget = environment => {
+    const branch = `${constructValidBranchName(environment)}-${LOCK_METADATA.lockBranchSuffix}`
+    if (!targets.some(target => target.branch === branch)) {
+      targets.push({environment: environment, branch: branch})
+    }
+  }
+
+  for (const environment of environment_targets.split(',')) {
+    const environmentTrimmed = environment.trim()
+    if (environmentTrimmed === '') {
+      continue
+    }
+    addTarget(environmentTrimmed)
+  }
+
+  for (const lockName of await lockStore(octokit, context).list()) {
+    addTarget(lockName)
+  }
+
+  return targets
+}
+
+// Helper function to find every active deployment lock across all environments (and the global lock)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment_targets: The comma separated list of environment targets (String)
+// :returns: An array of active locks - EX: [{environment: 'production', global: false, created_by: 'monalisa', ...}]
+export async function findAllLocks(octokit, context, environment_targets) {
+  const locks = []
+  const now = new Date().toISOString()
+
+  for (const target of await lockTargets(
+    octokit,
+    context,
+    environment_targets
+  )) {
+    const lockData = await checkLockFile(octokit, context, target.branch)
+
+    // if there is no lock (or it has expired), there is nothing to report
+    if (lockData === false) {
+      continue
+    }
+
+    locks.push({
+      environment: target.environment,
+      global: lockData.global === true,
+      created_by: lockData.created_by,
+      reason: lockData.reason ?? null,
+      sticky: lockData.sticky,
+      branch: lockData.branch,
+      created_at: lockData.created_at,
+      expires_at: lockData.expires_at ?? null,
+      age: await timeDiff(lockData.created_at, now),
+      link: lockData.link,
+      unlock_command: lockData.unlock_command
+    })
+  }
+
+  return locks
+}
+
+// Helper function to list every active deployment lock in a pull request comment
+// The same data is also set as the 'locks' output (JSON) so that it can be consumed by other steps
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param inputs: The Action inputs object
+// :returns: The array of active locks
+export async function listLocks(octokit, context, reactionId, inputs) {
+  const locks = await findAllLocks(octokit, context, inputs.environment_targets)
+  const {owner, repo} = context.repo
+
+  core.setOutput('locks', JSON.stringify(locks))
+
+  if (locks.length === 0) {
+    const comment = dedent(`
+    ### Deployment Locks 🔓
+
+    No active deployment locks found for the \`${owner}/${repo}\` repository
+
+    > If you need to create a lock, please comment \`${inputs.lock_trigger} <environment>\`
+    `)
+
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    core.info('✅ no active deployment locks found')
+    return locks
+  }
+
+  const rows = locks.map(lock => {
+    const environment =
+      lock.global === true ? '`global`' : `\`${lock.environment}\``
+    const reason = lock.reason ? tableCell(lock.reason) : '-'
+    return `| ${environment} | ${lock.created_by} | ${reason} | \`${lock.sticky}\` | \`${lock.age}\` | ${prLink(lock.link)} | \`${lock.unlock_command}\` |`
+  })
+
+  const comment = dedent(`
+  ### Deployment Locks 🔒
+
+  There ${locks.length === 1 ? 'is' : 'are'} currently __${locks.length}__ active deployment ${locks.length === 1 ? 'lock' : 'locks'} for the \`${owner}/${repo}\` repository
+
+  | Environment | Holder | Reason | Sticky | Age | Pull Request | Unlock Command |
+  | ----------- | ------ | ------ | ------ | --- | ------------ | -------------- |
+  ${rows.join('\n')}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `🔒 found ${COLORS.highlight}${locks.length}${COLORS.reset} active deployment ${locks.length === 1 ? 'lock' : 'locks'}`
+  )
+  return locks
+}
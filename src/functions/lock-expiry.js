@@ -0,0 +1,89 @@
+import * as core from '@actions/core'
+import {LOCK_METADATA} from './lock-metadata'
+
+// The number of milliseconds in each supported duration unit
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+}
+
+// Helper function to escape a string for use in a regular expression
+// :param string: The string to escape
+// :returns: The escaped string
+function escapeRegex(string) {
+  return string.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&')
+}
+
+// Helper function to build the regex which matches the lock duration flag and its value
+// Example: ".lock production --for 2h" -> matches " --for 2h"
+// The value can never start with a "-" so that the flag never swallows the next flag (EX: --for --reason maintenance)
+// :returns: A RegExp object
+function durationFlagRegex() {
+  return new RegExp(
+    `\\s+${escapeRegex(LOCK_METADATA.lockDurationFlag)}(?:\\s+([^-\\s][^\\s]*))?(?=\\s|$)`
+  )
+}
+
+// Helper function to parse a human readable duration into milliseconds
+// Examples: "30m", "2h", "1d", "1w", "1h30m"
+// :param duration: The duration string to parse
+// :returns: The duration in milliseconds (Integer) or null if the duration is invalid
+export function parseDuration(duration) {
+  if (duration === null || duration === undefined) {
+    return null
+  }
+
+  const durationFmt = duration.trim().toLowerCase()
+  if (!/^(\d+[smhdw])+$/.test(durationFmt)) {
+    core.debug(`invalid lock duration: ${duration}`)
+    return null
+  }
+
+  var total = 0
+  for (const [, amount, unit] of durationFmt.matchAll(/(\d+)([smhdw])/g)) {
+    total += parseInt(amount) * DURATION_UNITS[unit]
+  }
+
+  // a duration of zero is not a useful lock expiry
+  if (total === 0) {
+    core.debug(`lock duration must be greater than zero: ${duration}`)
+    return null
+  }
+
+  return total
+}
+
+// Helper function to find the raw lock duration from a comment body
+// :param body: The comment body to search
+// :returns: An object - EX: {found: true, duration: '2h'} - duration is null if the flag was used without a value
+export function findLockDuration(body) {
+  const match = body.match(durationFlagRegex())
+  if (!match) {
+    return {found: false, duration: null}
+  }
+
+  return {found: true, duration: match[1] ?? null}
+}
+
+// Helper function to remove the lock duration flag (and its value) from a comment body
+// :param body: The comment body
+// :returns: The comment body without the lock duration flag (String)
+export function removeLockDurationFlag(body) {
+  return body.replace(durationFlagRegex(), '').trim()
+}
+
+// Helper function to determine if a lock has expired
+// Locks without an 'expires_at' value never expire
+// :param lockData: The lock file contents (Object)
+// :param now: The date to compare against (Date) - defaults to the current time
+// :returns: true if the lock has expired, false otherwise
+export function isLockExpired(lockData, now = new Date()) {
+  if (!lockData?.expires_at) {
+    return false
+  }
+
+  return new Date(lockData.expires_at) <= now
+}
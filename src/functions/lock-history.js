@@ -0,0 +1,345 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {LOCK_METADATA} from './lock-metadata'
+import {COLORS} from './colors'
+import {timeDiff} from './time-diff'
+import {isLockExpired} from './lock-expiry'
+import {lockStore} from './lock-store'
+import {prLink, tableCell} from './list-locks'
+
+// The number of entries to show with ".lock --history" when no number is given
+const DEFAULT_HISTORY_LIMIT = 10
+
+// The most entries that can be shown with ".lock --history" (to keep the comment within the GitHub comment size limit)
+const MAX_HISTORY_LIMIT = 100
+
+// The number of times to try appending to the lock history when another request appends at the same time
+const APPEND_ATTEMPTS = 3
+
+// How each type of lock history event is displayed
+const EVENT_LABELS = {
+  claim: '🔒 claimed',
+  release: '🔓 released',
+  expire: '⌛ expired',
+  takeover: '💥 taken over'
+}
+
+// Helper function to build the regex which matches the lock history flag and its (optional) number of entries
+// Example: ".lock production --history 20" -> matches " --history 20"
+// :returns: A RegExp object
+function historyFlagRegex() {
+  return new RegExp(
+    `\\s+${LOCK_METADATA.lockHistoryFlag}(?:\\s+(\\d+))?(?=\\s|$)`
+  )
+}
+
+// Helper function to find the lock history flag in a comment body
+// Example: ".lock production --history 20"
+// :param body: The comment body
+// :returns: An object - EX: {found: true, limit: 20} - the limit defaults to 10 if no number is given
+export function findLockHistoryFlag(body) {
+  const match = body.match(historyFlagRegex())
+  if (match === null) {
+    return {found: false, limit: null}
+  }
+
+  const limit = match[1] ? parseInt(match[1]) : DEFAULT_HISTORY_LIMIT
+  return {
+    found: true,
+    limit: Math.min(Math.max(limit, 1), MAX_HISTORY_LIMIT)
+  }
+}
+
+// Helper function to remove the lock history flag (and its number of entries) from a comment body
+// :param body: The comment body
+// :returns: The comment body without the lock history flag (String)
+export function removeLockHistoryFlag(body) {
+  return body.replace(historyFlagRegex(), '').trim()
+}
+
+// Helper function to check if the lock history is enabled with the 'lock_history' input
+// :returns: true if lock events should be recorded in the lock history, false otherwise
+function lockHistoryEnabled() {
+  return core.getInput('lock_history').trim() === 'true'
+}
+
+// Helper function to read the lock history file from the configured lock store
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: An object - EX: {entries: [{...}, {...}], sha: 'abc123'} - sha is null if the history file does not exist yet
+async function readHistoryFile(octokit, context) {
+  const historyFile = await lockStore(octokit, context).getFile(
+    LOCK_METADATA.historyLock,
+    LOCK_METADATA.historyFile
+  )
+  if (historyFile === null) {
+    return {entries: [], sha: null}
+  }
+
+  return {
+    entries: Array.isArray(historyFile.data) ? historyFile.data : [],
+    sha: historyFile.sha
+  }
+}
+
+// Helper function to append a single entry to the lock history file
+// The lock history is kept in the configured lock store (as if it were a lock named "branch-deploy-lock-history")
+// The history file is only written if it has not changed since it was read so concurrent lock events are never lost
+// Only the most recent entries are kept so that the history file stays small enough for the GitHub contents API
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param entry: The lock history entry to append (Object)
+async function appendHistoryEntry(octokit, context, entry) {
+  const store = lockStore(octokit, context)
+
+  for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt++) {
+    const history = await readHistoryFile(octokit, context)
+
+    // the lock history is created in the lock store the first time a lock event is recorded
+    if (
+      history.sha === null &&
+      (await store.exists(LOCK_METADATA.historyLock)) === false
+    ) {
+      try {
+        await store.create(LOCK_METADATA.historyLock)
+      } catch (error) {
+        // another request may have created the lock history at the same time
+        if (error.status !== 422) {
+          throw error
+        }
+      }
+    }
+
+    const entries = [...history.entries, entry].slice(
+      -LOCK_METADATA.historyMaxEntries
+    )
+
+    try {
+      await store.putFile(
+        LOCK_METADATA.historyLock,
+        LOCK_METADATA.historyFile,
+        entries,
+        history.sha,
+        LOCK_METADATA.historyCommitMsg,
+        {request: {retries: 0}}
+      )
+      return
+    } catch (error) {
+      // a 409 or 422 means another request appended to the history first - read it again and retry
+      if (
+        (error.status === 409 || error.status === 422) &&
+        attempt < APPEND_ATTEMPTS
+      ) {
+        core.debug(
+          `lock history was changed by another request - retrying (attempt ${attempt})`
+        )
+        continue
+      }
+      throw error
+    }
+  }
+}
+
+// Helper function to find the lock data of a lock before it is removed so that its release can be recorded
+// Expired locks are returned as well (unlike checkLockFile) so that their expiry can be recorded
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: The lock data (Object) or null if there is no lock (or the lock history is disabled)
+export async function findLockForHistory(octokit, context, branchName) {
+  if (lockHistoryEnabled() === false) {
+    return null
+  }
+
+  try {
+    const lockFile = await lockStore(octokit, context).getFile(
+      branchName,
+      LOCK_METADATA.lockFile
+    )
+    return lockFile?.data ?? null
+  } catch (error) {
+    core.debug(`could not read the lock for the lock history: ${error.message}`)
+    return null
+  }
+}
+
+// Helper function to record a lock event (claim, release, expire, or takeover) in the lock history
+// A release of a lock that had already expired is recorded as an expiry (it ended at its expires_at time)
+// Recording is best effort - a failure to write the lock history never fails the lock or unlock request
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param lockData: The lock data of the lock that the event is about
+// :param action: The type of lock event (String) - 'claim', 'release', 'expire', or 'takeover'
+// :returns: true if the event was recorded, false otherwise
+export async function recordLockEvent(octokit, context, lockData, action) {
+  if (lockHistoryEnabled() === false || !lockData) {
+    return false
+  }
+
+  const now = new Date().toISOString()
+  if (action === 'release' && isLockExpired(lockData)) {
+    // the expiry was already recorded when it was first detected
+    if (lockData.expiry_recorded === true) {
+      core.debug('the expiry of the deployment lock was already recorded')
+      return false
+    }
+    action = 'expire'
+  }
+
+  var releasedAt = now
+  if (action === 'claim') {
+    releasedAt = null
+  } else if (action === 'expire') {
+    releasedAt = lockData.expires_at
+  }
+
+  const entry = {
+    action: action,
+    environment: lockData.environment ?? null,
+    global: lockData.global === true,
+    holder: lockData.created_by,
+    by: context.actor,
+    reason: lockData.reason ?? null,
+    branch: lockData.branch,
+    created_at: lockData.created_at,
+    expires_at: lockData.expires_at ?? null,
+    released_at: releasedAt,
+    recorded_at: now,
+    link: lockData.link ?? null
+  }
+
+  try {
+    await appendHistoryEntry(octokit, context, entry)
+    core.debug(`recorded lock history event: ${JSON.stringify(entry)}`)
+    return true
+  } catch (error) {
+    core.warning(
+      `failed to record the ${action} of the deployment lock in the lock history: ${error.message}`
+    )
+    return false
+  }
+}
+
+// Helper function to record the expiry of a lock as soon as it is detected (EX: by checkLockFile or the stale lock check)
+// The lock file is marked first (only if it has not changed since it was read) so that an expiry is only recorded once
+// no matter how many requests detect it - the later release or takeover of the expired lock is then not recorded again
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param lockFile: The lock file of the expired lock - EX: {data: {...}, sha: 'abc123'}
+// :returns: true if the expiry was recorded, false otherwise
+export async function recordLockExpiry(octokit, context, branchName, lockFile) {
+  if (
+    lockHistoryEnabled() === false ||
+    lockFile.data.expiry_recorded === true ||
+    !isLockExpired(lockFile.data)
+  ) {
+    return false
+  }
+
+  try {
+    await lockStore(octokit, context).putFile(
+      branchName,
+      LOCK_METADATA.lockFile,
+      {...lockFile.data, expiry_recorded: true},
+      lockFile.sha,
+      LOCK_METADATA.historyCommitMsg,
+      {request: {retries: 0}}
+    )
+  } catch (error) {
+    // a 409 or 422 means another request changed the lock first (EX: it recorded the expiry or claimed the lock)
+    if (error.status === 409 || error.status === 422) {
+      core.debug(
+        'the deployment lock was changed by another request - not recording its expiry'
+      )
+    } else {
+      core.warning(
+        `failed to record the expiry of the deployment lock in the lock history: ${error.message}`
+      )
+    }
+    return false
+  }
+
+  return await recordLockEvent(octokit, context, lockFile.data, 'expire')
+}
+
+// Helper function to show the most recent lock history entries for an environment (or the global lock)
+// The same entries are also set as the 'lock_history' output (JSON) so that they can be consumed by other steps
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param environment: The environment to show the lock history for (String) - 'GLOBAL_REQUEST' for the global lock
+// :param limit: The number of entries to show (Integer)
+// :param inputs: The Action inputs object
+// :returns: The array of lock history entries that were shown (newest first)
+export async function lockHistory(
+  octokit,
+  context,
+  reactionId,
+  environment,
+  limit,
+  inputs
+) {
+  const global = environment === 'GLOBAL_REQUEST'
+  const target = global ? 'global' : environment
+  const lockName = global
+    ? '`global` deployment lock'
+    : `\`${environment}\` environment`
+
+  const history = await readHistoryFile(octokit, context)
+  const matching = history.entries
+    .filter(entry =>
+      global
+        ? entry.global === true
+        : entry.global !== true && entry.environment === environment
+    )
+    .slice(-limit)
+    .reverse()
+
+  core.setOutput('lock_history', JSON.stringify(matching))
+
+  if (matching.length === 0) {
+    const comment = dedent(`
+    ### Lock History 📜
+
+    No lock history found for the ${lockName}
+
+    > Lock events are recorded when the \`lock_history\` input is enabled
+    `)
+
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    core.info(`📜 no lock history found for ${COLORS.highlight}${target}`)
+    return matching
+  }
+
+  const rows = []
+  for (const entry of matching) {
+    const heldFor =
+      entry.released_at === null
+        ? '-'
+        : `\`${await timeDiff(entry.created_at, entry.released_at)}\``
+    const reason = entry.reason ? tableCell(entry.reason) : '-'
+    rows.push(
+      `| ${EVENT_LABELS[entry.action] ?? entry.action} | ${entry.holder} | ${entry.by} | ${reason} | \`${entry.created_at}\` | ${heldFor} | ${prLink(entry.link)} |`
+    )
+  }
+
+  const comment = dedent(`
+  ### Lock History 📜
+
+  The last __${matching.length}__ lock ${matching.length === 1 ? 'event' : 'events'} for the ${lockName} (newest first)
+
+  | Event | Holder | By | Reason | Claimed At | Held For | Pull Request |
+  | ----- | ------ | -- | ------ | ---------- | -------- | ------------ |
+  ${rows.join('\n')}
+
+  > Use \`${inputs.lock_trigger} ${global ? inputs.global_lock_flag : environment} ${LOCK_METADATA.lockHistoryFlag} <number>\` to show more events
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `📜 found ${COLORS.highlight}${matching.length}${COLORS.reset} lock history ${matching.length === 1 ? 'event' : 'events'}`
+  )
+  return matching
+}
@@ -1,7 +1,22 @@
 export const LOCK_METADATA = {
   lockInfoFlags: [' --info', ' --i', ' -i', ' --details', ' --d', ' -d'],
+  lockDurationFlag: '--for',
+  lockQueueFlag: '--queue',
+  lockForceFlag: '--force',
+  lockTakeoverFlag: '--takeover',
+  lockHistoryFlag: '--history',
+  lockScopeSeparator: '/',
   lockBranchSuffix: 'branch-deploy-lock',
   globalLockBranch: 'global-branch-deploy-lock',
+  lockStoreBranch: 'branch-deploy-locks',
+  lockRefPrefix: 'branch-deploy/locks',
   lockCommitMsg: 'lock [skip ci]',
-  lockFile: 'lock.json'
+  unlockCommitMsg: 'unlock [skip ci]',
+  queueCommitMsg: 'lock queue [skip ci]',
+  lockFile: 'lock.json',
+  queueFile: 'queue.json',
+  historyLock: 'branch-deploy-lock-history',
+  historyFile: 'history.json',
+  historyCommitMsg: 'lock history [skip ci]',
+  historyMaxEntries: 1000
 }
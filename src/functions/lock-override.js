@@ -0,0 +1,130 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {LOCK_METADATA} from './lock-metadata'
+import {COLORS} from './colors'
+import {API_HEADERS} from './api-headers'
+
+// Helper function to build the regex which matches a lock override flag
+// :param flag: The flag to match (String) - EX: '--force'
+// :returns: A RegExp object
+function flagRegex(flag) {
+  return new RegExp(`\\s+${flag}(?=\\s|$)`)
+}
+
+// Helper function to check if the force flag was used in a comment body
+// Example: ".unlock production --force"
+// :param body: The comment body
+// :returns: true if the force flag was used, false otherwise
+export function findLockForceFlag(body) {
+  return flagRegex(LOCK_METADATA.lockForceFlag).test(body)
+}
+
+// Helper function to check if the takeover flag was used in a comment body
+// Example: ".lock production --takeover"
+// :param body: The comment body
+// :returns: true if the takeover flag was used, false otherwise
+export function findLockTakeoverFlag(body) {
+  return flagRegex(LOCK_METADATA.lockTakeoverFlag).test(body)
+}
+
+// Helper function to remove the force and takeover flags from a comment body
+// :param body: The comment body
+// :returns: The comment body without the lock override flags (String)
+export function removeLockOverrideFlags(body) {
+  return body
+    .replace(flagRegex(LOCK_METADATA.lockForceFlag), '')
+    .replace(flagRegex(LOCK_METADATA.lockTakeoverFlag), '')
+    .trim()
+}
+
+// Helper function to reject a lock override request from a user who is not an admin
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to add to the issue comment
+// :param flag: The lock override flag that was used (String) - EX: '--force'
+// :returns: Nothing
+export async function rejectLockOverride(octokit, context, reactionId, flag) {
+  const action =
+    flag === LOCK_METADATA.lockTakeoverFlag
+      ? 'take over deployment lock'
+      : 'force unlock deployment lock'
+
+  const comment = dedent(`
+  ### ⚠️ Cannot ${action}
+
+  Sorry __${context.actor}__, only admins can use the \`${flag}\` flag
+
+  > Admins are configured with the \`admins\` input for this Action
+  `)
+
+  core.saveState('bypass', 'true')
+  await actionStatus(context, octokit, reactionId, comment)
+  core.setFailed(comment)
+}
+
+// Helper function to build the history entry that is recorded on a lock when it is taken over
+// :param context: The GitHub Actions event context
+// :param lockData: The lock data of the lock that was taken over
+// :returns: The history entry (Object)
+export function takeoverHistoryEntry(context, lockData) {
+  return {
+    action: 'takeover',
+    from: lockData.created_by,
+    by: context.actor,
+    at: new Date().toISOString(),
+    previous_lock: {
+      reason: lockData.reason ?? null,
+      branch: lockData.branch,
+      created_at: lockData.created_at,
+      expires_at: lockData.expires_at ?? null,
+      link: lockData.link
+    }
+  }
+}
+
+// Helper function to let the previous holder of a lock know that their lock was force unlocked or taken over by an admin
+// The previous holder is mentioned on the pull request where they originally claimed the lock (from lockData.link)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param lockData: The lock data of the lock that was displaced
+// :param flag: The lock override flag that was used (String) - EX: '--force'
+// :returns: true if the previous holder was notified, false otherwise
+export async function notifyPreviousHolder(octokit, context, lockData, flag) {
+  const match = `${lockData.link}`.match(/\/pull\/(\d+)/)
+  if (match === null) {
+    core.warning(
+      `could not find the pull request of the displaced lock held by ${lockData.created_by} - they will not be notified`
+    )
+    return false
+  }
+
+  const {owner, repo} = context.repo
+  const takeover = flag === LOCK_METADATA.lockTakeoverFlag
+  const lockName =
+    lockData.global === true ? '`global`' : `\`${lockData.environment}\``
+  const reasonText = lockData.reason ? `\`${lockData.reason}\`` : '`null`'
+
+  await octokit.rest.issues.createComment({
+    ...context.repo,
+    issue_number: parseInt(match[1]),
+    body: dedent(`
+    ### ${takeover ? '🔒 Deployment Lock Taken Over' : '🔓 Deployment Lock Force Unlocked'}
+
+    @${lockData.created_by}, your ${lockName} deployment lock was ${takeover ? 'taken over' : 'force unlocked'} by the admin __${context.actor}__
+
+    - __Reason__: ${reasonText}
+    - __Branch__: \`${lockData.branch}\`
+    - __Created At__: \`${lockData.created_at}\`
+    - __Comment Link__: [click here](${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/pull/${context.issue.number}#issuecomment-${context.payload.comment.id})
+
+    > Your lock is no longer active - if you still need it, please reach out to __${context.actor}__
+    `),
+    headers: API_HEADERS
+  })
+
+  core.info(
+    `📣 notified ${COLORS.highlight}${lockData.created_by}${COLORS.reset} that their deployment lock was displaced`
+  )
+  return true
+}
@@ -0,0 +1,376 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {LOCK_METADATA} from './lock-metadata'
+import {isLockExpired, parseDuration} from './lock-expiry'
+import {COLORS} from './colors'
+import {API_HEADERS} from './api-headers'
+import {lockStore} from './lock-store'
+
+const QUEUE_FILE = LOCK_METADATA.queueFile
+const QUEUE_COMMIT_MSG = LOCK_METADATA.queueCommitMsg
+const LOCK_FILE = LOCK_METADATA.lockFile
+
+// the grace period to use if the 'lock_queue_grace_period' input is not valid
+const DEFAULT_GRACE_PERIOD = '15m'
+
+// Helper function to build the regex which matches the lock queue flag
+// :returns: A RegExp object
+function queueFlagRegex() {
+  return new RegExp(`\\s+${LOCK_METADATA.lockQueueFlag}(?=\\s|$)`)
+}
+
+// Helper function to check if the lock queue flag was used in a comment body
+// Example: ".lock production --queue" or ".deploy production --queue"
+// :param body: The comment body
+// :returns: true if the lock queue flag was used, false otherwise
+export function findLockQueueFlag(body) {
+  return queueFlagRegex().test(body)
+}
+
+// Helper function to remove the lock queue flag from a comment body
+// :param body: The comment body
+// :returns: The comment body without the lock queue flag (String)
+export function removeLockQueueFlag(body) {
+  return body.replace(queueFlagRegex(), '').trim()
+}
+
+// Helper function to find the grace period that the next user in the lock queue has to claim a released lock
+// :returns: The grace period (Object) - EX: {duration: '15m', milliseconds: 900000}
+export function gracePeriod() {
+  const input = core.getInput('lock_queue_grace_period').trim()
+  const milliseconds = parseDuration(input)
+  if (milliseconds === null) {
+    core.warning(
+      `invalid lock_queue_grace_period: ${input} - defaulting to ${DEFAULT_GRACE_PERIOD}`
+    )
+    return {
+      duration: DEFAULT_GRACE_PERIOD,
+      milliseconds: parseDuration(DEFAULT_GRACE_PERIOD)
+    }
+  }
+
+  return {duration: input, milliseconds: milliseconds}
+}
+
+// Helper function to read the lock queue file from a lock branch
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: An object - EX: {queue: {reservation: null, waitlist: []}, sha: 'abc123'} - sha is null if no queue file exists
+export async function readQueue(octokit, context, branchName) {
+  var queueFile
+  try {
+    queueFile = await lockStore(octokit, context).getFile(
+      branchName,
+      QUEUE_FILE
+    )
+  } catch (error) {
+    throw new Error(error)
+  }
+
+  // If the queue file (or the lock branch) doesn't exist, the queue is empty
+  if (queueFile === null) {
+    core.debug(`no lock queue file found on branch: ${branchName}`)
+    return {queue: {reservation: null, waitlist: []}, sha: null}
+  }
+
+  return {
+    queue: {
+      reservation: queueFile.data.reservation ?? null,
+      waitlist: queueFile.data.waitlist ?? []
+    },
+    sha: queueFile.sha
+  }
+}
+
+// Helper function to write the lock queue file to a lock branch
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param queue: The queue object to write
+// :param sha: The blob SHA of the existing queue file (String) - null if no queue file exists
+// :returns: The result of writing the queue file to the lock store
+async function writeQueue(octokit, context, branchName, queue, sha) {
+  return await lockStore(octokit, context).putFile(
+    branchName,
+    QUEUE_FILE,
+    queue,
+    sha,
+    QUEUE_COMMIT_MSG
+  )
+}
+
+// Helper function to check if a lock reservation has expired without being claimed
+// :param reservation: The reservation from the lock queue (Object)
+// :returns: true if the reservation has expired, false otherwise
+function reservationExpired(reservation) {
+  return new Date(reservation.expires_at) <= new Date()
+}
+
+// Helper function to find the active reservation on a lock (if any)
+// A reservation is created when a lock is released and the next user in the queue is given first claim on the lock
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: The reservation (Object) if one exists and has not expired, null otherwise
+export async function activeReservation(octokit, context, branchName) {
+  const {queue} = await readQueue(octokit, context, branchName)
+
+  if (queue.reservation === null) {
+    return null
+  }
+
+  if (reservationExpired(queue.reservation)) {
+    core.info(
+      `⌛ the lock reservation for ${COLORS.highlight}${queue.reservation.user}${COLORS.reset} has expired`
+    )
+    return null
+  }
+
+  return queue.reservation
+}
+
+// Helper function to add the requestor to the lock queue
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param ref: The branch which requested the lock / deployment
+// :returns: The position of the requestor in the queue (Integer) - starting at 1
+export async function enqueue(octokit, context, branchName, ref) {
+  const {queue, sha} = await readQueue(octokit, context, branchName)
+
+  // if the requestor is already in the queue, don't add them again
+  const existingIndex = queue.waitlist.findIndex(
+    entry => entry.user === context.actor
+  )
+  if (existingIndex !== -1) {
+    core.info(
+      `⏳ ${COLORS.highlight}${context.actor}${COLORS.reset} is already in the lock queue at position ${COLORS.highlight}${existingIndex + 1}`
+    )
+    return existingIndex + 1
+  }
+
+  const {owner, repo} = context.repo
+  queue.waitlist.push({
+    user: context.actor,
+    branch: ref,
+    issue_number: context.issue.number,
+    queued_at: new Date().toISOString(),
+    link: `${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/pull/${context.issue.number}#issuecomment-${context.payload.comment.id}`
+  })
+
+  await writeQueue(octokit, context, branchName, queue, sha)
+
+  core.info(
+    `⏳ added ${COLORS.highlight}${context.actor}${COLORS.reset} to the lock queue at position ${COLORS.highlight}${queue.waitlist.length}`
+  )
+  return queue.waitlist.length
+}
+
+// Helper function to remove the requestor from the lock queue after they have claimed the lock
+// This clears their reservation (if they had one) and removes them from the waitlist
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: true if the queue was updated, false otherwise
+export async function dequeue(octokit, context, branchName) {
+  const {queue, sha} = await readQueue(octokit, context, branchName)
+
+  const waitlist = queue.waitlist.filter(entry => entry.user !== context.actor)
+  const reservation =
+    queue.reservation?.user === context.actor ? null : queue.reservation
+
+  if (
+    waitlist.length === queue.waitlist.length &&
+    reservation === queue.reservation
+  ) {
+    return false
+  }
+
+  await writeQueue(
+    octokit,
+    context,
+    branchName,
+    {reservation: reservation, waitlist: waitlist},
+    sha
+  )
+  core.debug(`removed ${context.actor} from the lock queue on ${branchName}`)
+  return true
+}
+
+// Helper function to hand a released lock over to the next user in the lock queue
+// If there is a user waiting, the lock file is removed (but the lock branch is kept so the queue persists),
+// the next user is given a reservation for the grace period, and they are mentioned on their pull request
+// The queue only moves forward when a lock is released or when the reservation of the previous user in line has expired - a pending reservation is never skipped
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param lockName: A human readable name for the lock (String) - EX: `production` or `global`
+// :returns: The queue entry of the user who is next in line (Object) or null if the queue is empty (or a reservation is still pending)
+export async function promoteQueue(octokit, context, branchName, lockName) {
+  const {queue, sha} = await readQueue(octokit, context, branchName)
+
+  if (queue.waitlist.length === 0) {
+    core.debug(`lock queue is empty for branch: ${branchName}`)
+    return null
+  }
+
+  const store = lockStore(octokit, context)
+  var lockFile
+  try {
+    lockFile = await store.getFile(branchName, LOCK_FILE)
+  } catch (error) {
+    throw new Error(error)
+  }
+
+  // if there is no lock to release, the user with the reservation still has first claim on the lock until their reservation expires
+  if (
+    lockFile === null &&
+    queue.reservation !== null &&
+    !reservationExpired(queue.reservation)
+  ) {
+    core.info(
+      `🔔 the lock is still reserved for ${COLORS.highlight}${queue.reservation.user}${COLORS.reset} - the lock queue was not moved forward`
+    )
+    return null
+  }
+
+  const next = queue.waitlist.shift()
+  const grace = gracePeriod()
+  const expiresAt = new Date(Date.now() + grace.milliseconds).toISOString()
+
+  // remove the lock file (if it still exists) to release the lock while keeping the queue on the lock branch
+  if (lockFile === null) {
+    core.debug(`no lock file to remove on branch: ${branchName}`)
+  } else {
+    await store.deleteFile(
+      branchName,
+      LOCK_FILE,
+      lockFile.sha,
+      LOCK_METADATA.unlockCommitMsg
+    )
+  }
+
+  // reserve the lock for the next user in line
+  await writeQueue(
+    octokit,
+    context,
+    branchName,
+    {
+      reservation: {
+        user: next.user,
+        issue_number: next.issue_number,
+        link: next.link,
+        expires_at: expiresAt
+      },
+      waitlist: queue.waitlist
+    },
+    sha
+  )
+
+  // let the next user in line know that it is their turn
+  await octokit.rest.issues.createComment({
+    ...context.repo,
+    issue_number: next.issue_number,
+    body: dedent(`
+    ### 🔔 Deployment Lock Available
+
+    @${next.user}, the ${lockName} deployment lock has been released and you are next in line
+
+    You have first claim on the lock for \`${grace.duration}\` (until \`${expiresAt}\`) - comment your command again to claim it
+
+    > If you do not claim the lock before then, it will become available to everyone
+    `),
+    headers: API_HEADERS
+  })
+
+  core.info(
+    `🔔 reserved the lock for ${COLORS.highlight}${next.user}${COLORS.reset} until ${COLORS.highlight}${expiresAt}`
+  )
+  return next
+}
+
+// Helper function to move the lock queue forward when a reservation has expired without being claimed
+// The next user in line is given a reservation, or the lock queue is removed if nobody else is waiting
+// Nothing happens if the lock has been claimed in the meantime, as the lock queue moves forward once that lock is released
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param lockName: A human readable name for the lock (String) - EX: `production` or `global`
+// :returns: A string describing what happened - 'promoted', 'removed', or null if there was no expired reservation to act on
+export async function expireReservation(
+  octokit,
+  context,
+  branchName,
+  lockName
+) {
+  const {queue} = await readQueue(octokit, context, branchName)
+
+  if (queue.reservation === null || !reservationExpired(queue.reservation)) {
+    return null
+  }
+
+  const store = lockStore(octokit, context)
+  if ((await store.getFile(branchName, LOCK_FILE)) !== null) {
+    core.debug(
+      `the expired reservation on ${branchName} is left as is because the lock has been claimed`
+    )
+    return null
+  }
+
+  core.info(
+    `⌛ the lock reservation for ${COLORS.highlight}${queue.reservation.user}${COLORS.reset} on the ${COLORS.highlight}${lockName}${COLORS.reset} lock expired without being claimed`
+  )
+
+  if ((await promoteQueue(octokit, context, branchName, lockName)) !== null) {
+    return 'promoted'
+  }
+
+  // nobody else is waiting, so the lock queue (and the lock branch that only holds it) can be removed
+  await store.remove(branchName)
+  core.info(
+    `🧹 removed the empty lock queue for the ${COLORS.highlight}${lockName}${COLORS.reset} lock`
+  )
+  return 'removed'
+}
+
+// Helper function to act on a lock that has expired but whose lock file is still in the lock store
+// An expired lock is already treated as released, so it is handed over to the next user in the lock queue (if anyone is waiting)
+// Otherwise, the expired lock is removed from the lock store if asked to (EX: by the 'unlock' stale lock policy)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param lockName: A human readable name for the lock (String) - EX: `production` or `global`
+// :param remove: A bool indicating whether to remove the expired lock when nobody is waiting for it (Boolean)
+// :returns: A string describing what happened - 'promoted', 'removed', or null if there was no expired lock to act on
+export async function releaseExpiredLock(
+  octokit,
+  context,
+  branchName,
+  lockName,
+  remove
+) {
+  const store = lockStore(octokit, context)
+  const lockFile = await store.getFile(branchName, LOCK_FILE)
+  if (lockFile === null || !isLockExpired(lockFile.data)) {
+    return null
+  }
+
+  core.info(
+    `⌛ the ${COLORS.highlight}${lockName}${COLORS.reset} lock expired at ${COLORS.highlight}${lockFile.data.expires_at}`
+  )
+
+  if ((await promoteQueue(octokit, context, branchName, lockName)) !== null) {
+    return 'promoted'
+  }
+
+  if (remove !== true) {
+    return null
+  }
+
+  await store.remove(branchName)
+  core.info(
+    `🧹 removed the expired ${COLORS.highlight}${lockName}${COLORS.reset} lock`
+  )
+  return 'removed'
+}
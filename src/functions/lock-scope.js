@@ -0,0 +1,40 @@
+import {LOCK_METADATA} from './lock-metadata'
+import {stringToArray} from './string-to-array'
+
+const SEPARATOR = LOCK_METADATA.lockScopeSeparator
+
+// Helper function to find the parent scopes of a scoped environment (outermost first)
+// Example: "production/eu/west" -> ["production", "production/eu"]
+// :param environment: The name of the environment (String)
+// :returns: An array of the parent scopes (Array) - empty if the environment is not scoped
+export function parentScopes(environment) {
+  const parts = environment.split(SEPARATOR)
+  const parents = []
+  for (let i = 1; i < parts.length; i++) {
+    parents.push(parts.slice(0, i).join(SEPARATOR))
+  }
+  return parents
+}
+
+// Helper function to find the child scopes of an environment from the environment targets
+// Example: "production" with the targets "production,production/eu,production/us" -> ["production/eu", "production/us"]
+// :param environment: The name of the environment (String)
+// :param environmentTargets: The comma separated list of environment targets (String)
+// :returns: An array of the child scopes (Array) - empty if the environment has no child scopes
+export function childScopes(environment, environmentTargets) {
+  return [...new Set(stringToArray(environmentTargets))].filter(target =>
+    target.startsWith(`${environment}${SEPARATOR}`)
+  )
+}
+
+// Helper function to find every lock scope that is related to an environment
+// A lock on a parent scope blocks all of its children and a lock on a child scope blocks a parent-wide request
+// :param environment: The name of the environment (String)
+// :param environmentTargets: The comma separated list of environment targets (String)
+// :returns: An array of the related scopes (Array) - the parent scopes first, then the child scopes
+export function relatedScopes(environment, environmentTargets) {
+  return [
+    ...parentScopes(environment),
+    ...childScopes(environment, environmentTargets)
+  ]
+}
@@ -0,0 +1,503 @@
+import * as core from '@actions/core'
+import {LOCK_METADATA} from './lock-metadata'
+import {API_HEADERS} from './api-headers'
+
+// The lock stores that are available to choose from with the 'lock_store' input
+export const LOCK_STORES = ['branch', 'single-branch', 'ref']
+
+// The default lock store (one branch per lock)
+const DEFAULT_LOCK_STORE = 'branch'
+
+// The graphql query for a page of the branches with a name that contains a search string (EX: branch-deploy-lock)
+// the branches are filtered by GitHub so that listing the lock branches does not page through every branch of the repository
+const BRANCH_SEARCH_QUERY = `
+  query ($repo_owner: String!, $repo_name: String!, $query: String!, $cursor: String) {
+    repository(owner: $repo_owner, name: $repo_name) {
+      refs(refPrefix: "refs/heads/", query: $query, first: 100, after: $cursor) {
+        nodes {
+          name
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`
+
+// Helper function to find the short name of a lock from its lock branch name
+// Example: "production-branch-deploy-lock" -> "production" and "global-branch-deploy-lock" -> "global"
+// :param lockName: The name of the lock (the lock branch name when using the default 'branch' lock store)
+// :returns: The short name of the lock (String)
+function shortLockName(lockName) {
+  const suffix = `-${LOCK_METADATA.lockBranchSuffix}`
+  if (lockName.endsWith(suffix)) {
+    return lockName.slice(0, -suffix.length)
+  }
+  return lockName
+}
+
+// Helper function to encode a JSON object so that it can be written with the GitHub contents API
+// :param data: The JSON object to encode
+// :returns: The base64 encoded JSON string (String)
+function encode(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64')
+}
+
+// Helper function to find the SHA of the latest commit on the default branch
+// New lock branches and lock refs are created from this commit
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: The commit SHA (String)
+export async function defaultBranchSha(octokit, context) {
+  // Determine the default branch for the repo
+  const repoData = await octokit.rest.repos.get({
+    ...context.repo,
+    headers: API_HEADERS
+  })
+
+  // Fetch the base branch to use its SHA as the parent
+  const baseBranch = await octokit.rest.repos.getBranch({
+    ...context.repo,
+    branch: repoData.data.default_branch,
+    headers: API_HEADERS
+  })
+
+  return baseBranch.data.commit.sha
+}
+
+// Helper function to read a JSON file with the GitHub contents API
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param path: The path of the file
+// :param ref: The branch or commit SHA to read the file from
+// :returns: An object - EX: {data: {...}, sha: 'abc123'} - or null if the file does not exist
+async function getContentFile(octokit, context, path, ref) {
+  try {
+    const response = await octokit.rest.repos.getContent({
+      ...context.repo,
+      path: path,
+      ref: ref,
+      headers: API_HEADERS
+    })
+
+    return {
+      data: JSON.parse(Buffer.from(response.data.content, 'base64').toString()),
+      sha: response.data.sha
+    }
+  } catch (error) {
+    if (error.status === 404) {
+      return null
+    }
+    throw error
+  }
+}
+
+// Helper function to check if a branch exists
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branch: The name of the branch
+// :returns: true if the branch exists, false otherwise
+export async function branchExists(octokit, context, branch) {
+  try {
+    await octokit.rest.repos.getBranch({
+      ...context.repo,
+      branch: branch,
+      headers: API_HEADERS
+    })
+    return true
+  } catch (error) {
+    if (error.status === 404) {
+      return false
+    }
+    throw error
+  }
+}
+
+// The 'branch' lock store
+// Every lock is stored on its own branch (EX: production-branch-deploy-lock) which holds the lock files
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: A lock store object
+function branchStore(octokit, context) {
+  return {
+    name: 'branch',
+    exists: async lockName => {
+      return await branchExists(octokit, context, lockName)
+    },
+    create: async lockName => {
+      await octokit.rest.git.createRef({
+        ...context.repo,
+        ref: `refs/heads/${lockName}`,
+        sha: await defaultBranchSha(octokit, context),
+        headers: API_HEADERS
+      })
+    },
+    getFile: async (lockName, file) => {
+      return await getContentFile(octokit, context, file, lockName)
+    },
+    putFile: async (lockName, file, data, sha, message, options = {}) => {
+      return await octokit.rest.repos.createOrUpdateFileContents({
+        ...context.repo,
+        path: file,
+        message: message,
+        content: encode(data),
+        branch: lockName,
+        sha: sha ?? undefined,
+        ...options,
+        headers: API_HEADERS
+      })
+    },
+    deleteFile: async (lockName, file, sha, message) => {
+      return await octokit.rest.repos.deleteFile({
+        ...context.repo,
+        path: file,
+        message: message,
+        sha: sha,
+        branch: lockName,
+        headers: API_HEADERS
+      })
+    },
+    remove: async lockName => {
+      try {
+        const result = await octokit.rest.git.deleteRef({
+          ...context.repo,
+          ref: `heads/${lockName}`,
+          headers: API_HEADERS
+        })
+        return result.status
+      } catch (error) {
+        // a 422 - Reference does not exist means the lock branch does not exist
+        if (
+          error.status === 422 &&
+          error.message.startsWith('Reference does not exist')
+        ) {
+          return null
+        }
+        throw error
+      }
+    },
+    link: async (lockName, file) => {
+      return `${process.env.GITHUB_SERVER_URL}/${context.repo.owner}/${context.repo.repo}/blob/${lockName}/${file}`
+    },
+    list: async () => {
+      const branches = []
+      let endCursor = null
+      let hasNextPage = true
+
+      while (hasNextPage) {
+        const data = await octokit.graphql(BRANCH_SEARCH_QUERY, {
+          repo_owner: context.repo.owner,
+          repo_name: context.repo.repo,
+          query: LOCK_METADATA.lockBranchSuffix,
+          cursor: endCursor
+        })
+        branches.push(...data.repository.refs.nodes.map(ref => ref.name))
+
+        hasNextPage = data.repository.refs.pageInfo.hasNextPage
+        endCursor = data.repository.refs.pageInfo.endCursor
+      }
+
+      // the search matches the suffix anywhere in the branch name (EX: branch-deploy-lock-history) so only the lock branches are kept
+      return branches
+        .filter(name => name.endsWith(`-${LOCK_METADATA.lockBranchSuffix}`))
+        .map(shortLockName)
+    }
+  }
+}
+
+// The 'single-branch' lock store
+// Every lock is stored in its own directory (EX: production/lock.json) on one shared lock branch
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: A lock store object
+function singleBranchStore(octokit, context) {
+  const branch = LOCK_METADATA.lockStoreBranch
+  const filePath = (lockName, file) => `${shortLockName(lockName)}/${file}`
+
+  const store = {
+    name: 'single-branch',
+    exists: async () => {
+      return await branchExists(octokit, context, branch)
+    },
+    create: async () => {
+      await octokit.rest.git.createRef({
+        ...context.repo,
+        ref: `refs/heads/${branch}`,
+        sha: await defaultBranchSha(octokit, context),
+        headers: API_HEADERS
+      })
+    },
+    getFile: async (lockName, file) => {
+      return await getContentFile(
+        octokit,
+        context,
+        filePath(lockName, file),
+        branch
+      )
+    },
+    putFile: async (lockName, file, data, sha, message, options = {}) => {
+      return await octokit.rest.repos.createOrUpdateFileContents({
+        ...context.repo,
+        path: filePath(lockName, file),
+        message: message,
+        content: encode(data),
+        branch: branch,
+        sha: sha ?? undefined,
+        ...options,
+        headers: API_HEADERS
+      })
+    },
+    deleteFile: async (lockName, file, sha, message) => {
+      return await octokit.rest.repos.deleteFile({
+        ...context.repo,
+        path: filePath(lockName, file),
+        message: message,
+        sha: sha,
+        branch: branch,
+        headers: API_HEADERS
+      })
+    },
+    remove: async lockName => {
+      // the shared lock branch must be kept so only the files for this lock are removed
+      var removed = false
+      for (const file of [LOCK_METADATA.lockFile, LOCK_METADATA.queueFile]) {
+        const existing = await store.getFile(lockName, file)
+        if (existing !== null) {
+          await store.deleteFile(
+            lockName,
+            file,
+            existing.sha,
+            LOCK_METADATA.unlockCommitMsg
+          )
+          removed = true
+        }
+      }
+
+      return removed ? 204 : null
+    },
+    link: async (lockName, file) => {
+      return `${process.env.GITHUB_SERVER_URL}/${context.repo.owner}/${context.repo.repo}/blob/${branch}/${filePath(lockName, file)}`
+    },
+    list: async () => {
+      var tree
+      try {
+        tree = await octokit.rest.git.getTree({
+          ...context.repo,
+          tree_sha: branch,
+          recursive: 'true',
+          headers: API_HEADERS
+        })
+      } catch (error) {
+        // if the shared lock branch does not exist, there are no locks
+        if (error.status === 404) {
+          return []
+        }
+        throw error
+      }
+
+      // every directory that holds a lock file or a lock queue file is a lock (EX: production/eu/lock.json -> production/eu)
+      const names = tree.data.tree
+        .filter(entry =>
+          [LOCK_METADATA.lockFile, LOCK_METADATA.queueFile].some(file =>
+            entry.path.endsWith(`/${file}`)
+          )
+        )
+        .map(entry => entry.path.slice(0, entry.path.lastIndexOf('/')))
+      return [...new Set(names)]
+    }
+  }
+
+  return store
+}
+
+// The 'ref' lock store
+// Every lock is stored on a hidden ref (EX: refs/branch-deploy/locks/production) that does not show up in the branch list
+// A "/" in the name of a lock is encoded (EX: production/eu -> refs/branch-deploy/locks/production%2Feu) as git cannot have a ref
+// for a scope (refs/branch-deploy/locks/production) and a ref for one of its child scopes (refs/branch-deploy/locks/production/eu) at the same time
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: A lock store object
+function refStore(octokit, context) {
+  const refName = lockName =>
+    `${LOCK_METADATA.lockRefPrefix}/${shortLockName(lockName)
+      .replace(/%/g, '%25')
+      .replace(/\//g, '%2F')}`
+
+  // Helper function to find the name of a lock from a full lock ref (EX: refs/branch-deploy/locks/production%2Feu -> production/eu)
+  const lockNameFromRef = ref =>
+    ref
+      .slice(`refs/${LOCK_METADATA.lockRefPrefix}/`.length)
+      .replace(/%2F/g, '/')
+      .replace(/%25/g, '%')
+
+  // Helper function to find the commit SHA that a lock ref points to
+  // :returns: The commit SHA (String) or null if the lock ref does not exist
+  const refSha = async lockName => {
+    try {
+      const ref = await octokit.rest.git.getRef({
+        ...context.repo,
+        ref: refName(lockName),
+        headers: API_HEADERS
+      })
+      return ref.data.object.sha
+    } catch (error) {
+      if (error.status === 404) {
+        return null
+      }
+      throw error
+    }
+  }
+
+  // Helper function to commit a change to a single file on a lock ref
+  // The change is only committed if the file still has the expected blob SHA (null if the file is expected to be absent)
+  // This gives the 'ref' lock store the same compare-and-swap behavior as the GitHub contents API
+  // :param treeEntry: The tree entry to commit (a null SHA removes the file)
+  // :param expectedSha: The blob SHA that the file is expected to have (String) - null if the file should not exist yet
+  const commitFile = async (lockName, treeEntry, message, expectedSha) => {
+    const parentSha = await refSha(lockName)
+    const current = await getContentFile(
+      octokit,
+      context,
+      treeEntry.path,
+      parentSha
+    )
+    if ((current?.sha ?? null) !== (expectedSha ?? null)) {
+      const error = new Error(
+        `${treeEntry.path} has been changed by another request`
+      )
+      error.status = 409
+      throw error
+    }
+
+    const parent = await octokit.rest.git.getCommit({
+      ...context.repo,
+      commit_sha: parentSha,
+      headers: API_HEADERS
+    })
+
+    const tree = await octokit.rest.git.createTree({
+      ...context.repo,
+      base_tree: parent.data.tree.sha,
+      tree: [{mode: '100644', type: 'blob', ...treeEntry}],
+      headers: API_HEADERS
+    })
+
+    const commit = await octokit.rest.git.createCommit({
+      ...context.repo,
+      message: message,
+      tree: tree.data.sha,
+      parents: [parentSha],
+      headers: API_HEADERS
+    })
+
+    // the ref is only fast-forwarded so a concurrent change to the lock since the check above will cause this update to fail
+    return await octokit.rest.git.updateRef({
+      ...context.repo,
+      ref: refName(lockName),
+      sha: commit.data.sha,
+      force: false,
+      headers: API_HEADERS
+    })
+  }
+
+  return {
+    name: 'ref',
+    exists: async lockName => {
+      return (await refSha(lockName)) !== null
+    },
+    create: async lockName => {
+      await octokit.rest.git.createRef({
+        ...context.repo,
+        ref: `refs/${refName(lockName)}`,
+        sha: await defaultBranchSha(octokit, context),
+        headers: API_HEADERS
+      })
+    },
+    getFile: async (lockName, file) => {
+      const sha = await refSha(lockName)
+      if (sha === null) {
+        return null
+      }
+      return await getContentFile(octokit, context, file, sha)
+    },
+    putFile: async (lockName, file, data, sha, message) => {
+      return await commitFile(
+        lockName,
+        {path: file, content: JSON.stringify(data)},
+        message,
+        sha
+      )
+    },
+    deleteFile: async (lockName, file, sha, message) => {
+      return await commitFile(lockName, {path: file, sha: null}, message, sha)
+    },
+    remove: async lockName => {
+      try {
+        const result = await octokit.rest.git.deleteRef({
+          ...context.repo,
+          ref: refName(lockName),
+          headers: API_HEADERS
+        })
+        return result.status
+      } catch (error) {
+        if (
+          error.status === 422 &&
+          error.message.startsWith('Reference does not exist')
+        ) {
+          return null
+        }
+        throw error
+      }
+    },
+    link: async (lockName, file) => {
+      const sha = await refSha(lockName)
+      return `${process.env.GITHUB_SERVER_URL}/${context.repo.owner}/${context.repo.repo}/blob/${sha}/${file}`
+    },
+    list: async () => {
+      const refs = await octokit.paginate(octokit.rest.git.listMatchingRefs, {
+        ...context.repo,
+        ref: `${LOCK_METADATA.lockRefPrefix}/`,
+        headers: API_HEADERS
+      })
+      // the lock history is kept next to the locks but it is not a lock itself
+      return refs
+        .map(ref => lockNameFromRef(ref.ref))
+        .filter(name => name !== LOCK_METADATA.historyLock)
+    }
+  }
+}
+
+// Helper function to get the lock store that has been configured with the 'lock_store' input
+// Every lock store exposes the same interface:
+// - exists(lockName): true if the lock has been created in the store
+// - create(lockName): creates the lock in the store so that files can be written to it
+// - getFile(lockName, file): reads a JSON file for the lock - returns {data, sha} or null if it does not exist
+// - putFile(lockName, file, data, sha, message, options): creates or updates a JSON file for the lock
+//   the write is rejected with a 409 or 422 error if the file no longer has the given sha (or already exists when sha is null)
+// - deleteFile(lockName, file, sha, message): removes a file from the lock
+// - remove(lockName): removes the lock from the store - returns the HTTP status or null if the lock does not exist
+// - link(lockName, file): a link to view a file for the lock on GitHub
+// - list(): the short names of every lock in the store (EX: ['global', 'production', 'production/eu'])
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :returns: A lock store object
+export function lockStore(octokit, context) {
+  const storeName = core.getInput('lock_store').trim() || DEFAULT_LOCK_STORE
+
+  switch (storeName) {
+    case 'branch':
+      return branchStore(octokit, context)
+    case 'single-branch':
+      return singleBranchStore(octokit, context)
+    case 'ref':
+      return refStore(octokit, context)
+    default:
+      throw new Error(
+        `Invalid value for 'lock_store': ${storeName}. Must be one of: ${LOCK_STORES.join(
+          ', '
+        )}`
+      )
+  }
+}
@@ -5,8 +5,38 @@ import {actionStatus} from './action-status'
 import {constructValidBranchName} from './valid-branch-name'
 import {timeDiff} from './time-diff'
 import {LOCK_METADATA} from './lock-metadata'
+import {
+  getEnvironmentAliases,
+  resolveEnvironmentAliases
+} from './environment-aliases'
+import {getPreviewEnvironment, previewAlias} from './preview-environment'
 import {COLORS} from './colors'
-import {API_HEADERS} from './api-headers'
+import {lockStore} from './lock-store'
+import {stringToArray} from './string-to-array'
+import {
+  findLockDuration,
+  isLockExpired,
+  parseDuration,
+  removeLockDurationFlag
+} from './lock-expiry'
+import {isAdmin} from './admin'
+import {recordLockEvent} from './lock-history'
+import {parentScopes, relatedScopes} from './lock-scope'
+import {
+  findLockTakeoverFlag,
+  notifyPreviousHolder,
+  rejectLockOverride,
+  removeLockOverrideFlags,
+  takeoverHistoryEntry
+} from './lock-override'
+import {
+  activeReservation,
+  dequeue,
+  enqueue,
+  findLockQueueFlag,
+  gracePeriod,
+  removeLockQueueFlag
+} from './lock-queue'
 
 // Constants for the lock file
 const LOCK_BRANCH_SUFFIX = LOCK_METADATA.lockBranchSuffix
@@ -14,6 +44,10 @@ const GLOBAL_LOCK_BRANCH = LOCK_METADATA.globalLockBranch
 const LOCK_FILE = LOCK_METADATA.lockFile
 const LOCK_COMMIT_MSG = LOCK_METADATA.lockCommitMsg
 
+// The number of times to try writing a lock file when the write is rejected but the lock file itself has not changed
+// EX: with the 'single-branch' lock store, a lock for another environment can move the head of the shared lock branch at the same time
+const LOCK_WRITE_ATTEMPTS = 3
+
 // Helper function to construct the branch name
 // :param environment: The name of the environment
 // :param global: A bool indicating whether the lock is global or not
@@ -28,6 +62,55 @@ async function constructBranchName(environment, global) {
   return `${constructValidBranchName(environment)}-${LOCK_BRANCH_SUFFIX}`
 }
 
+// Helper function to write a lock file only if no other request has claimed the lock in the meantime
+// A rejected write only means that the race for the lock was lost if the lock file has changed since it was read
+// Otherwise (EX: another environment was locked on the shared 'single-branch' lock store), the write is tried again
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :param lockData: The contents of the lock file (Object)
+// :param existingSha: The blob SHA of the lock file to overwrite (String) - null if no lock file exists
+// :returns: The result of writing the lock file to the lock store
+async function writeLockFile(
+  octokit,
+  context,
+  branchName,
+  lockData,
+  existingSha
+) {
+  const store = lockStore(octokit, context)
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // Retries are disabled so that a conflict is surfaced right away instead of being retried with the same (stale) precondition
+      return await store.putFile(
+        branchName,
+        LOCK_FILE,
+        lockData,
+        existingSha,
+        LOCK_COMMIT_MSG,
+        {request: {retries: 0}}
+      )
+    } catch (error) {
+      if (
+        (error.status !== 409 && error.status !== 422) ||
+        attempt >= LOCK_WRITE_ATTEMPTS
+      ) {
+        throw error
+      }
+
+      // If the lock file has changed, another request claimed the lock first
+      const lockFile = await store.getFile(branchName, LOCK_FILE)
+      if (lockFile !== null && lockFile.sha !== existingSha) {
+        throw error
+      }
+
+      core.debug(
+        `lock file write on ${branchName} was rejected but the lock file has not changed - trying again (attempt ${attempt} of ${LOCK_WRITE_ATTEMPTS})`
+      )
+    }
+  }
+}
+
 // Helper function for creating a lock file for branch-deployment locks
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
@@ -38,6 +121,10 @@ async function constructBranchName(environment, global) {
 // :param global: A bool indicating whether the lock is global or not (should lock all environments)
 // :param reactionId: The ID of the reaction that triggered the lock request
 // :param leaveComment: A bool indicating whether to leave a comment or not (default: true)
+// :param expiresIn: The number of milliseconds until the lock expires (Integer) - null if the lock never expires
+// :param existingLock: An existing lock file to overwrite - EX: {data: {...}, sha: 'abc123'} - null if no lock file exists
+//   an existing lock file is only overwritten if it has expired or if it is being taken over by an admin
+// :param history: The history of the lock (Array) - EX: a record of previous holders when a lock is taken over
 // :returns: The result of the createOrUpdateFileContents API call
 async function createLock(
   octokit,
@@ -48,7 +135,10 @@ async function createLock(
   environment,
   global,
   reactionId,
-  leaveComment
+  leaveComment,
+  expiresIn,
+  existingLock = null,
+  history = []
 ) {
   core.debug('attempting to create lock...')
 
@@ -60,28 +150,45 @@ async function createLock(
   // Sticky locks will persist forever unless the 'unlock on merge' mode is being utilized
   // non-sticky locks are tempory and only exist during the deployment process to prevent other deployments...
   // ... to the same environment
+  const createdAt = new Date()
   const lockData = {
     reason: reason,
     branch: ref,
-    created_at: new Date().toISOString(),
+    created_at: createdAt.toISOString(),
+    expires_at:
+      expiresIn === null
+        ? null
+        : new Date(createdAt.getTime() + expiresIn).toISOString(),
     created_by: context.actor,
     sticky: sticky,
     environment: environment,
     global: global,
     unlock_command: await constructUnlockCommand(environment, global),
-    link: `${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/pull/${context.issue.number}#issuecomment-${context.payload.comment.id}`
+    link: `${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/pull/${context.issue.number}#issuecomment-${context.payload.comment.id}`,
+    history: history
   }
 
   // Create the lock file
-  const result = await octokit.rest.repos.createOrUpdateFileContents({
-    ...context.repo,
-    path: LOCK_FILE,
-    message: LOCK_COMMIT_MSG,
-    content: Buffer.from(JSON.stringify(lockData)).toString('base64'),
-    branch: await constructBranchName(environment, global),
-    request: {retries: 10, retryAfter: 1}, // retry up to 10 times with a 1s delay
-    headers: API_HEADERS
-  })
+  // The write is conditional - it only succeeds if the lock file is still absent (or still the expired lock file we read)
+  // If another request claimed the lock in the meantime, the write is rejected with a conflict rather than overwriting their lock
+  const result = await writeLockFile(
+    octokit,
+    context,
+    await constructBranchName(environment, global),
+    lockData,
+    existingLock?.sha ?? null // only set when overwriting an expired (or taken over) lock file
+  )
+
+  // Record the end of the lock that was overwritten (if any) and the new claim in the lock history
+  if (existingLock !== null) {
+    await recordLockEvent(
+      octokit,
+      context,
+      existingLock.data,
+      isLockExpired(existingLock.data) ? 'release' : 'takeover'
+    )
+  }
+  await recordLockEvent(octokit, context, lockData, 'claim')
 
   if (global === true) {
     core.info(
@@ -108,6 +215,16 @@ async function createLock(
       lockMsg = `to the \`${environment}\` environment`
     }
 
+    // let the user know when the lock will expire (if it expires at all)
+    var persistMsg = `> This lock is _sticky_ and will persist until someone runs \`${lockData.unlock_command}\``
+    if (lockData.expires_at !== null) {
+      const totalTime = await timeDiff(lockData.created_at, lockData.expires_at)
+      core.info(
+        `⌛ deployment lock will expire at ${COLORS.highlight}${lockData.expires_at}`
+      )
+      persistMsg = `> This lock will automatically expire in \`${totalTime}\` (at \`${lockData.expires_at}\`) or when someone runs \`${lockData.unlock_command}\``
+    }
+
     const comment = dedent(`
     ### 🔒 Deployment Lock Claimed
 
@@ -115,7 +232,7 @@ async function createLock(
     
     You are now the only user that can trigger deployments ${lockMsg} until the deployment lock is removed
 
-    > This lock is _sticky_ and will persist until someone runs \`${lockData.unlock_command}\`
+    ${persistMsg}
     `)
 
     // If the lock is sticky, this means that it was invoked with `.lock` and not from a deployment
@@ -171,6 +288,15 @@ async function findEnvironment(context) {
     body = body.replace(flag, '').trim()
   })
 
+  // remove the lock duration flag (and its value) from the body
+  body = removeLockDurationFlag(body)
+
+  // remove the lock queue flag from the body
+  body = removeLockQueueFlag(body)
+
+  // remove the takeover flag from the body
+  body = removeLockOverrideFlags(body)
+
   // remove everything from the body after --reason
   if (body.includes('--reason')) {
     body = body.split('--reason')[0].trim()
@@ -191,9 +317,12 @@ async function findEnvironment(context) {
       global: false
     }
   } else {
-    // If there is anything left in the body, return that as the environment
+    // If there is anything left in the body, return that as the environment (with any environment aliases and the preview target resolved)
     return {
-      environment: body,
+      environment: resolveEnvironmentAliases(body, {
+        ...getEnvironmentAliases(),
+        ...previewAlias(getPreviewEnvironment(), context.issue.number)
+      }),
       global: false
     }
   }
@@ -212,11 +341,14 @@ async function findReason(context, sticky) {
   // Get the global lock flag from the Action input
   const globalFlag = core.getInput('global_lock_flag').trim()
 
-  // Get the body of the comment and remove the global lock flag from the string
-  const body = context.payload.comment.body
-    .trim()
-    .replace(globalFlag, '')
-    .trim()
+  // Get the body of the comment and remove the global lock flag, the lock duration flag, the lock queue flag, and the takeover flag from the string
+  const body = removeLockOverrideFlags(
+    removeLockQueueFlag(
+      removeLockDurationFlag(
+        context.payload.comment.body.trim().replace(globalFlag, '').trim()
+      )
+    )
+  )
 
   // Check if --reason was provided
   if (body.includes('--reason') === false) {
@@ -240,6 +372,63 @@ async function findReason(context, sticky) {
   return reason
 }
 
+// Helper function to find a --for flag in the comment body for a lock request and convert it into an expiry timestamp
+// :param context: The GitHub Actions event context
+// :param sticky: A bool indicating whether the lock is sticky or not - only sticky locks can have an expiry
+// :returns: An object - EX: {valid: true, duration: '2h', expiresIn: 7200000} - expiresIn is null if the lock does not expire
+async function findExpiry(context, sticky) {
+  // non-sticky locks only exist for the duration of a deployment so they never need an expiry
+  if (sticky !== true) {
+    return {valid: true, duration: null, expiresIn: null}
+  }
+
+  const durationFlag = findLockDuration(context.payload.comment.body.trim())
+  if (durationFlag.found === false) {
+    return {valid: true, duration: null, expiresIn: null}
+  }
+
+  const expiresIn = parseDuration(durationFlag.duration)
+  if (expiresIn === null) {
+    return {valid: false, duration: durationFlag.duration, expiresIn: null}
+  }
+
+  core.debug(`lock expires in: ${expiresIn}ms`)
+  return {valid: true, duration: durationFlag.duration, expiresIn: expiresIn}
+}
+
+// Helper function to find an existing lock file (and its blob SHA) so that it can be overwritten
+// This is used when a lock file exists on the lock branch but it has expired (or it is being taken over)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: An object - EX: {data: {...}, sha: 'abc123'} - or null if no lock file exists
+async function findLockFile(octokit, context, branchName) {
+  try {
+    return await lockStore(octokit, context).getFile(branchName, LOCK_FILE)
+  } catch (error) {
+    throw new Error(error)
+  }
+}
+
+// Helper function to find an existing lock file that is about to be overwritten by a new claim
+// Only an expired lock file can be overwritten - a lock file that has not expired was claimed by another request after the lock was checked
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param branchName: The name of the lock branch
+// :returns: An object - EX: {data: {...}, sha: 'abc123'} - or null if no lock file exists
+async function findExpiredLockFile(octokit, context, branchName) {
+  const existingLock = await findLockFile(octokit, context, branchName)
+  if (existingLock !== null && isLockExpired(existingLock.data) === false) {
+    // handled like any other conflicting write (see lostRace)
+    const error = new Error(
+      `${LOCK_FILE} on ${branchName} was claimed by another request`
+    )
+    error.status = 409
+    throw error
+  }
+  return existingLock
+}
+
 // Helper function to check if a given branch exists
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
@@ -249,26 +438,21 @@ export async function checkBranch(octokit, context, branchName) {
   core.debug(`checking if branch ${branchName} exists...`)
   // Check if the lock branch already exists
   try {
-    await octokit.rest.repos.getBranch({
-      ...context.repo,
-      branch: branchName,
-      headers: API_HEADERS
-    })
+    const exists = await lockStore(octokit, context).exists(branchName)
+
+    if (exists === false) {
+      core.debug(`lock branch ${branchName} does not exist`)
+      return false
+    }
 
     core.debug(`branch '${branchName}' exists`)
     return true
   } catch (error) {
     core.debug(`checkBranch() error.status: ${error.status}`)
-    // Check if the error was due to the lock branch not existing
-    if (error.status === 404) {
-      core.debug(`lock branch ${branchName} does not exist`)
-      return false
-    } else {
-      core.error(
-        'an unexpected status code was returned while checking for the lock branch'
-      )
-      throw new Error(error)
-    }
+    core.error(
+      'an unexpected status code was returned while checking for the lock branch'
+    )
+    throw new Error(error)
   }
 }
 
@@ -276,31 +460,114 @@ export async function checkBranch(octokit, context, branchName) {
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
 // :param branchName: The name of the branch to create
+// :returns: true if the lock branch was created, false if another request created it first
 async function createBranch(octokit, context, branchName) {
   core.debug(`attempting to create lock branch: ${branchName}...`)
 
-  // Determine the default branch for the repo
-  const repoData = await octokit.rest.repos.get({
-    ...context.repo,
-    headers: API_HEADERS
-  })
+  // Create the lock branch (or its equivalent in the configured lock store)
+  try {
+    await lockStore(octokit, context).create(branchName)
+  } catch (error) {
+    // If another request created the lock branch at the same time, the lock file write decides who gets the lock
+    if (
+      error.status === 422 &&
+      error.message.includes('Reference already exists')
+    ) {
+      core.debug(`lock branch ${branchName} was created by another request`)
+      return false
+    }
+    throw error
+  }
 
-  // Fetch the base branch to use its SHA as the parent
-  const baseBranch = await octokit.rest.repos.getBranch({
-    ...context.repo,
-    branch: repoData.data.default_branch,
-    headers: API_HEADERS
-  })
+  core.info(`🔒 created lock branch: ${COLORS.highlight}${branchName}`)
+  return true
+}
 
-  // Create the lock branch
-  await octokit.rest.git.createRef({
-    ...context.repo,
-    ref: `refs/heads/${branchName}`,
-    sha: baseBranch.data.commit.sha,
-    headers: API_HEADERS
-  })
+// Helper function to handle a lock file write that was rejected because another request claimed the lock first
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param error: The error that was thrown when writing the lock file
+// :param branchName: The name of the lock branch
+// :param reactionId: The ID of the reaction to add to the issue comment
+// :param lockResponse: The lock response object to return (without the status and lockData)
+// :returns: A lock response object with the status 'owner' if the requestor won the race in another request, false otherwise
+async function lostRace(
+  octokit,
+  context,
+  error,
+  branchName,
+  reactionId,
+  lockResponse
+) {
+  // Only a conflict (409) or a failed precondition (422) means that another request changed the lock first
+  if (error.status !== 409 && error.status !== 422) {
+    throw error
+  }
 
-  core.info(`🔒 created lock branch: ${COLORS.highlight}${branchName}`)
+  // Find out who won the race
+  const lockData = await checkLockFile(octokit, context, branchName)
+  if (lockData === false) {
+    // If there is no lock, the write failed for some other reason
+    throw error
+  }
+
+  // The requestor may have won the race with another one of their own requests
+  if (lockData.created_by === context.actor) {
+    core.info(
+      `🔒 the deployment lock was already claimed by ${COLORS.highlight}${context.actor}${COLORS.reset} in another request`
+    )
+    return {...lockResponse, status: 'owner', lockData: lockData}
+  }
+
+  let lockMsg
+  if (lockData.global === true) {
+    lockMsg = 'the `global` deployment lock'
+  } else {
+    lockMsg = `the \`${lockData.environment}\` environment deployment lock`
+  }
+
+  const comment = dedent(`
+  ### ⚠️ Cannot claim deployment lock
+
+  Sorry __${context.actor}__, you lost the race to @${lockData.created_by} who claimed ${lockMsg} at the same time
+
+  - __Branch__: \`${lockData.branch}\`
+  - __Created At__: \`${lockData.created_at}\`
+  - __Comment Link__: [click here](${lockData.link})
+
+  > If you need the lock, please wait for @${lockData.created_by} to run \`${lockData.unlock_command}\` or add the \`${LOCK_METADATA.lockQueueFlag}\` flag to join the lock queue
+  `)
+
+  core.info(
+    `🏁 lost the race for the deployment lock to ${COLORS.highlight}${lockData.created_by}`
+  )
+  await actionStatus(context, octokit, reactionId, comment)
+  core.saveState('bypass', 'true')
+  core.setFailed(comment)
+  return {...lockResponse, status: false, lockData: lockData}
+}
+
+// Helper function to add the requestor to the lock queue if the --queue flag was used
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param ref: The branch which requested the lock / deployment
+// :param branchName: The name of the lock branch to queue up on
+// :return: The lock queue section to add to the comment (String) or null if the requestor did not ask to be queued
+async function queueRequest(octokit, context, ref, branchName) {
+  if (findLockQueueFlag(context.payload.comment.body.trim()) === false) {
+    return null
+  }
+
+  const position = await enqueue(octokit, context, branchName, ref)
+  const grace = gracePeriod()
+
+  return dedent(`
+  #### Lock Queue ⏳
+
+  You have been added to the lock queue at position \`${position}\`
+
+  > When the lock is released you will be mentioned here and you will have first claim on it for \`${grace.duration}\`
+  `)
 }
 
 // Helper function to check the lock owner
@@ -310,6 +577,8 @@ async function createBranch(octokit, context, branchName) {
 // :param sticky: A bool indicating whether the lock is sticky or not (should persist forever) - non-sticky locks are inherent from deployments
 // :param reactionId: The ID of the reaction that triggered the lock request
 // :param leaveComment: A bool indicating whether to leave a comment or not (default: true)
+// :param ref: The branch which requested the lock / deployment
+// :param branchName: The name of the lock branch which holds the lock
 // :return: true if the lock owner is the requestor, false if not
 async function checkLockOwner(
   octokit,
@@ -317,7 +586,9 @@ async function checkLockOwner(
   lockData,
   sticky,
   reactionId,
-  leaveComment
+  leaveComment,
+  ref,
+  branchName
 ) {
   core.debug('checking the owner of the lock...')
   // If the requestor is the one who owns the lock, return 'owner'
@@ -364,9 +635,6 @@ async function checkLockOwner(
     return true
   }
 
-  // Deconstruct the context to obtain the owner and repo
-  const {owner, repo} = context.repo
-
   // Find the total time since the lock was created
   const totalTime = await timeDiff(
     lockData.created_at,
@@ -389,10 +657,19 @@ async function checkLockOwner(
     core.debug('no reason detected')
   }
 
+  // dynamic expiry text
+  let expiryText = ''
+  if (lockData.expires_at) {
+    const remainingTime = await timeDiff(
+      new Date().toISOString(),
+      lockData.expires_at
+    )
+    expiryText = `- __Expires At__: \`${lockData.expires_at}\` (in \`${remainingTime}\`)`
+  }
+
   // dynamic lock text
   let lockText = ''
   let environmentText = ''
-  var lockBranchForLink
   if (lockData.global === true) {
     lockText = dedent(
       `the \`global\` deployment lock is currently claimed by __${lockData.created_by}__
@@ -400,13 +677,17 @@ async function checkLockOwner(
       A \`global\` deployment lock prevents all other users from deploying to any environment except for the owner of the lock
       `
     )
-    lockBranchForLink = GLOBAL_LOCK_BRANCH
   } else {
     lockText = `the \`${lockData.environment}\` environment deployment lock is currently claimed by __${lockData.created_by}__`
     environmentText = `- __Environment__: \`${lockData.environment}\``
-    lockBranchForLink = `${lockData.environment}-${LOCK_BRANCH_SUFFIX}`
   }
 
+  // link to the lock file in the configured lock store
+  const lockLink = await lockStore(octokit, context).link(branchName, LOCK_FILE)
+
+  // If the requestor asked to be queued, add them to the lock queue
+  const queueText = await queueRequest(octokit, context, ref, branchName)
+
   // Construct the comment to add to the issue, alerting that the lock is already claimed
   const comment = dedent(`
   ### ⚠️ Cannot ${header}
@@ -420,21 +701,33 @@ async function checkLockOwner(
   - __Branch__: \`${lockData.branch}\`
   - __Created At__: \`${lockData.created_at}\`
   - __Created By__: \`${lockData.created_by}\`
+  ${expiryText}
   - __Sticky__: \`${lockData.sticky}\`
   - __Global__: \`${lockData.global}\`
   - __Comment Link__: [click here](${lockData.link})
-  - __Lock Link__: [click here](${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/blob/${lockBranchForLink}/${LOCK_FILE})
+  - __Lock Link__: [click here](${lockLink})
 
   The current lock has been active for \`${totalTime}\`
 
   > If you need to release the lock, please comment \`${lockData.unlock_command}\`
-  `)
 
-  // Set the action status with the comment
-  await actionStatus(context, octokit, reactionId, comment)
+  ${queueText ?? ''}
+  `)
 
   // Set the bypass state to true so that the post run logic will not run
   core.saveState('bypass', 'true')
+
+  if (queueText !== null) {
+    // Being added to the lock queue is an expected outcome so the Action should not fail
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    core.info(
+      `⏳ the lock is owned by ${COLORS.highlight}${lockData.created_by}${COLORS.reset} - the requestor has been added to the lock queue`
+    )
+    return false
+  }
+
+  // Set the action status with the comment
+  await actionStatus(context, octokit, reactionId, comment)
   core.setFailed(comment)
 
   // Return false to indicate that the lock was not claimed
@@ -444,6 +737,445 @@ async function checkLockOwner(
   return false
 }
 
+// Helper function to check the locks of the scopes that are related to a scoped environment (EX: production and production/eu)
+// A lock on a parent scope blocks every child scope and a lock on any child scope blocks a request for its parent
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The environment being locked
+// :param sticky: A bool indicating whether the lock is sticky or not
+// :param reactionId: The ID of the reaction that triggered the lock request
+// :param ref: The branch which requested the lock / deployment
+// :return: true if no related scope is locked by someone else, false if not
+async function checkScopedLocks(
+  octokit,
+  context,
+  environment,
+  sticky,
+  reactionId,
+  ref
+) {
+  const parents = parentScopes(environment)
+  const scopes = relatedScopes(
+    environment,
+    core.getInput('environment_targets')
+  )
+
+  for (const scope of scopes) {
+    const scopeBranchName = await constructBranchName(scope, false)
+    const scopeLockData = await checkLockFile(octokit, context, scopeBranchName)
+    if (scopeLockData === false) {
+      continue
+    }
+
+    core.info(
+      `🌳 the ${COLORS.highlight}${scope}${COLORS.reset} deployment lock is a ${parents.includes(scope) ? 'parent' : 'child'} scope of ${COLORS.highlight}${environment}${COLORS.reset} - checking if requestor is the owner`
+    )
+
+    // the requestor can proceed if they own the lock of the related scope
+    const scopeLockOwner = await checkLockOwner(
+      octokit,
+      context,
+      scopeLockData,
+      sticky,
+      reactionId,
+      false, // leaveComment - only leave a comment if the requestor is blocked
+      ref,
+      scopeBranchName
+    )
+    if (scopeLockOwner === false) {
+      core.debug(`requestor is not the owner of the ${scope} deployment lock`)
+      return false
+    }
+  }
+
+  return true
+}
+
+// Helper function to reject a lock request because the lock is reserved for the next user in the lock queue
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reservation: The active lock reservation (Object)
+// :param environment: The environment being locked
+// :param global: A bool indicating whether the lock is global or not
+// :param reactionId: The ID of the reaction that triggered the lock request
+// :param ref: The branch which requested the lock / deployment
+// :param branchName: The name of the lock branch
+// :return: Nothing
+async function reservedLock(
+  octokit,
+  context,
+  reservation,
+  environment,
+  global,
+  reactionId,
+  ref,
+  branchName
+) {
+  let lockMsg
+  if (global === true) {
+    lockMsg = 'the `global` deployment lock'
+  } else {
+    lockMsg = `the \`${environment}\` environment deployment lock`
+  }
+
+  // If the requestor asked to be queued, add them to the lock queue
+  const queueText = await queueRequest(octokit, context, ref, branchName)
+
+  const comment = dedent(`
+  ### ⚠️ Cannot claim deployment lock
+
+  Sorry __${context.actor}__, ${lockMsg} is reserved for __${reservation.user}__ who is next in the lock queue
+
+  - __Reserved Until__: \`${reservation.expires_at}\`
+  - __Comment Link__: [click here](${reservation.link})
+
+  > If __${reservation.user}__ does not claim the lock before the reservation ends, it will become available to everyone
+
+  ${queueText ?? ''}
+  `)
+
+  core.saveState('bypass', 'true')
+
+  if (queueText !== null) {
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+    return
+  }
+
+  await actionStatus(context, octokit, reactionId, comment)
+  core.setFailed(comment)
+}
+
+// Helper function for an admin to take over a deployment lock that is held by someone else (EX: .lock production --takeover)
+// The lock file of the previous holder is replaced, they are notified on their pull request, and the takeover is recorded in the lock history
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param ref: The branch which requested the lock
+// :param reactionId: The ID of the reaction to add to the issue comment
+// :param lockData: The lock data of the lock that is being taken over
+// :param branchName: The name of the lock branch
+// :param reason: The reason for the new deployment lock
+// :param expiry: The expiry object for the new lock - EX: {valid: true, duration: '2h', expiresIn: 7200000}
+// :param lockResponse: The lock response object to return (without the status and lockData)
+// :returns: A lock response object
+async function takeoverLock(
+  octokit,
+  context,
+  ref,
+  reactionId,
+  lockData,
+  branchName,
+  reason,
+  expiry,
+  lockResponse
+) {
+  // Only admins can take over a lock
+  if ((await isAdmin(context)) === false) {
+    await rejectLockOverride(
+      octokit,
+      context,
+      reactionId,
+      LOCK_METADATA.lockTakeoverFlag
+    )
+    return {...lockResponse, status: false, lockData: lockData}
+  }
+
+  core.setOutput('displaced_lock', JSON.stringify(lockData))
+  core.info(
+    `💥 taking over the deployment lock held by ${COLORS.highlight}${lockData.created_by}`
+  )
+
+  // Replace the lock file of the previous holder (only if it has not changed since it was read)
+  const existingLock = await findLockFile(octokit, context, branchName)
+  try {
+    await createLock(
+      octokit,
+      context,
+      ref,
+      reason,
+      true, // sticky
+      lockResponse.environment,
+      lockResponse.global,
+      reactionId,
+      false, // leaveComment - a takeover comment is left below
+      expiry.expiresIn,
+      existingLock,
+      [...(lockData.history ?? []), takeoverHistoryEntry(context, lockData)]
+    )
+  } catch (error) {
+    return await lostRace(
+      octokit,
+      context,
+      error,
+      branchName,
+      reactionId,
+      lockResponse
+    )
+  }
+
+  if (lockResponse.global === true) {
+    core.setOutput('global_lock_claimed', 'true')
+  }
+
+  // Let the previous holder know that their lock was taken over
+  const notified = await notifyPreviousHolder(
+    octokit,
+    context,
+    lockData,
+    LOCK_METADATA.lockTakeoverFlag
+  )
+
+  const lockName =
+    lockResponse.global === true
+      ? 'the `global` deployment lock'
+      : `the \`${lockResponse.environment}\` environment deployment lock`
+  const notifiedMsg = notified
+    ? `> __${lockData.created_by}__ has been notified on their [pull request](${lockData.link})`
+    : `> __${lockData.created_by}__ could not be notified as their lock does not link to a pull request`
+
+  const comment = dedent(`
+  ### 🔒 Deployment Lock Taken Over
+
+  You have taken over ${lockName} from __${lockData.created_by}__ and you are now the only user that can use it
+
+  - __Previous Holder__: \`${lockData.created_by}\`
+  - __Previous Reason__: \`${lockData.reason}\`
+  - __Previous Branch__: \`${lockData.branch}\`
+  - __Previous Created At__: \`${lockData.created_at}\`
+
+  ${notifiedMsg}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  return {...lockResponse, status: true, lockData: null}
+}
+
+// Helper function to remove lock files that were claimed as part of a multi-environment lock request
+// This is used to roll back when not every lock could be claimed so that the request is all-or-nothing
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param targets: The lock targets to release - EX: [{environment: 'staging', branchName: 'staging-branch-deploy-lock'}]
+// :returns: Nothing
+async function releaseLocks(octokit, context, targets) {
+  const store = lockStore(octokit, context)
+  for (const target of targets) {
+    const lockFile = await store.getFile(target.branchName, LOCK_FILE)
+    if (lockFile !== null) {
+      await store.deleteFile(
+        target.branchName,
+        LOCK_FILE,
+        lockFile.sha,
+        LOCK_METADATA.unlockCommitMsg
+      )
+      await recordLockEvent(octokit, context, lockFile.data, 'release')
+    }
+    core.info(
+      `🔓 released the ${COLORS.highlight}${target.environment}${COLORS.reset} deployment lock as not every lock could be claimed`
+    )
+  }
+}
+
+// Helper function for claiming the deployment locks for multiple environments at once (EX: .lock staging,production)
+// The request is all-or-nothing - if any of the environments are locked by someone else, no locks are claimed
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param ref: The branch which requested the lock
+// :param reactionId: The ID of the reaction to add to the issue comment
+// :param environments: The comma separated list of environments to lock (String)
+// :param reason: The reason for the deployment locks
+// :param sticky: A bool indicating whether the locks are sticky or not
+// :param expiry: The expiry object for the locks - EX: {valid: true, duration: '2h', expiresIn: 7200000}
+// :param globalFlag: The global lock flag (String)
+// :param leaveComment: A bool indicating whether to leave a comment when sticky locks are claimed
+// :returns: A lock response object
+async function lockMultiple(
+  octokit,
+  context,
+  ref,
+  reactionId,
+  environments,
+  reason,
+  sticky,
+  expiry,
+  globalFlag,
+  leaveComment
+) {
+  const targets = [...new Set(stringToArray(environments))].map(
+    environment => ({environment: environment, branchName: null, owned: false})
+  )
+  const lockResponse = {
+    globalFlag,
+    environment: targets.map(target => target.environment).join(','),
+    global: false
+  }
+  const environmentsText = targets
+    .map(target => `\`${target.environment}\``)
+    .join(', ')
+
+  core.info(
+    `🔗 this is a request for the ${COLORS.highlight}${lockResponse.environment}${COLORS.reset} deployment locks`
+  )
+
+  // First, check every lock without changing anything so that nothing is claimed if any of them are unavailable
+  const blockers = []
+  const globalLockData = await checkLockFile(
+    octokit,
+    context,
+    GLOBAL_LOCK_BRANCH
+  )
+  if (globalLockData && globalLockData.created_by !== context.actor) {
+    blockers.push(
+      `- the \`global\` deployment lock is claimed by __${globalLockData.created_by}__`
+    )
+  }
+
+  // the locks of related scopes (EX: production for production/eu) block the request unless they are also being locked
+  const requested = targets.map(target => target.environment)
+  const environmentTargets = core.getInput('environment_targets')
+  for (const target of targets) {
+    for (const scope of relatedScopes(target.environment, environmentTargets)) {
+      if (requested.includes(scope)) {
+        continue
+      }
+      const scopeLockData = await checkLockFile(
+        octokit,
+        context,
+        await constructBranchName(scope, false)
+      )
+      if (scopeLockData && scopeLockData.created_by !== context.actor) {
+        blockers.push(
+          `- the \`${scope}\` deployment lock (a related scope of \`${target.environment}\`) is claimed by __${scopeLockData.created_by}__`
+        )
+      }
+    }
+  }
+
+  for (const target of targets) {
+    target.branchName = await constructBranchName(target.environment, false)
+    const lockData = await checkLockFile(octokit, context, target.branchName)
+
+    if (lockData === false) {
+      const reservation = await activeReservation(
+        octokit,
+        context,
+        target.branchName
+      )
+      if (reservation !== null && reservation.user !== context.actor) {
+        blockers.push(
+          `- the \`${target.environment}\` deployment lock is reserved for __${reservation.user}__ until \`${reservation.expires_at}\``
+        )
+      }
+    } else if (lockData.created_by !== context.actor) {
+      blockers.push(
+        `- the \`${target.environment}\` deployment lock is claimed by __${lockData.created_by}__`
+      )
+    } else {
+      target.owned = true
+    }
+  }
+
+  if (blockers.length > 0) {
+    const comment = dedent(`
+    ### ⚠️ Cannot claim deployment locks
+
+    Sorry __${context.actor}__, the ${environmentsText} deployment locks could not be claimed together:
+
+    ${blockers.join('\n')}
+
+    > No deployment locks were claimed - every environment must be available to lock them together
+    `)
+
+    await actionStatus(context, octokit, reactionId, comment)
+    core.saveState('bypass', 'true')
+    core.setFailed(comment)
+    return {...lockResponse, status: false, lockData: null}
+  }
+
+  // Every lock is available, so claim each one that the requestor does not already own
+  const claimed = []
+  for (const target of targets) {
+    if (target.owned === true) {
+      core.info(
+        `🔒 ${COLORS.highlight}${context.actor}${COLORS.reset} already owns the ${COLORS.highlight}${target.environment}${COLORS.reset} deployment lock`
+      )
+      continue
+    }
+
+    try {
+      if ((await checkBranch(octokit, context, target.branchName)) === false) {
+        await createBranch(octokit, context, target.branchName)
+      }
+      const existingLock = await findExpiredLockFile(
+        octokit,
+        context,
+        target.branchName
+      )
+      await createLock(
+        octokit,
+        context,
+        ref,
+        reason,
+        sticky,
+        target.environment,
+        false, // global
+        reactionId,
+        false, // leaveComment - a single comment is left for every lock below
+        expiry.expiresIn,
+        existingLock
+      )
+      claimed.push(target)
+    } catch (error) {
+      // another request got to one of the locks first, so release the locks claimed so far
+      await releaseLocks(octokit, context, claimed)
+      return await lostRace(
+        octokit,
+        context,
+        error,
+        target.branchName,
+        reactionId,
+        lockResponse
+      )
+    }
+  }
+
+  // The requestor now holds the locks so they no longer need their place in the lock queues
+  for (const target of claimed) {
+    await dequeue(octokit, context, target.branchName)
+  }
+
+  // only sticky locks leave a comment unless we are running in the context of a "sticky_locks" deployment (just like a single lock)
+  if (sticky !== true || leaveComment === false) {
+    core.info(
+      `✅ deployment locks obtained for ${COLORS.highlight}${lockResponse.environment}`
+    )
+    return {...lockResponse, status: true, lockData: null}
+  }
+
+  // let the user know when the locks will expire (if they expire at all)
+  const unlockCommand = `${core.getInput('unlock_trigger').trim()} ${lockResponse.environment}`
+  var persistMsg = `> These locks are _sticky_ and will persist until someone runs \`${unlockCommand}\``
+  if (expiry.expiresIn !== null) {
+    persistMsg = `> These locks will automatically expire in \`${expiry.duration}\` or when someone runs \`${unlockCommand}\``
+  }
+
+  const reasonMsg = reason ? `- __Reason__: \`${reason}\`` : ''
+
+  const comment = dedent(`
+  ### 🔒 Deployment Locks Claimed
+
+  You are now the only user that can trigger deployments to the ${environmentsText} environments until the deployment locks are removed
+
+  ${reasonMsg}
+
+  ${persistMsg}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  core.info(
+    `✅ deployment locks obtained for ${COLORS.highlight}${lockResponse.environment}`
+  )
+  return {...lockResponse, status: true, lockData: null}
+}
+
 // Helper function for claiming a deployment lock
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
@@ -503,9 +1235,49 @@ export async function lock(
     global = false
   }
 
+  // Attempt to obtain an expiry from the context for the lock (only for sticky lock requests)
+  const expiry = await findExpiry(context, sticky)
+  if (expiry.valid === false && detailsOnly !== true) {
+    const durationFlag = LOCK_METADATA.lockDurationFlag
+    const comment = dedent(`
+    ### ⚠️ Cannot claim deployment lock
+
+    The lock duration \`${expiry.duration}\` is not valid
+
+    > Please provide a duration such as \`${durationFlag} 30m\`, \`${durationFlag} 2h\`, \`${durationFlag} 1d\`, or \`${durationFlag} 1h30m\`
+    `)
+    await actionStatus(context, octokit, reactionId, comment)
+    core.saveState('bypass', 'true')
+    core.setFailed(comment)
+    return {status: false, lockData: null, globalFlag, environment, global}
+  }
+
+  // If multiple environments were requested (EX: .lock staging,production), they are all locked together
+  if (global === false && environment.includes(',') && detailsOnly !== true) {
+    return await lockMultiple(
+      octokit,
+      context,
+      ref,
+      reactionId,
+      environment,
+      reason,
+      sticky,
+      expiry,
+      globalFlag,
+      leaveComment
+    )
+  }
+
   // construct the branch name for the lock
   const branchName = await constructBranchName(environment, global)
 
+  // An admin can take over a lock that is held by someone else with the --takeover flag (only on direct .lock requests)
+  const takeover =
+    sticky === true &&
+    detailsOnly !== true &&
+    postDeployStep === false &&
+    findLockTakeoverFlag(context.payload.comment.body.trim())
+
   // lock debug info
   core.debug(`detected lock env: ${environment}`)
   core.debug(`detected lock global: ${global}`)
@@ -546,7 +1318,12 @@ export async function lock(
   }
 
   // If the global lock exists, check if the requestor is the owner
-  if (globalLockData && postDeployStep === false) {
+  // A takeover of the global lock itself is handled below with the rest of the lock checks
+  if (
+    globalLockData &&
+    postDeployStep === false &&
+    !(takeover === true && global === true)
+  ) {
     core.debug('global lock exists - checking if requestor is the owner')
     // Check if the requestor is the owner of the global lock
     const globalLockOwner = await checkLockOwner(
@@ -555,7 +1332,9 @@ export async function lock(
       globalLockData,
       sticky,
       reactionId,
-      leaveComment
+      leaveComment,
+      ref,
+      GLOBAL_LOCK_BRANCH
     )
     if (globalLockOwner === false) {
       // If the requestor is not the owner of the global lock, return false
@@ -568,6 +1347,23 @@ export async function lock(
     }
   }
 
+  // A scoped environment (EX: production/eu) is also blocked by the locks of its parent and child scopes
+  if (
+    global === false &&
+    detailsOnly !== true &&
+    postDeployStep === false &&
+    (await checkScopedLocks(
+      octokit,
+      context,
+      environment,
+      sticky,
+      reactionId,
+      ref
+    )) === false
+  ) {
+    return {status: false, lockData: null, globalFlag, environment, global}
+  }
+
   // Check if the lock branch exists
   const branchExists = await checkBranch(octokit, context, branchName)
 
@@ -596,20 +1392,69 @@ export async function lock(
     }
 
     if (lockData === false) {
-      // If the lock files doesn't exist, we can create it here
-      // Create the lock file
-      await createLock(
+      // If the lock was recently released to the next user in the lock queue, only they can claim it during the grace period
+      const reservation = await activeReservation(octokit, context, branchName)
+      if (reservation !== null && reservation.user !== context.actor) {
+        await reservedLock(
+          octokit,
+          context,
+          reservation,
+          environment,
+          global,
+          reactionId,
+          ref,
+          branchName
+        )
+        return {status: false, lockData: null, globalFlag, environment, global}
+      }
+
+      // If the lock files doesn't exist (or it has expired), we can create it here
+      // Create the lock file (only if no other request has claimed the lock in the meantime)
+      try {
+        // If an expired lock file exists, we need its SHA to overwrite it
+        const existingLock = await findExpiredLockFile(
+          octokit,
+          context,
+          branchName
+        )
+        await createLock(
+          octokit,
+          context,
+          ref,
+          reason,
+          sticky,
+          environment,
+          global,
+          reactionId,
+          leaveComment,
+          expiry.expiresIn,
+          existingLock
+        )
+      } catch (error) {
+        return await lostRace(octokit, context, error, branchName, reactionId, {
+          globalFlag,
+          environment,
+          global
+        })
+      }
+
+      // The requestor now holds the lock so they no longer need their place in the lock queue
+      await dequeue(octokit, context, branchName)
+
+      return {status: true, lockData: null, globalFlag, environment, global}
+    } else if (takeover === true && lockData.created_by !== context.actor) {
+      // If the lock file exists and an admin is taking it over, replace it
+      return await takeoverLock(
         octokit,
         context,
         ref,
-        reason,
-        sticky,
-        environment,
-        global,
         reactionId,
-        leaveComment
+        lockData,
+        branchName,
+        reason,
+        expiry,
+        {globalFlag, environment, global}
       )
-      return {status: true, lockData: null, globalFlag, environment, global}
     } else {
       // If the lock file exists, check if the requestor is the one who owns the lock
       const lockOwner = await checkLockOwner(
@@ -618,7 +1463,9 @@ export async function lock(
         lockData,
         sticky,
         reactionId,
-        leaveComment
+        leaveComment,
+        ref,
+        branchName
       )
       if (lockOwner === true) {
         // If the requestor is the one who owns the lock, return 'owner'
@@ -646,19 +1493,30 @@ export async function lock(
   // We can now safely create the lock branch and the lock file
 
   // Create the lock branch if it doesn't exist
+  // If another request creates it at the same time, the lock file write below decides who gets the lock
   await createBranch(octokit, context, branchName)
 
-  // Create the lock file
-  await createLock(
-    octokit,
-    context,
-    ref,
-    reason,
-    sticky,
-    environment,
-    global,
-    reactionId,
-    leaveComment
-  )
+  // Create the lock file (only if no other request has claimed the lock in the meantime)
+  try {
+    await createLock(
+      octokit,
+      context,
+      ref,
+      reason,
+      sticky,
+      environment,
+      global,
+      reactionId,
+      leaveComment,
+      expiry.expiresIn
+    )
+  } catch (error) {
+    return await lostRace(octokit, context, error, branchName, reactionId, {
+      globalFlag,
+      environment,
+      global
+    })
+  }
+
   return {status: true, lockData: null, globalFlag, environment, global}
 }
@@ -3,6 +3,11 @@ import {COLORS} from './colors'
 import dedent from 'dedent-js'
 import {LOCK_METADATA} from './lock-metadata'
 import {API_HEADERS} from './api-headers'
+import {removeLockDurationFlag} from './lock-expiry'
+import {removeLockQueueFlag} from './lock-queue'
+import {removeLockOverrideFlags} from './lock-override'
+import {removeLockHistoryFlag} from './lock-history'
+import {removeFreezeOverrideFlag} from './freeze-windows'
 
 const thumbsDown = '-1'
 const docs =
@@ -37,6 +42,21 @@ export async function nakedCommandCheck(
     body = body.replace(flag, '').trim()
   })
 
+  // remove the lock duration flag (and its value) from the body
+  body = removeLockDurationFlag(body)
+
+  // remove the lock queue flag from the body
+  body = removeLockQueueFlag(body)
+
+  // remove the force and takeover flags from the body
+  body = removeLockOverrideFlags(body)
+
+  // remove the lock history flag (and its number of entries) from the body
+  body = removeLockHistoryFlag(body)
+
+  // remove the freeze override flag from the body
+  body = removeFreezeOverrideFlag(body)
+
   // remove the --reason <text> from the body if it exists
   if (body.includes('--reason')) {
     core.debug(
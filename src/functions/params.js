@@ -1,5 +1,24 @@
 import * as core from '@actions/core'
 import parse from 'yargs-parser'
+import {parentScopes} from './lock-scope'
+
+// The key in the parameter schemas that applies to every environment
+const ALL_ENVIRONMENTS = '*'
+
+// The types that a parameter can be declared with in a parameter schema
+const PARAM_TYPES = ['string', 'number', 'boolean']
+
+// The fields that can be used to declare a parameter in a parameter schema
+const PARAM_FIELDS = ['type', 'required', 'enum', 'default', 'pattern']
+
+// The yargs-parser settings used to validate parameters against a schema
+// values are kept as the raw strings that were typed so that they can be checked against the declared types
+const SCHEMA_PARSER_CONFIGURATION = {
+  'camel-case-expansion': false,
+  'dot-notation': false,
+  'parse-numbers': false,
+  'parse-positional-numbers': false
+}
 
 // Helper function to parse parameters if requested by input
 // :param params: The trimmed input parameters
@@ -13,3 +32,271 @@ export function parseParams(params) {
   )
   return parsed
 }
+
+// Helper function to check that a value from a parameter schema (a default or an enum value) matches the declared type
+// :param value: The value to check
+// :param type: The declared type of the parameter (String)
+// :returns: true if the value matches the type, false otherwise
+function matchesType(value, type) {
+  return type === 'number'
+    ? typeof value === 'number' && Number.isFinite(value)
+    : typeof value === type
+}
+
+// Helper function to parse and check the declaration of a single parameter in a parameter schema
+// :param spec: The declaration of the parameter (Object) - EX: {type: 'number', required: true, enum: [1, 2, 4]}
+// :param name: The name of the parameter (String)
+// :returns: The parsed declaration (Object) - EX: {type: 'number', required: true, enum: [1, 2, 4], default: undefined, pattern: null}
+function parseParamSpec(spec, name) {
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    throw new Error(`the parameter ${name} must be a JSON object`)
+  }
+
+  const unknown = Object.keys(spec).filter(
+    field => !PARAM_FIELDS.includes(field)
+  )
+  if (unknown.length > 0) {
+    throw new Error(
+      `the parameter ${name} has unknown fields: ${unknown.join(', ')}`
+    )
+  }
+
+  if (!PARAM_TYPES.includes(spec.type)) {
+    throw new Error(
+      `the parameter ${name} must have a type of ${PARAM_TYPES.join(', ')}`
+    )
+  }
+
+  if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+    throw new Error(
+      `the required field of the parameter ${name} must be true or false`
+    )
+  }
+
+  if (
+    spec.enum !== undefined &&
+    (!Array.isArray(spec.enum) ||
+      spec.enum.length === 0 ||
+      !spec.enum.every(value => matchesType(value, spec.type)))
+  ) {
+    throw new Error(
+      `the enum of the parameter ${name} must be a list of ${spec.type} values`
+    )
+  }
+
+  var pattern = null
+  if (spec.pattern !== undefined) {
+    if (spec.type !== 'string' || typeof spec.pattern !== 'string') {
+      throw new Error(
+        `the pattern of the parameter ${name} can only be used with a string type`
+      )
+    }
+    try {
+      pattern = new RegExp(spec.pattern)
+    } catch (error) {
+      throw new Error(
+        `the pattern of the parameter ${name} is not a valid regular expression: ${error.message}`
+      )
+    }
+  }
+
+  if (spec.default !== undefined) {
+    if (
+      !matchesType(spec.default, spec.type) ||
+      (spec.enum !== undefined && !spec.enum.includes(spec.default)) ||
+      (pattern !== null && !pattern.test(spec.default))
+    ) {
+      throw new Error(
+        `the default of the parameter ${name} is not a valid ${spec.type} value for the parameter`
+      )
+    }
+  }
+
+  return {
+    type: spec.type,
+    required: spec.required === true,
+    enum: spec.enum ?? null,
+    default: spec.default,
+    pattern: pattern
+  }
+}
+
+// Helper function to parse the parameter schemas from the 'param_schemas' input
+// The schemas are a JSON object of environments ("*" for every environment) and the parameters that they accept
+// Example: {"production": {"cpus": {"type": "number", "required": true, "enum": [1, 2, 4]}, "region": {"type": "string", "default": "us-east-1"}}}
+// :param input: The raw 'param_schemas' input (String)
+// :returns: The parsed parameter schemas (Object) - EX: {production: {cpus: {type: 'number', required: true, ...}}}
+export function parseParamSchemas(input) {
+  if (!input || input.trim() === '') {
+    return {}
+  }
+
+  try {
+    const schemas = JSON.parse(input)
+    if (
+      typeof schemas !== 'object' ||
+      schemas === null ||
+      Array.isArray(schemas)
+    ) {
+      throw new Error('the parameter schemas must be a JSON object')
+    }
+
+    const parsed = {}
+    for (const [environment, schema] of Object.entries(schemas)) {
+      if (
+        typeof schema !== 'object' ||
+        schema === null ||
+        Array.isArray(schema)
+      ) {
+        throw new Error(
+          `the parameter schema for ${environment} must be a JSON object`
+        )
+      }
+      parsed[environment] = {}
+      for (const [name, spec] of Object.entries(schema)) {
+        parsed[environment][name] = parseParamSpec(
+          spec,
+          `${environment}.${name}`
+        )
+      }
+    }
+    return parsed
+  } catch (error) {
+    throw new Error(`Invalid value for 'param_schemas': ${error.message}`)
+  }
+}
+
+// Helper function to find the parameter schema of an environment (if any)
+// The schemas for "*", the parent scopes of the environment (EX: production for production/eu), and the environment itself all apply
+// a parameter that is declared more than once uses the most specific declaration
+// :param schemas: The parsed parameter schemas (Object)
+// :param environment: The environment being deployed (String)
+// :returns: The parameter schema of the environment (Object) or null if no schema applies to the environment
+export function paramSchema(schemas, environment) {
+  const keys = [ALL_ENVIRONMENTS, ...parentScopes(environment), environment]
+  const applicable = keys.filter(key => schemas[key] !== undefined)
+  if (applicable.length === 0) {
+    return null
+  }
+
+  return Object.assign({}, ...applicable.map(key => schemas[key]))
+}
+
+// Helper function to convert a parameter value that was typed in a command to its declared type
+// :param value: The value from yargs-parser (a String, or a Boolean for bare and negated flags)
+// :param type: The declared type of the parameter (String)
+// :returns: The converted value or undefined if the value is not valid for the type
+function coerceParam(value, type) {
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return value
+    }
+    return value === 'true' || value === 'false' ? value === 'true' : undefined
+  }
+
+  // bare flags (EX: --cpus) do not have a value
+  if (typeof value !== 'string') {
+    return undefined
+  }
+
+  if (type === 'number') {
+    const number = Number(value)
+    return value.trim() !== '' && Number.isFinite(number) ? number : undefined
+  }
+
+  return value
+}
+
+// Helper function to validate the parameters of a command against a parameter schema
+// Only the parameters that are declared in the schema are returned - converted to their declared types and with defaults applied
+// :param params: The raw parameters string (String or null)
+// :param schema: The parameter schema of the environment (Object)
+// :returns: An object - EX: {valid: true, parsed_params: {cpus: 2, region: 'us-east-1'}, errors: []}
+export function validateParams(params, schema) {
+  const parsed = parse(params ?? '', {
+    configuration: SCHEMA_PARSER_CONFIGURATION
+  })
+  const errors = []
+  const normalized = {}
+
+  for (const positional of parsed._) {
+    errors.push(
+      `\`${positional}\` is not a named parameter (use \`--name=value\`)`
+    )
+  }
+
+  for (const name of Object.keys(parsed)) {
+    if (name !== '_' && schema[name] === undefined) {
+      errors.push(`\`--${name}\` is not a known parameter`)
+    }
+  }
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const value = parsed[name]
+
+    if (value === undefined) {
+      if (spec.default !== undefined) {
+        normalized[name] = spec.default
+      } else if (spec.required === true) {
+        errors.push(`\`--${name}\` is required`)
+      }
+      continue
+    }
+
+    if (Array.isArray(value)) {
+      errors.push(`\`--${name}\` was given more than once`)
+      continue
+    }
+
+    const coerced = coerceParam(value, spec.type)
+    if (coerced === undefined) {
+      errors.push(
+        typeof value === 'string'
+          ? `\`--${name}\` must be a ${spec.type} but got \`${value}\``
+          : `\`--${name}\` requires a ${spec.type} value`
+      )
+    } else if (spec.enum !== null && !spec.enum.includes(coerced)) {
+      errors.push(
+        `\`--${name}\` must be one of ${spec.enum.map(item => `\`${item}\``).join(', ')} but got \`${coerced}\``
+      )
+    } else if (spec.pattern !== null && !spec.pattern.test(coerced)) {
+      errors.push(
+        `\`--${name}\` must match the pattern \`${spec.pattern.source}\` but got \`${coerced}\``
+      )
+    } else {
+      normalized[name] = coerced
+    }
+  }
+
+  core.debug(
+    `validated parameters: ${params}, produced: ${JSON.stringify(normalized)} with ${errors.length} errors`
+  )
+
+  return {valid: errors.length === 0, parsed_params: normalized, errors: errors}
+}
+
+// Helper function to describe the parameters of a parameter schema for an error message
+// :param schema: The parameter schema of the environment (Object)
+// :returns: A markdown list of the parameters (String) - EX: "- `--cpus` (number, required, one of: `1`, `2`, `4`)"
+export function describeParamSchema(schema) {
+  return Object.entries(schema)
+    .map(([name, spec]) => {
+      const details = [spec.type]
+      if (spec.required === true) {
+        details.push('required')
+      }
+      if (spec.enum !== null) {
+        details.push(
+          `one of: ${spec.enum.map(item => `\`${item}\``).join(', ')}`
+        )
+      }
+      if (spec.pattern !== null) {
+        details.push(`pattern: \`${spec.pattern.source}\``)
+      }
+      if (spec.default !== undefined) {
+        details.push(`default: \`${spec.default}\``)
+      }
+      return `- \`--${name}\` (${details.join(', ')})`
+    })
+    .join('\n')
+}
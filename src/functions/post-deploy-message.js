@@ -4,6 +4,27 @@ import dedent from 'dedent-js'
 import {existsSync} from 'fs'
 import nunjucks from 'nunjucks'
 
+// Helper function to construct a markdown table of the deployments of a command that deployed to multiple environments
+// :param deployments: An array of deployments - EX: [{environment: 'staging', deployment_id: 123, environment_url: null}]
+// :returns: The markdown table (String)
+function deploymentsTable(deployments) {
+  const rows = deployments.map(deployment => {
+    const id = deployment.deployment_id
+      ? `\`${deployment.deployment_id}\``
+      : '-'
+    const url = deployment.environment_url
+      ? `[${deployment.environment_url.replace(/^https?:\/\//, '')}](${deployment.environment_url})`
+      : '-'
+    return `| ${deployment.environment} | ${id} | ${url} |`
+  })
+
+  return [
+    '| Environment | Deployment | Environment URL |',
+    '| ----------- | ---------- | --------------- |',
+    ...rows
+  ].join('\n')
+}
+
 // Helper function construct a post deployment message
 // :param context: The GitHub Actions event context
 // :param data: A data object containing attributes of the message
@@ -16,6 +37,7 @@ import nunjucks from 'nunjucks'
 //   - attribute: approved_reviews_count: The count of approved reviews for the deployment (String representation of an int or null)
 //   - attribute: review_decision: The review status of the pull request (String or null) - Ex: APPROVED, REVIEW_REQUIRED, etc
 //   - attribute: deployment_id: The id of the deployment (String)
+//   - attribute: deployments: The deployments of a command that deployed to multiple environments (Array or null)
 //   - attribute: fork: Indicates whether the deployment is from a forked repository (Boolean)
 //   - attribute: params: The raw string of deployment parameters (String)
 //   - attribute: parsed_params: A string representation of the parsed deployment parameters (String)
@@ -42,6 +64,7 @@ export async function postDeployMessage(context, data) {
       : null,
     review_decision: data.review_decision || null,
     deployment_id: data.deployment_id ? parseInt(data.deployment_id) : null,
+    deployments: data.deployments || null,
     fork: data.fork,
     params: data.params || null,
     parsed_params: data.parsed_params || null,
@@ -133,6 +156,11 @@ export async function postDeployMessage(context, data) {
     deployStatus = '⚠️'
   }
 
+  // a deployment to multiple environments lists the result of each environment in a table
+  if (vars.deployments !== null) {
+    message += `\n\n${deploymentsTable(vars.deployments)}`
+  }
+
   // Conditionally format the message body
   var message_fmt
   if (deployMessageEnvVar) {
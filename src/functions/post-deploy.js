@@ -22,6 +22,7 @@ const nonStickyMsg = `🧹 ${COLORS.highlight}non-sticky${COLORS.reset} lock det
 //   - attribute: ref: The ref (branch) which is being used for deployment (String)
 //   - attribute: noop: Indicates whether the deployment is a noop or not (Boolean)
 //   - attribute: deployment_id: The id of the deployment (String)
+//   - attribute: deployments: The deployments of a command that deployed to multiple environments (Array) - EX: [{environment: 'staging', deployment_id: 123, environment_url: null}]
 //   - attribute: environment: The environment of the deployment (String)
 //   - attribute: environment_url: The environment url of the deployment (String)
 //   - attribute: approved_reviews_count: The count of approved reviews for the deployment (String representation of an int or null)
@@ -61,6 +62,19 @@ export async function postDeploy(context, octokit, data) {
   )
   core.setOutput('total_seconds', total_seconds)
 
+  // a command that deployed to multiple environments (EX: .deploy to staging,production) completes a deployment for each environment
+  const deployments =
+    data.deployments?.length > 0
+      ? data.deployments
+      : [
+          {
+            environment: data.environment,
+            deployment_id: data.deployment_id,
+            environment_url: data.environment_url
+          }
+        ]
+  const multiple = deployments.length > 1
+
   const message = await postDeployMessage(context, {
     environment: data.environment,
     environment_url: data.environment_url,
@@ -69,7 +83,8 @@ export async function postDeploy(context, octokit, data) {
     ref: data.ref,
     sha: data.sha,
     approved_reviews_count: data.approved_reviews_count,
-    deployment_id: data.deployment_id,
+    deployment_id: multiple ? null : data.deployment_id,
+    deployments: multiple ? deployments : null,
     review_decision: data.review_decision,
     fork: data.fork,
     params: data.params,
@@ -119,40 +134,42 @@ export async function postDeploy(context, octokit, data) {
   // if the deployment mode is noop, return here
   if (data.noop === true) {
     core.debug('deployment mode: noop')
-    // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
-    const lockResponse = await lock(
-      octokit,
-      context,
-      null, // ref
-      null, // reaction_id
-      false, // sticky
-      data.environment, // environment
-      true // detailsOnly set to true
-    )
-
-    // obtain the lockData from the lock response
-    const lockData = lockResponse.lockData
-    core.debug(JSON.stringify(lockData))
-
-    // if the lock is sticky, we will NOT remove it
-    if (lockData?.sticky === true) {
-      core.info(stickyMsg)
-    } else if (lockData === null || lockData === undefined) {
-      core.warning(
-        '💡 a request to obtain the lock data returned null or undefined - the lock may have been removed by another process while this Action was running'
-      )
-    } else {
-      core.info(nonStickyMsg)
-      core.debug(`lockData.sticky: ${lockData?.sticky}`)
-
-      // remove the lock - use silent mode
-      await unlock(
+    for (const deployment of deployments) {
+      // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
+      const lockResponse = await lock(
         octokit,
         context,
+        null, // ref
         null, // reaction_id
-        data.environment, // environment
-        true // silent mode
+        false, // sticky
+        deployment.environment, // environment
+        true // detailsOnly set to true
       )
+
+      // obtain the lockData from the lock response
+      const lockData = lockResponse.lockData
+      core.debug(JSON.stringify(lockData))
+
+      // if the lock is sticky, we will NOT remove it
+      if (lockData?.sticky === true) {
+        core.info(stickyMsg)
+      } else if (lockData === null || lockData === undefined) {
+        core.warning(
+          '💡 a request to obtain the lock data returned null or undefined - the lock may have been removed by another process while this Action was running'
+        )
+      } else {
+        core.info(nonStickyMsg)
+        core.debug(`lockData.sticky: ${lockData?.sticky}`)
+
+        // remove the lock - use silent mode
+        await unlock(
+          octokit,
+          context,
+          null, // reaction_id
+          deployment.environment, // environment
+          true // silent mode
+        )
+      }
     }
 
     // check to see if the pull request labels should be applied or not
@@ -174,49 +191,51 @@ export async function postDeploy(context, octokit, data) {
     return 'success - noop'
   }
 
-  // update the final deployment status with either success or failure
-  await createDeploymentStatus(
-    octokit,
-    context,
-    data.ref,
-    deploymentStatus,
-    data.deployment_id,
-    data.environment,
-    data.environment_url // can be null
-  )
-
-  // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
-  const lockResponse = await lock(
-    octokit,
-    context,
-    null, // ref
-    null, // reaction_id
-    false, // sticky
-    data.environment, // environment
-    true, // detailsOnly set to true
-    true, // postDeployStep set to true - this means we will not exit early if a global lock exists
-    false // leaveComment
-  )
-
-  // obtain the lockData from the lock response
-  const lockData = lockResponse.lockData
-  core.debug(JSON.stringify(lockData))
-
-  // if the lock is sticky, we will NOT remove it
-  if (lockData?.sticky === true) {
-    core.info(stickyMsg)
-  } else {
-    core.info(nonStickyMsg)
-    core.debug(`lockData.sticky: ${lockData?.sticky}`)
+  for (const deployment of deployments) {
+    // update the final deployment status with either success or failure
+    await createDeploymentStatus(
+      octokit,
+      context,
+      data.ref,
+      deploymentStatus,
+      deployment.deployment_id,
+      deployment.environment,
+      deployment.environment_url // can be null
+    )
 
-    // remove the lock - use silent mode
-    await unlock(
+    // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
+    const lockResponse = await lock(
       octokit,
       context,
+      null, // ref
       null, // reaction_id
-      data.environment, // environment
-      true // silent mode
+      false, // sticky
+      deployment.environment, // environment
+      true, // detailsOnly set to true
+      true, // postDeployStep set to true - this means we will not exit early if a global lock exists
+      false // leaveComment
     )
+
+    // obtain the lockData from the lock response
+    const lockData = lockResponse.lockData
+    core.debug(JSON.stringify(lockData))
+
+    // if the lock is sticky, we will NOT remove it
+    if (lockData?.sticky === true) {
+      core.info(stickyMsg)
+    } else {
+      core.info(nonStickyMsg)
+      core.debug(`lockData.sticky: ${lockData?.sticky}`)
+
+      // remove the lock - use silent mode
+      await unlock(
+        octokit,
+        context,
+        null, // reaction_id
+        deployment.environment, // environment
+        true // silent mode
+      )
+    }
   }
 
   // check to see if the pull request labels should be applied or not
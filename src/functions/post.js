@@ -23,6 +23,7 @@ export async function post() {
       reaction_id: core.getState('reaction_id'),
       noop: core.getState('noop') === 'true',
       deployment_id: core.getState('deployment_id'),
+      deployments: JSON.parse(core.getState('deployments') || '[]'),
       environment: core.getState('environment'),
       environment_url: checkInput(core.getState('environment_url')),
       approved_reviews_count: core.getState('approved_reviews_count'),
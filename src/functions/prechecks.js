@@ -50,9 +50,13 @@ export async function prechecks(context, octokit, data) {
   const draftPermittedTargetsArray = stringToArray(
     data.inputs.draft_permitted_targets
   )
-  const skipCi = skipCiArray.includes(data.environment)
-  const skipReviews = skipReviewsArray.includes(data.environment)
-  const allowDraftDeploy = draftPermittedTargetsArray.includes(data.environment)
+  // a deployment to multiple environments (EX: staging,production) only skips a check if every environment skips it
+  const environments = stringToArray(data.environment)
+  const skipCi = environments.every(env => skipCiArray.includes(env))
+  const skipReviews = environments.every(env => skipReviewsArray.includes(env))
+  const allowDraftDeploy = environments.every(env =>
+    draftPermittedTargetsArray.includes(env)
+  )
   const checks = data.inputs.checks
   const ignoredChecks = data.inputs.ignored_checks || []
 
@@ -362,6 +366,22 @@ export async function prechecks(context, octokit, data) {
       'note: deployments to the stable branch do not require PR review or passing CI checks on the working branch'
     )
 
+    // Only allow admins to skip the sha deployment checks on a rollback if this has been explicitly enabled
+    // Every other rollback is an exact sha deployment and goes through the same checks as one below
+  } else if (
+    data.environmentObj.rollback === true &&
+    data.inputs.allow_admin_rollbacks === true &&
+    userIsAdmin === true
+  ) {
+    message = `✅ rollback to the last known-good ${COLORS.highlight}sha${COLORS.reset} requested by an admin`
+    core.info(message)
+    core.debug(
+      'note: allow_admin_rollbacks is enabled so admin rollbacks do not require PR review, passing CI checks, or allow_sha_deployments'
+    )
+    // the ref and sha are both the exact sha of the previous successful deployment
+    sha = data.environmentObj.sha
+    ref = data.environmentObj.sha
+
     // If allow_sha_deployments are enabled and the sha is not null, always allow the deployment
     // note: this is an "unsafe" option
     // this option is "unsafe" because it bypasses all checks and we cannot guarantee that the sha being deployed has...
@@ -414,6 +434,9 @@ export async function prechecks(context, octokit, data) {
     data.environmentObj.sha !== null
   ) {
     message = `### ⚠️ Cannot proceed with deployment\n\n- allow_sha_deployments: \`${data.inputs.allow_sha_deployments}\`\n\n> sha deployments have not been enabled`
+    if (data.environmentObj.rollback === true) {
+      message += ` - rollbacks deploy the exact sha of the last known-good deployment so they require \`allow_sha_deployments\` (or \`allow_admin_rollbacks\` for admins)`
+    }
     return {message: message, status: false}
 
     // If update_branch is not "disabled", proceed with 'update_branch' logic
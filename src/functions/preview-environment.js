@@ -0,0 +1,116 @@
+import * as core from '@actions/core'
+import {isSafeEnvironmentName} from './environment-patterns'
+
+// The placeholder in the 'preview_environment' and 'preview_url' inputs that is replaced with the pull request number
+const PULL_REQUEST_PLACEHOLDER = '{pull_request}'
+
+// The placeholder in the 'preview_url' input that is replaced with the name of the preview environment
+const ENVIRONMENT_PLACEHOLDER = '{environment}'
+
+// Helper function to parse the preview environment configuration from the 'preview_target', 'preview_environment', and 'preview_url' inputs
+// :param target: The raw 'preview_target' input (String) - the environment name used in commands (EX: preview) or an empty string to disable the preview command
+// :param environment: The raw 'preview_environment' input (String) - the name template of the preview environment (EX: pr-{pull_request})
+// :param url: The raw 'preview_url' input (String) - the URL template of the preview environment (EX: https://{environment}.example.com)
+// :param environmentTargets: The comma separated list of environment targets (String)
+// :returns: The preview environment configuration (Object) - EX: {target: 'preview', environment: 'pr-{pull_request}', url: 'https://{environment}.example.com'}
+export function parsePreviewEnvironment(
+  target,
+  environment,
+  url,
+  environmentTargets
+) {
+  target = target?.trim() || null
+  environment = environment?.trim() || `pr-${PULL_REQUEST_PLACEHOLDER}`
+  url = url?.trim() || null
+
+  const targets = environmentTargets.split(',').map(item => item.trim())
+  if (target !== null && (/[\s,]/.test(target) || targets.includes(target))) {
+    throw new Error(
+      `Invalid value for 'preview_target': ${target} must be a single word that is not already the name of an environment target`
+    )
+  }
+
+  // the name of the preview environment is used in lock branch names, deployments, and environment URLs so it must be safe for any pull request number
+  if (
+    !environment.includes(PULL_REQUEST_PLACEHOLDER) ||
+    !isSafeEnvironmentName(
+      environment.replaceAll(PULL_REQUEST_PLACEHOLDER, '1')
+    )
+  ) {
+    throw new Error(
+      `Invalid value for 'preview_environment': ${environment} must include ${PULL_REQUEST_PLACEHOLDER} and only use letters, numbers, ".", "_", or "-" (EX: pr-${PULL_REQUEST_PLACEHOLDER})`
+    )
+  }
+
+  if (url !== null && !/^https?:\/\//.test(url)) {
+    throw new Error(
+      `Invalid value for 'preview_url': ${url} must be an http(s) URL template (EX: https://${ENVIRONMENT_PLACEHOLDER}.example.com)`
+    )
+  }
+
+  return {target: target, environment: environment, url: url}
+}
+
+// Helper function to get the parsed preview environment configuration from the Action inputs
+// :returns: The preview environment configuration (Object)
+export function getPreviewEnvironment() {
+  return parsePreviewEnvironment(
+    core.getInput('preview_target'),
+    core.getInput('preview_environment'),
+    core.getInput('preview_url'),
+    core.getInput('environment_targets')
+  )
+}
+
+// Helper function to generate the name of the preview environment of a pull request
+// :param preview: The preview environment configuration (Object)
+// :param pullRequest: The number of the pull request (Integer)
+// :returns: The name of the preview environment (String) - EX: pr-1234
+export function previewEnvironmentName(preview, pullRequest) {
+  return preview.environment.replaceAll(
+    PULL_REQUEST_PLACEHOLDER,
+    `${pullRequest}`
+  )
+}
+
+// Helper function to check if an environment is the preview environment of a pull request
+// :param environment: The environment to check (String)
+// :param preview: The preview environment configuration (Object)
+// :param pullRequest: The number of the pull request (Integer)
+// :returns: true if the preview command is enabled and the environment is the preview environment of the pull request, false otherwise
+export function isPreviewEnvironment(environment, preview, pullRequest) {
+  return (
+    preview.target !== null &&
+    environment === previewEnvironmentName(preview, pullRequest)
+  )
+}
+
+// Helper function to generate the URL of the preview environment of a pull request
+// :param preview: The preview environment configuration (Object)
+// :param pullRequest: The number of the pull request (Integer)
+// :returns: The URL of the preview environment (String) or null if the 'preview_url' input is not set
+export function previewEnvironmentUrl(preview, pullRequest) {
+  if (preview.url === null) {
+    return null
+  }
+
+  return preview.url
+    .replaceAll(
+      ENVIRONMENT_PLACEHOLDER,
+      previewEnvironmentName(preview, pullRequest)
+    )
+    .replaceAll(PULL_REQUEST_PLACEHOLDER, `${pullRequest}`)
+}
+
+// Helper function to get the preview target as an environment alias of the preview environment of a pull request
+// This allows commands to use the preview target anywhere that an environment alias can be used (EX: .deploy preview -> .deploy pr-1234)
+// :param preview: The preview environment configuration (Object)
+// :param pullRequest: The number of the pull request (Integer)
+// :returns: An object in the same format as the parsed environment aliases (Object) - EX: {preview: ['pr-1234']} or {} if the preview command is disabled
+export function previewAlias(preview, pullRequest) {
+  if (preview.target === null) {
+    return {}
+  }
+
+  return {[preview.target]: [previewEnvironmentName(preview, pullRequest)]}
+}
@@ -0,0 +1,135 @@
+import * as core from '@actions/core'
+import {createDeploymentStatus, recentDeployments} from './deployment'
+import {unlock} from './unlock'
+import {
+  previewEnvironmentName,
+  previewEnvironmentUrl
+} from './preview-environment'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+
+// The maximum number of deployments of a preview environment that are marked as inactive when it is torn down
+const TEARDOWN_DEPLOYMENT_LIMIT = 100
+
+// Helper function to delete the GitHub environment of a preview environment
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param environment: The name of the preview environment (String)
+// :returns: true if the environment was deleted, false otherwise
+async function deleteEnvironment(octokit, context, environment) {
+  try {
+    await octokit.rest.repos.deleteAnEnvironment({
+      ...context.repo,
+      environment_name: environment,
+      headers: API_HEADERS
+    })
+    core.info(
+      `🗑️ deleted the ${COLORS.highlight}${environment}${COLORS.reset} environment`
+    )
+    return true
+  } catch (error) {
+    if (error.status === 404) {
+      core.info(
+        `⏩ the ${COLORS.highlight}${environment}${COLORS.reset} environment does not exist - skipping...`
+      )
+    } else {
+      core.warning(
+        `could not delete the ${environment} environment (this requires a token with the 'administration: write' permission): ${error.message}`
+      )
+    }
+    return false
+  }
+}
+
+// Helper function to tear down the preview environment of a pull request when the pull request is closed (merged or not)
+// Every deployment of the preview environment is marked as inactive, its lock is released, and its GitHub environment is deleted
+// The 'teardown' output is set so that the workflow can destroy the infrastructure of the preview environment
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param inputs: The Action inputs object
+// :returns: An object with details about the teardown or false if the preview command is disabled or the event is not a closed pull request
+export async function previewTeardown(octokit, context, inputs) {
+  // without a preview target there is no preview environment to tear down (and nothing should be deleted)
+  if (inputs.preview_environment.target === null) {
+    core.setFailed(
+      `the 'preview_teardown_mode' input requires the 'preview_target' input to be set`
+    )
+    return false
+  }
+
+  if (
+    context?.eventName !== 'pull_request' ||
+    context?.payload?.action !== 'closed'
+  ) {
+    core.info(
+      `event name: ${context?.eventName}, action: ${context?.payload?.action}`
+    )
+    core.setFailed(
+      'this workflow can only run in the context of a closed pull request'
+    )
+    return false
+  }
+
+  const pullRequest = context.payload.pull_request.number
+  const environment = previewEnvironmentName(
+    inputs.preview_environment,
+    pullRequest
+  )
+  core.info(
+    `🧹 tearing down the ${COLORS.highlight}${environment}${COLORS.reset} preview environment of pull request ${COLORS.info}${pullRequest}`
+  )
+
+  // mark every deployment of the preview environment that is not already inactive as inactive
+  const deployments = await recentDeployments(
+    octokit,
+    context,
+    environment,
+    TEARDOWN_DEPLOYMENT_LIMIT
+  )
+  const deactivated = []
+  for (const deployment of deployments) {
+    if (deployment.state === 'INACTIVE') {
+      continue
+    }
+
+    await createDeploymentStatus(
+      octokit,
+      context,
+      deployment.ref?.name ?? deployment.commit.oid,
+      'inactive',
+      deployment.databaseId,
+      environment
+    )
+    deactivated.push(deployment.databaseId)
+  }
+  core.info(
+    `📦 marked ${COLORS.highlight}${deactivated.length}${COLORS.reset} deployment(s) as inactive`
+  )
+
+  // release the lock of the preview environment (if there is one)
+  const unlockResult = await unlock(
+    octokit,
+    context,
+    null, // reactionId
+    environment,
+    true // silent
+  )
+  core.debug(`unlock result for preview teardown: ${unlockResult}`)
+
+  const teardown = {
+    environment: environment,
+    pull_request: pullRequest,
+    merged: context.payload.pull_request.merged === true,
+    environment_url: previewEnvironmentUrl(
+      inputs.preview_environment,
+      pullRequest
+    ),
+    deployments: deactivated,
+    lock_released: unlockResult === 'removed lock - silent',
+    environment_deleted: await deleteEnvironment(octokit, context, environment)
+  }
+
+  core.setOutput('teardown', JSON.stringify(teardown))
+  core.setOutput('environment', environment)
+  return teardown
+}
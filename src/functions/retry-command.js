@@ -0,0 +1,170 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {actionStatus} from './action-status'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+
+// The flag used to retry a deployment with the latest commit of the pull request (ex: .retry --latest)
+const LATEST_FLAG = '--latest'
+
+// The markers that wrap the pre-deploy metadata JSON block in the "Deployment Triggered" comment (see main.js)
+const METADATA_START = '<!--- pre-deploy-metadata-start -->'
+const METADATA_END = '<!--- pre-deploy-metadata-end -->'
+
+// Helper function to parse the pre-deploy metadata JSON block from a comment body
+// :param body: The body of the comment (String)
+// :returns: The metadata (Object) or null if the comment has no valid metadata block
+export function parsePreDeployMetadata(body) {
+  const start = body.indexOf(METADATA_START)
+  const end = body.indexOf(METADATA_END)
+  if (start === -1 || end === -1 || end < start) {
+    return null
+  }
+
+  const block = body.substring(start + METADATA_START.length, end)
+  const match = block.match(/```json\s*([\s\S]*?)\s*```/)
+  if (match === null) {
+    return null
+  }
+
+  try {
+    return JSON.parse(match[1])
+  } catch (error) {
+    core.debug(`could not parse the pre-deploy metadata: ${error.message}`)
+    return null
+  }
+}
+
+// Helper function to find the login of the user (or bot) that the Action is running as
+// The Action has already reacted to the triggering comment, so the author of that reaction is the Action itself
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction that the Action added to the triggering comment (Integer)
+// :returns: The login (String) - ex: 'github-actions[bot]' - or null if the reaction could not be found
+async function actionLogin(octokit, context, reactionId) {
+  const {data: reactions} = await octokit.rest.reactions.listForIssueComment({
+    ...context.repo,
+    comment_id: context.payload.comment.id,
+    per_page: 100,
+    headers: API_HEADERS
+  })
+
+  const reaction = reactions.find(
+    reaction => `${reaction.id}` === `${reactionId}`
+  )
+  return reaction?.user?.login ?? null
+}
+
+// Helper function to find the metadata of the most recent deploy or noop command on the pull request
+// Only comments that were left by the Action itself are trusted, as anyone who can comment on the pull request could post a metadata block
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param inputs: The Action inputs object
+// :param login: The login of the user (or bot) that the Action is running as (String)
+// :returns: The metadata (Object) or null if no deploy or noop command was found
+async function findLastDeployment(octokit, context, inputs, login) {
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    ...context.repo,
+    issue_number: context.issue.number,
+    per_page: 100,
+    headers: API_HEADERS
+  })
+
+  // comments are returned oldest first so they are searched in reverse to find the most recent one
+  for (const comment of comments.reverse()) {
+    const metadata = parsePreDeployMetadata(comment.body ?? '')
+    const command = metadata?.context?.comment?.body
+    if (typeof command !== 'string') {
+      continue
+    }
+
+    if (login === null || comment.user?.login !== login) {
+      core.warning(
+        `⚠️ ignoring pre-deploy metadata in a comment that was not left by this Action (author: ${COLORS.highlight}${comment.user?.login}${COLORS.reset})`
+      )
+      continue
+    }
+
+    // only deploy and noop commands can be retried (ex: rollbacks and promotions resolve their sha again)
+    if (
+      command.startsWith(inputs.trigger) ||
+      command.startsWith(inputs.noop_trigger)
+    ) {
+      return metadata
+    }
+
+    core.debug(`skipping a deployment that is not a deploy or noop: ${command}`)
+  }
+
+  return null
+}
+
+// Helper function to recover the most recent deploy or noop command on the pull request so that it can be run again
+// The command is only recovered here - it still goes through every precheck when it is run again
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param body: The body of the comment (String) - ex: '.retry' or '.retry --latest'
+// :param inputs: The Action inputs object
+// :returns: The command to run again (String) or false if there is nothing that can be retried
+export async function retryCommand(octokit, context, reactionId, body, inputs) {
+  const latest = body
+    .replace(inputs.retry_trigger, '')
+    .trim()
+    .split(/\s+/)
+    .includes(LATEST_FLAG)
+
+  const login = await actionLogin(octokit, context, reactionId)
+  const metadata = await findLastDeployment(octokit, context, inputs, login)
+  if (metadata === null) {
+    const message = dedent(`
+    ### ⚠️ Cannot retry the deployment
+
+    No previous deploy or noop command was found on this pull request
+
+    > Run \`${inputs.trigger}\` or \`${inputs.noop_trigger}\` to start a new deployment
+    `)
+    await actionStatus(context, octokit, reactionId, message)
+    core.setFailed(message)
+    return false
+  }
+
+  const command = metadata.context.comment.body
+
+  // a deployment of the pull request branch is only retried if the head of the pull request has not moved (unless --latest is used)
+  // deployments of an exact sha (or of the stable branch) are not tied to the head of the pull request
+  const pr = await octokit.rest.pulls.get({
+    ...context.repo,
+    pull_number: context.issue.number,
+    headers: API_HEADERS
+  })
+  if (
+    metadata.git?.branch === pr.data.head.ref &&
+    metadata.git?.commit !== pr.data.head.sha
+  ) {
+    if (latest === false) {
+      const message = dedent(`
+      ### ⚠️ Cannot retry the deployment
+
+      The head of this pull request has moved since \`${command}\` was run
+
+      - __Previous Commit__: \`${metadata.git.commit}\`
+      - __Current Commit__: \`${pr.data.head.sha}\`
+
+      > Use \`${inputs.retry_trigger} ${LATEST_FLAG}\` to retry the deployment with the latest commit of this pull request
+      `)
+      await actionStatus(context, octokit, reactionId, message)
+      core.setFailed(message)
+      return false
+    }
+
+    core.info(
+      `⏭️ the head of the pull request has moved - retrying with the latest commit: ${COLORS.highlight}${pr.data.head.sha}`
+    )
+  }
+
+  core.info(
+    `🔁 retrying the last deployment command: ${COLORS.highlight}${command}`
+  )
+  return command
+}
@@ -0,0 +1,294 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {unlock} from './unlock'
+import {findAllLocks, lockTargets} from './list-locks'
+import {expireReservation, releaseExpiredLock} from './lock-queue'
+import {parseDuration} from './lock-expiry'
+import {lockStore} from './lock-store'
+import {LOCK_METADATA} from './lock-metadata'
+import {constructValidBranchName} from './valid-branch-name'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+
+// The events that the 'stale lock' mode can run in
+const STALE_LOCK_EVENTS = ['schedule', 'workflow_dispatch']
+
+// The policies that are available to choose from with the 'stale_lock_policy' input
+export const STALE_LOCK_POLICIES = ['remind', 'unlock']
+
+// Helper function to find the pull request number that a lock belongs to
+// :param link: The comment link stored in the lock file (String)
+// :returns: The pull request number (Integer) or null if the link does not point to a pull request
+function lockPullRequest(link) {
+  const match = `${link}`.match(/\/pull\/(\d+)/)
+  if (match === null) {
+    return null
+  }
+  return parseInt(match[1])
+}
+
+// Helper function to check if the pull request that a lock belongs to has been closed
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param pullRequest: The pull request number (Integer)
+// :returns: true if the pull request is closed (or merged), false otherwise
+async function pullRequestClosed(octokit, context, pullRequest) {
+  try {
+    const response = await octokit.rest.pulls.get({
+      ...context.repo,
+      pull_number: pullRequest,
+      headers: API_HEADERS
+    })
+    return response.data.state === 'closed'
+  } catch (error) {
+    // if the pull request cannot be found, the lock cannot be tied to a closed pull request
+    if (error.status === 404) {
+      core.debug(`pull request ${pullRequest} of a lock could not be found`)
+      return false
+    }
+    throw error
+  }
+}
+
+// Helper function to find the lock branch of a lock
+// :param lock: The lock (Object) - an entry from findAllLocks()
+// :returns: The name of the lock branch (String)
+function lockBranch(lock) {
+  if (lock.global === true) {
+    return LOCK_METADATA.globalLockBranch
+  }
+  return `${constructValidBranchName(lock.environment)}-${LOCK_METADATA.lockBranchSuffix}`
+}
+
+// Helper function to check if the holder of a stale lock has been reminded about it recently
+// The time of the last reminder is kept in the lock file so that a reminder is left at most once per 'stale_lock_max_age'
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param lock: The stale lock (Object) - an entry from findAllLocks()
+// :param maxAge: The max age of a lock in milliseconds (Integer)
+// :param now: The time of this stale lock check (Date)
+// :returns: true if a reminder was left less than 'stale_lock_max_age' ago, false otherwise
+async function remindedRecently(octokit, context, lock, maxAge, now) {
+  const lockFile = await lockStore(octokit, context).getFile(
+    lockBranch(lock),
+    LOCK_METADATA.lockFile
+  )
+  const remindedAt = lockFile?.data?.stale_reminded_at
+  return Boolean(remindedAt) && now - new Date(remindedAt) < maxAge
+}
+
+// Helper function to record in the lock file that the holder of a stale lock has been reminded about it
+// This is best effort - if the lock file cannot be updated, the holder is reminded again on the next run
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param lock: The stale lock (Object) - an entry from findAllLocks()
+// :param now: The time of the reminder (Date)
+async function recordReminder(octokit, context, lock, now) {
+  const store = lockStore(octokit, context)
+  const branchName = lockBranch(lock)
+  try {
+    const lockFile = await store.getFile(branchName, LOCK_METADATA.lockFile)
+    if (lockFile === null) {
+      return
+    }
+    await store.putFile(
+      branchName,
+      LOCK_METADATA.lockFile,
+      {...lockFile.data, stale_reminded_at: now.toISOString()},
+      lockFile.sha,
+      LOCK_METADATA.lockCommitMsg
+    )
+  } catch (error) {
+    core.warning(
+      `failed to record the stale lock reminder for ${branchName}: ${error.message}`
+    )
+  }
+}
+
+// Helper function to leave a comment on the pull request that a stale lock belongs to
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param lock: The stale lock (Object) - an entry from findAllLocks()
+// :param staleReason: Why the lock is stale (String) - 'age' or 'closed'
+// :param released: A bool indicating whether the lock was released (Boolean)
+async function commentOnStaleLock(
+  octokit,
+  context,
+  lock,
+  staleReason,
+  released
+) {
+  const lockName = lock.global === true ? '`global`' : `\`${lock.environment}\``
+  const reasonText = lock.reason ? `\`${lock.reason}\`` : '`null`'
+  const staleText =
+    staleReason === 'closed'
+      ? 'this pull request has been closed'
+      : `it has been held for \`${lock.age}\``
+
+  var actionText
+  if (released === true) {
+    actionText = 'It has been automatically released'
+  } else {
+    actionText = `If you no longer need it, please release it by commenting \`${lock.unlock_command}\``
+  }
+
+  await octokit.rest.issues.createComment({
+    ...context.repo,
+    issue_number: lockPullRequest(lock.link),
+    body: dedent(`
+    ### ${released ? '🔓 Stale Deployment Lock Released' : '⏰ Stale Deployment Lock'}
+
+    @${lock.created_by}, your ${lockName} deployment lock is stale because ${staleText}
+
+    - __Reason__: ${reasonText}
+    - __Branch__: \`${lock.branch}\`
+    - __Created At__: \`${lock.created_at}\`
+
+    > ${actionText}
+    `),
+    headers: API_HEADERS
+  })
+}
+
+// Helper function to find stale deployment locks and either remind their holders or release them
+// A lock is stale when it is older than the 'stale_lock_max_age' input or when the pull request it belongs to has been closed
+// A reminder is left at most once per 'stale_lock_max_age' so that holders are not reminded on every scheduled run
+// Expired locks are handed over to the next user in the lock queue (or removed with the 'unlock' policy) and
+// lock queues whose reservation expired without being claimed are moved forward as well
+// This is an alternate workflow that runs on 'schedule' or 'workflow_dispatch' events
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param inputs: The Action inputs object
+// :returns: The array of stale locks that were found, or false if the event context is not valid
+export async function staleLocks(octokit, context, inputs) {
+  // first, check the context to ensure that the event is a scheduled or manually dispatched workflow
+  if (!STALE_LOCK_EVENTS.includes(context?.eventName)) {
+    core.info(`event name: ${context?.eventName}`)
+    core.setFailed(
+      `this workflow can only run in the context of a ${STALE_LOCK_EVENTS.join(' or ')} event`
+    )
+    return false
+  }
+
+  const maxAge = parseDuration(inputs.stale_lock_max_age)
+  if (maxAge === null) {
+    core.setFailed(
+      `invalid value for 'stale_lock_max_age': ${inputs.stale_lock_max_age} - please use a duration like '1d' or '12h'`
+    )
+    return false
+  }
+
+  const now = new Date()
+  const locks = await findAllLocks(octokit, context, inputs.environment_targets)
+  core.info(
+    `🔍 checking ${COLORS.highlight}${locks.length}${COLORS.reset} active deployment ${locks.length === 1 ? 'lock' : 'locks'} for staleness`
+  )
+
+  const stale = []
+  for (const lock of locks) {
+    const lockName = lock.global === true ? 'global' : lock.environment
+    const pullRequest = lockPullRequest(lock.link)
+
+    // a lock from a closed pull request is always stale, otherwise it is stale once it reaches the max age
+    var staleReason = null
+    if (
+      pullRequest !== null &&
+      (await pullRequestClosed(octokit, context, pullRequest))
+    ) {
+      staleReason = 'closed'
+    } else if (now - new Date(lock.created_at) >= maxAge) {
+      staleReason = 'age'
+    }
+
+    if (staleReason === null) {
+      core.debug(`lock for ${lockName} is not stale`)
+      continue
+    }
+
+    core.info(
+      `⏰ lock for ${COLORS.highlight}${lockName}${COLORS.reset} held by ${COLORS.highlight}${lock.created_by}${COLORS.reset} is stale (${staleReason})`
+    )
+
+    var action = 'reminded'
+    if (inputs.stale_lock_policy === 'unlock') {
+      const result = await unlock(
+        octokit,
+        context,
+        null, // reactionId
+        lock.global ? null : lock.environment,
+        true, // silent
+        lock.global
+      )
+      if (result === 'removed lock - silent') {
+        action = 'released'
+        core.info(
+          `🔓 released the stale lock for ${COLORS.highlight}${lockName}`
+        )
+      } else {
+        action = 'failed'
+        core.warning(
+          `failed to release the stale lock for ${lockName}: ${result}`
+        )
+      }
+    } else if (
+      pullRequest !== null &&
+      (await remindedRecently(octokit, context, lock, maxAge, now))
+    ) {
+      action = 'skipped'
+      core.info(
+        `🔕 the holder of the stale lock for ${COLORS.highlight}${lockName}${COLORS.reset} has already been reminded within the last ${COLORS.highlight}${inputs.stale_lock_max_age}`
+      )
+    }
+
+    // let the holder know about their stale lock on the pull request that it belongs to (if there is one)
+    if (pullRequest !== null && ['reminded', 'released'].includes(action)) {
+      await commentOnStaleLock(
+        octokit,
+        context,
+        lock,
+        staleReason,
+        action === 'released'
+      )
+
+      if (action === 'reminded') {
+        await recordReminder(octokit, context, lock, now)
+      }
+    }
+
+    stale.push({
+      environment: lock.environment,
+      global: lock.global,
+      created_by: lock.created_by,
+      reason: lock.reason,
+      created_at: lock.created_at,
+      age: lock.age,
+      pull_request: pullRequest,
+      stale_reason: staleReason,
+      action: action
+    })
+  }
+
+  // hand expired locks over to the next user in the lock queue (or remove them with the 'unlock' policy)
+  // and move the lock queues forward where the next user in line did not claim their reservation in time
+  for (const target of await lockTargets(
+    octokit,
+    context,
+    inputs.environment_targets
+  )) {
+    const lockName = target.environment ?? 'global'
+    await releaseExpiredLock(
+      octokit,
+      context,
+      target.branch,
+      lockName,
+      inputs.stale_lock_policy === 'unlock'
+    )
+    await expireReservation(octokit, context, target.branch, lockName)
+  }
+
+  core.setOutput('stale_locks', JSON.stringify(stale))
+  core.info(
+    `✅ found ${COLORS.highlight}${stale.length}${COLORS.reset} stale deployment ${stale.length === 1 ? 'lock' : 'locks'}`
+  )
+  return stale
+}
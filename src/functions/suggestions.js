@@ -0,0 +1,198 @@
+import * as core from '@actions/core'
+import dedent from 'dedent-js'
+import {API_HEADERS} from './api-headers'
+import {COLORS} from './colors'
+import {validPermissions} from './valid-permissions'
+
+// Every this many characters of a word allow one more typo when looking for a suggestion (EX: prodution -> production)
+const CHARACTERS_PER_TYPO = 4
+
+// Helper function to find the edit distance between two strings
+// Insertions, deletions, substitutions, and swaps of two adjacent characters each count as a single edit
+// :param a: The first string (String)
+// :param b: The second string (String)
+// :returns: The number of edits that it takes to turn a into b (Integer)
+export function editDistance(a, b) {
+  const distances = []
+  for (let i = 0; i <= a.length; i++) {
+    distances.push([i])
+  }
+  for (let j = 1; j <= b.length; j++) {
+    distances[0].push(j)
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1, // deletion
+        distances[i][j - 1] + 1, // insertion
+        distances[i - 1][j - 1] + cost // substitution
+      )
+
+      // swap of two adjacent characters (EX: .dpeloy -> .deploy)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1)
+      }
+    }
+  }
+
+  return distances[a.length][b.length]
+}
+
+// Helper function to find the closest match for a word in a list of candidates
+// Only candidates that are close enough to be a likely typo are considered (one typo for every few characters of the candidate)
+// :param word: The word to find a match for (String) - EX: prodution
+// :param candidates: The valid words (Array) - EX: ['production', 'staging']
+// :returns: The closest candidate (String) or null if no candidate is close enough (or the word is already a candidate)
+export function closestMatch(word, candidates) {
+  if (candidates.includes(word)) {
+    return null
+  }
+
+  var closest = null
+  var closestDistance = Infinity
+  for (const candidate of candidates) {
+    const distance = editDistance(word, candidate)
+    const maxDistance = Math.max(
+      1,
+      Math.floor(candidate.length / CHARACTERS_PER_TYPO)
+    )
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = candidate
+      closestDistance = distance
+    }
+  }
+
+  return closest
+}
+
+// Helper function to suggest a corrected command by replacing every word that looks like a typo of a candidate
+// Separators (spaces and commas) are kept as they are so that the suggestion looks just like the original command
+// :param command: The command without its parameters (String) - EX: '.deploy to prodution'
+// :param candidates: The valid words (Array) - EX: ['production', 'staging']
+// :param ignored: Words that are valid in the command and are never replaced (Array) - EX: ['.deploy', 'to']
+// :returns: The corrected command (String) or null if nothing in the command looks like a typo
+export function suggestCommand(command, candidates, ignored = []) {
+  var corrected = false
+  const suggestion = command
+    .split(/([\s,]+)/)
+    .map(word => {
+      // separators, flags (EX: --reason), and ignored words are never replaced
+      if (
+        word.trim() === '' ||
+        word.startsWith('-') ||
+        ignored.includes(word)
+      ) {
+        return word
+      }
+
+      const match = closestMatch(word, candidates)
+      if (match === null) {
+        return word
+      }
+
+      corrected = true
+      return match
+    })
+    .join('')
+
+  if (corrected === false) {
+    return null
+  }
+
+  core.debug(`suggested command: ${command} -> ${suggestion}`)
+  return suggestion
+}
+
+// Helper function to get every configured trigger from the Action inputs
+// :param inputs: The Action inputs object
+// :returns: An array of the triggers (Array) - EX: ['.deploy', '.noop', '.lock', ...]
+export function allTriggers(inputs) {
+  return [
+    inputs.trigger,
+    inputs.noop_trigger,
+    inputs.lock_trigger,
+    inputs.unlock_trigger,
+    inputs.help_trigger,
+    inputs.lock_info_alias,
+    inputs.list_locks_trigger,
+    inputs.rollback_trigger,
+    inputs.promote_trigger,
+    inputs.status_trigger,
+    inputs.history_trigger,
+    inputs.diff_trigger,
+    inputs.cancel_trigger,
+    inputs.retry_trigger
+  ].filter(trigger => trigger && trigger.trim() !== '')
+}
+
+// Helper function to suggest the closest command when a comment starts with what looks like a mistyped trigger (EX: .dpeloy to production)
+// Only the first word of the comment is checked and it must start with the same character as the trigger (EX: .) so that regular comments are left alone
+// If a suggestion is found and the user has valid permissions, a comment is added to the issue and the triggering comment gets a thumbs down reaction
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param body: The body of the comment (String)
+// :param inputs: The Action inputs object
+// :returns: The suggested command (String) or null if the comment does not look like a mistyped command (or no suggestion was made)
+export async function triggerSuggestion(octokit, context, body, inputs) {
+  const word = body.split(/\s+/)[0]
+  const triggers = allTriggers(inputs).filter(trigger => trigger[0] === word[0])
+  const trigger = closestMatch(word, triggers)
+  if (trigger === null) {
+    core.debug(`no trigger suggestion found for: ${word}`)
+    return null
+  }
+
+  const suggestion = `${trigger}${body.slice(word.length)}`
+  core.info(
+    `💡 comment looks like a mistyped command: ${COLORS.highlight}${word}${COLORS.reset} - did you mean ${COLORS.highlight}${trigger}${COLORS.reset}?`
+  )
+
+  const message = dedent(`
+  ### Unknown Command
+
+  #### Did you mean?
+
+  \`\`\`text
+  ${suggestion}
+  \`\`\`
+
+  > \`${word}\` is not a command. Examples of valid commands: \`${inputs.trigger} to ${inputs.environment}\`, \`${inputs.noop_trigger} to ${inputs.environment}\`, \`${inputs.trigger} to ${inputs.environment} ${inputs.param_separator} <params>\` - use \`${inputs.help_trigger}\` to see every command
+  `)
+
+  // the suggestion is best effort - it should never fail the workflow for a comment that did not trigger the Action
+  try {
+    // only users who could run the command are given a suggestion
+    const validPermissionsRes = await validPermissions(
+      octokit,
+      context,
+      inputs.permissions
+    )
+    if (validPermissionsRes !== true) {
+      core.debug(`not suggesting a command: ${validPermissionsRes}`)
+      return null
+    }
+
+    // add a comment to the issue with the suggestion
+    await octokit.rest.issues.createComment({
+      ...context.repo,
+      issue_number: context.issue.number,
+      body: message,
+      headers: API_HEADERS
+    })
+
+    // add a reaction to the issue_comment to indicate failure
+    await octokit.rest.reactions.createForIssueComment({
+      ...context.repo,
+      comment_id: context.payload.comment.id,
+      content: '-1',
+      headers: API_HEADERS
+    })
+  } catch (error) {
+    core.warning(`⚠️ could not suggest a command: ${error.message}`)
+    return null
+  }
+
+  return suggestion
+}
@@ -1,37 +1,74 @@
 import * as core from '@actions/core'
 import {unlock} from './unlock'
-import {LOCK_METADATA} from './lock-metadata'
 import {checkLockFile} from './check-lock-file'
 import {checkBranch} from './lock'
-import {constructValidBranchName} from './valid-branch-name'
+import {lockTargets} from './list-locks'
 import {COLORS} from './colors'
 
 // Helper function to automatically find, and release a deployment lock when a pull request is merged
+// In the 'unlock on close' mode, locks are also released when a pull request is closed without being merged
+// Every environment target and every lock in the lock store is checked, as well as the global lock
 // :param octokit: the authenticated octokit instance
 // :param context: the context object
 // :param environment_targets: the environment targets to check for unlocking
+// :param unlockOnClose: a bool indicating whether locks should also be released when the pull request was closed without merging
 // :return: true if all locks were released successfully, false otherwise
-export async function unlockOnMerge(octokit, context, environment_targets) {
-  // first, check the context to ensure that the event is a pull request 'closed' event and that the pull request was merged
+export async function unlockOnMerge(
+  octokit,
+  context,
+  environment_targets,
+  unlockOnClose = false
+) {
+  const merged = context?.payload?.pull_request?.merged === true
+
+  // first, check the context to ensure that the event is a pull request 'closed' event and that the pull request was merged (unless running in the 'unlock on close' mode)
   if (
     context?.eventName !== 'pull_request' ||
     context?.payload?.action !== 'closed' ||
-    context?.payload?.pull_request?.merged !== true
+    (merged !== true && unlockOnClose !== true)
   ) {
     core.info(
       `event name: ${context?.eventName}, action: ${context?.payload?.action}, merged: ${context?.payload?.pull_request?.merged}`
     )
     core.setFailed(
-      'this workflow can only run in the context of a merged pull request'
+      unlockOnClose === true
+        ? 'this workflow can only run in the context of a closed pull request'
+        : 'this workflow can only run in the context of a merged pull request'
     )
     return false
   }
 
-  // loop through all the environment targets and check each one for a lock associated with this merged pull request
+  // the reason that locks are released - this is included in the 'released_locks' output
+  const releaseReason = merged ? 'merged' : 'closed'
+  core.info(
+    `🔍 pull request ${COLORS.info}${context.payload.pull_request.number}${COLORS.reset} was ${merged ? 'merged' : 'closed without merging'}`
+  )
+
+  // check every lock (including the locks found in the lock store), and the global lock last
+  const [globalTarget, ...environmentTargets] = await lockTargets(
+    octokit,
+    context,
+    environment_targets
+  )
+  const targets = environmentTargets.map(target => {
+    return {
+      environment: target.environment,
+      global: false,
+      lockBranch: target.branch
+    }
+  })
+  targets.push({
+    environment: 'global',
+    global: true,
+    lockBranch: globalTarget.branch
+  })
+
+  // loop through all the lock targets and check each one for a lock associated with this closed pull request
   var releasedEnvironments = []
-  for (const environment of environment_targets.split(',')) {
-    // construct the lock branch name for this environment
-    var lockBranch = `${constructValidBranchName(environment)}-${LOCK_METADATA.lockBranchSuffix}`
+  var releasedLocks = []
+  for (const target of targets) {
+    const environment = target.environment
+    var lockBranch = target.lockBranch
 
     // Check if the lock branch exists
     const branchExists = await checkBranch(octokit, context, lockBranch)
@@ -55,20 +92,31 @@ export async function unlockOnMerge(octokit, context, environment_targets) {
         `🔍 checking lock for PR ${COLORS.info}${prNumber}${COLORS.reset} (env: ${COLORS.highlight}${environment}${COLORS.reset})`
       )
 
-      // if the PR number matches the PR number of the merged pull request, then this lock is associated with the merged pull request
+      // if the PR number matches the PR number of the closed pull request, then this lock is associated with the closed pull request
       if (prNumber === context.payload.pull_request.number.toString()) {
         // release the lock
         var result = await unlock(
           octokit,
           context,
           null, // reactionId
-          environment,
-          true // silent
+          target.global ? null : environment,
+          true, // silent
+          target.global
         )
 
-        // if the result is 'removed lock - silent', then the lock was successfully removed - append to the array for later use
+        // if the result is 'removed lock - silent', then the lock was successfully removed - append to the arrays for later use
         if (result === 'removed lock - silent') {
-          releasedEnvironments.push(environment)
+          if (target.global === false) {
+            releasedEnvironments.push(environment)
+          }
+          releasedLocks.push({
+            environment: target.global ? null : environment,
+            global: target.global,
+            created_by: lockFile.created_by,
+            lock_reason: lockFile.reason ?? null,
+            release_reason: releaseReason,
+            pull_request: context.payload.pull_request.number
+          })
         } else {
           core.debug(`unlock result for unlock-on-merge: ${result}`)
         }
@@ -93,5 +141,9 @@ export async function unlockOnMerge(octokit, context, environment_targets) {
 
   // if we get here, all locks had a best effort attempt to be released
   core.setOutput('unlocked_environments', releasedEnvironments.join(','))
+  core.setOutput('released_locks', JSON.stringify(releasedLocks))
+  if (releasedLocks.some(releasedLock => releasedLock.global === true)) {
+    core.setOutput('global_lock_released', 'true')
+  }
   return true
 }
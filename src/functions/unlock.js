@@ -2,9 +2,25 @@ import * as core from '@actions/core'
 import {actionStatus} from './action-status'
 import dedent from 'dedent-js'
 import {LOCK_METADATA} from './lock-metadata'
+import {
+  getEnvironmentAliases,
+  resolveEnvironmentAliases
+} from './environment-aliases'
+import {getPreviewEnvironment, previewAlias} from './preview-environment'
 import {constructValidBranchName} from './valid-branch-name'
 import {COLORS} from './colors'
-import {API_HEADERS} from './api-headers'
+import {lockStore} from './lock-store'
+import {stringToArray} from './string-to-array'
+import {activeReservation, promoteQueue} from './lock-queue'
+import {checkLockFile} from './check-lock-file'
+import {isAdmin} from './admin'
+import {findLockForHistory, recordLockEvent} from './lock-history'
+import {
+  findLockForceFlag,
+  notifyPreviousHolder,
+  rejectLockOverride,
+  removeLockOverrideFlags
+} from './lock-override'
 
 // Constants for the lock file
 const LOCK_BRANCH_SUFFIX = LOCK_METADATA.lockBranchSuffix
@@ -39,6 +55,9 @@ async function findEnvironment(context) {
     }
   }
 
+  // remove the force flag from the body
+  body = removeLockOverrideFlags(body)
+
   // remove the unlock command from the body
   const unlockTrigger = core.getInput('unlock_trigger').trim()
   body = body.replace(unlockTrigger, '').trim()
@@ -50,140 +69,401 @@ async function findEnvironment(context) {
       global: false
     }
   } else {
-    // If there is anything left in the body, return that as the environment
+    // If there is anything left in the body, return that as the environment (with any environment aliases and the preview target resolved)
     return {
-      environment: body,
+      environment: resolveEnvironmentAliases(body, {
+        ...getEnvironmentAliases(),
+        ...previewAlias(getPreviewEnvironment(), context.issue.number)
+      }),
       global: false
     }
   }
 }
 
+// Helper function to let the user know that there is no deployment lock to release
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to add to the issue comment (Integer)
+// :param environment: The environment that was requested to be unlocked (String)
+// :param global: A bool indicating whether the global lock was requested to be unlocked (Boolean)
+// :param silent: A bool indicating whether to add a comment to the issue or not (Boolean)
+// :returns: true since there is no lock to release, or a string with some details if silent was used
+async function noLockSet(
+  octokit,
+  context,
+  reactionId,
+  environment,
+  global,
+  silent
+) {
+  // If silent, exit here
+  if (silent) {
+    core.debug('no deployment lock currently set - silent')
+    return 'no deployment lock currently set - silent'
+  }
+
+  // Format the comment
+  var noLockMsg
+  if (global === true) {
+    noLockMsg = '🔓 There is currently no `global` deployment lock set'
+  } else {
+    noLockMsg = `🔓 There is currently no \`${environment}\` deployment lock set`
+  }
+
+  // Leave a comment letting the user know there is no lock to release
+  await actionStatus(
+    context,
+    octokit,
+    reactionId,
+    noLockMsg,
+    true, // success
+    true // alt success reaction (ususally thumbs up)
+  )
+
+  // Return true since there is no lock to release
+  return true
+}
+
+// Helper function to let the user know that the deployment lock they tried to release is held by someone else
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to add to the issue comment (Integer)
+// :param lockName: A human readable name for the lock (String) - EX: `production` or `global`
+// :param lockData: The lock data of the lock that is held by someone else (Object)
+// :param silent: A bool indicating whether to add a comment to the issue or not (Boolean)
+// :returns: false since the lock was not released, or a string with some details if silent was used
+async function lockHeldBySomeoneElse(
+  octokit,
+  context,
+  reactionId,
+  lockName,
+  lockData,
+  silent
+) {
+  core.info(
+    `🔒 the ${COLORS.highlight}${lockName}${COLORS.reset} deployment lock is held by ${COLORS.highlight}${lockData.created_by}${COLORS.reset} - it can only be released by them or by an admin with the ${LOCK_METADATA.lockForceFlag} flag`
+  )
+
+  // If silent, exit here
+  if (silent) {
+    return 'lock held by someone else - silent'
+  }
+
+  const comment = dedent(`
+  ### ⚠️ Cannot remove deployment lock
+
+  Sorry __${context.actor}__, the \`${lockName}\` deployment lock is held by __${lockData.created_by}__
+
+  - __Reason__: \`${lockData.reason}\`
+  - __Branch__: \`${lockData.branch}\`
+  - __Created At__: \`${lockData.created_at}\`
+  - __Comment Link__: [click here](${lockData.link})
+
+  > Only __${lockData.created_by}__ can remove this lock - an admin can remove it for them with the \`${LOCK_METADATA.lockForceFlag}\` flag
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, false)
+  return false
+}
+
+// Helper function for releasing the deployment locks for multiple environments at once (EX: .unlock staging,production)
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to add to the issue comment (Integer)
+// :param environments: The comma separated list of environments to unlock (String)
+// :param force: A bool indicating whether the --force flag was used by an admin (Boolean)
+// :returns: true if every lock was released (or did not exist), false otherwise
+async function unlockMultiple(
+  octokit,
+  context,
+  reactionId,
+  environments,
+  force
+) {
+  const removed = []
+  const missing = []
+  const held = []
+  const failed = []
+
+  for (const environment of [...new Set(stringToArray(environments))]) {
+    const result = await unlock(
+      octokit,
+      context,
+      reactionId,
+      environment,
+      true, // silent
+      false, // globalLock
+      force
+    )
+    if (result === 'removed lock - silent') {
+      removed.push(`\`${environment}\``)
+    } else if (result === 'no deployment lock currently set - silent') {
+      missing.push(`\`${environment}\``)
+    } else if (result === 'lock held by someone else - silent') {
+      held.push(`\`${environment}\``)
+    } else {
+      failed.push(`\`${environment}\``)
+    }
+  }
+
+  if (held.length > 0 || failed.length > 0) {
+    const heldMsg =
+      held.length > 0
+        ? `The ${held.join(', ')} deployment locks are held by someone else - only an admin can remove them with the \`${LOCK_METADATA.lockForceFlag}\` flag`
+        : ''
+    const failedMsg =
+      failed.length > 0
+        ? `The ${failed.join(', ')} deployment locks could not be removed`
+        : ''
+
+    const comment = dedent(`
+    ### ⚠️ Cannot remove deployment locks
+
+    ${heldMsg}
+
+    ${failedMsg}
+
+    ${removed.length > 0 ? `> The ${removed.join(', ')} deployment locks were removed` : ''}
+    `)
+    await actionStatus(context, octokit, reactionId, comment, false)
+    return false
+  }
+
+  const removedMsg =
+    removed.length > 0
+      ? `The ${removed.join(', ')} deployment locks have been successfully removed`
+      : ''
+  const missingMsg =
+    missing.length > 0
+      ? `🔓 There is currently no ${missing.join(', ')} deployment lock set`
+      : ''
+
+  const comment = dedent(`
+  ### 🔓 Deployment Locks Removed
+
+  ${removedMsg}
+
+  ${missingMsg}
+  `)
+
+  await actionStatus(context, octokit, reactionId, comment, true, true)
+  return true
+}
+
 // Helper function for releasing a deployment lock
 // :param octokit: The octokit client
 // :param context: The GitHub Actions event context
 // :param reactionId: The ID of the reaction to add to the issue comment (only used if the lock is successfully released) (Integer)
 // :param environment: The environment to remove the lock from (String) - can be null and if so, the environment will be determined from the context
 // :param silent: A bool indicating whether to add a comment to the issue or not (Boolean)
+// :param globalLock: A bool indicating whether to release the global lock - used when the global lock is released without an IssueOps command (Boolean)
+// :param force: A bool indicating whether the --force flag was used by an admin (Boolean) - null if the lock is not being released by an unlock command
+//   an unlock command can only release a lock held by someone else when an admin uses the --force flag
 // :returns: true if the lock was successfully released, a string with some details if silent was used, false otherwise
 export async function unlock(
   octokit,
   context,
   reactionId,
   environment = null,
-  silent = false
+  silent = false,
+  globalLock = false,
+  force = null
 ) {
   try {
     var branchName
     var global
     // Find the environment from the context if it was not passed in
     // If the environment is not being passed in, we can safely assuming that this function is not being called from a post-deploy Action and instead, it is being directly called from an IssueOps command
-    if (environment === null) {
+    if (globalLock === true) {
+      // the global lock was requested directly (EX: from the unlock on close mode)
+      global = true
+    } else if (environment === null) {
       const envObject = await findEnvironment(context)
       environment = envObject.environment
       global = envObject.global
+      force = findLockForceFlag(context.payload.comment.body.trim())
+
+      // A force unlock is restricted to admins
+      if (force === true && (await isAdmin(context)) === false) {
+        await rejectLockOverride(
+          octokit,
+          context,
+          reactionId,
+          LOCK_METADATA.lockForceFlag
+        )
+        return false
+      }
     } else {
       // if the environment was passed in, we can assume it is not a global lock
       global = false
     }
 
+    // If multiple environments were requested (EX: .unlock staging,production), they are all unlocked together
+    if (global === false && environment.includes(',')) {
+      return await unlockMultiple(
+        octokit,
+        context,
+        reactionId,
+        environment,
+        force
+      )
+    }
+
     // construct the branch name and success message text
-    var successText = ''
+    var lockName
     if (global === true) {
       branchName = GLOBAL_LOCK_BRANCH
-      successText = '`global`'
+      lockName = 'global'
     } else {
       branchName = `${constructValidBranchName(environment)}-${LOCK_BRANCH_SUFFIX}`
-      successText = `\`${environment}\``
+      lockName = environment
     }
+    const successText = `\`${lockName}\``
 
-    // Delete the lock branch
-    const result = await octokit.rest.git.deleteRef({
-      ...context.repo,
-      ref: `heads/${branchName}`,
-      headers: API_HEADERS
-    })
-
-    // If the lock was successfully released, return true
-    if (result.status === 204) {
-      core.info(
-        `🔓 successfully ${COLORS.highlight}removed${COLORS.reset} lock`
-      )
+    // An unlock command can only release a lock held by someone else with a force unlock
+    // A force unlock captures the lock that is being displaced so its holder can be notified
+    var displacedLock = false
+    if (force !== null) {
+      const lockData = await checkLockFile(octokit, context, branchName)
+      if (lockData !== false && lockData.created_by !== context.actor) {
+        if (force === false) {
+          return await lockHeldBySomeoneElse(
+            octokit,
+            context,
+            reactionId,
+            lockName,
+            lockData,
+            silent
+          )
+        }
 
-      // If silent, exit here
-      if (silent) {
-        core.debug('removing lock silently')
-        return 'removed lock - silent'
+        displacedLock = lockData
+        core.setOutput('displaced_lock', JSON.stringify(displacedLock))
+        core.info(
+          `💥 force unlocking the deployment lock held by ${COLORS.highlight}${displacedLock.created_by}`
+        )
       }
+    }
 
-      // If a global lock was successfully released, set the output
-      if (global === true) {
-        core.setOutput('global_lock_released', 'true')
-      }
+    // Find the lock that is about to be released so that its release can be recorded in the lock history
+    const releasedLock = await findLockForHistory(octokit, context, branchName)
 
-      // Construct the message to add to the issue comment
-      const comment = dedent(`
-      ### 🔓 Deployment Lock Removed
+    // If the lock was handed over to the next user in the lock queue and they have not claimed it yet, there is no lock to release
+    // The lock branch is kept so that they do not lose their reservation (and nobody else loses their place in the lock queue)
+    const reservation = await activeReservation(octokit, context, branchName)
+    if (
+      reservation !== null &&
+      (await checkLockFile(octokit, context, branchName)) === false
+    ) {
+      core.info(
+        `🔔 the ${COLORS.highlight}${lockName}${COLORS.reset} deployment lock is reserved for ${COLORS.highlight}${reservation.user}${COLORS.reset} - leaving the lock queue as it is`
+      )
+      return await noLockSet(
+        octokit,
+        context,
+        reactionId,
+        environment,
+        global,
+        silent
+      )
+    }
 
-      The ${successText} deployment lock has been successfully removed
-      `)
+    // If someone is waiting in the lock queue, hand the lock over to them rather than deleting the lock branch
+    const nextInQueue = await promoteQueue(
+      octokit,
+      context,
+      branchName,
+      lockName
+    )
 
-      // Set the action status with the comment
-      await actionStatus(context, octokit, reactionId, comment, true, true)
+    if (nextInQueue === null) {
+      // Delete the lock branch (or its equivalent in the configured lock store)
+      const status = await lockStore(octokit, context).remove(branchName)
 
-      // Return true
-      return true
-    } else {
-      // If the lock was not successfully released, return false and log the HTTP code
-      const comment = `failed to delete lock branch: ${branchName} - HTTP: ${result.status}`
-      core.info(comment)
-
-      // If silent, exit here
-      if (silent) {
-        core.warning('failed to delete lock (bad status code) - silent')
-        return 'failed to delete lock (bad status code) - silent'
+      // If there was no lock to remove, this is OK - It means the lock does not exist
+      if (status === null) {
+        return await noLockSet(
+          octokit,
+          context,
+          reactionId,
+          environment,
+          global,
+          silent
+        )
       }
 
-      await actionStatus(context, octokit, reactionId, comment, false)
-      return false
-    }
-  } catch (error) {
-    // debug the error msg
-    core.debug(`unlock() error.status: ${error.status}`)
-    core.debug(`unlock() error.message: ${error.message}`)
+      if (status !== 204) {
+        // If the lock was not successfully released, return false and log the HTTP code
+        const comment = `failed to delete lock branch: ${branchName} - HTTP: ${status}`
+        core.info(comment)
 
-    // The the error caught was a 422 - Reference does not exist, this is OK - It means the lock branch does not exist
-    if (
-      error.status === 422 &&
-      error.message.startsWith('Reference does not exist')
-    ) {
-      // If silent, exit here
-      if (silent) {
-        core.debug('no deployment lock currently set - silent')
-        return 'no deployment lock currently set - silent'
-      }
+        // If silent, exit here
+        if (silent) {
+          core.warning('failed to delete lock (bad status code) - silent')
+          return 'failed to delete lock (bad status code) - silent'
+        }
 
-      // Format the comment
-      var noLockMsg
-      if (global === true) {
-        noLockMsg = '🔓 There is currently no `global` deployment lock set'
-      } else {
-        noLockMsg = `🔓 There is currently no \`${environment}\` deployment lock set`
+        await actionStatus(context, octokit, reactionId, comment, false)
+        return false
       }
+    }
 
-      // Leave a comment letting the user know there is no lock to release
-      await actionStatus(
-        context,
+    // If we get here, the lock was successfully released
+    core.info(`🔓 successfully ${COLORS.highlight}removed${COLORS.reset} lock`)
+    await recordLockEvent(octokit, context, releasedLock, 'release')
+
+    // let the previous holder know that their lock was force unlocked
+    var forceMsg = ''
+    if (displacedLock !== false) {
+      const notified = await notifyPreviousHolder(
         octokit,
-        reactionId,
-        noLockMsg,
-        true, // success
-        true // alt success reaction (ususally thumbs up)
+        context,
+        displacedLock,
+        LOCK_METADATA.lockForceFlag
       )
+      forceMsg = notified
+        ? `> This lock was held by __${displacedLock.created_by}__ who has been notified on their [pull request](${displacedLock.link})`
+        : `> This lock was held by __${displacedLock.created_by}__ but they could not be notified`
+    }
 
-      // Return true since there is no lock to release
-      return true
+    // If silent, exit here
+    if (silent) {
+      core.debug('removing lock silently')
+      return 'removed lock - silent'
     }
 
+    // If a global lock was successfully released, set the output
+    if (global === true) {
+      core.setOutput('global_lock_released', 'true')
+    }
+
+    // let the user know who is next in line for the lock (if anyone)
+    var queueMsg = ''
+    if (nextInQueue !== null) {
+      queueMsg = `> __${nextInQueue.user}__ is next in the lock queue and has been notified`
+    }
+
+    // Construct the message to add to the issue comment
+    const comment = dedent(`
+    ### 🔓 Deployment Lock Removed
+
+    The ${successText} deployment lock has been successfully removed
+
+    ${forceMsg}
+
+    ${queueMsg}
+    `)
+
+    // Set the action status with the comment
+    await actionStatus(context, octokit, reactionId, comment, true, true)
+
+    // Return true
+    return true
+  } catch (error) {
+    // debug the error msg
+    core.debug(`unlock() error.status: ${error.status}`)
+    core.debug(`unlock() error.message: ${error.message}`)
+
     // If silent, exit here
     if (silent) {
       throw new Error(error)
@@ -15,6 +15,22 @@ export function constructValidBranchName(branch) {
   // If environment contains any spaces, replace all of them with a hyphen
   branch = branch.replace(/\s/g, '-')
 
+  // Replace any other characters that git does not allow in a ref with a hyphen (EX: ~ ^ : ? * [ \ @{ and control characters)
+  branch = branch.replace(/[~^:?*[\\\p{Cc}]|@\{/gu, '-')
+
+  // Collapse repeated dots, drop empty parts of the ref, and make sure that no part of the ref starts with a dot or ends with a dot or .lock
+  branch = branch
+    .replace(/\.{2,}/g, '.')
+    .split('/')
+    .map(part =>
+      part
+        .replace(/^\.+/, '')
+        .replace(/\.lock$/, '-lock')
+        .replace(/\.$/, '')
+    )
+    .filter(part => part !== '')
+    .join('/')
+
   core.debug(`constructed valid branch name: ${branch}`)
   return branch
 }
@@ -6,12 +6,18 @@ import dedent from 'dedent-js'
 
 import {VERSION} from './version'
 import {triggerCheck} from './functions/trigger-check'
+import {triggerSuggestion} from './functions/suggestions'
 import {contextCheck} from './functions/context-check'
 import {nakedCommandCheck} from './functions/naked-command-check'
 import {reactEmote} from './functions/react-emote'
 import {environmentTargets} from './functions/environment-targets'
+import {applyPatternPolicies} from './functions/environment-patterns'
 import {actionStatus} from './functions/action-status'
-import {createDeploymentStatus} from './functions/deployment'
+import {
+  createDeploymentStatus,
+  latestActiveDeployment,
+  previousSuccessfulDeployment
+} from './functions/deployment'
 import {isDeprecated} from './functions/deprecated-checks'
 import {prechecks} from './functions/prechecks'
 import {branchRulesetChecks} from './functions/branch-ruleset-checks'
@@ -22,14 +28,27 @@ import {post} from './functions/post'
 import {timeDiff} from './functions/time-diff'
 import {identicalCommitCheck} from './functions/identical-commit-check'
 import {unlockOnMerge} from './functions/unlock-on-merge'
+import {previewTeardown} from './functions/preview-teardown'
+import {previewEnvironmentName} from './functions/preview-environment'
+import {staleLocks} from './functions/stale-locks'
 import {help} from './functions/help'
+import {listLocks} from './functions/list-locks'
+import {environmentStatus} from './functions/environment-status'
+import {deploymentHistory} from './functions/deployment-history'
+import {deploymentDiff} from './functions/deployment-diff'
+import {cancelDeployment} from './functions/cancel-deployment'
+import {retryCommand} from './functions/retry-command'
+import {findLockHistoryFlag, lockHistory} from './functions/lock-history'
 import {LOCK_METADATA} from './functions/lock-metadata'
 import {COLORS} from './functions/colors'
 import {getInputs} from './functions/inputs'
 import {constructValidBranchName} from './functions/valid-branch-name'
 import {validDeploymentOrder} from './functions/valid-deployment-order'
 import {commitSafetyChecks} from './functions/commit-safety-checks'
+import {freezeWindowChecks} from './functions/freeze-windows'
 import {API_HEADERS} from './functions/api-headers'
+import {lockStore} from './functions/lock-store'
+import {stringToArray} from './functions/string-to-array'
 
 // :returns: 'success', 'success - noop', 'success - merge deploy mode', 'failure', 'safe-exit', 'success - unlock on merge mode' or raises an error
 export async function run() {
@@ -64,6 +83,35 @@ export async function run() {
       return 'success - unlock on merge mode'
     }
 
+    // If we are running in the 'unlock on close' mode, run auto-unlock logic for merged and closed pull requests
+    if (inputs.unlockOnCloseMode) {
+      core.info(`🏃 running in 'unlock on close' mode`)
+      await unlockOnMerge(
+        octokit,
+        context,
+        inputs.environment_targets,
+        true // unlockOnClose
+      )
+      core.saveState('bypass', 'true')
+      return 'success - unlock on close mode'
+    }
+
+    // If we are running in the 'preview teardown' mode, tear down the preview environment of a closed pull request
+    if (inputs.previewTeardownMode) {
+      core.info(`🏃 running in 'preview teardown' mode`)
+      await previewTeardown(octokit, context, inputs)
+      core.saveState('bypass', 'true')
+      return 'success - preview teardown mode'
+    }
+
+    // If we are running in the 'stale lock' mode, check every lock for staleness
+    if (inputs.staleLockMode) {
+      core.info(`🏃 running in 'stale lock' mode`)
+      await staleLocks(octokit, context, inputs)
+      core.saveState('bypass', 'true')
+      return 'success - stale lock mode'
+    }
+
     // If we are running in the merge deploy mode, run commit checks
     if (inputs.mergeDeployMode) {
       core.info(`🏃 running in 'merge deploy' mode`)
@@ -74,7 +122,8 @@ export async function run() {
     }
 
     // Get the body of the IssueOps command
-    const body = context.payload.comment.body.trim()
+    // note: this is replaced with the command that is being retried when the retry command is used
+    var body = context.payload.comment.body.trim()
 
     // Check the context of the event to ensure it is valid, return if it is not
     if (!(await contextCheck(context))) {
@@ -88,18 +137,27 @@ export async function run() {
       return 'safe-exit'
     }
 
+    // the triggers of every command that runs against the default environment when no environment is given
+    // (.status and .locks cover every environment and .retry is checked once the command it retries is known)
+    const nakedCommandTriggers = [
+      inputs.trigger,
+      inputs.noop_trigger,
+      inputs.lock_trigger,
+      inputs.unlock_trigger,
+      inputs.lock_info_alias,
+      inputs.rollback_trigger,
+      inputs.promote_trigger,
+      inputs.history_trigger,
+      inputs.diff_trigger,
+      inputs.cancel_trigger
+    ]
+
     if (
       inputs.disable_naked_commands === true &&
       (await nakedCommandCheck(
         body,
         inputs.param_separator,
-        [
-          inputs.trigger,
-          inputs.noop_trigger,
-          inputs.lock_trigger,
-          inputs.unlock_trigger,
-          inputs.lock_info_alias
-        ],
+        nakedCommandTriggers,
         octokit,
         context
       )) === true
@@ -119,13 +177,27 @@ export async function run() {
     // check if the comment is a trigger and what type of trigger it is
     const isDeploy = await triggerCheck(body, inputs.trigger)
     const isNoopDeploy = await triggerCheck(body, inputs.noop_trigger)
-    const isLock = await triggerCheck(body, inputs.lock_trigger)
+    const isRollback = await triggerCheck(body, inputs.rollback_trigger)
+    const isPromote = await triggerCheck(body, inputs.promote_trigger)
+    // the list locks trigger (.locks) starts with the lock trigger (.lock) so it must be checked first
+    const isListLocks = await triggerCheck(body, inputs.list_locks_trigger)
+    const isLock =
+      !isListLocks && (await triggerCheck(body, inputs.lock_trigger))
     const isUnlock = await triggerCheck(body, inputs.unlock_trigger)
     const isHelp = await triggerCheck(body, inputs.help_trigger)
     const isLockInfoAlias = await triggerCheck(body, inputs.lock_info_alias)
+    const isStatus = await triggerCheck(body, inputs.status_trigger)
+    const isHistory = await triggerCheck(body, inputs.history_trigger)
+    const isDiff = await triggerCheck(body, inputs.diff_trigger)
+    const isCancel = await triggerCheck(body, inputs.cancel_trigger)
+    const isRetry = await triggerCheck(body, inputs.retry_trigger)
 
     if (isDeploy || isNoopDeploy) {
       core.setOutput('type', 'deploy')
+    } else if (isRollback) {
+      core.setOutput('type', 'rollback')
+    } else if (isPromote) {
+      core.setOutput('type', 'promote')
     } else if (isLock) {
       core.setOutput('type', 'lock')
     } else if (isUnlock) {
@@ -134,11 +206,26 @@ export async function run() {
       core.setOutput('type', 'help')
     } else if (isLockInfoAlias) {
       core.setOutput('type', 'lock-info-alias')
+    } else if (isListLocks) {
+      core.setOutput('type', 'list-locks')
+    } else if (isStatus) {
+      core.setOutput('type', 'status')
+    } else if (isHistory) {
+      core.setOutput('type', 'history')
+    } else if (isDiff) {
+      core.setOutput('type', 'diff')
+    } else if (isCancel) {
+      core.setOutput('type', 'cancel')
+    } else if (isRetry) {
+      core.setOutput('type', 'retry')
     } else {
       // if no trigger is detected, exit here
       core.saveState('bypass', 'true')
       core.setOutput('triggered', 'false')
       core.info('⛔ no trigger detected in comment - exiting')
+
+      // if the comment looks like a mistyped command (EX: .dpeloy), suggest the closest command before exiting
+      await triggerSuggestion(octokit, context, body, inputs)
       return 'safe-exit'
     }
 
@@ -153,26 +240,55 @@ export async function run() {
     core.saveState('reaction_id', reactRes.data.id)
     core.setOutput('actor_handle', context.payload.comment.user.login)
 
-    // If the command is a help request
-    if (isHelp) {
-      core.debug('help command detected')
+    // If the command is a retry, recover the last deploy (or noop) command of this pull request and run it again below
+    if (isRetry) {
+      core.debug('retry command detected')
       // Check to ensure the user has valid permissions
-      const validPermissionsRes = await validPermissions(
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      const retryBody = await retryCommand(
         octokit,
         context,
-        inputs.permissions
+        reactRes.data.id,
+        body,
+        inputs
       )
-      // If the user doesn't have valid permissions, return an error
-      if (validPermissionsRes !== true) {
-        await actionStatus(
-          context,
+
+      // If there is nothing to retry, exit
+      if (retryBody === false) {
+        core.saveState('bypass', 'true')
+        return 'failure'
+      }
+
+      body = retryBody
+
+      // the retried command must name its environment as well (EX: a naked .deploy from before naked commands were disabled)
+      if (
+        inputs.disable_naked_commands === true &&
+        (await nakedCommandCheck(
+          body,
+          inputs.param_separator,
+          nakedCommandTriggers,
           octokit,
-          reactRes.data.id, // original reaction id
-          validPermissionsRes // the message
-        )
-        // Set the bypass state to true so that the post run logic will not run
+          context
+        )) === true
+      ) {
         core.saveState('bypass', 'true')
-        core.setFailed(validPermissionsRes)
+        return 'safe-exit'
+      }
+    }
+
+    // If the command is a help request
+    if (isHelp) {
+      core.debug('help command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
         return 'failure'
       }
 
@@ -182,25 +298,92 @@ export async function run() {
       return 'safe-exit'
     }
 
+    // If the command is a request to list all active locks
+    if (isListLocks) {
+      core.debug('list locks command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      // List all the active locks and exit
+      await listLocks(octokit, context, reactRes.data.id, inputs)
+      core.saveState('bypass', 'true')
+      return 'safe-exit'
+    }
+
+    // If the command is a request to show what is deployed to each environment
+    if (isStatus) {
+      core.debug('environment status command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      // Report the status of the environments and exit
+      await environmentStatus(octokit, context, reactRes.data.id, body, inputs)
+      core.saveState('bypass', 'true')
+      return 'safe-exit'
+    }
+
+    // If the command is a request to show the recent deployments of an environment
+    if (isHistory) {
+      core.debug('deployment history command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      // Show the deployment history of the environment and exit
+      await deploymentHistory(octokit, context, reactRes.data.id, body, inputs)
+      core.saveState('bypass', 'true')
+      return 'safe-exit'
+    }
+
+    // If the command is a request to compare what is deployed to an environment with the pull request
+    if (isDiff) {
+      core.debug('deployment diff command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      // Show the diff between the environment and the pull request and exit
+      await deploymentDiff(octokit, context, reactRes.data.id, body, inputs)
+      core.saveState('bypass', 'true')
+      return 'safe-exit'
+    }
+
+    // If the command is a request to cancel an in-flight deployment from this pull request
+    if (isCancel) {
+      core.debug('cancel command detected')
+      // Check to ensure the user has valid permissions
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
+        return 'failure'
+      }
+
+      // Cancel the deployment and exit
+      await cancelDeployment(octokit, context, reactRes.data.id, body, inputs)
+      core.saveState('bypass', 'true')
+      return 'safe-exit'
+    }
+
     // If the command is a lock/unlock request
     if (isLock || isUnlock || isLockInfoAlias) {
       // Check to ensure the user has valid permissions
-      const validPermissionsRes = await validPermissions(
-        octokit,
-        context,
-        inputs.permissions
-      )
-      // If the user doesn't have valid permissions, return an error
-      if (validPermissionsRes !== true) {
-        await actionStatus(
-          context,
-          octokit,
-          reactRes.data.id,
-          validPermissionsRes
-        )
-        // Set the bypass state to true so that the post run logic will not run
-        core.saveState('bypass', 'true')
-        core.setFailed(validPermissionsRes)
+      if (
+        !(await commandPermitted(octokit, context, reactRes.data.id, inputs))
+      ) {
         return 'failure'
       }
 
@@ -230,6 +413,22 @@ export async function run() {
 
       // If it is a lock or lock info releated request
       if (isLock || isLockInfoAlias) {
+        // If the lock request is for the lock history (EX: .lock production --history 20)
+        const historyFlag = findLockHistoryFlag(body)
+        if (isLock && historyFlag.found === true) {
+          core.debug('lock history request detected')
+          await lockHistory(
+            octokit,
+            context,
+            reactRes.data.id,
+            lockEnvTargetCheck,
+            historyFlag.limit,
+            inputs
+          )
+          core.saveState('bypass', 'true')
+          return 'safe-exit'
+        }
+
         // If the lock request is only for details
         if (
           LOCK_METADATA.lockInfoFlags.some(
@@ -282,6 +481,27 @@ export async function run() {
               lockBranchName = LOCK_METADATA.globalLockBranch
             }
 
+            // link to the lock file in the configured lock store
+            const lockLink = await lockStore(octokit, context).link(
+              lockBranchName,
+              LOCK_METADATA.lockFile
+            )
+
+            // if the lock has an expiry, show how much time is remaining before it is released
+            let expiryMsg = ''
+            let expiryRemainingMsg = ''
+            if (lockData.expires_at) {
+              const remainingTime = await timeDiff(
+                new Date().toISOString(),
+                lockData.expires_at
+              )
+              expiryMsg = `- __Expires At__: \`${lockData.expires_at}\``
+              expiryRemainingMsg = `\n\nThe current lock will automatically expire in \`${remainingTime}\``
+              core.info(
+                `⌛ the deployment lock will expire in ${COLORS.highlight}${remainingTime}`
+              )
+            }
+
             // Format the lock details message
             const lockMessage = dedent(`
             ### Lock Details 🔒
@@ -292,12 +512,13 @@ export async function run() {
             - __Branch__: \`${lockData.branch}\`
             - __Created At__: \`${lockData.created_at}\`
             - __Created By__: \`${lockData.created_by}\`
+            ${expiryMsg}
             - __Sticky__: \`${lockData.sticky}\`
             ${environmentMsg}
             - __Comment Link__: [click here](${lockData.link})
-            - __Lock Link__: [click here](${process.env.GITHUB_SERVER_URL}/${owner}/${repo}/blob/${lockBranchName}/${LOCK_METADATA.lockFile})
+            - __Lock Link__: [click here](${lockLink})
 
-            The current lock has been active for \`${totalTime}\`
+            The current lock has been active for \`${totalTime}\`${expiryRemainingMsg}
 
             > If you need to release the lock, please comment \`${lockData.unlock_command}\`
             `)
@@ -383,18 +604,31 @@ export async function run() {
     }
 
     // Check if the default environment is being overwritten by an explicit environment
+    // note: rollbacks and promotions have no noop mode and cannot use the stable branch so their trigger is used in place of both
+    var deploymentTrigger = inputs.trigger
+    var noopTrigger = inputs.noop_trigger
+    var stableBranch = inputs.stable_branch
+    if (isRollback || isPromote) {
+      deploymentTrigger = isRollback
+        ? inputs.rollback_trigger
+        : inputs.promote_trigger
+      noopTrigger = deploymentTrigger
+      stableBranch = null
+    }
     const environmentObj = await environmentTargets(
       environment, // environment
       body, // comment body
-      inputs.trigger, // trigger
-      inputs.noop_trigger, // noop trigger
-      inputs.stable_branch, // ref
+      deploymentTrigger, // trigger
+      noopTrigger, // noop trigger
+      stableBranch, // ref
       context, // context object
       octokit, // octokit object
       reactRes.data.id, // reaction id
       false, // lockChecks set to false as this is for a deployment
       inputs.environment_urls, // environment_urls action input
-      inputs.param_separator // param_separator action input
+      inputs.param_separator, // param_separator action input
+      isPromote, // promote
+      inputs.param_schemas // param_schemas action input
     )
 
     // convert the environmentObj to a json string and debug log it
@@ -418,7 +652,118 @@ export async function run() {
 
     core.info(`🌍 environment: ${COLORS.highlight}${environment}`)
     core.saveState('environment', environment)
-    core.setOutput('environment', environment)
+
+    // A deployment to multiple environments (EX: .deploy to staging,production) fans out into a deployment for each environment
+    // the 'environment' output always holds a single environment (the first one) and the 'environments' output holds all of them
+    const environments = stringToArray(environment)
+    core.setOutput('environment', environments[0])
+    core.setOutput('environments', environments.join(','))
+
+    // Environments matched by a pattern target (EX: sandbox-*) follow the policy of their pattern (EX: skip_reviews)
+    applyPatternPolicies(inputs, environments)
+    if (environments.length > 1 && (isRollback || isPromote)) {
+      const multipleMessage = dedent(`
+        ### ⚠️ Cannot proceed with deployment
+
+        ${isRollback ? 'Rollbacks' : 'Promotions'} can only target one environment at a time
+
+        > Run \`${deploymentTrigger}\` once for each of the following environments: \`${environment}\`
+      `)
+      await actionStatus(
+        context,
+        octokit,
+        reactRes.data.id, // original reaction id
+        multipleMessage // message
+      )
+      // Set the bypass state to true so that the post run logic will not run
+      core.saveState('bypass', 'true')
+      core.setFailed(multipleMessage)
+      return 'failure'
+    }
+
+    // If the command is a rollback, find the last known-good deployment of the environment and deploy its exact sha
+    if (isRollback) {
+      const rollbackDeployment = await previousSuccessfulDeployment(
+        octokit,
+        context,
+        environment
+      )
+
+      // If there is nothing to roll back to, run the actionStatus function and return
+      if (rollbackDeployment === null) {
+        const rollbackMessage = dedent(`
+          ### ⚠️ Cannot proceed with rollback
+
+          No previous successful deployment of \`${environment}\` was found to roll back to
+
+          > Rollbacks redeploy the commit of the last successful deployment before the current one. You can still deploy the \`${inputs.stable_branch}\` branch with \`${inputs.trigger} ${inputs.stable_branch} to ${environment}\`
+        `)
+        await actionStatus(
+          context,
+          octokit,
+          reactRes.data.id, // original reaction id
+          rollbackMessage // message
+        )
+        // Set the bypass state to true so that the post run logic will not run
+        core.saveState('bypass', 'true')
+        core.setFailed(rollbackMessage)
+        return 'failure'
+      }
+
+      core.info(
+        `⏪ rolling back ${COLORS.highlight}${environment}${COLORS.reset} to the last known-good sha: ${COLORS.highlight}${rollbackDeployment.commit.oid}`
+      )
+      environmentObj.environmentObj.sha = rollbackDeployment.commit.oid
+      environmentObj.environmentObj.rollback = true
+    }
+
+    // If the command is a promotion, deploy the exact sha that is active in the source environment
+    // note: the promoted sha is deployed through the sha deployment path so the pull request head is not used
+    const promotedFrom = isPromote
+      ? environmentObj.environmentObj.promoted_from
+      : null
+    if (isPromote) {
+      var promotionError = null
+      var sourceDeployment = null
+      if (promotedFrom === environment) {
+        promotionError = `The \`${environment}\` environment cannot be promoted to itself`
+      } else {
+        sourceDeployment = await latestActiveDeployment(
+          octokit,
+          context,
+          promotedFrom
+        )
+        if (sourceDeployment === null) {
+          promotionError = `There is no active deployment in \`${promotedFrom}\` to promote to \`${environment}\``
+        }
+      }
+
+      // If there is nothing to promote, run the actionStatus function and return
+      if (promotionError !== null) {
+        const promotionMessage = dedent(`
+          ### ⚠️ Cannot proceed with promotion
+
+          ${promotionError}
+
+          > Usage: \`${inputs.promote_trigger} <source environment> to <environment>\`
+        `)
+        await actionStatus(
+          context,
+          octokit,
+          reactRes.data.id, // original reaction id
+          promotionMessage // message
+        )
+        // Set the bypass state to true so that the post run logic will not run
+        core.saveState('bypass', 'true')
+        core.setFailed(promotionMessage)
+        return 'failure'
+      }
+
+      core.info(
+        `📦 promoting the active sha of ${COLORS.highlight}${promotedFrom}${COLORS.reset} to ${COLORS.highlight}${environment}${COLORS.reset}: ${COLORS.highlight}${sourceDeployment.commit.oid}`
+      )
+      environmentObj.environmentObj.sha = sourceDeployment.commit.oid
+    }
 
     const data = {
       environment: environment,
@@ -450,6 +795,33 @@ export async function run() {
       return 'failure'
     }
 
+    // Check if each environment is in an active deployment freeze window (admins can override it)
+    const freezeOverrides = {}
+    for (const target of environments) {
+      const freezeResults = await freezeWindowChecks(context, {
+        environment: target,
+        body: body,
+        noop: precheckResults.noopMode,
+        inputs: inputs
+      })
+
+      // If a freeze window is active, run the actionStatus function and return
+      if (!freezeResults.status) {
+        await actionStatus(
+          context,
+          octokit,
+          reactRes.data.id, // original reaction id
+          freezeResults.message // message
+        )
+        // Set the bypass state to true so that the post run logic will not run
+        core.saveState('bypass', 'true')
+        core.setFailed(freezeResults.message)
+        return 'failure'
+      }
+
+      freezeOverrides[target] = freezeResults.override
+    }
+
     // run branch ruleset checks
     await branchRulesetChecks(context, octokit, {
       branch: inputs.stable_branch,
@@ -490,58 +862,62 @@ export async function run() {
       )
     }
 
-    // check for enforced deployment order if the input was provided and we are NOT deploying to the stable branch
+    // check for enforced deployment order if the input was provided and we are NOT deploying to the stable branch or rolling back
     if (
       inputs.enforced_deployment_order.length > 0 &&
-      stableBranchUsed !== true
+      stableBranchUsed !== true &&
+      isRollback !== true
     ) {
-      const deploymentOrderResults = await validDeploymentOrder(
-        octokit,
-        context,
-        inputs.enforced_deployment_order,
-        environment,
-        precheckResults.sha
-      )
+      // each environment is checked on its own when deploying to multiple environments
+      for (const target of environments) {
+        const deploymentOrderResults = await validDeploymentOrder(
+          octokit,
+          context,
+          inputs.enforced_deployment_order,
+          target,
+          precheckResults.sha
+        )
 
-      if (!deploymentOrderResults.valid) {
-        // construct a colorized list of the previous environments that do not have active deployments
-        const combined_environments = deploymentOrderResults.results
-          .map(result => {
-            const color = result.active ? COLORS.success : COLORS.error
-            return `${color}${result.environment}${COLORS.reset}`
-          })
-          .join(',')
-
-        // construct a markdown message with checks or x's for each environment in an ordered list
-        const combined_environments_markdown = deploymentOrderResults.results
-          .map(result => {
-            const emoji = result.active ? '🟢' : '🔴'
-            return `- ${emoji} **${result.environment}**`
-          })
-          .join('\n')
-
-        // format the error message
-        const enforced_deployment_order_failure_message = dedent(`
+        if (!deploymentOrderResults.valid) {
+          // construct a colorized list of the previous environments that do not have active deployments
+          const combined_environments = deploymentOrderResults.results
+            .map(result => {
+              const color = result.active ? COLORS.success : COLORS.error
+              return `${color}${result.environment}${COLORS.reset}`
+            })
+            .join(',')
+
+          // construct a markdown message with checks or x's for each environment in an ordered list
+          const combined_environments_markdown = deploymentOrderResults.results
+            .map(result => {
+              const emoji = result.active ? '🟢' : '🔴'
+              return `- ${emoji} **${result.environment}**`
+            })
+            .join('\n')
+
+          // format the error message
+          const enforced_deployment_order_failure_message = dedent(`
             ### 🚦 Invalid Deployment Order
 
-            The deployment to \`${environment}\` cannot be proceed as the following environments need successful deployments first:
+            The deployment to \`${target}\` cannot be proceed as the following environments need successful deployments first:
 
             ${combined_environments_markdown}
           `)
 
-        await actionStatus(
-          context,
-          octokit,
-          reactRes.data.id, // original reaction id
-          enforced_deployment_order_failure_message // message
-        )
-        // Set the bypass state to true so that the post run logic will not run
-        core.saveState('bypass', 'true')
-        core.setFailed(
-          `🚦 deployment order checks failed as not all previous environments have active deployments: ${combined_environments}`
-        )
+          await actionStatus(
+            context,
+            octokit,
+            reactRes.data.id, // original reaction id
+            enforced_deployment_order_failure_message // message
+          )
+          // Set the bypass state to true so that the post run logic will not run
+          core.saveState('bypass', 'true')
+          core.setFailed(
+            `🚦 deployment order checks failed as not all previous environments have active deployments: ${combined_environments}`
+          )
 
-        return 'failure'
+          return 'failure'
+        }
       }
     }
 
@@ -592,11 +968,27 @@ export async function run() {
       return 'safe-exit'
     }
 
+    // The deployments that this command creates - one for each environment
+    // each environment keeps its own parameters when a parameter schema applies to it (see paramSchemaChecks)
+    const deployments = environments.map(target => ({
+      environment: target,
+      deployment_id: null,
+      environment_url:
+        environments.length > 1
+          ? environmentObj.environmentObj.environment_urls[target]
+          : environmentObj.environmentUrl,
+      parsed_params:
+        environmentObj.environmentObj.environment_params?.[target] ??
+        parsed_params
+    }))
+
     // Add a comment to the PR letting the user know that a deployment has been started
     // Format the success message
     var deploymentType
     if (precheckResults.noopMode) {
       deploymentType = 'noop'
+    } else if (isRollback) {
+      deploymentType = 'rollback'
     } else {
       deploymentType =
         environmentObj.environmentObj.sha !== null ? 'sha' : 'branch'
@@ -615,7 +1007,7 @@ export async function run() {
 
       __${
         context.actor
-      }__, started a __${deploymentType}__ deployment to __${environment}__ (${deploymentType}: \`${precheckResults.ref}\`)
+      }__, started a __${deploymentType}__ deployment to __${environments.join(', ')}__ (${deploymentType}: \`${precheckResults.ref}\`)
 
       You can watch the progress [here](${log_url}) 🔗
 
@@ -627,9 +1019,15 @@ export async function run() {
       {
         "type": "${deploymentType.toLowerCase()}",
         "environment": {
-          "name": "${environment}",
-          "url": ${environmentObj.environmentUrl ? `"${environmentObj.environmentUrl}"` : null}
+          "name": "${deployments[0].environment}",
+          "url": ${deployments[0].environment_url ? `"${deployments[0].environment_url}"` : null}
         },
+        "environments": ${JSON.stringify(
+          deployments.map(deployment => ({
+            name: deployment.environment,
+            url: deployment.environment_url ?? null
+          }))
+        )},
         "deployment": {
           "timestamp": "${deployment_start_time}",
           "logs": "${log_url}"
@@ -646,12 +1044,12 @@ export async function run() {
           "comment": {
             "created_at": "${context.payload.comment.created_at}",
             "updated_at": "${context.payload.comment.updated_at}",
-            "body": "${body}",
+            "body": ${JSON.stringify(body)},
             "html_url": "${context.payload.comment.html_url}"
           }
         },
         "parameters": {
-          "raw": ${params ? `"${params}"` : null},
+          "raw": ${params ? JSON.stringify(params) : null},
           "parsed": ${parsed_params ? `${JSON.stringify(parsed_params)}` : null}
         }
       }
@@ -679,6 +1077,7 @@ export async function run() {
       core.setOutput('noop', precheckResults.noopMode)
       core.setOutput('continue', 'true')
       core.saveState('noop', precheckResults.noopMode)
+      saveDeployments(deployments)
 
       core.info(
         `🧑‍🚀 commit sha to noop: ${COLORS.highlight}${precheckResults.sha}${COLORS.reset}`
@@ -706,11 +1105,6 @@ export async function run() {
         })
     }
 
-    // Check if the environment is a production environment
-    const isProductionEnvironment =
-      inputs.production_environments.includes(environment)
-    core.debug(`production_environment: ${isProductionEnvironment}`)
-
     // if environmentObj.environmentObj.sha is not null, set auto_merge to false,
     // otherwise if update_branch is set to 'disabled', then set auto_merge to false, otherwise set it to true
     // this is important as we cannot reliably merge into the base branch if we are using a SHA
@@ -722,59 +1116,100 @@ export async function run() {
           ? false
           : true
 
-    // Create a new deployment
-    const {data: createDeploy} = await octokit.rest.repos.createDeployment({
-      owner: owner,
-      repo: repo,
-      ref: precheckResults.ref,
-      auto_merge: auto_merge,
-      required_contexts: requiredContexts,
-      environment: environment,
-      // description: "",
-      // :description note: Short description of the deployment.
-      production_environment: isProductionEnvironment,
-      // :production_environment note: specifies if the given environment is one that end-users directly interact with. Default: true when environment is production and false otherwise.
-      payload: {
-        type: 'branch-deploy',
-        sha: precheckResults.sha,
-        params: params,
-        parsed_params: parsed_params
-      },
-      headers: API_HEADERS
-    })
-    core.setOutput('deployment_id', createDeploy.id)
-    core.saveState('deployment_id', createDeploy.id)
+    // Create a new deployment for each environment
+    for (const deployment of deployments) {
+      // Check if the environment is a production environment
+      const isProductionEnvironment = inputs.production_environments.includes(
+        deployment.environment
+      )
+      core.debug(`production_environment: ${isProductionEnvironment}`)
+
+      // The preview environment of a pull request is torn down when the pull request is closed
+      const isPreviewEnvironment =
+        inputs.preview_environment.target !== null &&
+        deployment.environment ===
+          previewEnvironmentName(
+            inputs.preview_environment,
+            context.issue.number
+          )
 
-    // If a merge to the base branch is required, let the user know and exit
-    if (
-      typeof createDeploy.id === 'undefined' &&
-      createDeploy.message.includes('Auto-merged')
-    ) {
-      const mergeMessage = dedent(`
-        ### ⚠️ Deployment Warning
+      const {data: createDeploy} = await octokit.rest.repos.createDeployment({
+        owner: owner,
+        repo: repo,
+        ref: precheckResults.ref,
+        auto_merge: auto_merge,
+        required_contexts: requiredContexts,
+        environment: deployment.environment,
+        // description: "",
+        // :description note: Short description of the deployment.
+        production_environment: isProductionEnvironment,
+        // :production_environment note: specifies if the given environment is one that end-users directly interact with. Default: true when environment is production and false otherwise.
+        transient_environment: isPreviewEnvironment,
+        // :transient_environment note: specifies if the given environment is specific to the deployment and will no longer exist at some point in the future. Default: false
+        payload: {
+          type: isRollback ? 'rollback' : 'branch-deploy',
+          sha: precheckResults.sha,
+          actor: context.actor,
+          pull_request: context.issue.number,
+          workflow_run_id: context.runId,
+          initial_comment_id: initialComment.data.id,
+          params: params,
+          parsed_params: deployment.parsed_params,
+          freeze_override: freezeOverrides[deployment.environment],
+          promoted_from: promotedFrom
+        },
+        headers: API_HEADERS
+      })
 
-        - Message: ${createDeploy.message}
-        - Note: If you have required CI checks, you may need to manually push a commit to re-run them
+      // If a merge to the base branch is required, let the user know and exit
+      if (
+        typeof createDeploy.id === 'undefined' &&
+        createDeploy.message.includes('Auto-merged')
+      ) {
+        const mergeMessage = dedent(`
+          ### ⚠️ Deployment Warning
 
-        > Deployment will not continue. Please try again once this branch is up-to-date with the base branch
-        `)
-      await actionStatus(context, octokit, reactRes.data.id, mergeMessage)
-      core.warning(mergeMessage)
-      // Enable bypass for the post deploy step since the deployment is not complete
-      core.saveState('bypass', 'true')
-      return 'safe-exit'
+          - Message: ${createDeploy.message}
+          - Note: If you have required CI checks, you may need to manually push a commit to re-run them
+
+          > Deployment will not continue. Please try again once this branch is up-to-date with the base branch
+          `)
+        await actionStatus(context, octokit, reactRes.data.id, mergeMessage)
+        core.warning(mergeMessage)
+        // the deployments that were already created (when deploying to multiple environments) and the locks will not be completed by the post run logic
+        await abortDeployments(
+          octokit,
+          context,
+          precheckResults.ref,
+          deployments
+        )
+        // Enable bypass for the post deploy step since the deployment is not complete
+        core.saveState('bypass', 'true')
+        return 'safe-exit'
+      }
+
+      // Set the deployment status to in_progress
+      await createDeploymentStatus(
+        octokit,
+        context,
+        precheckResults.ref,
+        'in_progress',
+        createDeploy.id,
+        deployment.environment,
+        deployment.environment_url // environment_url (can be null)
+      )
+
+      deployment.deployment_id = createDeploy.id
     }
 
-    // Set the deployment status to in_progress
-    await createDeploymentStatus(
-      octokit,
-      context,
-      precheckResults.ref,
-      'in_progress',
-      createDeploy.id,
-      environment,
-      environmentObj.environmentUrl // environment_url (can be null)
+    // the deployment_id output always holds a single id (the first deployment) and the deployment_ids output holds all of them
+    core.setOutput('deployment_id', deployments[0].deployment_id)
+    core.setOutput(
+      'deployment_ids',
+      deployments.map(deployment => deployment.deployment_id).join(',')
     )
+    core.saveState('deployment_id', deployments[0].deployment_id)
+    saveDeployments(deployments)
 
     core.info(
       `🧑‍🚀 commit sha to deploy: ${COLORS.highlight}${precheckResults.sha}${COLORS.reset}`
@@ -789,6 +1224,88 @@ export async function run() {
   }
 }
 
+// Helper function to check that the user who commented has valid permissions to run a command
+// If they do not, the failure is reported on the triggering comment and the post run logic is bypassed
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param reactionId: The ID of the reaction to update on the triggering comment (Integer)
+// :param inputs: The Action inputs object
+// :returns: true if the user has valid permissions, false otherwise
+async function commandPermitted(octokit, context, reactionId, inputs) {
+  const validPermissionsRes = await validPermissions(
+    octokit,
+    context,
+    inputs.permissions
+  )
+  if (validPermissionsRes === true) {
+    return true
+  }
+
+  await actionStatus(context, octokit, reactionId, validPermissionsRes)
+  // Set the bypass state to true so that the post run logic will not run
+  core.saveState('bypass', 'true')
+  core.setFailed(validPermissionsRes)
+  return false
+}
+
+// Helper function to clean up after a deployment that stopped part way through creating its deployments
+// The deployments that were already created are marked as 'error' (not 'inactive' as .rollback treats inactive deployments as known-good)
+// and the non-sticky deployment locks are released since the post run logic will not run to do it
+// :param octokit: The octokit client
+// :param context: The GitHub Actions event context
+// :param ref: The ref of the deployments (String)
+// :param deployments: An array of deployments - EX: [{environment: 'staging', deployment_id: 123, environment_url: null}]
+async function abortDeployments(octokit, context, ref, deployments) {
+  for (const deployment of deployments) {
+    if (deployment.deployment_id !== null) {
+      await createDeploymentStatus(
+        octokit,
+        context,
+        ref,
+        'error',
+        deployment.deployment_id,
+        deployment.environment,
+        deployment.environment_url // can be null
+      )
+      core.info(
+        `🧹 marked the deployment to ${COLORS.highlight}${deployment.environment}${COLORS.reset} as ${COLORS.highlight}error`
+      )
+    }
+
+    // obtain the lock data with detailsOnly set to true - ie we will not alter the lock
+    const lockResponse = await lock(
+      octokit,
+      context,
+      null, // ref
+      null, // reaction_id
+      false, // sticky
+      deployment.environment, // environment
+      true, // detailsOnly set to true
+      true, // postDeployStep set to true - this means we will not exit early if a global lock exists
+      false // leaveComment
+    )
+
+    // sticky locks are kept just like they are after a completed deployment
+    if (lockResponse.lockData && lockResponse.lockData.sticky !== true) {
+      await unlock(
+        octokit,
+        context,
+        null, // reaction_id
+        deployment.environment, // environment
+        true // silent mode
+      )
+    }
+  }
+}
+
+// Helper function to save the deployments created by a command so that downstream jobs and the post run logic can use them
+// the deployment_matrix output can be used directly as a job matrix (EX: matrix: ${{ fromJSON(needs.trigger.outputs.deployment_matrix) }})
+// :param deployments: An array of deployments - EX: [{environment: 'staging', deployment_id: 123, environment_url: null}]
+function saveDeployments(deployments) {
+  core.setOutput('deployment_matrix', JSON.stringify({include: deployments}))
+  core.saveState('deployments', JSON.stringify(deployments))
+}
+
 /* istanbul ignore next */
 if (core.getState('isPost') === 'true') {
   post()